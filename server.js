@@ -8,13 +8,20 @@
  */
 
 const dotenv = require('dotenv');
+
+// Load environment variables before any module reads them
+dotenv.config();
+
 const express = require('express');
 const connectDB = require('./src/config/database');
 const configureApp = require('./src/config/app');
 const logger = require('./src/utils/logger');
-
-// Load environment variables
-dotenv.config();
+const settingsService = require('./src/services/settingsService');
+const rbacService = require('./src/services/rbacService');
+const reservationExpiryJob = require('./src/jobs/reservationExpiryJob');
+const refundRetryJob = require('./src/jobs/refundRetryJob');
+const resellerPayoutJob = require('./src/jobs/resellerPayoutJob');
+const payoutCycleJob = require('./src/jobs/payoutCycleJob');
 
 // Initialize Express app
 const app = express();
@@ -22,8 +29,16 @@ const app = express();
 // Configure app middleware and routes
 configureApp(app);
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then load the platform settings and built-in admin roles
+connectDB()
+  .then(() => Promise.all([settingsService.load(), rbacService.syncBuiltInRoles()]))
+  .catch(error => logger.error(`Error loading settings or admin roles: ${error.message}`));
+
+// Background jobs
+reservationExpiryJob.start();
+refundRetryJob.start();
+resellerPayoutJob.start();
+payoutCycleJob.start();
 
 // Server Configuration
 const PORT = process.env.PORT || 5000;
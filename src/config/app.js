@@ -38,6 +38,8 @@ const supportRoutes = require('../routes/supportRoutes');
 const qualityRoutes = require('../routes/qualityRoutes');
 const pricingRoutes = require('../routes/pricingRoutes');
 const kycRoutes = require('../routes/kycRoutes');
+const paymentGatewayRoutes = require('../routes/paymentGatewayRoutes');
+const resellerRoutes = require('../routes/resellerRoutes');
 
 /**
  * Configure Express application with middleware and routes
@@ -78,11 +80,18 @@ const configureApp = (app) => {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Idempotency-Key', 'X-Seller-Id'],
+    exposedHeaders: ['Idempotent-Replayed']
   }));
 
   // Body parser middleware
-  app.use(express.json({ limit: '10mb' }));
+  app.use(express.json({
+    limit: '10mb',
+    // Webhook signatures are computed over the body exactly as sent
+    verify: (req, res, buf) => {
+      if (req.originalUrl.includes('/payment-gateway/webhook/')) req.rawBody = buf;
+    }
+  }));
   app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
   // Cookie parser
@@ -161,6 +170,8 @@ const configureApp = (app) => {
   app.use(`/api/${API_VERSION}/quality`, qualityRoutes);
   app.use(`/api/${API_VERSION}/pricing`, pricingRoutes);
   app.use(`/api/${API_VERSION}/kyc`, kycRoutes);
+  app.use(`/api/${API_VERSION}/payment-gateway`, paymentGatewayRoutes);
+  app.use(`/api/${API_VERSION}/reseller`, resellerRoutes);
   app.use(`/api/catalog`, catalogRoutes);
 
   // 404 handler
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Admin and seller staff permissions and the roles that bundle them
+ * @module config/permissions
+ */
+
+/**
+ * Every permission an admin role can grant, as resource:action
+ * @type {Object<string, string>}
+ */
+const PERMISSIONS = {
+  'reports:view': 'View the dashboard, analytics, sales and earnings reports',
+  'users:view': 'View buyers and their wallets',
+  'users:manage': 'Activate and deactivate user accounts',
+  'wallets:credit': 'Credit goodwill, referral or cashback to a buyer wallet',
+  'sellers:view': 'View sellers',
+  'sellers:manage': 'Activate and deactivate sellers and change their tier',
+  'kyc:review': 'Review seller KYC and verify or reject sellers',
+  'catalog:moderate': 'View and remove products and reviews',
+  'orders:view': 'View orders, returns, exchanges, refunds, shipments and payments',
+  'orders:manage': 'Decide returns and exchanges and update shipments',
+  'refunds:manage': 'Settle and retry refunds',
+  'payouts:view': 'View seller and reseller payouts, batches, wallets and ledger statements',
+  'payouts:approve': 'Create, approve and hold payout batches and settle transfers',
+  'ledger:adjust': 'Post manual adjustments to seller ledgers',
+  'penalties:manage': 'View, charge and reverse seller penalties',
+  'coupons:manage': 'Manage coupons',
+  'commission:manage': 'Manage commission rules',
+  'settings:manage': 'View and change platform settings',
+  'support:reply': 'Handle support tickets',
+  'claims:resolve': 'Handle seller claims, including penalty disputes',
+  'audit:view': 'Search and export the audit log',
+  'roles:manage': 'Manage admin roles and assign them'
+};
+
+// Grants every permission, including ones added later
+const ALL = '*';
+
+/**
+ * Roles created on startup; their names are fixed and super_admin cannot be edited
+ * @type {Array<Object>}
+ */
+const BUILT_IN_ROLES = [
+  {
+    name: 'super_admin',
+    label: 'Super admin',
+    description: 'Full access, including role management',
+    permissions: [ALL]
+  },
+  {
+    name: 'finance',
+    label: 'Finance',
+    description: 'Payouts, refunds, ledger adjustments, penalties and commission',
+    permissions: [
+      'reports:view', 'sellers:view', 'orders:view', 'refunds:manage', 'payouts:view', 'payouts:approve',
+      'ledger:adjust', 'penalties:manage', 'commission:manage', 'wallets:credit'
+    ]
+  },
+  {
+    name: 'catalog_moderator',
+    label: 'Catalog moderator',
+    description: 'Seller KYC and product and review moderation',
+    permissions: ['sellers:view', 'kyc:review', 'catalog:moderate']
+  },
+  {
+    name: 'support_agent',
+    label: 'Support agent',
+    description: 'Support tickets, claims, returns and shipments',
+    permissions: ['users:view', 'sellers:view', 'orders:view', 'orders:manage', 'support:reply', 'claims:resolve']
+  }
+];
+
+/**
+ * What a seller's staff member can do in the shop they belong to
+ * @type {Object<string, string>}
+ */
+const SELLER_PERMISSIONS = {
+  'shop:view': 'View the shop profile and dashboard',
+  'shop:manage': 'Edit the shop profile and submit KYC',
+  'bank:manage': 'View and change the bank account payouts go to',
+  'catalog:view': 'View products',
+  'catalog:edit': 'Add, edit and remove products',
+  'orders:view': 'View orders, returns and exchanges',
+  'orders:fulfil': 'Update shipments and decide returns and exchanges',
+  'finance:view': 'View the wallet, payouts, statements and penalties',
+  'finance:request': 'Request payouts',
+  'staff:manage': 'Invite staff, change their roles and remove them'
+};
+
+/**
+ * Fixed roles a seller can give their staff; the shop's own account is always an owner
+ * @type {Object<string, Object>}
+ */
+const SELLER_ROLES = {
+  owner: {
+    label: 'Owner',
+    permissions: Object.keys(SELLER_PERMISSIONS)
+  },
+  catalog: {
+    label: 'Catalog manager',
+    permissions: ['shop:view', 'catalog:view', 'catalog:edit']
+  },
+  fulfilment: {
+    label: 'Orders and fulfilment',
+    permissions: ['shop:view', 'catalog:view', 'orders:view', 'orders:fulfil']
+  },
+  finance: {
+    label: 'Finance',
+    permissions: ['shop:view', 'orders:view', 'finance:view', 'finance:request']
+  },
+  read_only: {
+    label: 'Read-only',
+    permissions: ['shop:view', 'catalog:view', 'orders:view']
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS: Object.keys(PERMISSIONS),
+  ALL,
+  BUILT_IN_ROLES,
+  SUPER_ADMIN: 'super_admin',
+  SELLER_PERMISSIONS,
+  SELLER_ROLES,
+  SELLER_OWNER: 'owner'
+};
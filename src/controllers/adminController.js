@@ -3,12 +3,36 @@
  * @module controllers/adminController
  */
 
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Seller = require('../models/Seller');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
 const Rating = require('../models/Rating');
 const PayoutTransaction = require('../models/PayoutTransaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const OrderItemRequest = require('../models/OrderItemRequest');
+const Exchange = require('../models/Exchange');
+const SellerWallet = require('../models/SellerWallet');
+const Refund = require('../models/Refund');
+const ResellerPayout = require('../models/ResellerPayout');
+const PayoutBatch = require('../models/PayoutBatch');
+const SellerPenalty = require('../models/SellerPenalty');
+const Settings = require('../models/Settings');
+const ledgerService = require('../services/ledgerService');
+const orderLifecycle = require('../services/orderLifecycleService');
+const itemRequestService = require('../services/itemRequestService');
+const exchangeService = require('../services/exchangeService');
+const refundService = require('../services/refundService');
+const walletService = require('../services/walletService');
+const resellerService = require('../services/resellerService');
+const payoutService = require('../services/payoutService');
+const bankFileService = require('../services/bankFileService');
+const taxDeductionService = require('../services/taxDeductionService');
+const penaltyService = require('../services/penaltyService');
+const settingsService = require('../services/settingsService');
+const auditService = require('../services/auditService');
 const { sendSuccess, sendError, sendPaginatedResponse } = require('../utils/responseHandler');
 const logger = require('../utils/logger');
 
@@ -132,7 +156,8 @@ exports.getUserById = async (req, res) => {
 exports.updateUserStatus = async (req, res) => {
   try {
     const { isActive } = req.body;
-    
+
+    const before = await User.findById(req.params.userId).select('isActive').lean();
     const user = await User.findByIdAndUpdate(
       req.params.userId,
       { isActive },
@@ -143,6 +168,13 @@ exports.updateUserStatus = async (req, res) => {
       return sendError(res, 404, 'User not found');
     }
 
+    await auditService.record(req, {
+      action: isActive ? 'user.activate' : 'user.deactivate',
+      target: { model: 'User', id: user._id, code: user.email || user.phone },
+      before: auditService.pick(before, ['isActive']),
+      after: auditService.pick(user, ['isActive'])
+    });
+
     sendSuccess(res, 200, `User ${isActive ? 'activated' : 'deactivated'} successfully`, { user });
   } catch (error) {
     logger.error(`Update user status error: ${error.message}`);
@@ -221,6 +253,9 @@ exports.verifySeller = async (req, res) => {
       return sendError(res, 404, 'Seller not found');
     }
 
+    const auditFields = ['kycStatus', 'isVerified', 'verifiedAt', 'kycRejectionReason'];
+    const before = auditService.pick(seller, auditFields);
+
     if (approved) {
       seller.kycStatus = 'approved';
       seller.isVerified = true;
@@ -233,6 +268,14 @@ exports.verifySeller = async (req, res) => {
 
     await seller.save();
 
+    await auditService.record(req, {
+      action: approved ? 'seller.verify' : 'seller.reject',
+      target: { model: 'Seller', id: seller._id, code: seller.shopName },
+      before,
+      after: auditService.pick(seller, auditFields),
+      reason: approved ? undefined : rejectionReason
+    });
+
     sendSuccess(res, 200, `Seller ${approved ? 'verified' : 'rejected'} successfully`, { seller });
   } catch (error) {
     logger.error(`Verify seller error: ${error.message}`);
@@ -248,7 +291,8 @@ exports.verifySeller = async (req, res) => {
 exports.updateSellerStatus = async (req, res) => {
   try {
     const { isActive } = req.body;
-    
+
+    const before = await Seller.findById(req.params.sellerId).select('isActive').lean();
     const seller = await Seller.findByIdAndUpdate(
       req.params.sellerId,
       { isActive },
@@ -259,6 +303,13 @@ exports.updateSellerStatus = async (req, res) => {
       return sendError(res, 404, 'Seller not found');
     }
 
+    await auditService.record(req, {
+      action: isActive ? 'seller.activate' : 'seller.deactivate',
+      target: { model: 'Seller', id: seller._id, code: seller.shopName },
+      before: auditService.pick(before, ['isActive']),
+      after: auditService.pick(seller, ['isActive'])
+    });
+
     sendSuccess(res, 200, `Seller ${isActive ? 'activated' : 'deactivated'} successfully`, { seller });
   } catch (error) {
     logger.error(`Update seller status error: ${error.message}`);
@@ -266,6 +317,45 @@ exports.updateSellerStatus = async (req, res) => {
   }
 };
 
+/**
+ * Update seller tier (used by commission rules)
+ * @route PUT /api/v1/admin/sellers/:sellerId/tier
+ * @access Private/Admin
+ */
+exports.updateSellerTier = async (req, res) => {
+  try {
+    const { tier } = req.body;
+
+    const tiers = Seller.schema.path('tier').enumValues;
+    if (!tiers.includes(tier)) {
+      return sendError(res, 400, `Tier must be one of: ${tiers.join(', ')}`);
+    }
+
+    const before = await Seller.findById(req.params.sellerId).select('tier').lean();
+    const seller = await Seller.findByIdAndUpdate(
+      req.params.sellerId,
+      { tier },
+      { new: true }
+    );
+
+    if (!seller) {
+      return sendError(res, 404, 'Seller not found');
+    }
+
+    await auditService.record(req, {
+      action: 'seller.tier',
+      target: { model: 'Seller', id: seller._id, code: seller.shopName },
+      before: auditService.pick(before, ['tier']),
+      after: auditService.pick(seller, ['tier'])
+    });
+
+    sendSuccess(res, 200, 'Seller tier updated successfully', { seller });
+  } catch (error) {
+    logger.error(`Update seller tier error: ${error.message}`);
+    sendError(res, 500, 'Error updating seller tier');
+  }
+};
+
 /**
  * Get all products
  * @route GET /api/v1/admin/products
@@ -314,6 +404,12 @@ exports.deleteProduct = async (req, res) => {
       return sendError(res, 404, 'Product not found');
     }
 
+    await auditService.record(req, {
+      action: 'product.delete',
+      target: { model: 'Product', id: product._id, code: product.name },
+      before: auditService.pick(product, ['name', 'seller', 'category', 'price', 'mrp', 'isActive'])
+    });
+
     sendSuccess(res, 200, 'Product deleted successfully');
   } catch (error) {
     logger.error(`Delete product error: ${error.message}`);
@@ -424,31 +520,71 @@ exports.getReturns = async (req, res) => {
   try {
     const { page = 1, limit = 20, status } = req.query;
 
-    const query = { 'return.requested': true };
-    if (status) query['return.status'] = status;
-
-    const returns = await Order.find(query)
-      .populate('user', 'name email phone')
-      .populate('items.product', 'name images')
-      .sort({ 'return.requestedAt': -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const query = { 'returnRequest.requested': true };
+    if (status) query['returnRequest.status'] = status;
+
+    // Item-level return requests share the queue
+    const itemQuery = { type: 'return' };
+    if (status) itemQuery.status = { pending: 'requested' }[status] || status;
+
+    // Both lists are sorted newest first, so the first page * limit of each is enough to build the page
+    const window = page * limit;
+    const [returns, itemReturns, shipmentTotal, itemTotal] = await Promise.all([
+      SubOrder.find(query)
+        .populate('user', 'name email phone')
+        .populate('seller', 'shopName')
+        .populate('items.product', 'name images')
+        .sort({ 'returnRequest.requestedAt': -1 })
+        .limit(window),
+      OrderItemRequest.find(itemQuery)
+        .populate('user', 'name email phone')
+        .populate('seller', 'shopName')
+        .sort({ createdAt: -1 })
+        .limit(window),
+      SubOrder.countDocuments(query),
+      OrderItemRequest.countDocuments(itemQuery)
+    ]);
 
-    const total = await Order.countDocuments(query);
+    const total = shipmentTotal + itemTotal;
 
     // Transform to return-focused format
-    const returnData = returns.map(order => ({
-      _id: order._id,
-      orderId: order.orderId,
-      user: order.user,
-      product: order.items[0]?.name || 'N/A',
-      productImage: order.items[0]?.image,
-      amount: order.pricing?.total || 0,
-      status: order.return?.status || 'pending',
-      reason: order.return?.reason || '',
-      requestedAt: order.return?.requestedAt || order.updatedAt,
-      createdAt: order.createdAt
-    }));
+    const returnData = [
+      ...returns.map(subOrder => ({
+        _id: subOrder._id,
+        level: 'shipment',
+        orderId: subOrder.orderId,
+        subOrderId: subOrder.subOrderId,
+        user: subOrder.user,
+        seller: subOrder.seller,
+        product: subOrder.items[0]?.name || 'N/A',
+        productImage: subOrder.items[0]?.image,
+        amount: subOrder.pricing?.total || 0,
+        status: subOrder.returnRequest?.status || 'pending',
+        reason: subOrder.returnRequest?.reason || '',
+        requestedAt: subOrder.returnRequest?.requestedAt || subOrder.updatedAt,
+        createdAt: subOrder.createdAt
+      })),
+      ...itemReturns.map(request => ({
+        _id: request._id,
+        level: 'item',
+        requestId: request.requestId,
+        orderId: request.orderId,
+        subOrderId: request.subOrderId,
+        user: request.user,
+        seller: request.seller,
+        product: request.name || 'N/A',
+        productImage: request.image,
+        quantity: request.quantity,
+        images: request.images,
+        amount: request.refundAmount,
+        status: request.status === 'requested' ? 'pending' : request.status,
+        reason: request.reason,
+        requestedAt: request.createdAt,
+        createdAt: request.createdAt
+      }))
+    ]
+      .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt))
+      .slice((page - 1) * limit, page * limit);
 
     sendPaginatedResponse(res, 200, 'Returns retrieved successfully', returnData, {
       page: parseInt(page),
@@ -469,35 +605,361 @@ exports.getReturns = async (req, res) => {
  */
 exports.updateReturnStatus = async (req, res) => {
   try {
-    const { status, refundAmount } = req.body;
+    const { status, refundAmount, notes } = req.body;
 
-    const order = await Order.findById(req.params.orderId);
-    if (!order) {
+    const subOrder = await SubOrder.findById(req.params.orderId);
+    if (!subOrder) {
       return sendError(res, 404, 'Order not found');
     }
 
-    order.return = {
-      ...order.return,
-      status,
-      processedAt: Date.now(),
-      processedBy: req.user._id,
-      refundAmount: refundAmount || order.pricing?.total
-    };
-
-    if (status === 'approved') {
-      order.status = 'returned';
-      order.payment.status = 'refunded';
+    // Admin approval completes the return; rejection closes it
+    const target = { approved: 'returned', rejected: 'return_rejected' }[status];
+    if (!target) {
+      return sendError(res, 400, 'Invalid return status. Use approved or rejected');
     }
 
-    await order.save();
+    const before = auditService.pick(subOrder, ['status']);
 
-    sendSuccess(res, 200, 'Return status updated successfully', { order });
+    await orderLifecycle.transition(subOrder, target, {
+      actor: { user: req.user._id, role: 'admin' },
+      comment: notes,
+      refundAmount
+    });
+
+    // Reflect the return on the buyer's order
+    await orderLifecycle.syncParentOrder(subOrder);
+
+    await auditService.record(req, {
+      action: status === 'approved' ? 'return.approve' : 'return.reject',
+      target: { model: 'SubOrder', id: subOrder._id, code: subOrder.subOrderId },
+      before,
+      after: auditService.pick(subOrder, ['status']),
+      reason: notes,
+      metadata: refundAmount !== undefined ? { refundAmount } : undefined
+    });
+
+    sendSuccess(res, 200, 'Return status updated successfully', { order: subOrder });
   } catch (error) {
     logger.error(`Update return status error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error updating return status');
+  }
+};
+
+/**
+ * Update item-level return request
+ * @route PUT /api/v1/admin/returns/items/:requestId
+ * @access Private/Admin
+ */
+exports.updateItemReturnStatus = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { status, refundAmount, notes } = req.body;
+
+    if (!['approved', 'rejected', 'completed'].includes(status)) {
+      return sendError(res, 400, 'Invalid return status. Use approved, rejected, or completed');
+    }
+
+    const conditions = [{ requestId }];
+    if (mongoose.Types.ObjectId.isValid(requestId)) conditions.push({ _id: requestId });
+    const request = await OrderItemRequest.findOne({ type: 'return', $or: conditions });
+    if (!request) {
+      return sendError(res, 404, 'Return request not found');
+    }
+
+    const before = auditService.pick(request, ['status', 'refundAmount']);
+
+    await itemRequestService.updateReturn(request, status, {
+      actor: { user: req.user._id, role: 'admin' },
+      notes,
+      refundAmount
+    });
+
+    await auditService.record(req, {
+      action: `item_return.${status}`,
+      target: { model: 'OrderItemRequest', id: request._id, code: request.requestId },
+      before,
+      after: auditService.pick(request, ['status', 'refundAmount']),
+      reason: notes
+    });
+
+    sendSuccess(res, 200, 'Return status updated successfully', { request });
+  } catch (error) {
+    logger.error(`Update item return status error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
     sendError(res, 500, 'Error updating return status');
   }
 };
 
+/**
+ * Get all exchanges
+ * @route GET /api/v1/admin/exchanges
+ * @access Private/Admin
+ */
+exports.getExchanges = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, seller } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (seller) query.seller = seller;
+
+    const exchanges = await Exchange.find(query)
+      .populate('user', 'name email phone')
+      .populate('seller', 'shopName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Exchange.countDocuments(query);
+
+    sendPaginatedResponse(res, 200, 'Exchanges retrieved successfully', exchanges, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    logger.error(`Get exchanges error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving exchanges');
+  }
+};
+
+/**
+ * Update exchange status
+ * @route PUT /api/v1/admin/exchanges/:exchangeId
+ * @access Private/Admin
+ */
+exports.updateExchangeStatus = async (req, res) => {
+  try {
+    const { status, notes, trackingId, courier, url } = req.body;
+
+    const exchange = await exchangeService.findExchange(req.params.exchangeId);
+    if (!exchange) {
+      return sendError(res, 404, 'Exchange not found');
+    }
+
+    const auditFields = ['status', 'replacement.trackingId', 'replacement.courier'];
+    const before = auditService.pick(exchange, auditFields);
+
+    await exchangeService.transition(exchange, status, {
+      actor: { user: req.user._id, role: 'admin' },
+      comment: notes,
+      tracking: { trackingId, courier, url }
+    });
+
+    await auditService.record(req, {
+      action: 'exchange.status',
+      target: { model: 'Exchange', id: exchange._id, code: exchange.exchangeId },
+      before,
+      after: auditService.pick(exchange, auditFields),
+      reason: notes
+    });
+
+    sendSuccess(res, 200, 'Exchange status updated successfully', { exchange });
+  } catch (error) {
+    logger.error(`Update exchange status error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error updating exchange status');
+  }
+};
+
+/**
+ * Get refunds
+ * @route GET /api/v1/admin/refunds
+ * @access Private/Admin
+ */
+exports.getRefunds = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, destination, kind, orderId } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (destination) query['destination.type'] = destination;
+    if (kind) query.kind = kind;
+    if (orderId) query.orderId = orderId;
+
+    const refunds = await Refund.find(query)
+      .populate('user', 'name email phone')
+      .populate('seller', 'shopName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Refund.countDocuments(query);
+
+    sendPaginatedResponse(res, 200, 'Refunds retrieved successfully', refunds, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    logger.error(`Get refunds error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving refunds');
+  }
+};
+
+/**
+ * Settle a bank or UPI refund (completed with a UTR, or failed)
+ * @route PUT /api/v1/admin/refunds/:refundId/status
+ * @access Private/Admin
+ */
+exports.updateRefundStatus = async (req, res) => {
+  try {
+    const { status, reference, reason } = req.body;
+
+    const refund = await Refund.findOne({ refundId: req.params.refundId });
+    if (!refund) {
+      return sendError(res, 404, 'Refund not found');
+    }
+
+    const auditFields = ['status', 'reference', 'failureReason'];
+    const before = auditService.pick(refund, auditFields);
+
+    await refundService.settleRefund(refund, status, {
+      reference,
+      reason,
+      actor: { user: req.user._id, role: 'admin' }
+    });
+
+    await auditService.record(req, {
+      action: 'refund.settle',
+      target: { model: 'Refund', id: refund._id, code: refund.refundId },
+      before,
+      after: auditService.pick(refund, auditFields),
+      reason,
+      metadata: { amount: refund.amount }
+    });
+
+    sendSuccess(res, 200, 'Refund status updated successfully', { refund });
+  } catch (error) {
+    logger.error(`Update refund status error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error updating refund status');
+  }
+};
+
+/**
+ * Retry a failed or pending refund now
+ * @route POST /api/v1/admin/refunds/:refundId/retry
+ * @access Private/Admin
+ */
+exports.retryRefund = async (req, res) => {
+  try {
+    const refund = await Refund.findOne({ refundId: req.params.refundId });
+    if (!refund) {
+      return sendError(res, 404, 'Refund not found');
+    }
+    if (!['pending', 'failed'].includes(refund.status)) {
+      return sendError(res, 400, `Refund is ${refund.status}; only pending or failed refunds can be retried`);
+    }
+
+    const before = auditService.pick(refund, ['status', 'attempts']);
+
+    await refundService.processRefund(refund, { actor: { user: req.user._id, role: 'admin' } });
+
+    await auditService.record(req, {
+      action: 'refund.retry',
+      target: { model: 'Refund', id: refund._id, code: refund.refundId },
+      before,
+      after: auditService.pick(refund, ['status', 'attempts']),
+      metadata: { amount: refund.amount }
+    });
+
+    sendSuccess(res, 200, `Refund is ${refund.status}`, { refund });
+  } catch (error) {
+    logger.error(`Retry refund error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error retrying refund');
+  }
+};
+
+/**
+ * Get reseller payouts
+ * @route GET /api/v1/admin/reseller-payouts
+ * @access Private/Admin
+ */
+exports.getResellerPayouts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, reseller } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (reseller) query.reseller = reseller;
+
+    const payouts = await ResellerPayout.find(query)
+      .populate('reseller', 'name email phone')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ResellerPayout.countDocuments(query);
+
+    sendPaginatedResponse(res, 200, 'Reseller payouts retrieved successfully', payouts, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    logger.error(`Get reseller payouts error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving reseller payouts');
+  }
+};
+
+/**
+ * Mark a reseller payout paid (with the UTR) or failed
+ * @route PUT /api/v1/admin/reseller-payouts/:payoutId/status
+ * @access Private/Admin
+ */
+exports.updateResellerPayoutStatus = async (req, res) => {
+  try {
+    const { status, reference, reason } = req.body;
+
+    const payout = await ResellerPayout.findOne({ payoutId: req.params.payoutId });
+    if (!payout) {
+      return sendError(res, 404, 'Payout not found');
+    }
+
+    const auditFields = ['status', 'reference', 'failureReason'];
+    const before = auditService.pick(payout, auditFields);
+
+    await resellerService.settlePayout(payout, status, {
+      reference,
+      reason,
+      actor: { user: req.user._id, role: 'admin' }
+    });
+
+    await auditService.record(req, {
+      action: 'reseller_payout.settle',
+      target: { model: 'ResellerPayout', id: payout._id, code: payout.payoutId },
+      before,
+      after: auditService.pick(payout, auditFields),
+      reason,
+      metadata: { amount: payout.amount }
+    });
+
+    sendSuccess(res, 200, 'Reseller payout updated successfully', { payout });
+  } catch (error) {
+    logger.error(`Update reseller payout error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error updating reseller payout');
+  }
+};
+
 /**
  * Get sales reports
  * @route GET /api/v1/admin/reports/sales
@@ -629,6 +1091,93 @@ exports.getCustomers = async (req, res) => {
   }
 };
 
+/**
+ * Get a customer's wallet and transactions
+ * @route GET /api/v1/admin/customers/:userId/wallet
+ * @access Private/Admin
+ */
+exports.getCustomerWallet = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type } = req.query;
+
+    const user = await User.findById(req.params.userId).select('name email phone');
+    if (!user) {
+      return sendError(res, 404, 'Customer not found');
+    }
+
+    const wallet = await walletService.getWallet(user._id);
+    const { transactions, total } = await walletService.getTransactions(user._id, { page, limit, type });
+
+    sendSuccess(res, 200, 'Wallet retrieved successfully', {
+      user,
+      wallet,
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error(`Get customer wallet error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving wallet');
+  }
+};
+
+/**
+ * Credit a customer's wallet (goodwill, referral or cashback)
+ * @route POST /api/v1/admin/customers/:userId/wallet/credit
+ * @access Private/Admin
+ */
+exports.creditCustomerWallet = async (req, res) => {
+  try {
+    const { amount, source = 'goodwill', reference, description } = req.body;
+
+    if (!['goodwill', 'referral', 'cashback'].includes(source)) {
+      return sendError(res, 400, 'Source must be goodwill, referral or cashback');
+    }
+
+    const user = await User.findById(req.params.userId).select('name email');
+    if (!user) {
+      return sendError(res, 404, 'Customer not found');
+    }
+
+    let order;
+    if (req.body.orderId) {
+      order = await Order.findOne({ orderId: req.body.orderId, user: user._id }).select('orderId');
+      if (!order) {
+        return sendError(res, 404, 'Order not found for this customer');
+      }
+    }
+
+    const transaction = await walletService.credit(user._id, amount, {
+      source,
+      order,
+      reference,
+      description,
+      createdBy: req.user._id
+    });
+
+    logger.info(`Admin ${req.user._id} credited ${transaction.amount} (${source}) to wallet of ${user._id}`);
+
+    await auditService.record(req, {
+      action: 'wallet.credit',
+      target: { model: 'User', id: user._id, code: user.email },
+      reason: description,
+      metadata: { transaction: transaction._id, amount: transaction.amount, source, orderId: order?.orderId, reference }
+    });
+
+    sendSuccess(res, 201, 'Wallet credited successfully', { transaction });
+  } catch (error) {
+    logger.error(`Credit customer wallet error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error crediting wallet');
+  }
+};
+
 /**
  * Get payments/transactions
  * @route GET /api/v1/admin/payments
@@ -769,6 +1318,12 @@ exports.deleteReview = async (req, res) => {
       return sendError(res, 404, 'Review not found');
     }
 
+    await auditService.record(req, {
+      action: 'review.delete',
+      target: { model: 'Rating', id: review._id },
+      before: auditService.pick(review, ['user', 'product', 'rating', 'title', 'review'])
+    });
+
     sendSuccess(res, 200, 'Review deleted successfully');
   } catch (error) {
     logger.error(`Delete review error: ${error.message}`);
@@ -788,30 +1343,33 @@ exports.getShipments = async (req, res) => {
     const query = { status: { $in: ['confirmed', 'processing', 'shipped', 'out_for_delivery'] } };
     if (status) query.status = status;
 
-    const shipments = await Order.find(query)
-      .select('orderId user shippingAddress status tracking createdAt updatedAt')
+    const shipments = await SubOrder.find(query)
+      .select('subOrderId orderId order user seller status tracking createdAt updatedAt')
       .populate('user', 'name phone')
+      .populate('seller', 'shopName')
+      .populate('order', 'shippingAddress')
       .sort({ updatedAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-    const total = await Order.countDocuments(query);
+    const total = await SubOrder.countDocuments(query);
 
     // Transform to shipment format
-    const shipmentData = shipments.map((order, index) => ({
-      _id: order._id,
-      shipmentId: `SHIP-${String(index + 1).padStart(3, '0')}`,
-      orderId: order.orderId,
-      customer: order.user?.name || 'N/A',
-      phone: order.user?.phone || order.shippingAddress?.phone,
-      address: `${order.shippingAddress?.city}, ${order.shippingAddress?.state}`,
-      fullAddress: order.shippingAddress,
-      status: order.status,
-      trackingNumber: order.tracking?.trackingNumber,
-      carrier: order.tracking?.carrier || 'Meesho Logistics',
-      estimatedDelivery: order.tracking?.estimatedDelivery,
-      createdAt: order.createdAt,
-      updatedAt: order.updatedAt
+    const shipmentData = shipments.map(subOrder => ({
+      _id: subOrder._id,
+      shipmentId: subOrder.subOrderId,
+      orderId: subOrder.orderId,
+      seller: subOrder.seller?.shopName || 'N/A',
+      customer: subOrder.user?.name || 'N/A',
+      phone: subOrder.user?.phone || subOrder.order?.shippingAddress?.phone,
+      address: `${subOrder.order?.shippingAddress?.city}, ${subOrder.order?.shippingAddress?.state}`,
+      fullAddress: subOrder.order?.shippingAddress,
+      status: subOrder.status,
+      trackingNumber: subOrder.tracking?.trackingId,
+      carrier: subOrder.tracking?.courier || 'Meesho Logistics',
+      estimatedDelivery: subOrder.tracking?.estimatedDelivery,
+      createdAt: subOrder.createdAt,
+      updatedAt: subOrder.updatedAt
     }));
 
     sendPaginatedResponse(res, 200, 'Shipments retrieved successfully', shipmentData, {
@@ -835,50 +1393,53 @@ exports.updateShipment = async (req, res) => {
   try {
     const { status, trackingNumber, carrier, estimatedDelivery } = req.body;
 
-    const order = await Order.findById(req.params.orderId);
-    if (!order) {
+    const subOrder = await SubOrder.findById(req.params.orderId);
+    if (!subOrder) {
       return sendError(res, 404, 'Order not found');
     }
 
-    if (status) order.status = status;
-    order.tracking = {
-      ...order.tracking,
-      trackingNumber: trackingNumber || order.tracking?.trackingNumber,
-      carrier: carrier || order.tracking?.carrier,
-      estimatedDelivery: estimatedDelivery || order.tracking?.estimatedDelivery,
-      updatedAt: Date.now()
-    };
+    const tracking = { trackingId: trackingNumber, courier: carrier, estimatedDelivery };
+    const auditFields = ['status', 'tracking.trackingId', 'tracking.courier', 'tracking.estimatedDelivery'];
+    const before = auditService.pick(subOrder, auditFields);
 
-    await order.save();
+    if (status && status !== subOrder.status) {
+      await orderLifecycle.transition(subOrder, status, {
+        actor: { user: req.user._id, role: 'admin' },
+        tracking
+      });
+      await orderLifecycle.syncParentOrder(subOrder);
+    } else {
+      if (trackingNumber) subOrder.tracking.trackingId = trackingNumber;
+      if (carrier) subOrder.tracking.courier = carrier;
+      if (estimatedDelivery) subOrder.tracking.estimatedDelivery = estimatedDelivery;
+      await subOrder.save();
+    }
 
-    sendSuccess(res, 200, 'Shipment updated successfully', { order });
+    await auditService.record(req, {
+      action: 'shipment.update',
+      target: { model: 'SubOrder', id: subOrder._id, code: subOrder.subOrderId },
+      before,
+      after: auditService.pick(subOrder, auditFields)
+    });
+
+    sendSuccess(res, 200, 'Shipment updated successfully', { order: subOrder });
   } catch (error) {
     logger.error(`Update shipment error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
     sendError(res, 500, 'Error updating shipment');
   }
 };
 
 /**
- * Get store settings
+ * Get platform settings in force
  * @route GET /api/v1/admin/settings
  * @access Private/Admin
  */
 exports.getSettings = async (req, res) => {
   try {
-    // For now, return default settings (can be stored in a Settings collection later)
-    const settings = {
-      storeName: process.env.STORE_NAME || 'Meesho',
-      currency: process.env.CURRENCY || 'INR',
-      taxRate: process.env.TAX_RATE || '18',
-      shippingCharge: process.env.SHIPPING_CHARGE || '40',
-      freeShippingThreshold: process.env.FREE_SHIPPING_THRESHOLD || '499',
-      contactEmail: process.env.CONTACT_EMAIL || 'support@meesho.com',
-      contactPhone: process.env.CONTACT_PHONE || '1800-123-4567',
-      address: process.env.STORE_ADDRESS || 'Bangalore, Karnataka, India',
-      returnPolicy: '7 days return policy',
-      codEnabled: true,
-      onlinePaymentEnabled: true
-    };
+    const settings = await settingsService.load();
 
     sendSuccess(res, 200, 'Settings retrieved successfully', { settings });
   } catch (error) {
@@ -888,22 +1449,64 @@ exports.getSettings = async (req, res) => {
 };
 
 /**
- * Update store settings
+ * Update platform settings (saved as a new version)
+ * Send only the settings to change, nested by section, with the version they
+ * were read at to guard against overwriting someone else's change.
  * @route PUT /api/v1/admin/settings
  * @access Private/Admin
  */
 exports.updateSettings = async (req, res) => {
   try {
-    // In production, save to database. For now, just return the updated settings
-    const settings = req.body;
+    const { version, comment, ...values } = req.body;
+
+    const paths = Settings.settingPaths();
+    const before = auditService.pick(await settingsService.load(), paths);
+
+    const settings = await settingsService.update(values, {
+      version,
+      comment,
+      actor: req.user._id
+    });
+
+    await auditService.record(req, {
+      action: 'settings.update',
+      target: { model: 'Settings', code: `v${settings.version}` },
+      before,
+      after: auditService.pick(settings, paths),
+      reason: comment
+    });
 
     sendSuccess(res, 200, 'Settings updated successfully', { settings });
   } catch (error) {
     logger.error(`Update settings error: ${error.message}`);
+    if (error.isOperational) return sendError(res, error.statusCode, error.message);
     sendError(res, 500, 'Error updating settings');
   }
 };
 
+/**
+ * Get settings change history
+ * @route GET /api/v1/admin/settings/history
+ * @access Private/Admin
+ */
+exports.getSettingsHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, path } = req.query;
+
+    const { versions, total } = await settingsService.history({ page: parseInt(page), limit: parseInt(limit), path });
+
+    sendPaginatedResponse(res, 200, 'Settings history retrieved successfully', versions, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    logger.error(`Get settings history error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving settings history');
+  }
+};
+
 /**
  * Get seller KYC submissions
  * @route GET /api/v1/admin/kyc
@@ -1082,14 +1685,14 @@ exports.getEarnings = async (req, res) => {
     else if (period === '1year') startDate.setFullYear(startDate.getFullYear() - 1);
     else startDate = new Date(0); // All time
 
-    // Get delivered orders with calculated earnings
-    const orders = await Order.find({
+    // Get delivered shipments with calculated earnings
+    const orders = await SubOrder.find({
       status: 'delivered',
       createdAt: { $gte: startDate },
       'earnings.platformCommission': { $exists: true, $gt: 0 }
     })
     .populate('user', 'name email')
-    .populate('items.seller', 'shopName businessName')
+    .populate('seller', 'shopName businessName')
     .sort({ deliveredAt: -1 });
 
     // Calculate admin earnings (commission + tax)
@@ -1162,27 +1765,23 @@ exports.getEarnings = async (req, res) => {
     // Get top sellers by commission generated
     const sellerCommissions = {};
     orders.forEach(order => {
-      if (order.items && order.items.length > 0) {
-        for (const item of order.items) {
-          const sellerId = item.seller?._id?.toString() || 'unknown';
-          if (!sellerCommissions[sellerId]) {
-            sellerCommissions[sellerId] = { 
-              sellerId, 
-              shopName: item.seller?.shopName || item.seller?.businessName || 'Unknown',
-              commission: 0,
-              tax: 0,
-              totalAdminEarning: 0,
-              orders: 0 
-            };
-          }
-          const commission = order.earnings?.platformCommission || 0;
-          const tax = order.earnings?.totalTax || 0;
-          sellerCommissions[sellerId].commission += commission;
-          sellerCommissions[sellerId].tax += tax;
-          sellerCommissions[sellerId].totalAdminEarning += (commission + tax);
-          sellerCommissions[sellerId].orders += 1;
-        }
+      const sellerId = order.seller?._id?.toString() || 'unknown';
+      if (!sellerCommissions[sellerId]) {
+        sellerCommissions[sellerId] = { 
+          sellerId, 
+          shopName: order.seller?.shopName || order.seller?.businessName || 'Unknown',
+          commission: 0,
+          tax: 0,
+          totalAdminEarning: 0,
+          orders: 0 
+        };
       }
+      const commission = order.earnings?.platformCommission || 0;
+      const tax = order.earnings?.totalTax || 0;
+      sellerCommissions[sellerId].commission += commission;
+      sellerCommissions[sellerId].tax += tax;
+      sellerCommissions[sellerId].totalAdminEarning += (commission + tax);
+      sellerCommissions[sellerId].orders += 1;
     });
 
     const topSellers = Object.values(sellerCommissions)
@@ -1237,40 +1836,36 @@ exports.getAllPendingPayouts = async (req, res) => {
     };
 
     if (sellerId) {
-      query['items.seller'] = sellerId;
+      query.seller = sellerId;
     }
 
-    // Get orders with upcoming payout status
-    const orders = await Order.find(query)
+    // Get shipments with upcoming payout status
+    const orders = await SubOrder.find(query)
       .populate('user', 'name email phone')
-      .populate('items.seller', 'shopName businessDetails')
+      .populate('seller', 'shopName businessDetails')
       .populate('items.product', 'name images')
       .sort({ deliveredAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
 
-    const total = await Order.countDocuments(query);
+    const total = await SubOrder.countDocuments(query);
 
     // Calculate total upcoming payout per seller
     const sellerPayouts = {};
     orders.forEach(order => {
-      if (order.items) {
-        order.items.forEach(item => {
-          const sellerId = item.seller?._id?.toString();
-          if (sellerId) {
-            if (!sellerPayouts[sellerId]) {
-              sellerPayouts[sellerId] = {
-                sellerId,
-                shopName: item.seller?.shopName || item.seller?.businessDetails?.businessName || 'Unknown',
-                totalAmount: 0,
-                orderCount: 0
-              };
-            }
-            sellerPayouts[sellerId].totalAmount += (order.earnings?.netSellerEarning || 0);
-            sellerPayouts[sellerId].orderCount += 1;
-          }
-        });
+      const sellerId = order.seller?._id?.toString();
+      if (sellerId) {
+        if (!sellerPayouts[sellerId]) {
+          sellerPayouts[sellerId] = {
+            sellerId,
+            shopName: order.seller?.shopName || order.seller?.businessDetails?.businessName || 'Unknown',
+            totalAmount: 0,
+            orderCount: 0
+          };
+        }
+        sellerPayouts[sellerId].totalAmount += (order.earnings?.netSellerEarning || 0);
+        sellerPayouts[sellerId].orderCount += 1;
       }
     });
 
@@ -1313,7 +1908,7 @@ exports.getAllPayoutHistory = async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit))
       .populate('seller', 'shopName businessDetails bankDetails')
-      .populate('orders', 'orderId pricing.itemsTotal earnings.netSellerEarning deliveredAt')
+      .populate('subOrders', 'subOrderId orderId pricing.itemsTotal earnings.netSellerEarning deliveredAt')
       .lean();
 
     const total = await PayoutTransaction.countDocuments(query);
@@ -1363,41 +1958,62 @@ exports.getAllWallets = async (req, res) => {
   try {
     const { sellerId } = req.query;
 
+    // Wallet figures come straight from the seller payable ledger account
+    const toWallet = (balances) => ({
+      available: Math.max(0, balances?.available || 0),
+      pending: balances?.pending || 0,
+      totalEarnings: Math.round(((balances?.balance || 0) + (balances?.paidOut || 0)) * 100) / 100,
+      totalWithdrawn: balances?.paidOut || 0,
+      reserve: balances?.reserve || 0,
+      // Owed to the platform, recovered from later payouts
+      negativeBalance: Math.max(0, -(balances?.available || 0))
+    });
+
     if (sellerId) {
       // Get specific seller wallet
-      const seller = await Seller.findById(sellerId).select('shopName businessDetails wallet');
+      const seller = await Seller.findById(sellerId).select('shopName businessDetails');
       if (!seller) {
         return sendError(res, 404, 'Seller not found');
       }
 
+      const balances = await LedgerEntry.sellerBalances(seller._id);
+
       sendSuccess(res, 200, 'Wallet details fetched successfully', {
         seller: {
           _id: seller._id,
           shopName: seller.shopName || seller.businessDetails?.businessName,
-          wallet: seller.wallet
+          wallet: toWallet(balances)
         }
       });
     } else {
       // Get all sellers with wallet summary
-      const sellers = await Seller.find()
-        .select('shopName businessDetails wallet')
-        .sort({ 'wallet.available': -1 })
-        .lean();
+      const [sellers, balances] = await Promise.all([
+        Seller.find().select('shopName businessDetails').lean(),
+        LedgerEntry.balancesBySeller()
+      ]);
+
+      const balancesBySeller = new Map(balances.map(b => [b.seller.toString(), b]));
+      const wallets = sellers
+        .map(s => ({
+          _id: s._id,
+          shopName: s.shopName || s.businessDetails?.businessName,
+          wallet: toWallet(balancesBySeller.get(s._id.toString()))
+        }))
+        .sort((a, b) => b.wallet.available - a.wallet.available);
 
       const summary = {
-        totalAvailable: sellers.reduce((sum, s) => sum + (s.wallet?.available || 0), 0),
-        totalPending: sellers.reduce((sum, s) => sum + (s.wallet?.pending || 0), 0),
-        totalEarnings: sellers.reduce((sum, s) => sum + (s.wallet?.totalEarnings || 0), 0),
-        totalWithdrawn: sellers.reduce((sum, s) => sum + (s.wallet?.totalWithdrawn || 0), 0),
-        sellerCount: sellers.length
+        totalAvailable: wallets.reduce((sum, s) => sum + s.wallet.available, 0),
+        totalPending: wallets.reduce((sum, s) => sum + s.wallet.pending, 0),
+        totalEarnings: wallets.reduce((sum, s) => sum + s.wallet.totalEarnings, 0),
+        totalWithdrawn: wallets.reduce((sum, s) => sum + s.wallet.totalWithdrawn, 0),
+        totalReserve: wallets.reduce((sum, s) => sum + s.wallet.reserve, 0),
+        totalNegativeBalance: wallets.reduce((sum, s) => sum + s.wallet.negativeBalance, 0),
+        sellersWithNegativeBalance: wallets.filter(s => s.wallet.negativeBalance > 0).length,
+        sellerCount: wallets.length
       };
 
       sendSuccess(res, 200, 'All wallets fetched successfully', {
-        sellers: sellers.map(s => ({
-          _id: s._id,
-          shopName: s.shopName || s.businessDetails?.businessName,
-          wallet: s.wallet
-        })),
+        sellers: wallets,
         summary
       });
     }
@@ -1405,4 +2021,578 @@ exports.getAllWallets = async (req, res) => {
     logger.error(`Get admin wallets error: ${error.message}`);
     sendError(res, 500, 'Error fetching wallet details');
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Mark a seller payout transfer paid (with the UTR) or failed
+ * @route PUT /api/v1/admin/payouts/:transactionId/status
+ * @access Private/Admin
+ */
+exports.updatePayoutStatus = async (req, res) => {
+  try {
+    const { status, reference, reason, code } = req.body;
+
+    const payout = await PayoutTransaction.findOne({ transactionId: req.params.transactionId });
+    if (!payout) {
+      return sendError(res, 404, 'Payout not found');
+    }
+
+    const auditFields = ['status', 'gatewayTransactionId', 'failureReason', 'failureCode', 'nextRetryAt'];
+    const before = auditService.pick(payout, auditFields);
+
+    await payoutService.settleTransaction(payout, status, {
+      reference,
+      reason,
+      code,
+      actor: { user: req.user._id, role: 'admin' }
+    });
+
+    await auditService.record(req, {
+      action: 'payout.settle',
+      target: { model: 'PayoutTransaction', id: payout._id, code: payout.transactionId },
+      before,
+      after: auditService.pick(payout, auditFields),
+      reason,
+      metadata: { seller: payout.seller, amount: payout.amount }
+    });
+
+    const message = payout.status === 'failed' && payout.nextRetryAt
+      ? 'Payout failed and will be retried'
+      : 'Payout updated successfully';
+    sendSuccess(res, 200, message, { payout });
+  } catch (error) {
+    logger.error(`Update payout status error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error updating payout');
+  }
+};
+
+/**
+ * Preview the next payout batch without creating it
+ * @route GET /api/v1/admin/payout-batches/preview
+ * @access Private/Admin
+ */
+exports.previewPayoutBatch = async (req, res) => {
+  try {
+    const cutoff = req.query.cutoff ? new Date(req.query.cutoff) : new Date();
+    if (isNaN(cutoff.getTime())) {
+      return sendError(res, 400, 'Invalid cutoff date');
+    }
+
+    const preview = await payoutService.previewBatch({ cutoff });
+
+    sendSuccess(res, 200, 'Payout batch preview generated successfully', preview);
+  } catch (error) {
+    logger.error(`Preview payout batch error: ${error.message}`);
+    sendError(res, 500, 'Error previewing payout batch');
+  }
+};
+
+/**
+ * Create a payout batch now instead of waiting for the cycle
+ * @route POST /api/v1/admin/payout-batches
+ * @access Private/Admin
+ */
+exports.createPayoutBatch = async (req, res) => {
+  try {
+    const batch = await payoutService.createBatch({ actor: { user: req.user._id, role: 'admin' } });
+
+    await auditService.record(req, {
+      action: 'payout_batch.create',
+      target: { model: 'PayoutBatch', id: batch._id, code: batch.batchId },
+      after: auditService.pick(batch, ['status', 'cutoff']),
+      metadata: { totals: batch.totals }
+    });
+
+    sendSuccess(res, 201, 'Payout batch created successfully', { batch });
+  } catch (error) {
+    logger.error(`Create payout batch error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error creating payout batch');
+  }
+};
+
+/**
+ * Get payout batches
+ * @route GET /api/v1/admin/payout-batches
+ * @access Private/Admin
+ */
+exports.getPayoutBatches = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const batches = await PayoutBatch.find(query)
+      .select('-transactions')
+      .sort({ cutoff: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await PayoutBatch.countDocuments(query);
+
+    sendPaginatedResponse(res, 200, 'Payout batches retrieved successfully', batches, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    logger.error(`Get payout batches error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving payout batches');
+  }
+};
+
+/**
+ * Get a payout batch with its transfers
+ * @route GET /api/v1/admin/payout-batches/:batchId
+ * @access Private/Admin
+ */
+exports.getPayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findOne({ batchId: req.params.batchId })
+      .populate('skipped.seller', 'shopName')
+      .lean();
+    if (!batch) {
+      return sendError(res, 404, 'Payout batch not found');
+    }
+
+    const transactions = await PayoutTransaction.find({ batch: batch._id })
+      .populate('seller', 'shopName bankDetails')
+      .populate('subOrders', 'subOrderId orderId earnings.netSellerEarning deliveredAt')
+      .sort({ amount: -1 })
+      .lean();
+
+    sendSuccess(res, 200, 'Payout batch retrieved successfully', { batch, transactions });
+  } catch (error) {
+    logger.error(`Get payout batch error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving payout batch');
+  }
+};
+
+/**
+ * Approve a draft or held payout batch and send its transfers
+ * @route PUT /api/v1/admin/payout-batches/:batchId/approve
+ * @access Private/Admin
+ */
+exports.approvePayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findOne({ batchId: req.params.batchId });
+    if (!batch) {
+      return sendError(res, 404, 'Payout batch not found');
+    }
+
+    const before = auditService.pick(batch, ['status']);
+    const approved = await payoutService.approveBatch(batch, { actor: { user: req.user._id, role: 'admin' } });
+
+    await auditService.record(req, {
+      action: 'payout_batch.approve',
+      target: { model: 'PayoutBatch', id: approved._id, code: approved.batchId },
+      before,
+      after: auditService.pick(approved, ['status']),
+      metadata: { totals: approved.totals }
+    });
+
+    sendSuccess(res, 200, 'Payout batch approved', { batch: approved });
+  } catch (error) {
+    logger.error(`Approve payout batch error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error approving payout batch');
+  }
+};
+
+/**
+ * Hold a draft payout batch
+ * @route PUT /api/v1/admin/payout-batches/:batchId/hold
+ * @access Private/Admin
+ */
+exports.holdPayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findOne({ batchId: req.params.batchId });
+    if (!batch) {
+      return sendError(res, 404, 'Payout batch not found');
+    }
+
+    const before = auditService.pick(batch, ['status']);
+    const held = await payoutService.holdBatch(batch, {
+      reason: req.body.reason,
+      actor: { user: req.user._id, role: 'admin' }
+    });
+
+    await auditService.record(req, {
+      action: 'payout_batch.hold',
+      target: { model: 'PayoutBatch', id: held._id, code: held.batchId },
+      before,
+      after: auditService.pick(held, ['status']),
+      reason: req.body.reason
+    });
+
+    sendSuccess(res, 200, 'Payout batch put on hold', { batch: held });
+  } catch (error) {
+    logger.error(`Hold payout batch error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error holding payout batch');
+  }
+};
+
+/**
+ * Download a payout batch as a bank bulk-transfer file
+ * @route GET /api/v1/admin/payout-batches/:batchId/bank-file
+ * @access Private/Admin
+ */
+exports.exportPayoutBatchFile = async (req, res) => {
+  try {
+    const { format = 'csv', mode = 'NEFT' } = req.query;
+
+    const batch = await PayoutBatch.findOne({ batchId: req.params.batchId });
+    if (!batch) {
+      return sendError(res, 404, 'Payout batch not found');
+    }
+
+    const file = await bankFileService.buildTransferFile(batch, {
+      format,
+      mode,
+      actor: { user: req.user._id, role: 'admin' }
+    });
+
+    await auditService.record(req, {
+      action: 'payout_batch.bank_file',
+      target: { model: 'PayoutBatch', id: batch._id, code: batch.batchId },
+      metadata: { format, mode, transfers: file.transactions, excluded: file.excluded }
+    });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.setHeader('X-Transfer-Count', file.transactions);
+    res.setHeader('X-Excluded-Transactions', file.excluded.join(','));
+    res.send(file.buffer);
+  } catch (error) {
+    logger.error(`Export payout bank file error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error exporting bank file');
+  }
+};
+
+/**
+ * Import a bank response or statement file and settle the matching payouts
+ * @route POST /api/v1/admin/payouts/bank-statement
+ * @access Private/Admin
+ */
+exports.importBankStatement = async (req, res) => {
+  try {
+    if (!req.file) {
+      return sendError(res, 400, 'Please upload the bank file');
+    }
+
+    const report = await bankFileService.reconcileStatement(req.file.buffer, {
+      actor: { user: req.user._id, role: 'admin' }
+    });
+
+    await auditService.record(req, {
+      action: 'payout.bank_statement',
+      target: { model: 'PayoutTransaction', code: req.file.originalname },
+      metadata: {
+        rows: report.rows,
+        completed: report.completed,
+        failed: report.failed,
+        retrying: report.retrying,
+        mismatches: report.mismatches.length
+      }
+    });
+
+    const message = report.mismatches.length > 0
+      ? `Bank file reconciled with ${report.mismatches.length} mismatches`
+      : 'Bank file reconciled successfully';
+    sendSuccess(res, 200, message, { fileName: req.file.originalname, report });
+  } catch (error) {
+    logger.error(`Import bank statement error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error importing bank file');
+  }
+};
+
+/**
+ * Get ledger trial balance
+ * @route GET /api/v1/admin/ledger/trial-balance
+ * @access Private/Admin
+ */
+exports.getTrialBalance = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return sendError(res, 400, 'Invalid asOf date');
+    }
+
+    const trialBalance = await LedgerEntry.trialBalance(asOf);
+
+    if (!trialBalance.balanced) {
+      logger.error(`Trial balance out of balance as of ${asOf.toISOString()}: debits ${trialBalance.totalDebit}, credits ${trialBalance.totalCredit}`);
+    }
+
+    sendSuccess(res, 200, 'Trial balance fetched successfully', trialBalance);
+  } catch (error) {
+    logger.error(`Get trial balance error: ${error.message}`);
+    sendError(res, 500, 'Error fetching trial balance');
+  }
+};
+
+/**
+ * Get a seller's ledger account statement
+ * @route GET /api/v1/admin/ledger/sellers/:sellerId/statement
+ * @access Private/Admin
+ */
+exports.getSellerStatement = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const seller = await Seller.findById(req.params.sellerId).select('shopName businessDetails');
+    if (!seller) {
+      return sendError(res, 404, 'Seller not found');
+    }
+
+    const statement = await ledgerService.getSellerStatement(seller._id, { startDate, endDate });
+
+    sendSuccess(res, 200, 'Seller statement fetched successfully', {
+      seller: {
+        _id: seller._id,
+        shopName: seller.shopName || seller.businessDetails?.businessName
+      },
+      ...statement
+    });
+  } catch (error) {
+    logger.error(`Get seller statement error: ${error.message}`);
+    sendError(res, 500, 'Error fetching seller statement');
+  }
+};
+
+/**
+ * Get a seller's TCS/TDS statement for a month or quarter (JSON, or a file with format=xlsx|csv)
+ * @route GET /api/v1/admin/ledger/sellers/:sellerId/tax-statement
+ * @access Private/Admin
+ */
+exports.getSellerTaxStatement = async (req, res) => {
+  try {
+    const { month, financialYear, quarter, format } = req.query;
+
+    const seller = await Seller.findById(req.params.sellerId).select('_id');
+    if (!seller) {
+      return sendError(res, 404, 'Seller not found');
+    }
+
+    const statement = await taxDeductionService.getStatement(seller._id, { month, financialYear, quarter });
+
+    if (format) {
+      const file = taxDeductionService.renderStatement(statement, format);
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+      return res.send(file.buffer);
+    }
+
+    sendSuccess(res, 200, 'Seller tax statement fetched successfully', { statement });
+  } catch (error) {
+    logger.error(`Get seller tax statement error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error fetching seller tax statement');
+  }
+};
+
+/**
+ * Post a manual adjustment to a seller's ledger account
+ * @route POST /api/v1/admin/ledger/adjustments
+ * @access Private/Admin
+ */
+exports.createLedgerAdjustment = async (req, res) => {
+  try {
+    const { sellerId, amount, reason } = req.body;
+
+    if (!sellerId || !amount || isNaN(Number(amount)) || Number(amount) === 0) {
+      return sendError(res, 400, 'sellerId and a non-zero amount are required');
+    }
+    if (!reason) {
+      return sendError(res, 400, 'A reason is required for ledger adjustments');
+    }
+
+    const seller = await Seller.findById(sellerId);
+    if (!seller) {
+      return sendError(res, 404, 'Seller not found');
+    }
+
+    const entry = await ledgerService.postAdjustment({
+      sellerId: seller._id,
+      amount: Number(amount),
+      reason,
+      postedBy: req.user._id
+    });
+
+    const wallet = await SellerWallet.getOrCreate(seller._id);
+    await wallet.syncFromLedger();
+
+    logger.info(`Ledger adjustment ${entry.entryNumber} of ${amount} posted for seller ${seller._id} by ${req.user._id}`);
+
+    await auditService.record(req, {
+      action: 'ledger.adjustment',
+      target: { model: 'LedgerEntry', id: entry._id, code: entry.entryNumber },
+      reason,
+      metadata: { seller: seller._id, shopName: seller.shopName, amount: Number(amount) }
+    });
+
+    sendSuccess(res, 201, 'Ledger adjustment posted successfully', { entry, wallet });
+  } catch (error) {
+    logger.error(`Create ledger adjustment error: ${error.message}`);
+    sendError(res, 500, 'Error posting ledger adjustment');
+  }
+};
+
+/**
+ * Get seller penalties
+ * @route GET /api/v1/admin/penalties
+ * @access Private/Admin
+ */
+exports.getPenalties = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, sellerId, status, rule, subOrderId } = req.query;
+
+    const query = {};
+    if (sellerId) query.seller = sellerId;
+    if (status) query.status = status;
+    if (rule) query.rule = rule;
+    if (subOrderId) query.subOrderId = subOrderId;
+
+    const penalties = await SellerPenalty.find(query)
+      .populate('seller', 'shopName')
+      .populate('claim', 'claimNumber status')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await SellerPenalty.countDocuments(query);
+
+    sendPaginatedResponse(res, 200, 'Penalties retrieved successfully', penalties, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    logger.error(`Get penalties error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving penalties');
+  }
+};
+
+/**
+ * Charge a penalty on a shipment by hand (e.g. a fake shipment found on a courier check)
+ * @route POST /api/v1/admin/penalties
+ * @access Private/Admin
+ */
+exports.createPenalty = async (req, res) => {
+  try {
+    const { subOrderId, rule, reason, amount } = req.body;
+
+    if (!subOrderId || !rule || !reason) {
+      return sendError(res, 400, 'subOrderId, rule and reason are required');
+    }
+    if (!penaltyService.RULES.includes(rule)) {
+      return sendError(res, 400, `Rule must be one of: ${penaltyService.RULES.join(', ')}`);
+    }
+    if (amount !== undefined && (isNaN(Number(amount)) || Number(amount) <= 0)) {
+      return sendError(res, 400, 'Amount must be a positive number');
+    }
+
+    const subOrder = await SubOrder.findOne({ subOrderId });
+    if (!subOrder) {
+      return sendError(res, 404, 'Shipment not found');
+    }
+
+    // Same key as the automatic checks, so a breach is only charged once
+    const key = `${rule}:${subOrder._id}`;
+    if (await SellerPenalty.exists({ key })) {
+      return sendError(res, 409, `This shipment already has a ${rule} penalty`);
+    }
+
+    const penalty = await penaltyService.impose({
+      subOrder,
+      rule,
+      reason,
+      key,
+      base: subOrder.pricing?.itemsTotal || 0,
+      amount: amount !== undefined ? Number(amount) : undefined,
+      actor: { user: req.user._id, role: 'admin' }
+    });
+    if (!penalty) {
+      return sendError(res, 400, `Rule ${rule} charges nothing on this shipment`);
+    }
+
+    await auditService.record(req, {
+      action: 'penalty.create',
+      target: { model: 'SellerPenalty', id: penalty._id, code: penalty.penaltyId },
+      after: auditService.pick(penalty, ['seller', 'subOrderId', 'rule', 'amount', 'status']),
+      reason
+    });
+
+    sendSuccess(res, 201, 'Penalty charged successfully', { penalty });
+  } catch (error) {
+    logger.error(`Create penalty error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error charging penalty');
+  }
+};
+
+/**
+ * Reverse (waive) a penalty and credit the seller back
+ * @route PUT /api/v1/admin/penalties/:penaltyId/reverse
+ * @access Private/Admin
+ */
+exports.reversePenalty = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return sendError(res, 400, 'Please provide a reason for reversing the penalty');
+    }
+
+    const penalty = await SellerPenalty.findOne({ penaltyId: req.params.penaltyId });
+    if (!penalty) {
+      return sendError(res, 404, 'Penalty not found');
+    }
+
+    const before = auditService.pick(penalty, ['status']);
+    const reversed = await penaltyService.reverse(penalty, {
+      reason,
+      actor: { user: req.user._id, role: 'admin' }
+    });
+
+    await auditService.record(req, {
+      action: 'penalty.reverse',
+      target: { model: 'SellerPenalty', id: reversed._id, code: reversed.penaltyId },
+      before,
+      after: auditService.pick(reversed, ['status']),
+      reason,
+      metadata: { amount: reversed.amount }
+    });
+
+    sendSuccess(res, 200, 'Penalty reversed successfully', { penalty: reversed });
+  } catch (error) {
+    logger.error(`Reverse penalty error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error reversing penalty');
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Audit log controller (admin search and export)
+ * @module controllers/auditLogController
+ */
+
+const AuditLog = require('../models/AuditLog');
+const auditService = require('../services/auditService');
+const { sendPaginatedResponse, sendError } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Search the audit log
+ * Filters: actor, role, action (or a prefix such as payout.), entity,
+ * entityId, ip, from, to and search (free text).
+ * @route GET /api/v1/admin/audit-logs
+ * @access Private/Admin
+ */
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const query = auditService.buildQuery(req.query);
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    sendPaginatedResponse(res, 200, 'Audit logs retrieved successfully', logs, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    logger.error(`Get audit logs error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving audit logs');
+  }
+};
+
+/**
+ * Export the audit log as XLSX (same filters as the search, newest first)
+ * @route GET /api/v1/admin/audit-logs/export
+ * @access Private/Admin
+ */
+exports.exportAuditLogs = async (req, res) => {
+  try {
+    const file = await auditService.exportXlsx(auditService.buildQuery(req.query));
+
+    await auditService.record(req, {
+      action: 'audit_log.export',
+      target: { model: 'AuditLog' },
+      metadata: { filters: req.query, rows: file.rows }
+    });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.buffer);
+  } catch (error) {
+    logger.error(`Export audit logs error: ${error.message}`);
+    sendError(res, 500, 'Error exporting audit logs');
+  }
+};
@@ -5,6 +5,7 @@
 
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const couponService = require('../services/couponService');
 const logger = require('../utils/logger');
 const { AppError } = require('../middlewares/errorHandler');
 
@@ -228,6 +229,7 @@ exports.clearCart = async (req, res, next) => {
     }
 
     cart.items = [];
+    cart.coupons = [];
     await cart.save();
 
     res.status(200).json({
@@ -240,3 +242,128 @@ exports.clearCart = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Build coupon/pricing lines from a cart
+ * @param {Object} cart - Cart document
+ * @returns {Promise<Array<Object>>} lines for couponService.quote
+ */
+const cartLines = async (cart) => {
+  await cart.populate('items.product', 'name category seller');
+  return cart.items
+    .filter(item => item.product)
+    .map(item => ({
+      product: item.product._id,
+      seller: item.product.seller,
+      category: item.product.category,
+      price: item.price,
+      quantity: item.quantity
+    }));
+};
+
+/**
+ * @desc    Preview cart pricing with applied coupons
+ * @route   GET /api/v1/cart/preview
+ * @access  Private
+ */
+exports.getCartPreview = async (req, res, next) => {
+  try {
+    const { paymentMethod = 'cod' } = req.query;
+
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (!cart || cart.items.length === 0) {
+      return next(new AppError('Cart is empty', 400));
+    }
+
+    // Coupons that stopped applying (cart changed, expired) are reported, not fatal
+    const pricing = await couponService.quote({
+      lines: await cartLines(cart),
+      codes: cart.coupons,
+      paymentMethod,
+      user: req.user._id,
+      strict: false
+    });
+    delete pricing.lineDiscounts;
+
+    res.status(200).json({
+      success: true,
+      data: pricing
+    });
+  } catch (error) {
+    logger.error('Error previewing cart:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Apply coupon to cart
+ * @route   POST /api/v1/cart/coupons
+ * @access  Private
+ */
+exports.applyCoupon = async (req, res, next) => {
+  try {
+    const { code, paymentMethod = 'cod' } = req.body;
+    const [normalized] = couponService.normalizeCodes(code);
+    if (!normalized) {
+      return next(new AppError('Coupon code is required', 400));
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (!cart || cart.items.length === 0) {
+      return next(new AppError('Cart is empty', 400));
+    }
+
+    const codes = [...new Set([...(cart.coupons || []), normalized])];
+
+    // Strict quote: rejects the new code (or a clash with existing ones) with a reason
+    const pricing = await couponService.quote({
+      lines: await cartLines(cart),
+      codes,
+      paymentMethod,
+      user: req.user._id
+    });
+    delete pricing.lineDiscounts;
+
+    cart.coupons = codes;
+    await cart.save();
+
+    logger.info(`Coupon ${normalized} applied to cart by user: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon applied',
+      data: { coupons: cart.coupons, pricing }
+    });
+  } catch (error) {
+    logger.error('Error applying coupon:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove coupon from cart
+ * @route   DELETE /api/v1/cart/coupons/:code
+ * @access  Private
+ */
+exports.removeCoupon = async (req, res, next) => {
+  try {
+    const [normalized] = couponService.normalizeCodes(req.params.code);
+
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (!cart) {
+      return next(new AppError('Cart not found', 404));
+    }
+
+    cart.coupons = (cart.coupons || []).filter(code => code !== normalized);
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon removed',
+      data: { coupons: cart.coupons }
+    });
+  } catch (error) {
+    logger.error('Error removing coupon:', error);
+    next(error);
+  }
+};
@@ -5,6 +5,7 @@
 
 const Catalog = require('../models/Catalog');
 const Product = require('../models/Product');
+const sellerStaffService = require('../services/sellerStaffService');
 const xlsx = require('xlsx');
 const path = require('path');
 const fs = require('fs').promises;
@@ -22,7 +23,7 @@ exports.bulkCatalogUpload = async (req, res) => {
       });
     }
 
-    const sellerId = req.body.sellerId || req.seller?._id || req.user?._id;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.body.sellerId);
     
     if (!sellerId) {
       return res.status(400).json({
@@ -162,7 +163,7 @@ exports.bulkCatalogUpload = async (req, res) => {
  */
 exports.singleProductUpload = async (req, res) => {
   try {
-    const sellerId = req.body.sellerId || req.seller?._id || req.user?._id;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.body.sellerId);
     
     if (!sellerId) {
       return res.status(400).json({
@@ -202,7 +203,8 @@ exports.singleProductUpload = async (req, res) => {
  */
 exports.getCatalogStats = async (req, res) => {
   try {
-    const sellerId = req.params.sellerId || req.seller?._id || req.user?._id;
+    // Sellers always get their own shop, whatever the path says
+    const sellerId = sellerStaffService.sellerIdFor(req, req.params.sellerId);
 
     const [totalUploads, bulkUploads, singleUploads, pendingItems, approvedItems] = await Promise.all([
       Catalog.countDocuments({ sellerId }),
@@ -239,7 +241,7 @@ exports.getCatalogStats = async (req, res) => {
  */
 exports.getAllCatalogs = async (req, res) => {
   try {
-    const sellerId = req.params.sellerId || req.seller?._id || req.user?._id;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.params.sellerId);
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
@@ -282,7 +284,7 @@ exports.getAllCatalogs = async (req, res) => {
  */
 exports.deleteCatalogItem = async (req, res) => {
   try {
-    const catalogItem = await Catalog.findByIdAndDelete(req.params.id);
+    const catalogItem = await Catalog.findOneAndDelete({ _id: req.params.id, ...sellerStaffService.shopFilter(req) });
 
     if (!catalogItem) {
       return res.status(404).json({
@@ -312,7 +314,7 @@ exports.deleteCatalogItem = async (req, res) => {
  */
 exports.publishCatalogItem = async (req, res) => {
   try {
-    const catalogItem = await Catalog.findById(req.params.id);
+    const catalogItem = await Catalog.findOne({ _id: req.params.id, ...sellerStaffService.shopFilter(req) });
 
     if (!catalogItem) {
       return res.status(404).json({
@@ -367,7 +369,7 @@ exports.bulkImageUpload = async (req, res) => {
       });
     }
 
-    const sellerId = req.body.sellerId || req.seller?._id || req.user?._id;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.body.sellerId);
     
     if (!sellerId) {
       return res.status(400).json({
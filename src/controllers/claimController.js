@@ -3,10 +3,14 @@
  */
 
 const Claim = require('../models/Claim');
+const SellerPenalty = require('../models/SellerPenalty');
+const penaltyService = require('../services/penaltyService');
+const auditService = require('../services/auditService');
+const sellerStaffService = require('../services/sellerStaffService');
 
 exports.getAllClaims = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.query.sellerId;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.query.sellerId);
     const { status, type, page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
 
@@ -43,7 +47,7 @@ exports.getAllClaims = async (req, res) => {
 
 exports.getClaimById = async (req, res) => {
   try {
-    const claim = await Claim.findById(req.params.id).populate('orderId').populate('timeline.updatedBy', 'name');
+    const claim = await Claim.findOne({ _id: req.params.id, ...sellerStaffService.shopFilter(req) }).populate('orderId').populate('timeline.updatedBy', 'name');
     if (!claim) return res.status(404).json({ success: false, message: 'Claim not found' });
     res.status(200).json({ success: true, data: claim });
   } catch (error) {
@@ -53,11 +57,55 @@ exports.getClaimById = async (req, res) => {
 
 exports.createClaim = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.body.sellerId;
+    let sellerId = sellerStaffService.sellerIdFor(req, req.body.sellerId);
     const claimNumber = 'CLM' + Date.now();
-    const claim = await Claim.create({ ...req.body, sellerId, claimNumber });
+
+    // Disputing a penalty: the claim is tied to the penalty and its order
+    const penaltyRef = req.body.penaltyId || req.body.penalty;
+    let penalty = null;
+    if (penaltyRef) {
+      if (req.user?.role === 'seller') {
+        const seller = await sellerStaffService.shopFor(req, 'finance:view');
+        sellerId = seller._id;
+      }
+      penalty = await SellerPenalty.findOne(
+        /^[0-9a-f]{24}$/i.test(penaltyRef) ? { _id: penaltyRef } : { penaltyId: penaltyRef }
+      );
+      if (!penalty || (sellerId && penalty.seller.toString() !== sellerId.toString())) {
+        return res.status(404).json({ success: false, message: 'Penalty not found' });
+      }
+      if (penalty.status !== 'active') {
+        return res.status(400).json({ success: false, message: `Penalty is ${penalty.status}, only active penalties can be disputed` });
+      }
+    }
+
+    const claim = await Claim.create({
+      ...req.body,
+      ...(penalty && {
+        type: 'penalty-dispute',
+        penalty: penalty._id,
+        orderId: penalty.order,
+        amount: penalty.amount,
+        subject: req.body.subject || `Dispute of penalty ${penalty.penaltyId}`
+      }),
+      sellerId: penalty ? penalty.seller : sellerId,
+      claimNumber
+    });
+
+    if (penalty) {
+      try {
+        await penaltyService.dispute(penalty, claim);
+      } catch (error) {
+        await claim.deleteOne();
+        throw error;
+      }
+    }
+
     res.status(201).json({ success: true, message: 'Claim submitted successfully', data: claim });
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     res.status(500).json({ success: false, message: 'Failed to create claim', error: error.message });
   }
 };
@@ -68,10 +116,33 @@ exports.updateClaimStatus = async (req, res) => {
     const claim = await Claim.findById(req.params.id);
     if (!claim) return res.status(404).json({ success: false, message: 'Claim not found' });
 
+    const before = auditService.pick(claim, ['status']);
     claim.status = status;
     claim.timeline.push({ status, comment, updatedBy: req.user?._id });
     await claim.save();
 
+    // An upheld penalty dispute reverses the penalty; a rejected one puts it back in force
+    if (claim.penalty && ['approved', 'rejected', 'closed'].includes(status)) {
+      const penalty = await SellerPenalty.findById(claim.penalty);
+      if (penalty && status === 'approved' && penalty.status !== 'reversed') {
+        await penaltyService.reverse(penalty, {
+          reason: `Claim ${claim.claimNumber} upheld${comment ? `: ${comment}` : ''}`,
+          actor: { user: req.user?._id, role: 'admin' }
+        });
+      } else if (penalty && penalty.status === 'disputed') {
+        await penaltyService.upholdPenalty(penalty);
+      }
+    }
+
+    await auditService.record(req, {
+      action: 'claim.status',
+      target: { model: 'Claim', id: claim._id, code: claim.claimNumber },
+      before,
+      after: auditService.pick(claim, ['status']),
+      reason: comment,
+      metadata: claim.penalty ? { penalty: claim.penalty } : undefined
+    });
+
     res.status(200).json({ success: true, message: 'Claim status updated', data: claim });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to update claim', error: error.message });
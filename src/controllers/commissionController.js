@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Commission rule controller (admin rule management and previews)
+ * @module controllers/commissionController
+ */
+
+const mongoose = require('mongoose');
+const CommissionRule = require('../models/CommissionRule');
+const SubOrder = require('../models/SubOrder');
+const commissionService = require('../services/commissionService');
+const { sendSuccess, sendError, sendPaginatedResponse } = require('../utils/responseHandler');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// Fields an admin may set on a rule
+const EDITABLE_FIELDS = [
+  'name', 'description', 'commissionPercent', 'priority', 'conditions', 'validFrom', 'validUntil', 'isActive'
+];
+
+const pickEditable = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+/**
+ * Get commission rules
+ * @route GET /api/v1/admin/commission-rules
+ * @access Private/Admin
+ */
+exports.getCommissionRules = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, search, category, seller } = req.query;
+
+    const query = {};
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+    if (search) query.name = { $regex: search, $options: 'i' };
+    if (category) query['conditions.categories'] = category;
+    if (seller) query['conditions.sellers'] = seller;
+
+    const rules = await CommissionRule.find(query)
+      .populate('conditions.categories', 'name')
+      .populate('conditions.sellers', 'shopName')
+      .sort({ priority: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CommissionRule.countDocuments(query);
+
+    sendPaginatedResponse(res, 200, 'Commission rules retrieved successfully', rules, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    logger.error(`Get commission rules error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving commission rules');
+  }
+};
+
+/**
+ * Get commission rule by ID
+ * @route GET /api/v1/admin/commission-rules/:ruleId
+ * @access Private/Admin
+ */
+exports.getCommissionRuleById = async (req, res) => {
+  try {
+    const rule = await CommissionRule.findById(req.params.ruleId)
+      .populate('conditions.categories', 'name')
+      .populate('conditions.sellers', 'shopName');
+
+    if (!rule) {
+      return sendError(res, 404, 'Commission rule not found');
+    }
+
+    sendSuccess(res, 200, 'Commission rule retrieved successfully', { rule });
+  } catch (error) {
+    logger.error(`Get commission rule error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving commission rule');
+  }
+};
+
+/**
+ * Create commission rule
+ * @route POST /api/v1/admin/commission-rules
+ * @access Private/Admin
+ */
+exports.createCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.create({
+      ...pickEditable(req.body),
+      createdBy: req.user._id
+    });
+
+    logger.info(`Commission rule ${rule._id} (${rule.commissionPercent}%) created by ${req.user._id}`);
+
+    await auditService.record(req, {
+      action: 'commission_rule.create',
+      target: { model: 'CommissionRule', id: rule._id, code: rule.name },
+      after: auditService.pick(rule, EDITABLE_FIELDS)
+    });
+
+    sendSuccess(res, 201, 'Commission rule created successfully', { rule });
+  } catch (error) {
+    logger.error(`Create commission rule error: ${error.message}`);
+    sendError(res, 400, error.message || 'Error creating commission rule');
+  }
+};
+
+/**
+ * Update commission rule
+ * Earnings already calculated keep the commission they were worked out with
+ * until they are recalculated.
+ * @route PUT /api/v1/admin/commission-rules/:ruleId
+ * @access Private/Admin
+ */
+exports.updateCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.findById(req.params.ruleId);
+    if (!rule) {
+      return sendError(res, 404, 'Commission rule not found');
+    }
+
+    const before = auditService.pick(rule, EDITABLE_FIELDS);
+    rule.set({ ...pickEditable(req.body), updatedBy: req.user._id });
+    await rule.save();
+
+    logger.info(`Commission rule ${rule._id} updated by ${req.user._id}`);
+
+    await auditService.record(req, {
+      action: 'commission_rule.update',
+      target: { model: 'CommissionRule', id: rule._id, code: rule.name },
+      before,
+      after: auditService.pick(rule, EDITABLE_FIELDS)
+    });
+
+    sendSuccess(res, 200, 'Commission rule updated successfully', { rule });
+  } catch (error) {
+    logger.error(`Update commission rule error: ${error.message}`);
+    sendError(res, 400, error.message || 'Error updating commission rule');
+  }
+};
+
+/**
+ * Delete commission rule (rules already applied to earnings are deactivated instead)
+ * @route DELETE /api/v1/admin/commission-rules/:ruleId
+ * @access Private/Admin
+ */
+exports.deleteCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.findById(req.params.ruleId);
+    if (!rule) {
+      return sendError(res, 404, 'Commission rule not found');
+    }
+
+    const applied = await SubOrder.exists({ 'items.earnings.commissionRule': rule._id });
+    if (applied) {
+      const wasActive = rule.isActive;
+      rule.isActive = false;
+      rule.updatedBy = req.user._id;
+      await rule.save();
+      await auditService.record(req, {
+        action: 'commission_rule.deactivate',
+        target: { model: 'CommissionRule', id: rule._id, code: rule.name },
+        before: { isActive: wasActive },
+        after: { isActive: false }
+      });
+      return sendSuccess(res, 200, 'Commission rule has been applied to orders, so it was deactivated instead of deleted', { rule });
+    }
+
+    await rule.deleteOne();
+
+    logger.info(`Commission rule ${rule._id} deleted by ${req.user._id}`);
+
+    await auditService.record(req, {
+      action: 'commission_rule.delete',
+      target: { model: 'CommissionRule', id: rule._id, code: rule.name },
+      before: auditService.pick(rule, EDITABLE_FIELDS)
+    });
+
+    sendSuccess(res, 200, 'Commission rule deleted successfully');
+  } catch (error) {
+    logger.error(`Delete commission rule error: ${error.message}`);
+    sendError(res, 500, 'Error deleting commission rule');
+  }
+};
+
+/**
+ * Explain which commission applies to an order item
+ * Pass orderId (parent order or sub-order ID) and optionally itemId, or a
+ * hypothetical line as category, seller, price and date.
+ * @route GET /api/v1/admin/commission-rules/preview
+ * @access Private/Admin
+ */
+exports.previewCommission = async (req, res) => {
+  try {
+    const { orderId, itemId, category, seller, price, date } = req.query;
+
+    if (orderId) {
+      const subOrders = await SubOrder.find({ $or: [{ orderId }, { subOrderId: orderId }] }).sort({ subOrderId: 1 });
+      if (subOrders.length === 0) {
+        return sendError(res, 404, 'Order not found');
+      }
+
+      const lines = [];
+      for (const subOrder of subOrders) {
+        lines.push(...await commissionService.explainSubOrder(subOrder, itemId));
+      }
+      if (itemId && lines.length === 0) {
+        return sendError(res, 404, 'Order item not found');
+      }
+
+      return sendSuccess(res, 200, 'Commission preview generated successfully', { lines });
+    }
+
+    if (price === undefined || isNaN(Number(price))) {
+      return sendError(res, 400, 'Provide orderId, or a price with an optional category, seller and date');
+    }
+    const invalidId = [category, seller].find(id => id && !mongoose.Types.ObjectId.isValid(id));
+    if (invalidId) {
+      return sendError(res, 400, `Invalid ID: ${invalidId}`);
+    }
+    const at = date ? new Date(date) : new Date();
+    if (isNaN(at.getTime())) {
+      return sendError(res, 400, 'Invalid date');
+    }
+
+    const line = await commissionService.resolve(
+      { category, seller, price: Number(price) },
+      { date: at, explain: true }
+    );
+
+    sendSuccess(res, 200, 'Commission preview generated successfully', { lines: [line] });
+  } catch (error) {
+    logger.error(`Preview commission error: ${error.message}`);
+    sendError(res, 500, 'Error previewing commission');
+  }
+};
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Coupon controller (admin coupon management and usage reports)
+ * @module controllers/couponController
+ */
+
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { sendSuccess, sendError, sendPaginatedResponse } = require('../utils/responseHandler');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// Fields an admin may set on a coupon
+const EDITABLE_FIELDS = [
+  'code', 'description', 'type', 'value', 'minOrderValue', 'maxDiscount',
+  'usageLimit', 'perUserLimit', 'validFrom', 'validUntil', 'scope', 'stackable', 'isActive'
+];
+
+const pickEditable = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+/**
+ * Get all coupons
+ * @route GET /api/v1/admin/coupons
+ * @access Private/Admin
+ */
+exports.getCoupons = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, search } = req.query;
+
+    const query = {};
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+    if (search) query.code = { $regex: search, $options: 'i' };
+
+    const coupons = await Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Coupon.countDocuments(query);
+
+    sendPaginatedResponse(res, 200, 'Coupons retrieved successfully', coupons, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    logger.error(`Get coupons error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving coupons');
+  }
+};
+
+/**
+ * Get coupon by ID
+ * @route GET /api/v1/admin/coupons/:couponId
+ * @access Private/Admin
+ */
+exports.getCouponById = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.couponId)
+      .populate('scope.categories', 'name')
+      .populate('scope.sellers', 'shopName')
+      .populate('scope.products', 'name');
+
+    if (!coupon) {
+      return sendError(res, 404, 'Coupon not found');
+    }
+
+    sendSuccess(res, 200, 'Coupon retrieved successfully', { coupon });
+  } catch (error) {
+    logger.error(`Get coupon error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving coupon');
+  }
+};
+
+/**
+ * Create coupon
+ * @route POST /api/v1/admin/coupons
+ * @access Private/Admin
+ */
+exports.createCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.create({
+      ...pickEditable(req.body),
+      createdBy: req.user._id
+    });
+
+    logger.info(`Coupon ${coupon.code} created by ${req.user._id}`);
+
+    await auditService.record(req, {
+      action: 'coupon.create',
+      target: { model: 'Coupon', id: coupon._id, code: coupon.code },
+      after: auditService.pick(coupon, EDITABLE_FIELDS)
+    });
+
+    sendSuccess(res, 201, 'Coupon created successfully', { coupon });
+  } catch (error) {
+    logger.error(`Create coupon error: ${error.message}`);
+    if (error.code === 11000) {
+      return sendError(res, 400, 'A coupon with this code already exists');
+    }
+    sendError(res, 400, error.message || 'Error creating coupon');
+  }
+};
+
+/**
+ * Update coupon
+ * @route PUT /api/v1/admin/coupons/:couponId
+ * @access Private/Admin
+ */
+exports.updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.couponId);
+    if (!coupon) {
+      return sendError(res, 404, 'Coupon not found');
+    }
+
+    const updates = pickEditable(req.body);
+
+    // Redemptions and reports refer to the code, so it is fixed once used
+    if (updates.code && updates.code.toUpperCase() !== coupon.code && coupon.usedCount > 0) {
+      return sendError(res, 400, 'Cannot change the code of a coupon that has been used');
+    }
+
+    const before = auditService.pick(coupon, EDITABLE_FIELDS);
+    coupon.set(updates);
+    await coupon.save();
+
+    logger.info(`Coupon ${coupon.code} updated by ${req.user._id}`);
+
+    await auditService.record(req, {
+      action: 'coupon.update',
+      target: { model: 'Coupon', id: coupon._id, code: coupon.code },
+      before,
+      after: auditService.pick(coupon, EDITABLE_FIELDS)
+    });
+
+    sendSuccess(res, 200, 'Coupon updated successfully', { coupon });
+  } catch (error) {
+    logger.error(`Update coupon error: ${error.message}`);
+    if (error.code === 11000) {
+      return sendError(res, 400, 'A coupon with this code already exists');
+    }
+    sendError(res, 400, error.message || 'Error updating coupon');
+  }
+};
+
+/**
+ * Delete coupon (used coupons are deactivated instead, to keep their history)
+ * @route DELETE /api/v1/admin/coupons/:couponId
+ * @access Private/Admin
+ */
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.couponId);
+    if (!coupon) {
+      return sendError(res, 404, 'Coupon not found');
+    }
+
+    const redemptions = await CouponRedemption.countDocuments({ coupon: coupon._id });
+    if (redemptions > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      await auditService.record(req, {
+        action: 'coupon.deactivate',
+        target: { model: 'Coupon', id: coupon._id, code: coupon.code },
+        before: { isActive: true },
+        after: { isActive: false }
+      });
+      return sendSuccess(res, 200, 'Coupon has been used, so it was deactivated instead of deleted', { coupon });
+    }
+
+    await coupon.deleteOne();
+
+    logger.info(`Coupon ${coupon.code} deleted by ${req.user._id}`);
+
+    await auditService.record(req, {
+      action: 'coupon.delete',
+      target: { model: 'Coupon', id: coupon._id, code: coupon.code },
+      before: auditService.pick(coupon, EDITABLE_FIELDS)
+    });
+
+    sendSuccess(res, 200, 'Coupon deleted successfully');
+  } catch (error) {
+    logger.error(`Delete coupon error: ${error.message}`);
+    sendError(res, 500, 'Error deleting coupon');
+  }
+};
+
+/**
+ * Get usage of a single coupon
+ * @route GET /api/v1/admin/coupons/:couponId/usage
+ * @access Private/Admin
+ */
+exports.getCouponUsage = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const coupon = await Coupon.findById(req.params.couponId);
+    if (!coupon) {
+      return sendError(res, 404, 'Coupon not found');
+    }
+
+    const query = { coupon: coupon._id, releasedAt: null };
+
+    const [redemptions, total, [summary]] = await Promise.all([
+      CouponRedemption.find(query)
+        .populate('user', 'name email phone')
+        .populate('order', 'orderId status pricing.total')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      CouponRedemption.countDocuments(query),
+      CouponRedemption.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: null,
+            uses: { $sum: 1 },
+            totalDiscount: { $sum: '$discount' },
+            users: { $addToSet: '$user' }
+          }
+        }
+      ])
+    ]);
+
+    sendSuccess(res, 200, 'Coupon usage retrieved successfully', {
+      coupon,
+      summary: {
+        uses: summary?.uses || 0,
+        uniqueUsers: summary?.users.length || 0,
+        totalDiscount: Math.round((summary?.totalDiscount || 0) * 100) / 100
+      },
+      redemptions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error(`Get coupon usage error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving coupon usage');
+  }
+};
+
+/**
+ * Get usage report across all coupons
+ * @route GET /api/v1/admin/coupons/reports/usage
+ * @access Private/Admin
+ */
+exports.getCouponUsageReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const match = { releasedAt: null };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const rows = await CouponRedemption.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: 'orders',
+          localField: 'order',
+          foreignField: '_id',
+          as: 'orderDoc'
+        }
+      },
+      { $unwind: { path: '$orderDoc', preserveNullAndEmptyArrays: true } },
+      {
+        $group: {
+          _id: '$coupon',
+          code: { $first: '$code' },
+          uses: { $sum: 1 },
+          users: { $addToSet: '$user' },
+          totalDiscount: { $sum: '$discount' },
+          orderValue: { $sum: { $ifNull: ['$orderDoc.pricing.total', 0] } }
+        }
+      },
+      { $sort: { uses: -1 } }
+    ]);
+
+    const coupons = rows.map(row => ({
+      coupon: row._id,
+      code: row.code,
+      uses: row.uses,
+      uniqueUsers: row.users.length,
+      totalDiscount: Math.round(row.totalDiscount * 100) / 100,
+      orderValue: Math.round(row.orderValue * 100) / 100,
+      averageDiscount: row.uses > 0 ? Math.round((row.totalDiscount / row.uses) * 100) / 100 : 0
+    }));
+
+    const summary = {
+      totalUses: coupons.reduce((sum, c) => sum + c.uses, 0),
+      totalDiscount: Math.round(coupons.reduce((sum, c) => sum + c.totalDiscount, 0) * 100) / 100,
+      totalOrderValue: Math.round(coupons.reduce((sum, c) => sum + c.orderValue, 0) * 100) / 100,
+      activeCoupons: await Coupon.countDocuments({ isActive: true })
+    };
+
+    sendSuccess(res, 200, 'Coupon usage report retrieved successfully', { summary, coupons });
+  } catch (error) {
+    logger.error(`Get coupon usage report error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving coupon usage report');
+  }
+};
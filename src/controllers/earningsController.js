@@ -1,60 +1,77 @@
 /**
  * @fileoverview Earnings controller for sellers
  * @module controllers/earningsController
+ *
+ * Earnings are the seller's net item earnings on delivered sub-orders (sale
+ * less commission, GST on commission, shipping share and penalties), the
+ * same figures payouts are made from.
  */
 
-const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
+const sellerStaffService = require('../services/sellerStaffService');
 const { sendSuccess, sendError } = require('../utils/responseHandler');
 
+const round = (value) => Math.round(value * 100) / 100;
+
+// The seller's own shop, or ?sellerId for admins
+const sellerIdFor = (req) => sellerStaffService.sellerIdFor(req, req.query.sellerId);
+
+/**
+ * Delivered sub-orders of a seller, optionally delivered within a date range
+ */
+const deliveredQuery = (sellerId, from, to) => {
+  const query = { seller: sellerId, status: 'delivered' };
+  if (from || to) {
+    query.deliveredAt = {};
+    if (from) query.deliveredAt.$gte = new Date(from);
+    if (to) query.deliveredAt.$lte = new Date(to);
+  }
+  return query;
+};
+
+const earningOf = (subOrder) => subOrder.earnings?.netSellerEarning || 0;
+const deliveryDate = (subOrder) => new Date(subOrder.deliveredAt || subOrder.createdAt);
+
 /**
  * Get seller earnings summary
  * @route GET /api/v1/earnings/summary
- * @access Private (Seller only)
+ * @access Private (Seller with finance:view, or admin with payouts:view)
  */
 exports.getEarningsSummary = async (req, res) => {
   try {
-    const sellerId = req.user.sellerId || req.user._id;
-
-    // Get all completed orders for this seller
-    const orders = await Order.find({
-      'items.seller': sellerId,
-      status: { $in: ['delivered', 'completed'] }
-    });
+    const sellerId = sellerIdFor(req);
+    if (!sellerId) {
+      return sendError(res, 400, 'sellerId is required');
+    }
 
     // Calculate earnings by month (last 6 months)
     const sixMonthsAgo = new Date();
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
 
+    const subOrders = await SubOrder.find(deliveredQuery(sellerId, sixMonthsAgo))
+      .select('earnings.netSellerEarning deliveredAt createdAt')
+      .lean();
+
     const monthlyEarnings = {};
     let totalEarnings = 0;
-    let totalOrders = 0;
-
-    orders.forEach(order => {
-      if (new Date(order.createdAt) >= sixMonthsAgo) {
-        const month = new Date(order.createdAt).toLocaleString('en-US', { 
-          month: 'long', 
-          year: 'numeric' 
-        });
-
-        // Calculate seller's earnings from this order
-        const sellerItems = order.items.filter(
-          item => item.seller.toString() === sellerId.toString()
-        );
-        const orderEarnings = sellerItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-
-        if (!monthlyEarnings[month]) {
-          monthlyEarnings[month] = {
-            month,
-            amount: 0,
-            orders: 0
-          };
-        }
-
-        monthlyEarnings[month].amount += orderEarnings;
-        monthlyEarnings[month].orders += 1;
-        totalEarnings += orderEarnings;
-        totalOrders += 1;
+
+    subOrders.forEach(subOrder => {
+      const month = deliveryDate(subOrder).toLocaleString('en-US', {
+        month: 'long',
+        year: 'numeric'
+      });
+
+      if (!monthlyEarnings[month]) {
+        monthlyEarnings[month] = {
+          month,
+          amount: 0,
+          orders: 0
+        };
       }
+
+      monthlyEarnings[month].amount = round(monthlyEarnings[month].amount + earningOf(subOrder));
+      monthlyEarnings[month].orders += 1;
+      totalEarnings += earningOf(subOrder);
     });
 
     // Convert to array and sort by date
@@ -63,8 +80,8 @@ exports.getEarningsSummary = async (req, res) => {
     });
 
     sendSuccess(res, 200, 'Earnings retrieved successfully', {
-      totalEarnings,
-      totalOrders,
+      totalEarnings: round(totalEarnings),
+      totalOrders: subOrders.length,
       monthlyEarnings: earningsArray,
       lastUpdated: new Date()
     });
@@ -77,48 +94,41 @@ exports.getEarningsSummary = async (req, res) => {
 /**
  * Get detailed earnings breakdown
  * @route GET /api/v1/earnings/detailed
- * @access Private (Seller only)
+ * @access Private (Seller with finance:view, or admin with payouts:view)
  */
 exports.getDetailedEarnings = async (req, res) => {
   try {
-    const sellerId = req.user.sellerId || req.user._id;
+    const sellerId = sellerIdFor(req);
+    if (!sellerId) {
+      return sendError(res, 400, 'sellerId is required');
+    }
     const { startDate, endDate, page = 1, limit = 20 } = req.query;
 
-    const query = {
-      'items.seller': sellerId,
-      status: { $in: ['delivered', 'completed'] }
-    };
-
-    if (startDate || endDate) {
-      query.createdAt = {};
-      if (startDate) query.createdAt.$gte = new Date(startDate);
-      if (endDate) query.createdAt.$lte = new Date(endDate);
-    }
+    const query = deliveredQuery(sellerId, startDate, endDate);
 
-    const orders = await Order.find(query)
-      .sort({ createdAt: -1 })
+    const subOrders = await SubOrder.find(query)
+      .sort({ deliveredAt: -1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit))
       .populate('user', 'name email')
       .populate('items.product', 'name');
 
-    const total = await Order.countDocuments(query);
-
-    const earningsData = orders.map(order => {
-      const sellerItems = order.items.filter(
-        item => item.seller.toString() === sellerId.toString()
-      );
-      const earnings = sellerItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-
-      return {
-        orderId: order.orderId,
-        date: order.createdAt,
-        customer: order.user?.name || 'N/A',
-        products: sellerItems.map(item => item.product?.name || 'N/A'),
-        amount: earnings,
-        status: order.status
-      };
-    });
+    const total = await SubOrder.countDocuments(query);
+
+    const earningsData = subOrders.map(subOrder => ({
+      orderId: subOrder.orderId,
+      subOrderId: subOrder.subOrderId,
+      date: subOrder.deliveredAt || subOrder.createdAt,
+      customer: subOrder.user?.name || 'N/A',
+      products: subOrder.items.map(item => item.product?.name || item.name || 'N/A'),
+      sale: subOrder.pricing.itemsTotal,
+      commission: subOrder.earnings?.platformCommission || 0,
+      tax: subOrder.earnings?.totalTax || 0,
+      shipping: subOrder.earnings?.shippingCharges || 0,
+      penalty: SubOrder.summarizeItemEarnings([subOrder]).totalPenalty,
+      amount: earningOf(subOrder),
+      status: subOrder.status
+    }));
 
     sendSuccess(res, 200, 'Detailed earnings retrieved successfully', {
       earnings: earningsData,
@@ -138,56 +148,53 @@ exports.getDetailedEarnings = async (req, res) => {
 /**
  * Get earnings analytics
  * @route GET /api/v1/earnings/analytics
- * @access Private (Seller only)
+ * @access Private (Seller with finance:view, or admin with payouts:view)
  */
 exports.getEarningsAnalytics = async (req, res) => {
   try {
-    const sellerId = req.user.sellerId || req.user._id;
+    const sellerId = sellerIdFor(req);
+    if (!sellerId) {
+      return sendError(res, 400, 'sellerId is required');
+    }
 
-    const orders = await Order.find({
-      'items.seller': sellerId,
-      status: { $in: ['delivered', 'completed'] }
-    });
+    const subOrders = await SubOrder.find(deliveredQuery(sellerId))
+      .select('earnings.netSellerEarning deliveredAt createdAt')
+      .lean();
 
     // Calculate various metrics
     const today = new Date();
     const thisMonthStart = new Date(today.getFullYear(), today.getMonth(), 1);
     const lastMonthStart = new Date(today.getFullYear(), today.getMonth() - 1, 1);
-    const lastMonthEnd = new Date(today.getFullYear(), today.getMonth(), 0);
 
     let thisMonthEarnings = 0;
     let lastMonthEarnings = 0;
     let averageOrderValue = 0;
 
-    orders.forEach(order => {
-      const sellerItems = order.items.filter(
-        item => item.seller.toString() === sellerId.toString()
-      );
-      const orderEarnings = sellerItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-
-      if (new Date(order.createdAt) >= thisMonthStart) {
-        thisMonthEarnings += orderEarnings;
-      }
+    subOrders.forEach(subOrder => {
+      const earning = earningOf(subOrder);
+      const date = deliveryDate(subOrder);
 
-      if (new Date(order.createdAt) >= lastMonthStart && new Date(order.createdAt) <= lastMonthEnd) {
-        lastMonthEarnings += orderEarnings;
+      if (date >= thisMonthStart) {
+        thisMonthEarnings += earning;
+      } else if (date >= lastMonthStart) {
+        lastMonthEarnings += earning;
       }
 
-      averageOrderValue += orderEarnings;
+      averageOrderValue += earning;
     });
 
-    averageOrderValue = orders.length > 0 ? averageOrderValue / orders.length : 0;
+    averageOrderValue = subOrders.length > 0 ? averageOrderValue / subOrders.length : 0;
 
-    const growthRate = lastMonthEarnings > 0 
-      ? ((thisMonthEarnings - lastMonthEarnings) / lastMonthEarnings) * 100 
+    const growthRate = lastMonthEarnings > 0
+      ? ((thisMonthEarnings - lastMonthEarnings) / lastMonthEarnings) * 100
       : 0;
 
     sendSuccess(res, 200, 'Analytics retrieved successfully', {
-      thisMonth: thisMonthEarnings,
-      lastMonth: lastMonthEarnings,
+      thisMonth: round(thisMonthEarnings),
+      lastMonth: round(lastMonthEarnings),
       growthRate: growthRate.toFixed(2),
       averageOrderValue: averageOrderValue.toFixed(2),
-      totalOrders: orders.length
+      totalOrders: subOrders.length
     });
   } catch (error) {
     console.error('Error fetching analytics:', error);
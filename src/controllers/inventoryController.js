@@ -5,6 +5,7 @@
 
 const Inventory = require('../models/Inventory');
 const Product = require('../models/Product');
+const sellerStaffService = require('../services/sellerStaffService');
 
 /**
  * Get all inventory items for a seller
@@ -12,26 +13,14 @@ const Product = require('../models/Product');
  */
 exports.getAllInventory = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.query.sellerId;
-    const isAdmin = req.user?.role === 'admin' || req.admin;
-    
-    // Admin can view all inventory, sellers need their own ID
-    if (!sellerId && !isAdmin) {
-      return res.status(400).json({
-        success: false,
-        message: 'Seller ID required',
-      });
-    }
+    // Sellers see their own shop; admins see all or filter by sellerId
+    const sellerId = sellerStaffService.sellerIdFor(req, req.query.sellerId);
 
     const { status, search, page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
 
-    // Build query - admin sees all, seller sees only their own
     const query = {};
-    if (sellerId && !isAdmin) {
-      query.sellerId = sellerId;
-    } else if (sellerId && isAdmin) {
-      // Admin can filter by specific seller if needed
+    if (sellerId) {
       query.sellerId = sellerId;
     }
     
@@ -57,8 +46,8 @@ exports.getAllInventory = async (req, res) => {
 
     const total = await Inventory.countDocuments(query);
 
-    // Calculate stats - for admin use query (all/filtered), for seller use sellerId
-    const statsQuery = isAdmin && !sellerId ? {} : query;
+    // Stats over the same seller filter as the list
+    const statsQuery = query;
     const stats = {
       total: total,
       inStock: await Inventory.countDocuments({ ...statsQuery, status: 'in-stock' }),
@@ -96,7 +85,7 @@ exports.getAllInventory = async (req, res) => {
  */
 exports.getInventoryById = async (req, res) => {
   try {
-    const inventory = await Inventory.findById(req.params.id)
+    const inventory = await Inventory.findOne({ _id: req.params.id, ...sellerStaffService.shopFilter(req) })
       .populate('productId')
       .populate('warehouse')
       .populate('stockHistory.updatedBy', 'name email');
@@ -128,8 +117,14 @@ exports.getInventoryById = async (req, res) => {
  */
 exports.createInventory = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.body.sellerId;
-    
+    const sellerId = sellerStaffService.sellerIdFor(req, req.body.sellerId);
+    if (!sellerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Seller ID required',
+      });
+    }
+
     const inventoryData = {
       ...req.body,
       sellerId,
@@ -159,7 +154,7 @@ exports.createInventory = async (req, res) => {
 exports.updateStock = async (req, res) => {
   try {
     const { quantity, type, reason } = req.body;
-    const inventory = await Inventory.findById(req.params.id);
+    const inventory = await Inventory.findOne({ _id: req.params.id, ...sellerStaffService.shopFilter(req) });
 
     if (!inventory) {
       return res.status(404).json({
@@ -225,9 +220,11 @@ exports.updateStock = async (req, res) => {
  */
 exports.updateInventory = async (req, res) => {
   try {
-    const inventory = await Inventory.findByIdAndUpdate(
-      req.params.id,
-      req.body,
+    const shop = sellerStaffService.shopFilter(req);
+    // A seller cannot move an item to another shop
+    const inventory = await Inventory.findOneAndUpdate(
+      { _id: req.params.id, ...shop },
+      { ...req.body, ...shop },
       { new: true, runValidators: true }
     );
 
@@ -259,7 +256,7 @@ exports.updateInventory = async (req, res) => {
  */
 exports.deleteInventory = async (req, res) => {
   try {
-    const inventory = await Inventory.findByIdAndDelete(req.params.id);
+    const inventory = await Inventory.findOneAndDelete({ _id: req.params.id, ...sellerStaffService.shopFilter(req) });
 
     if (!inventory) {
       return res.status(404).json({
@@ -288,7 +285,7 @@ exports.deleteInventory = async (req, res) => {
  */
 exports.getLowStockItems = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.query.sellerId;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.query.sellerId);
 
     const lowStockItems = await Inventory.find({
       sellerId,
@@ -334,8 +331,8 @@ exports.bulkStockUpdate = async (req, res) => {
 
     for (const update of updates) {
       try {
-        const inventory = await Inventory.findById(update.id);
-        
+        const inventory = await Inventory.findOne({ _id: update.id, ...sellerStaffService.shopFilter(req) });
+
         if (!inventory) {
           results.failed.push({
             id: update.id,
@@ -3,17 +3,35 @@
  */
 
 const KYC = require('../models/KYC');
+const sellerStaffService = require('../services/sellerStaffService');
 
+// Set by the platform during review, never by the seller's own edits
+const REVIEW_FIELDS = ['sellerId', 'status', 'verificationNotes', 'verifiedBy', 'verifiedAt'];
+
+/**
+ * Sellers read their own KYC (started empty on first visit); admins read a
+ * seller's by sellerId and never create one. Staff only see the bank,
+ * identity and document details their role allows.
+ */
 exports.getKYCStatus = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.query.sellerId;
+    if (!req.seller) {
+      if (!req.query.sellerId) {
+        return res.status(400).json({ success: false, message: 'sellerId is required' });
+      }
+      const kyc = await KYC.findOne({ sellerId: req.query.sellerId });
+      if (!kyc) return res.status(404).json({ success: false, message: 'KYC not found' });
+      return res.status(200).json({ success: true, data: kyc });
+    }
+
+    const sellerId = req.seller._id;
     let kyc = await KYC.findOne({ sellerId });
-    
+
     if (!kyc) {
       kyc = await KYC.create({ sellerId, personalInfo: { fullName: '', pan: '', email: '', phone: '' } });
     }
 
-    res.status(200).json({ success: true, data: kyc });
+    res.status(200).json({ success: true, data: sellerStaffService.visibleKYC(kyc, req.sellerPermissions) });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to fetch KYC status', error: error.message });
   }
@@ -21,13 +39,15 @@ exports.getKYCStatus = async (req, res) => {
 
 exports.updateKYC = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.body.sellerId;
+    const sellerId = req.seller._id;
+    const updates = { ...req.body };
+    REVIEW_FIELDS.forEach(field => delete updates[field]);
     let kyc = await KYC.findOne({ sellerId });
 
     if (!kyc) {
-      kyc = await KYC.create({ ...req.body, sellerId });
+      kyc = await KYC.create({ ...updates, sellerId });
     } else {
-      Object.assign(kyc, req.body);
+      Object.assign(kyc, updates);
       kyc.status = 'incomplete';
       await kyc.save();
     }
@@ -40,8 +60,7 @@ exports.updateKYC = async (req, res) => {
 
 exports.submitKYC = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id;
-    const kyc = await KYC.findOne({ sellerId });
+    const kyc = await KYC.findOne({ sellerId: req.seller._id });
 
     if (!kyc) return res.status(404).json({ success: false, message: 'KYC not found' });
 
@@ -57,8 +76,7 @@ exports.submitKYC = async (req, res) => {
 exports.uploadDocument = async (req, res) => {
   try {
     const { type, url } = req.body;
-    const sellerId = req.seller?._id || req.user?.seller?._id;
-    const kyc = await KYC.findOne({ sellerId });
+    const kyc = await KYC.findOne({ sellerId: req.seller._id });
 
     if (!kyc) return res.status(404).json({ success: false, message: 'KYC not found' });
 
@@ -4,8 +4,22 @@
  */
 
 const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const Exchange = require('../models/Exchange');
+const Refund = require('../models/Refund');
+const stockService = require('../services/stockService');
+const couponService = require('../services/couponService');
+const invoiceService = require('../services/invoiceService');
+const orderLifecycle = require('../services/orderLifecycleService');
+const itemRequestService = require('../services/itemRequestService');
+const exchangeService = require('../services/exchangeService');
+const refundService = require('../services/refundService');
+const walletService = require('../services/walletService');
+const resellerService = require('../services/resellerService');
+const settingsService = require('../services/settingsService');
+const sellerStaffService = require('../services/sellerStaffService');
 const logger = require('../utils/logger');
 const { AppError } = require('../middlewares/errorHandler');
 
@@ -18,6 +32,33 @@ const generateOrderId = () => {
   return `MEE${timestamp}${random}`;
 };
 
+/**
+ * Item list from the request body (JSON string when sent as multipart form data)
+ */
+const parseItems = (items) => {
+  if (typeof items !== 'string') return items;
+  try {
+    return JSON.parse(items);
+  } catch (e) {
+    throw new AppError('Items must be a JSON array', 400);
+  }
+};
+
+/**
+ * Photos attached to a return: uploaded files, or image URLs in the body
+ * Uploads are kept as base64 data URLs for now, as for product images.
+ */
+const returnImages = (req) => {
+  const uploaded = (req.files || []).map((file, index) => ({
+    public_id: `return_${Date.now()}_${index}`,
+    url: `data:${file.mimetype};base64,${file.buffer.toString('base64')}`
+  }));
+  const linked = [].concat(parseItems(req.body.images) || [])
+    .filter(Boolean)
+    .map(url => (typeof url === 'string' ? { url } : url));
+  return [...uploaded, ...linked];
+};
+
 /**
  * @desc    Place order
  * @route   POST /api/v1/order/place
@@ -30,6 +71,11 @@ exports.placeOrder = async (req, res, next) => {
       paymentMethod = 'cod',
       useCart = true,
       items: directItems,
+      couponCodes,
+      couponCode,
+      useWallet = false,
+      walletAmount: walletRequested,
+      reseller,
       notes = ''
     } = req.body;
 
@@ -57,7 +103,11 @@ exports.placeOrder = async (req, res, next) => {
     }
 
     let orderItems = [];
-    let itemsTotal = 0;
+    // Variant details used to pick the inventory record when reserving stock
+    const stockLines = [];
+    // Reseller margin per unit, when given on the line
+    const unitMargins = [];
+    let cartCoupons = [];
 
     if (useCart) {
       // Get cart items
@@ -66,6 +116,7 @@ exports.placeOrder = async (req, res, next) => {
       if (!cart || cart.items.length === 0) {
         return next(new AppError('Cart is empty', 400));
       }
+      cartCoupons = cart.coupons || [];
 
       // Validate stock and prepare order items
       for (const item of cart.items) {
@@ -94,10 +145,11 @@ exports.placeOrder = async (req, res, next) => {
           price: item.price,
           quantity: item.quantity,
           variant: `${item.size} / ${item.color}`.trim(),
-          seller: sellerId
+          seller: sellerId,
+          category: product.category
         });
-
-        itemsTotal += item.price * item.quantity;
+        stockLines.push({ name: product.name, size: item.size, color: item.color });
+        unitMargins.push(undefined);
       }
     } else {
       // Direct order (Buy Now)
@@ -131,58 +183,160 @@ exports.placeOrder = async (req, res, next) => {
           price: product.price,
           quantity: item.quantity || 1,
           variant: `${item.size || 'Free Size'} / ${item.color || ''}`.trim(),
-          seller: sellerId
+          seller: sellerId,
+          category: product.category
         });
+        stockLines.push({ name: product.name, size: item.size, color: item.color });
+        unitMargins.push(item.margin);
+      }
+    }
 
-        itemsTotal += product.price * (item.quantity || 1);
+    // Price the basket; coupons applied on the cart are validated again here
+    const pricing = await couponService.quote({
+      lines: orderItems,
+      codes: couponCodes || couponCode || cartCoupons,
+      paymentMethod,
+      user: req.user._id
+    });
+    orderItems.forEach((item, index) => {
+      item.discount = pricing.lineDiscounts[index];
+    });
+
+    // Wallet credit pays all or part of the total; paymentMethod pays the rest
+    let walletAmount = 0;
+    if (paymentMethod === 'wallet' || useWallet || walletRequested) {
+      const wanted = walletRequested ? Number(walletRequested) : pricing.total;
+      if (!(wanted > 0)) {
+        return next(new AppError('Wallet amount must be greater than 0', 400));
+      }
+      const wallet = await walletService.getWallet(req.user._id);
+      walletAmount = Math.round(Math.min(wanted, wallet.balance, pricing.total) * 100) / 100;
+      if (paymentMethod === 'wallet' && walletAmount < pricing.total) {
+        return next(new AppError(`Wallet balance (${wallet.balance}) does not cover the order total (${pricing.total}), choose cod or online for the rest`, 400));
       }
     }
+    const paidByWallet = walletAmount > 0 && walletAmount >= pricing.total;
+    const method = paidByWallet ? 'wallet' : paymentMethod;
 
-    // Calculate pricing
-    const shippingCharge = itemsTotal >= 500 ? 0 : 40;
-    const discount = paymentMethod === 'online' ? Math.round(itemsTotal * 0.03) : 0;
-    const total = itemsTotal + shippingCharge - discount;
+    // Payment methods switched off in the checkout settings
+    const { checkout } = await settingsService.get();
+    if ((method === 'cod' && !checkout.codEnabled) || (method === 'online' && !checkout.onlinePaymentEnabled)) {
+      return next(new AppError(`${method === 'cod' ? 'Cash on delivery' : 'Online payment'} is not available at the moment`, 400));
+    }
 
-    // Create order
-    const order = await Order.create({
+    // Ordering for a reseller's customer: margins on top, collected on delivery
+    const resale = resellerService.prepareOrder({
+      details: reseller,
+      lines: orderItems.map((item, index) => ({ ...item, margin: unitMargins[index] })),
+      amountDue: Math.round((pricing.total - walletAmount) * 100) / 100,
+      paymentMethod: method,
+      shippingAddress: formattedAddress
+    });
+    if (resale) {
+      orderItems.forEach((item, index) => {
+        item.resellerMargin = resale.lineMargins[index];
+      });
+    }
+
+    // Online orders wait for payment; COD and wallet orders are confirmed straight away
+    const awaitingPayment = method === 'online';
+    const initialStatus = awaitingPayment ? 'pending' : 'confirmed';
+
+    // Build the order first so stock can be reserved against its item ids
+    const order = new Order({
       orderId: generateOrderId(),
       user: req.user._id,
       items: orderItems,
       shippingAddress: formattedAddress,
       payment: {
-        method: paymentMethod,
-        status: paymentMethod === 'cod' ? 'pending' : 'pending'
+        method,
+        status: paidByWallet ? 'completed' : 'pending',
+        paidAt: paidByWallet ? new Date() : undefined,
+        walletAmount
       },
       pricing: {
-        itemsTotal,
-        shippingCharge,
-        discount,
-        total
+        itemsTotal: pricing.itemsTotal,
+        shippingCharge: pricing.shippingCharge,
+        discount: pricing.discount,
+        paymentDiscount: pricing.paymentDiscount,
+        couponDiscount: pricing.couponDiscount,
+        coupons: pricing.coupons,
+        total: pricing.total
       },
+      reseller: resale?.reseller,
       notes: notes || '',
-      status: 'confirmed',
+      status: initialStatus,
       statusHistory: [{
-        status: 'confirmed',
-        comment: 'Order placed successfully',
+        status: initialStatus,
+        comment: awaitingPayment ? 'Order placed, awaiting payment' : 'Order placed successfully',
         timestamp: new Date()
       }]
     });
 
-    // Update product stock
-    for (const item of orderItems) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { 
-          'stock.quantity': -item.quantity,
-          soldCount: item.quantity
-        }
-      });
+    // Atomically reserve stock; fails the checkout if any line has run out
+    await stockService.reserve({
+      order,
+      items: order.items.map((item, index) => ({
+        orderItem: item._id,
+        product: item.product,
+        quantity: item.quantity,
+        ...stockLines[index]
+      })),
+      expires: awaitingPayment,
+      user: req.user._id
+    });
+
+    let walletDebited = false;
+    let saved = false;
+    try {
+      await couponService.redeem(order, pricing.coupons, req.user._id);
+      if (walletAmount > 0) {
+        const spent = await walletService.debit(req.user._id, walletAmount, {
+          source: 'order_payment',
+          key: `order:${order._id}`,
+          order,
+          description: `Payment for order ${order.orderId}`
+        });
+        walletDebited = true;
+        if (paidByWallet) order.payment.transactionId = spent.transactionId;
+      }
+      await order.save();
+      saved = true;
+
+      // Split into one sub-order (shipment) per seller
+      await SubOrder.createForOrder(order);
+    } catch (error) {
+      // An order without its shipments could never be fulfilled; take it back out
+      if (saved) {
+        await SubOrder.deleteMany({ order: order._id });
+        await Order.deleteOne({ _id: order._id });
+      }
+      await stockService.release(order, { reason: 'Order could not be placed', user: req.user._id });
+      await couponService.releaseRedemptions(order._id);
+      if (walletDebited) {
+        await walletService.credit(req.user._id, walletAmount, {
+          source: 'order_reversal',
+          key: `order_reversal:${order._id}`,
+          order,
+          description: `Order ${order.orderId} could not be placed`
+        });
+      }
+      throw error;
+    }
+
+    await order.populate('subOrders');
+    await resellerService.recordEarnings(order, order.subOrders);
+
+    // COD and wallet orders need no further payment, so the held stock is sold right away
+    if (!awaitingPayment) {
+      await stockService.convert(order._id, { user: req.user._id });
     }
 
     // Clear cart if using cart
     if (useCart) {
       await Cart.findOneAndUpdate(
         { user: req.user._id },
-        { items: [], totalItems: 0, totalPrice: 0 }
+        { items: [], totalItems: 0, totalPrice: 0, coupons: [] }
       );
     }
 
@@ -274,6 +428,7 @@ exports.getUserOrders = async (req, res, next) => {
 
     const orders = await Order.find(query)
       .populate('items.product', 'name images')
+      .populate('subOrders', 'subOrderId seller items.orderItem status tracking shippedAt deliveredAt')
       .sort('-createdAt')
       .limit(Number(limit))
       .skip((Number(page) - 1) * Number(limit));
@@ -309,12 +464,18 @@ exports.getOrderById = async (req, res, next) => {
     if (mongoose.Types.ObjectId.isValid(orderIdParam)) {
       order = await Order.findById(orderIdParam)
         .populate('items.product', 'name images price')
-        .populate('user', 'name email phone');
+        .populate('user', 'name email phone')
+        .populate({ path: 'subOrders', populate: { path: 'seller', select: 'shopName' } })
+        .populate('itemRequests')
+        .populate('exchanges');
     }
     if (!order) {
       order = await Order.findOne({ orderId: orderIdParam })
         .populate('items.product', 'name images price')
-        .populate('user', 'name email phone');
+        .populate('user', 'name email phone')
+        .populate({ path: 'subOrders', populate: { path: 'seller', select: 'shopName' } })
+        .populate('itemRequests')
+        .populate('exchanges');
     }
 
     if (!order) {
@@ -347,37 +508,35 @@ exports.getSellerOrders = async (req, res, next) => {
   try {
     const { page = 1, limit = 10, status } = req.query;
 
-    // Get seller ID
-    const Seller = require('../models/Seller');
-    const seller = await Seller.findOne({ user: req.user._id });
-    
-    if (!seller) {
-      return next(new AppError('Seller profile not found', 404));
-    }
+    // The shop the seller is acting for
+    const seller = await sellerStaffService.shopFor(req, 'orders:view');
 
-    const query = { 'items.seller': seller._id };
+    const query = { seller: seller._id };
     if (status) query.status = status;
 
-    const orders = await Order.find(query)
+    const subOrders = await SubOrder.find(query)
       .populate('items.product', 'name images')
       .populate('user', 'name phone')
+      .populate('order', 'shippingAddress payment')
       .sort('-createdAt')
       .limit(Number(limit))
       .skip((Number(page) - 1) * Number(limit));
 
-    const total = await Order.countDocuments(query);
+    const total = await SubOrder.countDocuments(query);
 
-    // Transform orders to include totalAmount and orderNumber for frontend compatibility
-    const transformedOrders = orders.map(order => {
-      const orderObj = order.toObject();
-      orderObj.totalAmount = order.pricing?.total || 0;
-      orderObj.orderNumber = order.orderId;
+    // Transform sub-orders to include totalAmount and orderNumber for frontend compatibility
+    const transformedOrders = subOrders.map(subOrder => {
+      const orderObj = subOrder.toObject();
+      orderObj.totalAmount = subOrder.pricing?.total || 0;
+      orderObj.orderNumber = subOrder.orderId;
+      orderObj.shippingAddress = subOrder.order?.shippingAddress;
+      orderObj.payment = subOrder.order?.payment;
       return orderObj;
     });
 
     res.status(200).json({
       success: true,
-      count: orders.length,
+      count: subOrders.length,
       total,
       page: Number(page),
       pages: Math.ceil(total / Number(limit)),
@@ -476,64 +635,38 @@ exports.updateOrderStatus = async (req, res, next) => {
       return next(new AppError('Order not found', 404));
     }
 
-    // Validate status transition
-    const validTransitions = {
-      pending: ['confirmed', 'cancelled'],
-      confirmed: ['processing', 'cancelled'],
-      processing: ['shipped', 'cancelled'],
-      shipped: ['out_for_delivery', 'delivered'],
-      out_for_delivery: ['delivered'],
-      delivered: ['returned'],
-      cancelled: [],
-      returned: ['refunded'],
-      refunded: []
-    };
-
-    if (!validTransitions[order.status]?.includes(status)) {
-      return next(new AppError(`Cannot change status from ${order.status} to ${status}`, 400));
+    // Sellers update their own sub-order, admins update every sub-order of the order
+    const subOrderQuery = { order: order._id };
+    if (req.user.role === 'seller') {
+      const seller = await sellerStaffService.shopFor(req, 'orders:fulfil');
+      subOrderQuery.seller = seller._id;
     }
 
-    order.status = status;
-    order.statusHistory.push({
-      status,
-      comment,
-      updatedBy: req.user._id,
-      timestamp: new Date()
-    });
+    const subOrders = await SubOrder.find(subOrderQuery);
+    if (subOrders.length === 0) {
+      return next(new AppError('No shipments found for this order', 404));
+    }
 
-    // Update tracking info
-    if (trackingId) {
-      order.tracking = {
-        courier,
-        trackingId,
-        url: ''
-      };
-    }
-
-    // Update timestamps
-    if (status === 'shipped') order.shippedAt = new Date();
-    if (status === 'delivered') {
-      order.deliveredAt = new Date();
-      order.payment.status = 'completed';
-      if (order.payment.method === 'cod') {
-        order.payment.paidAt = new Date();
-      }
+    // Move every shipment that can make this transition; the rest stay as they are
+    const actor = { user: req.user._id, role: req.user.role };
+    const updatable = subOrders.filter(subOrder => !orderLifecycle.check(subOrder, status, actor.role));
+    if (updatable.length === 0) {
+      orderLifecycle.assertTransition(subOrders[0], status, actor.role);
     }
-    if (status === 'cancelled') {
-      order.cancelledAt = new Date();
-      order.cancellationReason = comment;
-      
-      // Restore stock
-      for (const item of order.items) {
-        await Product.findByIdAndUpdate(item.product, {
-          $inc: { 'stock.quantity': item.quantity }
-        });
-      }
+
+    for (const subOrder of updatable) {
+      await orderLifecycle.transition(subOrder, status, {
+        actor,
+        comment,
+        order,
+        tracking: trackingId ? { trackingId, courier } : undefined
+      });
     }
 
-    await order.save();
+    await orderLifecycle.syncOrder(order);
+    await order.populate('subOrders');
 
-    logger.info(`Order ${order.orderId} status updated to ${status}`);
+    logger.info(`Order ${order.orderId} status updated to ${status} for ${updatable.length} shipment(s)`);
 
     res.status(200).json({
       success: true,
@@ -575,29 +708,51 @@ exports.cancelOrder = async (req, res, next) => {
       return next(new AppError('Not authorized to cancel this order', 403));
     }
 
-    // Can only cancel pending/confirmed orders
-    if (!['pending', 'confirmed'].includes(order.status)) {
-      return next(new AppError('Order cannot be cancelled at this stage', 400));
+    // Where refunds should go, when the buyer says (bank/UPI for COD, or wallet)
+    if (refundService.applyRefundDetails(order, req.body)) {
+      await order.save();
     }
 
-    order.status = 'cancelled';
-    order.cancelledAt = new Date();
-    order.cancellationReason = reason;
-    order.statusHistory.push({
-      status: 'cancelled',
-      comment: reason,
-      updatedBy: req.user._id,
-      timestamp: new Date()
-    });
+    // Cancel only some units when items are given
+    const items = parseItems(req.body.items);
+    if (items) {
+      const requests = await itemRequestService.cancelItems({
+        order,
+        items,
+        reason,
+        actor: { user: req.user._id, role: 'user' }
+      });
+      await order.populate('subOrders');
+
+      return res.status(200).json({
+        success: true,
+        message: 'Items cancelled successfully',
+        data: { order, requests }
+      });
+    }
+
+    // Can only cancel shipments the buyer is still allowed to cancel (pending/confirmed)
+    const subOrders = (await SubOrder.find({ order: order._id }))
+      .filter(subOrder => !orderLifecycle.check(subOrder, 'cancelled', 'user'));
+
+    if (subOrders.length === 0) {
+      return next(new AppError('Order cannot be cancelled at this stage', 400));
+    }
 
-    // Restore stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { 'stock.quantity': item.quantity }
+    for (const subOrder of subOrders) {
+      await orderLifecycle.transition(subOrder, 'cancelled', {
+        actor: { user: req.user._id, role: 'user' },
+        comment: reason || 'Cancelled by customer',
+        order
       });
     }
 
+    await order.syncStatusFromSubOrders();
+    if (order.status === 'cancelled') {
+      order.cancellationReason = reason;
+    }
     await order.save();
+    await order.populate('subOrders');
 
     logger.info(`Order ${order.orderId} cancelled by user: ${req.user._id}`);
 
@@ -619,7 +774,7 @@ exports.cancelOrder = async (req, res, next) => {
  */
 exports.requestReturn = async (req, res, next) => {
   try {
-    const { reason } = req.body;
+    const { reason, subOrderId } = req.body;
 
     const order = await Order.findOne({ orderId: req.params.orderId });
     if (!order) {
@@ -631,30 +786,65 @@ exports.requestReturn = async (req, res, next) => {
       return next(new AppError('Not authorized', 403));
     }
 
-    // Can only return delivered orders within 7 days
-    if (order.status !== 'delivered') {
+    // Where refunds should go, when the buyer says (bank/UPI for COD, or wallet)
+    if (refundService.applyRefundDetails(order, req.body)) {
+      await order.save();
+    }
+
+    // Return only some units when items are given
+    const items = parseItems(req.body.items);
+    if (items) {
+      const requests = await itemRequestService.requestReturns({
+        order,
+        items,
+        reason,
+        images: returnImages(req),
+        actor: { user: req.user._id, role: 'user' }
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Return request submitted successfully',
+        data: { order, requests }
+      });
+    }
+
+    // Return a single seller's shipment when subOrderId is given, otherwise every delivered one
+    const query = { order: order._id, status: 'delivered' };
+    if (subOrderId) query.subOrderId = subOrderId;
+
+    const subOrders = await SubOrder.find(query);
+
+    if (subOrders.length === 0) {
       return next(new AppError('Only delivered orders can be returned', 400));
     }
 
-    const daysSinceDelivery = Math.floor(
-      (Date.now() - order.deliveredAt.getTime()) / (1000 * 60 * 60 * 24)
-    );
+    // Shipments with an exchange in progress are returned item by item instead
+    const exchanging = (await Exchange.distinct('subOrder', {
+      order: order._id,
+      status: { $in: exchangeService.OPEN_STATUSES }
+    })).map(id => id.toString());
+    if (subOrders.every(subOrder => exchanging.includes(subOrder._id.toString()))) {
+      return next(new AppError('An exchange is in progress for this order', 400));
+    }
 
-    if (daysSinceDelivery > 7) {
-      return next(new AppError('Return window has expired (7 days)', 400));
+    // Only shipments still inside the return window
+    const returnable = subOrders.filter(subOrder => !exchanging.includes(subOrder._id.toString())
+      && !orderLifecycle.check(subOrder, 'return_requested', 'user'));
+    if (returnable.length === 0) {
+      orderLifecycle.assertTransition(subOrders[0], 'return_requested', 'user');
     }
 
-    // Update order with return request
-    order.status = 'return_requested';
-    order.returnReason = reason;
-    order.returnRequest = {
-      requested: true,
-      reason,
-      status: 'pending',
-      requestedAt: new Date()
-    };
+    for (const subOrder of returnable) {
+      await orderLifecycle.transition(subOrder, 'return_requested', {
+        actor: { user: req.user._id, role: 'user' },
+        comment: reason,
+        order
+      });
+    }
 
-    await order.save();
+    await orderLifecycle.syncOrder(order);
+    await order.populate('subOrders');
 
     logger.info(`Return requested for order ${order.orderId} by user ${req.user._id}`);
 
@@ -668,3 +858,215 @@ exports.requestReturn = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * @desc    Request a size/colour exchange for a delivered item
+ * @route   POST /api/v1/order/exchange/:orderId
+ * @access  Private
+ */
+exports.requestExchange = async (req, res, next) => {
+  try {
+    const { itemId, quantity, size, color, reason } = req.body;
+
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return next(new AppError('Order not found', 404));
+    }
+
+    // Check authorization
+    if (order.user.toString() !== req.user._id.toString()) {
+      return next(new AppError('Not authorized', 403));
+    }
+
+    const exchange = await exchangeService.requestExchange({
+      order,
+      itemId,
+      quantity,
+      size,
+      color,
+      reason,
+      images: returnImages(req),
+      actor: { user: req.user._id, role: 'user' }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange request submitted successfully',
+      data: exchange
+    });
+  } catch (error) {
+    logger.error('Error requesting exchange:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel an exchange before the item is picked up
+ * @route   PUT /api/v1/order/exchange/:exchangeId/cancel
+ * @access  Private
+ */
+exports.cancelExchange = async (req, res, next) => {
+  try {
+    const exchange = await exchangeService.findExchange(req.params.exchangeId, { user: req.user._id });
+    if (!exchange) {
+      return next(new AppError('Exchange not found', 404));
+    }
+
+    await exchangeService.transition(exchange, 'cancelled', {
+      actor: { user: req.user._id, role: 'user' },
+      comment: req.body.reason || 'Cancelled by customer'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange cancelled successfully',
+      data: exchange
+    });
+  } catch (error) {
+    logger.error('Error cancelling exchange:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get refunds for an order
+ * @route   GET /api/v1/orders/:orderId/refunds
+ * @access  Private (Buyer, Admin)
+ */
+exports.getOrderRefunds = async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return next(new AppError('Order not found', 404));
+    }
+
+    if (req.user.role !== 'admin' && order.user.toString() !== req.user._id.toString()) {
+      return next(new AppError('Not authorized', 403));
+    }
+
+    const refunds = await Refund.find({ order: order._id })
+      .select(req.user.role === 'admin' ? '' : '-sellerDebit -history.updatedBy')
+      .sort({ createdAt: -1 });
+
+    const sum = (list) => Math.round(list.reduce((total, refund) => total + refund.amount.total, 0) * 100) / 100;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        refunds,
+        summary: {
+          total: sum(refunds),
+          completed: sum(refunds.filter(refund => refund.status === 'completed')),
+          awaitingDetails: refunds.some(refund => refund.status === 'awaiting_details')
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching order refunds:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set where refunds for an order are paid (bank, UPI or wallet)
+ * @route   PUT /api/v1/orders/:orderId/refund-details
+ * @access  Private
+ */
+exports.updateRefundDetails = async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return next(new AppError('Order not found', 404));
+    }
+
+    if (order.user.toString() !== req.user._id.toString()) {
+      return next(new AppError('Not authorized', 403));
+    }
+
+    if (!refundService.applyRefundDetails(order, req.body)) {
+      return next(new AppError('Please choose where to receive refunds (refundTo)', 400));
+    }
+    await order.save();
+
+    // Refunds that were waiting for these details go out now
+    const sent = await refundService.releaseAwaiting(order, { user: req.user._id, role: 'user' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund details updated',
+      data: { refundDetails: order.refundDetails, refunds: sent }
+    });
+  } catch (error) {
+    logger.error('Error updating refund details:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get GST tax invoices for an order (one per seller shipment)
+ * @route   GET /api/v1/orders/:orderId/invoice
+ * @access  Private (Buyer, Seller for own shipments, Admin)
+ */
+exports.getOrderInvoice = async (req, res, next) => {
+  try {
+    const { subOrderId, format = 'json' } = req.query;
+    const orderIdParam = req.params.orderId;
+
+    const mongoose = require('mongoose');
+    let order;
+    if (mongoose.Types.ObjectId.isValid(orderIdParam)) {
+      order = await Order.findById(orderIdParam);
+    }
+    if (!order) {
+      order = await Order.findOne({ orderId: orderIdParam });
+    }
+
+    if (!order) {
+      return next(new AppError('Order not found', 404));
+    }
+
+    const query = { order: order._id };
+    if (subOrderId) query.subOrderId = subOrderId;
+
+    // Buyers and admins see every shipment; a seller only their own
+    if (req.user.role === 'seller' && order.user.toString() !== req.user._id.toString()) {
+      const seller = await sellerStaffService.shopFor(req, 'orders:view');
+      query.seller = seller._id;
+    } else if (req.user.role !== 'admin' && order.user.toString() !== req.user._id.toString()) {
+      return next(new AppError('Not authorized to view this invoice', 403));
+    }
+
+    const subOrders = await SubOrder.find(query).sort({ subOrderId: 1 });
+    if (subOrders.length === 0) {
+      return next(new AppError(subOrderId ? 'Shipment not found' : 'Not authorized to view this invoice', subOrderId ? 404 : 403));
+    }
+
+    // Shipments that were never supplied get no invoice
+    const invoiceable = subOrders.filter(subOrder => !invoiceService.NOT_INVOICEABLE.includes(subOrder.status));
+    if (invoiceable.length === 0) {
+      return next(new AppError('Invoice is available once the order is confirmed', 400));
+    }
+
+    const invoices = [];
+    for (const subOrder of invoiceable) {
+      invoices.push(await invoiceService.getOrCreateForSubOrder(subOrder, order));
+    }
+
+    if (format === 'pdf') {
+      const fileName = invoices.length === 1
+        ? invoices[0].invoiceNumber.replace(/\//g, '-')
+        : `invoices-${order.orderId}`;
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+      return invoiceService.renderPdf(invoices, res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { invoices }
+    });
+  } catch (error) {
+    logger.error('Error fetching order invoice:', error);
+    next(error);
+  }
+};
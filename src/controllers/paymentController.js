@@ -3,10 +3,11 @@
  */
 
 const Payment = require('../models/Payment');
+const sellerStaffService = require('../services/sellerStaffService');
 
 exports.getAllPayments = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.query.sellerId;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.query.sellerId);
     const { status, type, page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
 
@@ -49,7 +50,7 @@ exports.getAllPayments = async (req, res) => {
 
 exports.getPaymentById = async (req, res) => {
   try {
-    const payment = await Payment.findById(req.params.id).populate('orderId');
+    const payment = await Payment.findOne({ _id: req.params.id, ...sellerStaffService.shopFilter(req) }).populate('orderId');
     if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
     res.status(200).json({ success: true, data: payment });
   } catch (error) {
@@ -59,7 +60,8 @@ exports.getPaymentById = async (req, res) => {
 
 exports.createPayment = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.body.sellerId;
+    const { sellerId } = req.body;
+    if (!sellerId) return res.status(400).json({ success: false, message: 'Seller ID required' });
     const payment = await Payment.create({ ...req.body, sellerId });
     res.status(201).json({ success: true, message: 'Payment created successfully', data: payment });
   } catch (error) {
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Payment gateway controller - paying online orders
+ * @module controllers/paymentGatewayController
+ */
+
+const Order = require('../models/Order');
+const PaymentIntent = require('../models/PaymentIntent');
+const paymentService = require('../services/paymentService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Find the buyer's own order by orderId
+ */
+const findOwnOrder = async (req) => {
+  const order = await Order.findOne({ orderId: req.params.orderId });
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+  if (order.user.toString() !== req.user._id.toString()) {
+    throw new AppError('Not authorized', 403);
+  }
+  return order;
+};
+
+/**
+ * @desc    Create a payment intent for an online order
+ * @route   POST /api/v1/payment-gateway/orders/:orderId/intent
+ * @access  Private
+ */
+exports.createIntent = async (req, res, next) => {
+  try {
+    const order = await findOwnOrder(req);
+    const { intent, checkout } = await paymentService.createIntent(order);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment intent created',
+      data: { intentId: intent.intentId, status: intent.status, checkout }
+    });
+  } catch (error) {
+    logger.error('Error creating payment intent:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify the checkout callback and mark the order paid
+ * @route   POST /api/v1/payment-gateway/orders/:orderId/verify
+ * @access  Private
+ */
+exports.verifyPayment = async (req, res, next) => {
+  try {
+    const { intentId, paymentId, signature } = req.body;
+    const order = await findOwnOrder(req);
+
+    const intent = await paymentService.verifyCallback({ order, intentId, paymentId, signature });
+    const updated = await Order.findById(order._id);
+
+    res.status(200).json({
+      success: true,
+      message: intent.status === 'captured' ? 'Payment successful' : `Payment ${intent.status}`,
+      data: { payment: updated.payment, status: updated.status, intentStatus: intent.status }
+    });
+  } catch (error) {
+    logger.error('Error verifying payment:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Payment attempts for an order
+ * @route   GET /api/v1/payment-gateway/orders/:orderId
+ * @access  Private
+ */
+exports.getOrderPayments = async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) {
+      return next(new AppError('Order not found', 404));
+    }
+    if (req.user.role !== 'admin' && order.user.toString() !== req.user._id.toString()) {
+      return next(new AppError('Not authorized', 403));
+    }
+
+    const intents = await PaymentIntent.find({ order: order._id })
+      .select('-events')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { payment: order.payment, intents }
+    });
+  } catch (error) {
+    logger.error('Error fetching order payments:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Receive a payment provider webhook
+ * @route   POST /api/v1/payment-gateway/webhook/:provider
+ * @access  Public (signed by the provider)
+ */
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const result = await paymentService.handleWebhook(req.params.provider, {
+      rawBody: req.rawBody || JSON.stringify(req.body),
+      headers: req.headers
+    });
+
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    logger.error(`Payment webhook error (${req.params.provider}): ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Complete checkout against the mock provider (offline testing)
+ * @route   POST /api/v1/payment-gateway/mock/:intentId/pay
+ * @access  Private (mock provider only, not in production)
+ */
+exports.simulateMockPayment = async (req, res, next) => {
+  try {
+    if (process.env.NODE_ENV === 'production' || paymentService.getProvider().name !== 'mock') {
+      return next(new AppError('Mock payments are not available', 404));
+    }
+
+    const intent = await PaymentIntent.findOne({ intentId: req.params.intentId, user: req.user._id });
+    if (!intent) {
+      return next(new AppError('Payment intent not found', 404));
+    }
+
+    const succeed = req.body.succeed !== false && req.body.succeed !== 'false';
+    const { callback, webhook } = paymentService.getProvider('mock').simulatePayment({
+      intentId: intent.intentId,
+      amount: intent.amount,
+      succeed
+    });
+
+    // Deliver the webhook the way the gateway would
+    const result = await paymentService.handleWebhook('mock', webhook);
+
+    res.status(200).json({
+      success: true,
+      message: succeed ? 'Mock payment completed' : 'Mock payment failed',
+      data: { callback, webhook: result }
+    });
+  } catch (error) {
+    logger.error('Error simulating mock payment:', error);
+    next(error);
+  }
+};
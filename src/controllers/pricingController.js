@@ -3,10 +3,11 @@
  */
 
 const Pricing = require('../models/Pricing');
+const sellerStaffService = require('../services/sellerStaffService');
 
 exports.getAllPricing = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.query.sellerId;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.query.sellerId);
     const pricing = await Pricing.find({ sellerId }).populate('productId', 'name images');
     res.status(200).json({ success: true, data: pricing });
   } catch (error) {
@@ -16,7 +17,7 @@ exports.getAllPricing = async (req, res) => {
 
 exports.getPricingById = async (req, res) => {
   try {
-    const pricing = await Pricing.findById(req.params.id).populate('productId');
+    const pricing = await Pricing.findOne({ _id: req.params.id, ...sellerStaffService.shopFilter(req) }).populate('productId');
     if (!pricing) return res.status(404).json({ success: false, message: 'Pricing not found' });
     res.status(200).json({ success: true, data: pricing });
   } catch (error) {
@@ -26,7 +27,8 @@ exports.getPricingById = async (req, res) => {
 
 exports.createPricing = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.body.sellerId;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.body.sellerId);
+    if (!sellerId) return res.status(400).json({ success: false, message: 'Seller ID required' });
     const pricing = await Pricing.create({ ...req.body, sellerId });
     res.status(201).json({ success: true, message: 'Pricing created successfully', data: pricing });
   } catch (error) {
@@ -36,11 +38,12 @@ exports.createPricing = async (req, res) => {
 
 exports.updatePricing = async (req, res) => {
   try {
-    const pricing = await Pricing.findById(req.params.id);
+    const shop = sellerStaffService.shopFilter(req);
+    const pricing = await Pricing.findOne({ _id: req.params.id, ...shop });
     if (!pricing) return res.status(404).json({ success: false, message: 'Pricing not found' });
 
     pricing.priceHistory.push({ price: pricing.sellingPrice, reason: req.body.reason || 'Manual update' });
-    Object.assign(pricing, req.body);
+    Object.assign(pricing, req.body, shop);
     await pricing.save();
 
     res.status(200).json({ success: true, message: 'Pricing updated successfully', data: pricing });
@@ -52,8 +55,8 @@ exports.updatePricing = async (req, res) => {
 exports.enableAutoPrice = async (req, res) => {
   try {
     const { enabled, strategy, minPrice, maxPrice } = req.body;
-    const pricing = await Pricing.findByIdAndUpdate(
-      req.params.id,
+    const pricing = await Pricing.findOneAndUpdate(
+      { _id: req.params.id, ...sellerStaffService.shopFilter(req) },
       { 'autoPrice.enabled': enabled, 'autoPrice.strategy': strategy, 'autoPrice.minPrice': minPrice, 'autoPrice.maxPrice': maxPrice },
       { new: true }
     );
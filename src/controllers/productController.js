@@ -5,7 +5,7 @@
 
 const Product = require('../models/Product');
 const Category = require('../models/Category');
-const Seller = require('../models/Seller');
+const sellerStaffService = require('../services/sellerStaffService');
 const logger = require('../utils/logger');
 const { AppError } = require('../middlewares/errorHandler');
 
@@ -24,6 +24,8 @@ exports.createProduct = async (req, res, next) => {
       price,
       mrp,
       discount,
+      hsnCode,
+      gstRate,
       stock,
       tags,
       isFreeShipping,
@@ -57,14 +59,8 @@ exports.createProduct = async (req, res, next) => {
         sellerId = req.user._id;
       }
     } else if (req.user.role === 'seller') {
-      // For sellers, find their seller profile
-      if (!sellerId) {
-        const seller = await Seller.findOne({ user: req.user._id });
-        if (!seller) {
-          return next(new AppError('Seller profile not found', 404));
-        }
-        sellerId = seller._id;
-      }
+      // Always the shop they are acting for (staff need catalog:edit); body.seller is ignored
+      sellerId = (await sellerStaffService.shopFor(req, 'catalog:edit'))._id;
     } else {
       return next(new AppError('Unauthorized to create products', 403));
     }
@@ -123,6 +119,8 @@ exports.createProduct = async (req, res, next) => {
       price: parseFloat(price),
       mrp: parseFloat(mrp),
       discount: discount ? parseInt(discount) : Math.round(((parseFloat(mrp) - parseFloat(price)) / parseFloat(mrp)) * 100),
+      hsnCode,
+      gstRate: gstRate !== undefined && gstRate !== '' ? parseFloat(gstRate) : undefined,
       images: productImages,
       stock: stockData || { quantity: 0, status: 'out_of_stock' },
       variants: [],
@@ -408,7 +406,7 @@ exports.updateProduct = async (req, res, next) => {
 
     // Check authorization
     if (req.user.role === 'seller') {
-      const seller = await Seller.findOne({ user: req.user._id });
+      const seller = await sellerStaffService.shopFor(req, 'catalog:edit');
       if (product.seller.toString() !== seller._id.toString()) {
         return next(new AppError('Not authorized to update this product', 403));
       }
@@ -533,7 +531,7 @@ exports.deleteProduct = async (req, res, next) => {
 
     // Check authorization
     if (req.user.role === 'seller') {
-      const seller = await Seller.findOne({ user: req.user._id });
+      const seller = await sellerStaffService.shopFor(req, 'catalog:edit');
       if (product.seller.toString() !== seller._id.toString()) {
         return next(new AppError('Not authorized to delete this product', 403));
       }
@@ -3,10 +3,11 @@
  */
 
 const Quality = require('../models/Quality');
+const sellerStaffService = require('../services/sellerStaffService');
 
 exports.getQualityMetrics = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.query.sellerId;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.query.sellerId);
     const metrics = await Quality.find({ sellerId }).populate('productId', 'name images');
     
     const stats = {
@@ -23,7 +24,7 @@ exports.getQualityMetrics = async (req, res) => {
 
 exports.getQualityById = async (req, res) => {
   try {
-    const quality = await Quality.findById(req.params.id).populate('productId');
+    const quality = await Quality.findOne({ _id: req.params.id, ...sellerStaffService.shopFilter(req) }).populate('productId');
     if (!quality) return res.status(404).json({ success: false, message: 'Quality metrics not found' });
     res.status(200).json({ success: true, data: quality });
   } catch (error) {
@@ -33,7 +34,8 @@ exports.getQualityById = async (req, res) => {
 
 exports.updateQualityMetrics = async (req, res) => {
   try {
-    const quality = await Quality.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    const shop = sellerStaffService.shopFilter(req);
+    const quality = await Quality.findOneAndUpdate({ _id: req.params.id, ...shop }, { ...req.body, ...shop }, { new: true, runValidators: true });
     if (!quality) return res.status(404).json({ success: false, message: 'Quality metrics not found' });
     res.status(200).json({ success: true, message: 'Quality metrics updated', data: quality });
   } catch (error) {
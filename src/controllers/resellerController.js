@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Reseller controller - margins earned on orders placed for customers
+ * @module controllers/resellerController
+ */
+
+const ResellerEarning = require('../models/ResellerEarning');
+const ResellerPayout = require('../models/ResellerPayout');
+const resellerService = require('../services/resellerService');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Reseller earnings dashboard
+ * @route   GET /api/v1/reseller/dashboard
+ * @access  Private
+ */
+exports.getDashboard = async (req, res, next) => {
+  try {
+    const dashboard = await resellerService.getDashboard(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...dashboard,
+        payoutDetails: req.user.resellerPayout?.method ? req.user.resellerPayout : null
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching reseller dashboard:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Margins earned per shipment
+ * @route   GET /api/v1/reseller/earnings
+ * @access  Private
+ */
+exports.getEarnings = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = { reseller: req.user._id };
+    if (status) query.status = status;
+
+    const earnings = await ResellerEarning.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit));
+
+    const total = await ResellerEarning.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: earnings.length,
+      total,
+      page: Number(page),
+      pages: Math.ceil(total / Number(limit)),
+      data: earnings
+    });
+  } catch (error) {
+    logger.error('Error fetching reseller earnings:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reseller payouts
+ * @route   GET /api/v1/reseller/payouts
+ * @access  Private
+ */
+exports.getPayouts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const payouts = await ResellerPayout.find({ reseller: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit));
+
+    const total = await ResellerPayout.countDocuments({ reseller: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      count: payouts.length,
+      total,
+      page: Number(page),
+      pages: Math.ceil(total / Number(limit)),
+      data: payouts
+    });
+  } catch (error) {
+    logger.error('Error fetching reseller payouts:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Request a payout of cleared margins now
+ * @route   POST /api/v1/reseller/payouts
+ * @access  Private
+ */
+exports.requestPayout = async (req, res, next) => {
+  try {
+    const payout = await resellerService.createPayout(req.user._id, {
+      actor: { user: req.user._id, role: 'user' }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout requested',
+      data: payout
+    });
+  } catch (error) {
+    logger.error('Error requesting reseller payout:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set the bank account or UPI ID margins are paid to
+ * @route   PUT /api/v1/reseller/payout-details
+ * @access  Private
+ */
+exports.updatePayoutDetails = async (req, res, next) => {
+  try {
+    const payoutDetails = await resellerService.updatePayoutDetails(req.user._id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout details updated',
+      data: payoutDetails
+    });
+  } catch (error) {
+    logger.error('Error updating reseller payout details:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Admin role controller (roles, permissions and role assignment)
+ * @module controllers/roleController
+ */
+
+const Role = require('../models/Role');
+const User = require('../models/User');
+const rbacService = require('../services/rbacService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, SUPER_ADMIN } = require('../config/permissions');
+const { sendSuccess, sendError } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+// Fields an admin may set on a role
+const EDITABLE_FIELDS = ['name', 'label', 'description', 'permissions'];
+
+const pickEditable = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+/**
+ * Permissions in the list that the admin does not hold
+ */
+const beyondOwn = (permissions, own) => (permissions || []).filter(permission => !rbacService.allows(own, permission));
+
+/**
+ * Get every permission a role can grant
+ * @route GET /api/v1/admin/permissions
+ * @access Private/Admin
+ */
+exports.getPermissions = async (req, res) => {
+  try {
+    const permissions = Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+
+    sendSuccess(res, 200, 'Permissions retrieved successfully', { permissions });
+  } catch (error) {
+    logger.error(`Get permissions error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving permissions');
+  }
+};
+
+/**
+ * Get the signed-in admin's roles and permissions
+ * @route GET /api/v1/admin/me/permissions
+ * @access Private/Admin
+ */
+exports.getMyPermissions = async (req, res) => {
+  try {
+    const roles = await Role.find({ _id: { $in: req.user.adminRoles || [] } }).select('name label permissions');
+    const permissions = await rbacService.permissionsFor(req.user);
+
+    sendSuccess(res, 200, 'Permissions retrieved successfully', { roles, permissions: [...permissions] });
+  } catch (error) {
+    logger.error(`Get my permissions error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving permissions');
+  }
+};
+
+/**
+ * Get admin roles with how many admins hold each
+ * @route GET /api/v1/admin/roles
+ * @access Private/Admin
+ */
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+    const counts = await User.aggregate([
+      { $match: { role: 'admin', adminRoles: { $in: roles.map(role => role._id) } } },
+      { $unwind: '$adminRoles' },
+      { $group: { _id: '$adminRoles', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(count => [count._id.toString(), count.count]));
+
+    const data = roles.map(role => ({ ...role, adminCount: countById.get(role._id.toString()) || 0 }));
+
+    sendSuccess(res, 200, 'Roles retrieved successfully', { roles: data });
+  } catch (error) {
+    logger.error(`Get roles error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving roles');
+  }
+};
+
+/**
+ * Create an admin role
+ * @route POST /api/v1/admin/roles
+ * @access Private/Admin
+ */
+exports.createRole = async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+
+    const beyond = beyondOwn(data.permissions, await rbacService.permissionsFor(req.user));
+    if (beyond.length > 0) {
+      return sendError(res, 403, `You cannot grant permissions you do not hold: ${beyond.join(', ')}`);
+    }
+
+    const role = await Role.create({ ...data, createdBy: req.user._id });
+
+    logger.info(`Admin role ${role.name} created by ${req.user._id}`);
+
+    await auditService.record(req, {
+      action: 'role.create',
+      target: { model: 'Role', id: role._id, code: role.name },
+      after: auditService.pick(role, EDITABLE_FIELDS)
+    });
+
+    sendSuccess(res, 201, 'Role created successfully', { role });
+  } catch (error) {
+    logger.error(`Create role error: ${error.message}`);
+    if (error.code === 11000) {
+      return sendError(res, 400, 'A role with this name already exists');
+    }
+    sendError(res, 400, error.message || 'Error creating role');
+  }
+};
+
+/**
+ * Update an admin role (built-in roles keep their name; super_admin cannot be changed)
+ * @route PUT /api/v1/admin/roles/:roleId
+ * @access Private/Admin
+ */
+exports.updateRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.roleId);
+    if (!role) {
+      return sendError(res, 404, 'Role not found');
+    }
+    if (role.name === SUPER_ADMIN) {
+      return sendError(res, 400, 'The super_admin role cannot be changed');
+    }
+
+    const updates = pickEditable(req.body);
+    if (role.isSystem && updates.name && updates.name !== role.name) {
+      return sendError(res, 400, 'Built-in roles cannot be renamed');
+    }
+
+    const own = await rbacService.permissionsFor(req.user);
+    const beyond = beyondOwn([...role.permissions, ...(updates.permissions || [])], own);
+    if (beyond.length > 0) {
+      return sendError(res, 403, `You cannot change a role with permissions you do not hold: ${[...new Set(beyond)].join(', ')}`);
+    }
+
+    const before = auditService.pick(role, EDITABLE_FIELDS);
+    role.set({ ...updates, updatedBy: req.user._id });
+    await role.save();
+
+    logger.info(`Admin role ${role.name} updated by ${req.user._id}`);
+
+    await auditService.record(req, {
+      action: 'role.update',
+      target: { model: 'Role', id: role._id, code: role.name },
+      before,
+      after: auditService.pick(role, EDITABLE_FIELDS)
+    });
+
+    sendSuccess(res, 200, 'Role updated successfully', { role });
+  } catch (error) {
+    logger.error(`Update role error: ${error.message}`);
+    if (error.code === 11000) {
+      return sendError(res, 400, 'A role with this name already exists');
+    }
+    sendError(res, 400, error.message || 'Error updating role');
+  }
+};
+
+/**
+ * Delete an admin role nobody holds (built-in roles cannot be deleted)
+ * @route DELETE /api/v1/admin/roles/:roleId
+ * @access Private/Admin
+ */
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.roleId);
+    if (!role) {
+      return sendError(res, 404, 'Role not found');
+    }
+    if (role.isSystem) {
+      return sendError(res, 400, 'Built-in roles cannot be deleted');
+    }
+
+    const holders = await User.countDocuments({ adminRoles: role._id });
+    if (holders > 0) {
+      return sendError(res, 400, `Role is held by ${holders} admins; take it away from them first`);
+    }
+
+    await role.deleteOne();
+
+    logger.info(`Admin role ${role.name} deleted by ${req.user._id}`);
+
+    await auditService.record(req, {
+      action: 'role.delete',
+      target: { model: 'Role', id: role._id, code: role.name },
+      before: auditService.pick(role, EDITABLE_FIELDS)
+    });
+
+    sendSuccess(res, 200, 'Role deleted successfully');
+  } catch (error) {
+    logger.error(`Delete role error: ${error.message}`);
+    sendError(res, 500, 'Error deleting role');
+  }
+};
+
+/**
+ * Get admin users with their roles
+ * @route GET /api/v1/admin/admins
+ * @access Private/Admin
+ */
+exports.getAdmins = async (req, res) => {
+  try {
+    const admins = await User.find({ role: 'admin' })
+      .select('name email phone isActive lastLogin adminRoles')
+      .populate('adminRoles', 'name label')
+      .sort({ name: 1 });
+
+    sendSuccess(res, 200, 'Admins retrieved successfully', { admins });
+  } catch (error) {
+    logger.error(`Get admins error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving admins');
+  }
+};
+
+/**
+ * Set the roles an admin holds
+ * @route PUT /api/v1/admin/admins/:userId/roles
+ * @access Private/Admin
+ */
+exports.assignRoles = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    const before = { adminRoles: (await Role.find({ _id: { $in: user.adminRoles } }).select('name')).map(role => role.name).sort() };
+    const roles = await rbacService.assignRoles(user, req.body.roles, req.user);
+
+    await auditService.record(req, {
+      action: 'admin.roles',
+      target: { model: 'User', id: user._id, code: user.email },
+      before,
+      after: { adminRoles: roles.map(role => role.name).sort() }
+    });
+
+    sendSuccess(res, 200, 'Roles assigned successfully', {
+      user: { _id: user._id, name: user.name, email: user.email },
+      roles: roles.map(role => ({ _id: role._id, name: role.name, label: role.label }))
+    });
+  } catch (error) {
+    logger.error(`Assign roles error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error assigning roles');
+  }
+};
@@ -3,11 +3,22 @@
  * @module controllers/sellerController
  */
 
+const mongoose = require('mongoose');
 const Seller = require('../models/Seller');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
 const SellerWallet = require('../models/SellerWallet');
 const PayoutTransaction = require('../models/PayoutTransaction');
+const OrderItemRequest = require('../models/OrderItemRequest');
+const Exchange = require('../models/Exchange');
+const SellerPenalty = require('../models/SellerPenalty');
+const orderLifecycle = require('../services/orderLifecycleService');
+const itemRequestService = require('../services/itemRequestService');
+const exchangeService = require('../services/exchangeService');
+const taxDeductionService = require('../services/taxDeductionService');
+const settlementStatementService = require('../services/settlementStatementService');
+const sellerStaffService = require('../services/sellerStaffService');
 const { sendSuccess, sendError } = require('../utils/responseHandler');
 const logger = require('../utils/logger');
 const { uploadToCloudinary, uploadMultipleToCloudinary } = require('../config/cloudinary');
@@ -20,14 +31,10 @@ const fs = require('fs');
  */
 exports.getDashboard = async (req, res) => {
   try {
-    const seller = await Seller.findOne({ user: req.user._id });
-    
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = req.seller;
 
     // Get recent orders
-    const recentOrders = await Order.find({ 'items.seller': seller._id })
+    const recentOrders = await SubOrder.find({ seller: seller._id })
       .sort({ createdAt: -1 })
       .limit(10)
       .populate('user', 'name email')
@@ -36,25 +43,25 @@ exports.getDashboard = async (req, res) => {
 
     // Calculate stats
     const totalProducts = await Product.countDocuments({ seller: seller._id });
-    const totalOrders = await Order.countDocuments({ 'items.seller': seller._id });
-    const pendingOrders = await Order.countDocuments({ 
-      'items.seller': seller._id,
+    const totalOrders = await SubOrder.countDocuments({ seller: seller._id });
+    const pendingOrders = await SubOrder.countDocuments({ 
+      seller: seller._id,
       status: { $in: ['pending', 'confirmed', 'processing'] }
     });
-    const pendingReturns = await Order.countDocuments({ 
-      'items.seller': seller._id,
+    const pendingReturns = await SubOrder.countDocuments({ 
+      seller: seller._id,
       status: 'return_requested'
     });
     
-    // Calculate total revenue from completed orders
-    const revenueData = await Order.aggregate([
-      { $match: { 'items.seller': seller._id, status: 'delivered' } },
+    // Calculate total revenue from completed shipments
+    const revenueData = await SubOrder.aggregate([
+      { $match: { seller: seller._id, status: 'delivered' } },
       { $group: { _id: null, total: { $sum: '$pricing.total' } } }
     ]);
     const totalRevenue = revenueData[0]?.total || 0;
 
     sendSuccess(res, 200, 'Dashboard data retrieved successfully', {
-      seller,
+      seller: sellerStaffService.visibleSeller(seller, req.sellerPermissions),
       stats: {
         totalProducts,
         totalOrders,
@@ -77,13 +84,13 @@ exports.getDashboard = async (req, res) => {
  */
 exports.getProfile = async (req, res) => {
   try {
-    const seller = await Seller.findOne({ user: req.user._id }).populate('user', '-password');
-    
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = await Seller.findById(req.seller._id).populate('user', '-password');
 
-    sendSuccess(res, 200, 'Profile retrieved successfully', { seller });
+    sendSuccess(res, 200, 'Profile retrieved successfully', {
+      seller: sellerStaffService.visibleSeller(seller, req.sellerPermissions),
+      role: req.sellerRole,
+      permissions: [...req.sellerPermissions]
+    });
   } catch (error) {
     logger.error(`Get seller profile error: ${error.message}`);
     sendError(res, 500, 'Error retrieving profile');
@@ -199,10 +206,7 @@ exports.updateProfile = async (req, res) => {
   try {
     const { shopName, description, businessAddress, categories } = req.body;
 
-    const seller = await Seller.findOne({ user: req.user._id });
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = req.seller;
 
     const updateData = {};
     
@@ -234,7 +238,7 @@ exports.updateProfile = async (req, res) => {
     Object.assign(seller, updateData);
     await seller.save();
 
-    sendSuccess(res, 200, 'Profile updated successfully', { seller });
+    sendSuccess(res, 200, 'Profile updated successfully', { seller: sellerStaffService.visibleSeller(seller, req.sellerPermissions) });
   } catch (error) {
     logger.error(`Update seller profile error: ${error.message}`);
     sendError(res, 500, 'Error updating profile');
@@ -248,10 +252,7 @@ exports.updateProfile = async (req, res) => {
  */
 exports.submitKYC = async (req, res) => {
   try {
-    const seller = await Seller.findOne({ user: req.user._id });
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = req.seller;
 
     const { aadharNumber, panNumber, gstNumber } = req.body;
     const kycData = {};
@@ -283,7 +284,7 @@ exports.submitKYC = async (req, res) => {
     Object.assign(seller, kycData);
     await seller.save();
 
-    sendSuccess(res, 200, 'KYC documents submitted successfully', { seller });
+    sendSuccess(res, 200, 'KYC documents submitted successfully', { seller: sellerStaffService.visibleSeller(seller, req.sellerPermissions) });
   } catch (error) {
     logger.error(`Submit KYC error: ${error.message}`);
     sendError(res, 500, 'Error submitting KYC documents');
@@ -297,10 +298,7 @@ exports.submitKYC = async (req, res) => {
  */
 exports.addBankDetails = async (req, res) => {
   try {
-    const seller = await Seller.findOne({ user: req.user._id });
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = req.seller;
 
     seller.bankDetails = req.body;
     await seller.save();
@@ -319,7 +317,7 @@ exports.addBankDetails = async (req, res) => {
  */
 exports.getProducts = async (req, res) => {
   try {
-    const seller = await Seller.findOne({ user: req.user._id });
+    const seller = req.seller;
     const { page = 1, limit = 20, status } = req.query;
 
     const query = { seller: seller._id };
@@ -354,11 +352,7 @@ exports.getProducts = async (req, res) => {
  */
 exports.updateProduct = async (req, res) => {
   try {
-    const seller = await Seller.findOne({ user: req.user._id });
-    
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = req.seller;
 
     const product = await Product.findOne({ 
       _id: req.params.id, 
@@ -370,7 +364,7 @@ exports.updateProduct = async (req, res) => {
     }
 
     // Update product fields
-    const allowedUpdates = ['stock', 'price', 'discount', 'isActive'];
+    const allowedUpdates = ['stock', 'price', 'discount', 'isActive', 'hsnCode', 'gstRate'];
     const updates = {};
     
     Object.keys(req.body).forEach(key => {
@@ -396,26 +390,23 @@ exports.updateProduct = async (req, res) => {
  */
 exports.getOrders = async (req, res) => {
   try {
-    const seller = await Seller.findOne({ user: req.user._id });
-    
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = req.seller;
 
     const { page = 1, limit = 20, status } = req.query;
 
-    const query = { 'items.seller': seller._id };
+    const query = { seller: seller._id };
     if (status) query.status = status;
 
-    const orders = await Order.find(query)
+    const orders = await SubOrder.find(query)
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .populate('user', 'name email phone')
       .populate('items.product', 'name images price')
+      .populate('order', 'shippingAddress payment')
       .lean();
 
-    const total = await Order.countDocuments(query);
+    const total = await SubOrder.countDocuments(query);
 
     sendSuccess(res, 200, 'Orders retrieved successfully', {
       orders,
@@ -440,44 +431,31 @@ exports.getOrders = async (req, res) => {
 exports.updateOrderStatus = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status, trackingId, courier } = req.body;
+    const { status, comment, trackingId, courier } = req.body;
 
-    const order = await Order.findById(orderId);
-    if (!order) {
+    const seller = req.seller;
+
+    // Sellers only ever act on their own shipment of the order
+    const subOrder = await SubOrder.findForSeller(orderId, seller._id);
+    if (!subOrder) {
       return sendError(res, 404, 'Order not found');
     }
 
-    order.status = status;
-    if (status === 'shipped') {
-      order.shippedAt = Date.now();
-      if (trackingId) order.tracking.trackingId = trackingId;
-      if (courier) order.tracking.courier = courier;
-    } else if (status === 'delivered') {
-      order.deliveredAt = Date.now();
-      order.payment.status = 'completed';
-      
-      // Calculate seller earnings when order is delivered
-      try {
-        await order.calculateSellerEarnings();
-        await order.save();
-        
-        // Update seller wallet
-        const SellerWallet = require('../models/SellerWallet');
-        const wallet = await SellerWallet.getOrCreate(seller._id);
-        await wallet.updateFromOrders();
-        
-        logger.info(`✅ Earnings calculated for order ${order.orderId}: ₹${order.earnings?.netSellerEarning}`);
-      } catch (earningError) {
-        logger.error(`❌ Error calculating earnings for order ${order.orderId}: ${earningError.message}`);
-        // Don't fail the delivery update if earnings calculation fails
-      }
-    }
+    await orderLifecycle.transition(subOrder, status, {
+      actor: { user: req.user._id, role: 'seller' },
+      comment,
+      tracking: { trackingId, courier }
+    });
 
-    await order.save();
+    // Reflect the shipment change on the buyer's order
+    await orderLifecycle.syncParentOrder(subOrder);
 
-    sendSuccess(res, 200, 'Order status updated successfully', { order });
+    sendSuccess(res, 200, 'Order status updated successfully', { order: subOrder });
   } catch (error) {
     logger.error(`Update order status error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
     sendError(res, 500, 'Error updating order status');
   }
 };
@@ -489,17 +467,14 @@ exports.updateOrderStatus = async (req, res) => {
  */
 exports.getReturns = async (req, res) => {
   try {
-    const seller = await Seller.findOne({ user: req.user._id });
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = req.seller;
 
     console.log('🔍 Seller ID:', seller._id);
     const { page = 1, limit = 15, status, search } = req.query;
 
-    // Query orders with return_requested or return statuses
+    // Query shipments with return_requested or return statuses
     const query = { 
-      'items.seller': seller._id,
+      seller: seller._id,
       status: { $in: ['return_requested', 'return_approved', 'return_rejected', 'returned'] }
     };
     
@@ -520,48 +495,92 @@ exports.getReturns = async (req, res) => {
       }
     }
 
-    const returns = await Order.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate('user', 'name email phone')
-      .populate('items.product', 'name images price')
-      .lean();
+    // Item-level return requests share the queue
+    const itemQuery = { seller: seller._id, type: 'return' };
+    if (status && status !== 'all') {
+      itemQuery.status = { pending: 'requested', refunded: 'completed' }[status] || status;
+    }
 
-    console.log('📦 Returns found:', returns.length);
+    // Both lists are sorted newest first, so the first page * limit of each is enough to build the page
+    const window = page * limit;
+    const [returns, itemReturns, shipmentTotal, itemTotal] = await Promise.all([
+      SubOrder.find(query)
+        .sort({ 'returnRequest.requestedAt': -1, createdAt: -1 })
+        .limit(window)
+        .populate('user', 'name email phone')
+        .populate('items.product', 'name images price')
+        .lean(),
+      OrderItemRequest.find(itemQuery)
+        .sort({ createdAt: -1 })
+        .limit(window)
+        .populate('user', 'name email phone')
+        .lean(),
+      SubOrder.countDocuments(query),
+      OrderItemRequest.countDocuments(itemQuery)
+    ]);
+
+    console.log('📦 Returns found:', returns.length + itemReturns.length);
     
-    const total = await Order.countDocuments(query);
+    const total = shipmentTotal + itemTotal;
 
     // Calculate stats
+    const itemCount = (itemStatus) => OrderItemRequest.countDocuments({ seller: seller._id, type: 'return', status: itemStatus });
     const stats = {
-      pending: await Order.countDocuments({ 'items.seller': seller._id, status: 'return_requested' }),
-      approved: await Order.countDocuments({ 'items.seller': seller._id, status: 'return_approved' }),
-      rejected: await Order.countDocuments({ 'items.seller': seller._id, status: 'return_rejected' }),
+      pending: await SubOrder.countDocuments({ seller: seller._id, status: 'return_requested' }) + await itemCount('requested'),
+      approved: await SubOrder.countDocuments({ seller: seller._id, status: 'return_approved' }) + await itemCount('approved'),
+      rejected: await SubOrder.countDocuments({ seller: seller._id, status: 'return_rejected' }) + await itemCount('rejected'),
       totalRefunded: 0
     };
 
     console.log('📊 Stats:', stats);
 
     // Calculate total refunded amount
-    const refundedOrders = await Order.find({ 
-      'items.seller': seller._id, 
+    const refundedOrders = await SubOrder.find({ 
+      seller: seller._id, 
       status: 'returned' 
     }).select('pricing.total');
-    stats.totalRefunded = refundedOrders.reduce((sum, order) => sum + (order.pricing?.total || 0), 0);
+    const refundedItems = await OrderItemRequest.find({ seller: seller._id, type: 'return', status: 'completed' })
+      .select('refundAmount');
+    stats.totalRefunded = refundedOrders.reduce((sum, order) => sum + (order.pricing?.total || 0), 0)
+      + refundedItems.reduce((sum, request) => sum + (request.refundAmount || 0), 0);
 
     // Transform returns
-    const formattedReturns = returns.map(order => ({
-      _id: order._id,
-      orderId: order.orderId,
-      customer: order.user,
-      items: order.items,
-      status: order.status,
-      reason: order.returnReason || order.returnRequest?.reason || 'Not specified',
-      totalAmount: order.pricing?.total || 0,
-      createdAt: order.createdAt,
-      updatedAt: order.updatedAt,
-      returnRequest: order.returnRequest
-    }));
+    const formattedReturns = [
+      ...returns.map(order => ({
+        _id: order._id,
+        level: 'shipment',
+        orderId: order.orderId,
+        subOrderId: order.subOrderId,
+        customer: order.user,
+        items: order.items,
+        status: order.status,
+        reason: order.returnReason || order.returnRequest?.reason || 'Not specified',
+        totalAmount: order.pricing?.total || 0,
+        requestedAt: order.returnRequest?.requestedAt || order.updatedAt,
+        createdAt: order.createdAt,
+        updatedAt: order.updatedAt,
+        returnRequest: order.returnRequest
+      })),
+      ...itemReturns.map(request => ({
+        _id: request._id,
+        level: 'item',
+        requestId: request.requestId,
+        orderId: request.orderId,
+        subOrderId: request.subOrderId,
+        customer: request.user,
+        items: [{ orderItem: request.orderItem, product: request.product, name: request.name, image: request.image, quantity: request.quantity }],
+        quantity: request.quantity,
+        status: request.status,
+        reason: request.reason,
+        images: request.images,
+        totalAmount: request.refundAmount,
+        requestedAt: request.createdAt,
+        createdAt: request.createdAt,
+        updatedAt: request.updatedAt
+      }))
+    ]
+      .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt))
+      .slice((page - 1) * limit, page * limit);
 
     sendSuccess(res, 200, 'Returns retrieved successfully', {
       returns: formattedReturns,
@@ -595,54 +614,155 @@ exports.updateReturnStatus = async (req, res) => {
       return sendError(res, 400, 'Invalid return status. Use return_approved, return_rejected, or returned');
     }
 
-    const order = await Order.findById(orderId);
+    // Verify seller owns this shipment
+    const seller = req.seller;
+
+    const order = await SubOrder.findForSeller(orderId, seller._id);
     if (!order) {
       return sendError(res, 404, 'Order not found');
     }
 
-    // Verify seller owns this order
-    const seller = await Seller.findOne({ user: req.user._id });
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    if (notes) order.returnNotes = notes;
 
-    // Check if seller owns at least one item in the order
-    const sellerOwnsItem = order.items.some(item => 
-      item.seller.toString() === seller._id.toString()
-    );
+    await orderLifecycle.transition(order, status, {
+      actor: { user: req.user._id, role: 'seller' },
+      comment: notes
+    });
+
+    // Reflect the return on the buyer's order
+    await orderLifecycle.syncParentOrder(order);
 
-    if (!sellerOwnsItem) {
-      return sendError(res, 403, 'Not authorized to update this return');
+    logger.info(`Return status updated to ${status} for order ${order.orderId} by seller ${seller._id}`);
+
+    sendSuccess(res, 200, 'Return status updated successfully', { order });
+  } catch (error) {
+    logger.error(`Update return status error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
     }
+    sendError(res, 500, 'Error updating return status');
+  }
+};
 
-    // Update order status and return request
-    order.status = status;
-    if (notes) order.returnNotes = notes;
+/**
+ * Update item-level return request
+ * @route PUT /api/v1/sellers/returns/items/:requestId
+ * @access Private/Seller
+ */
+exports.updateItemReturnStatus = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { status, notes } = req.body;
 
-    if (status === 'return_approved') {
-      order.returnRequest.status = 'approved';
-      order.returnRequest.approvedAt = new Date();
-    } else if (status === 'return_rejected') {
-      order.returnRequest.status = 'rejected';
-      order.returnRequest.rejectedAt = new Date();
-      order.returnRequest.rejectionReason = notes;
-    } else if (status === 'returned') {
-      order.returnRequest.status = 'completed';
-      order.returnRequest.completedAt = new Date();
-      order.payment.status = 'refunded';
+    if (!['approved', 'rejected', 'completed'].includes(status)) {
+      return sendError(res, 400, 'Invalid return status. Use approved, rejected, or completed');
     }
 
-    await order.save();
+    const seller = req.seller;
 
-    logger.info(`Return status updated to ${status} for order ${order.orderId} by seller ${seller._id}`);
+    const conditions = [{ requestId }];
+    if (mongoose.Types.ObjectId.isValid(requestId)) conditions.push({ _id: requestId });
+    const request = await OrderItemRequest.findOne({ seller: seller._id, type: 'return', $or: conditions });
+    if (!request) {
+      return sendError(res, 404, 'Return request not found');
+    }
 
-    sendSuccess(res, 200, 'Return status updated successfully', { order });
+    await itemRequestService.updateReturn(request, status, {
+      actor: { user: req.user._id, role: 'seller' },
+      notes
+    });
+
+    sendSuccess(res, 200, 'Return status updated successfully', { request });
   } catch (error) {
-    logger.error(`Update return status error: ${error.message}`);
+    logger.error(`Update item return status error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
     sendError(res, 500, 'Error updating return status');
   }
 };
 
+/**
+ * Get seller exchanges
+ * @route GET /api/v1/sellers/exchanges
+ * @access Private/Seller
+ */
+exports.getExchanges = async (req, res) => {
+  try {
+    const seller = req.seller;
+
+    const { page = 1, limit = 15, status } = req.query;
+
+    const query = { seller: seller._id };
+    if (status && status !== 'all') query.status = status;
+
+    const exchanges = await Exchange.find(query)
+      .populate('user', 'name email phone')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await Exchange.countDocuments(query);
+
+    const stats = {
+      requested: await Exchange.countDocuments({ seller: seller._id, status: 'requested' }),
+      inProgress: await Exchange.countDocuments({ seller: seller._id, status: { $in: ['approved', 'picked_up', 'replacement_shipped'] } }),
+      completed: await Exchange.countDocuments({ seller: seller._id, status: 'completed' }),
+      failed: await Exchange.countDocuments({ seller: seller._id, status: 'failed' })
+    };
+
+    sendSuccess(res, 200, 'Exchanges retrieved successfully', {
+      exchanges: exchanges.map(exchange => ({
+        ...exchange,
+        allowedTransitions: exchangeService.allowedTransitions(exchange.status, 'seller')
+      })),
+      stats,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error(`Get seller exchanges error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving exchanges');
+  }
+};
+
+/**
+ * Update exchange status (approve, pickup, ship replacement, complete, fail)
+ * @route PUT /api/v1/sellers/exchanges/:exchangeId
+ * @access Private/Seller
+ */
+exports.updateExchangeStatus = async (req, res) => {
+  try {
+    const { status, notes, trackingId, courier, url } = req.body;
+
+    const seller = req.seller;
+
+    const exchange = await exchangeService.findExchange(req.params.exchangeId, { seller: seller._id });
+    if (!exchange) {
+      return sendError(res, 404, 'Exchange not found');
+    }
+
+    await exchangeService.transition(exchange, status, {
+      actor: { user: req.user._id, role: 'seller' },
+      comment: notes,
+      tracking: { trackingId, courier, url }
+    });
+
+    sendSuccess(res, 200, 'Exchange status updated successfully', { exchange });
+  } catch (error) {
+    logger.error(`Update exchange status error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error updating exchange status');
+  }
+};
+
 /**
  * Get seller wallet details
  * @route GET /api/v1/sellers/wallet
@@ -650,17 +770,13 @@ exports.updateReturnStatus = async (req, res) => {
  */
 exports.getWallet = async (req, res) => {
   try {
-    const seller = await Seller.findOne({ user: req.user._id });
-    
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = req.seller;
 
     // Get or create wallet
     let wallet = await SellerWallet.getOrCreate(seller._id);
     
-    // Update wallet from orders
-    await wallet.updateFromOrders();
+    // Refresh wallet from the ledger
+    await wallet.syncFromLedger();
     
     // Reload wallet with updated values
     wallet = await SellerWallet.findOne({ seller: seller._id });
@@ -681,15 +797,11 @@ exports.getWallet = async (req, res) => {
  */
 exports.getPendingPayouts = async (req, res) => {
   try {
-    const seller = await Seller.findOne({ user: req.user._id });
-    
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = req.seller;
 
-    // Get orders with upcoming payout status
-    const orders = await Order.find({
-      'items.seller': seller._id,
+    // Get shipments with upcoming payout status
+    const orders = await SubOrder.find({
+      seller: seller._id,
       status: 'delivered',
       'payout.status': 'upcoming',
       'earnings.netSellerEarning': { $gt: 0 }
@@ -722,11 +834,7 @@ exports.getPendingPayouts = async (req, res) => {
  */
 exports.getPayoutHistory = async (req, res) => {
   try {
-    const seller = await Seller.findOne({ user: req.user._id });
-    
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = req.seller;
 
     const { page = 1, limit = 20, status } = req.query;
     const skip = (page - 1) * limit;
@@ -738,7 +846,7 @@ exports.getPayoutHistory = async (req, res) => {
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
-      .populate('orders', 'orderId pricing.itemsTotal earnings.netSellerEarning deliveredAt')
+      .populate('subOrders', 'subOrderId orderId pricing.itemsTotal earnings.netSellerEarning deliveredAt')
       .lean();
 
     const total = await PayoutTransaction.countDocuments(query);
@@ -766,11 +874,7 @@ exports.getPayoutHistory = async (req, res) => {
  */
 exports.requestPayout = async (req, res) => {
   try {
-    const seller = await Seller.findOne({ user: req.user._id });
-    
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = req.seller;
 
     const { orderIds, paymentMode = 'bank' } = req.body;
 
@@ -779,10 +883,10 @@ exports.requestPayout = async (req, res) => {
       return sendError(res, 400, 'Please add bank details before requesting payout');
     }
 
-    // Get orders ready for payout
-    const orders = await Order.find({
-      _id: { $in: orderIds },
-      'items.seller': seller._id,
+    // Get shipments ready for payout (orderIds may be sub-order or parent order ids)
+    const orders = await SubOrder.find({
+      $or: [{ _id: { $in: orderIds } }, { order: { $in: orderIds } }],
+      seller: seller._id,
       status: 'delivered',
       'payout.status': 'upcoming',
       'earnings.netSellerEarning': { $gt: 0 }
@@ -795,7 +899,8 @@ exports.requestPayout = async (req, res) => {
     // Create payout transaction
     const payout = new PayoutTransaction({
       seller: seller._id,
-      orders: orders.map(o => o._id),
+      orders: [...new Set(orders.map(o => o.order.toString()))],
+      subOrders: orders.map(o => o._id),
       paymentMode,
       paymentDetails: {
         accountNumber: seller.bankDetails.accountNumber,
@@ -807,13 +912,16 @@ exports.requestPayout = async (req, res) => {
       status: 'pending'
     });
 
-    // Calculate breakdown
+    // Calculate breakdown (nets off any negative balance on the account)
     await payout.calculateBreakdown();
+    if (payout.amount <= 0) {
+      return sendError(res, 400, 'Your account balance is negative after returns and penalties; it will be recovered from your next earnings');
+    }
     await payout.save();
 
-    // Update order payout status
-    await Order.updateMany(
-      { _id: { $in: orderIds } },
+    // Update shipment payout status
+    await SubOrder.updateMany(
+      { _id: { $in: payout.subOrders } },
       { $set: { 'payout.status': 'processing' } }
     );
 
@@ -833,16 +941,12 @@ exports.requestPayout = async (req, res) => {
  */
 exports.getEarningsBreakdown = async (req, res) => {
   try {
-    const seller = await Seller.findOne({ user: req.user._id });
-    
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = req.seller;
 
     const { startDate, endDate } = req.query;
     
     const query = {
-      'items.seller': seller._id,
+      seller: seller._id,
       status: 'delivered',
       'earnings.netSellerEarning': { $gt: 0 }
     };
@@ -854,47 +958,184 @@ exports.getEarningsBreakdown = async (req, res) => {
       };
     }
 
-    const orders = await Order.find(query)
+    const orders = await SubOrder.find(query)
       .populate('items.product', 'name category')
       .lean();
 
-    // Calculate breakdown
-    let totalSales = 0;
-    let totalCommission = 0;
-    let totalTax = 0;
-    let totalShipping = 0;
-    let totalPenalty = 0;
-    let netEarnings = 0;
+    // Calculate breakdown from item-level earnings
+    const totals = SubOrder.summarizeItemEarnings(orders, seller._id);
 
+    // Flatten to one line per item so mixed-category shipments show each commission
+    const items = [];
     orders.forEach(order => {
-      if (order.earnings) {
-        totalSales += order.pricing.itemsTotal;
-        totalCommission += order.earnings.platformCommission || 0;
-        totalTax += order.earnings.totalTax || 0;
-        totalShipping += order.earnings.shippingCharges || 0;
-        totalPenalty += order.earnings.penalty || 0;
-        netEarnings += order.earnings.netSellerEarning || 0;
-      }
+      order.items.forEach(item => {
+        items.push({
+          subOrderId: order.subOrderId,
+          orderId: order.orderId,
+          deliveredAt: order.deliveredAt,
+          product: item.product,
+          name: item.name,
+          quantity: item.quantity,
+          sale: Math.round(item.price * item.quantity * 100) / 100,
+          ...(item.earnings || {})
+        });
+      });
     });
 
     const breakdown = {
-      totalOrders: orders.length,
-      totalSales: Math.round(totalSales * 100) / 100,
-      totalCommission: Math.round(totalCommission * 100) / 100,
-      totalTax: Math.round(totalTax * 100) / 100,
-      totalShipping: Math.round(totalShipping * 100) / 100,
-      totalPenalty: Math.round(totalPenalty * 100) / 100,
-      netEarnings: Math.round(netEarnings * 100) / 100,
-      averageCommissionPercent: orders.length > 0 ? 
-        (orders.reduce((sum, o) => sum + (o.earnings?.commissionPercent || 0), 0) / orders.length).toFixed(2) : 0
+      totalOrders: totals.totalOrders,
+      totalItems: totals.totalItems,
+      totalSales: totals.totalSales,
+      totalCommission: totals.totalCommission,
+      totalTax: totals.totalTax,
+      totalShipping: totals.totalShipping,
+      totalPenalty: totals.totalPenalty,
+      netEarnings: totals.netEarnings,
+      averageCommissionPercent: totals.totalSales > 0 ?
+        ((totals.totalCommission / totals.totalSales) * 100).toFixed(2) : 0
     };
 
     logger.info(`Earnings breakdown fetched for seller ${seller._id}`);
 
-    sendSuccess(res, 200, 'Earnings breakdown fetched successfully', { breakdown, orders });
+    sendSuccess(res, 200, 'Earnings breakdown fetched successfully', { breakdown, items, orders });
   } catch (error) {
     logger.error(`Get earnings breakdown error: ${error.message}`);
     sendError(res, 500, 'Error fetching earnings breakdown');
   }
 };
 
+/**
+ * Get the settlement statement for one payout (format=pdf|xlsx|json, default pdf)
+ * @route GET /api/v1/sellers/payouts/:transactionId/statement
+ * @access Private/Seller
+ */
+exports.getPayoutStatement = async (req, res) => {
+  try {
+    const seller = req.seller;
+
+    const { format = 'pdf' } = req.query;
+    if (!settlementStatementService.FORMATS.includes(format)) {
+      return sendError(res, 400, `Format must be one of: ${settlementStatementService.FORMATS.join(', ')}`);
+    }
+
+    const payout = await PayoutTransaction.findOne({ transactionId: req.params.transactionId, seller: seller._id });
+    if (!payout) {
+      return sendError(res, 404, 'Payout not found');
+    }
+
+    const statement = await settlementStatementService.forPayout(payout);
+
+    if (format === 'json') {
+      return sendSuccess(res, 200, 'Payout statement fetched successfully', { statement });
+    }
+    settlementStatementService.sendFile(res, statement, format, `statement-${payout.transactionId}`);
+  } catch (error) {
+    logger.error(`Get payout statement error: ${error.message}`);
+    sendError(res, 500, 'Error generating payout statement');
+  }
+};
+
+/**
+ * Get the monthly settlement statement (format=pdf|xlsx|json, default pdf)
+ * @route GET /api/v1/sellers/statements?month=YYYY-MM
+ * @access Private/Seller
+ */
+exports.getMonthlyStatement = async (req, res) => {
+  try {
+    const seller = req.seller;
+
+    const { month, format = 'pdf' } = req.query;
+    if (!settlementStatementService.FORMATS.includes(format)) {
+      return sendError(res, 400, `Format must be one of: ${settlementStatementService.FORMATS.join(', ')}`);
+    }
+
+    const statement = await settlementStatementService.forMonth(seller._id, month);
+
+    if (format === 'json') {
+      return sendSuccess(res, 200, 'Monthly statement fetched successfully', { statement });
+    }
+    settlementStatementService.sendFile(res, statement, format, `statement-${month}`);
+  } catch (error) {
+    logger.error(`Get monthly statement error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error generating monthly statement');
+  }
+};
+
+/**
+ * Get TCS/TDS statement for a month or quarter (JSON, or a file with format=xlsx|csv)
+ * @route GET /api/v1/sellers/tax-statements
+ * @access Private/Seller
+ */
+exports.getTaxStatement = async (req, res) => {
+  try {
+    const seller = req.seller;
+
+    const { month, financialYear, quarter, format } = req.query;
+    const statement = await taxDeductionService.getStatement(seller._id, { month, financialYear, quarter });
+
+    if (format) {
+      const file = taxDeductionService.renderStatement(statement, format);
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+      return res.send(file.buffer);
+    }
+
+    sendSuccess(res, 200, 'Tax statement fetched successfully', { statement });
+  } catch (error) {
+    logger.error(`Get tax statement error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error fetching tax statement');
+  }
+};
+
+
+/**
+ * Get penalties charged to the seller
+ * @route GET /api/v1/sellers/penalties
+ * @access Private/Seller
+ */
+exports.getPenalties = async (req, res) => {
+  try {
+    const seller = req.seller;
+
+    const { page = 1, limit = 20, status, rule } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { seller: seller._id };
+    if (status) query.status = status;
+    if (rule) query.rule = rule;
+
+    const [penalties, total, totals] = await Promise.all([
+      SellerPenalty.find(query)
+        .select('-key -imposedBy -reversedBy')
+        .populate('claim', 'claimNumber status')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      SellerPenalty.countDocuments(query),
+      SellerPenalty.aggregate([
+        { $match: { seller: seller._id } },
+        { $group: { _id: '$status', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    sendSuccess(res, 200, 'Penalties fetched successfully', {
+      penalties,
+      summary: totals.reduce((summary, row) => ({ ...summary, [row._id]: { amount: Math.round(row.amount * 100) / 100, count: row.count } }), {}),
+      pagination: {
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    logger.error(`Get penalties error: ${error.message}`);
+    sendError(res, 500, 'Error fetching penalties');
+  }
+};
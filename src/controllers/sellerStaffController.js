@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Seller staff controller (shops, staff roles and invitations)
+ * @module controllers/sellerStaffController
+ */
+
+const sellerStaffService = require('../services/sellerStaffService');
+const auditService = require('../services/auditService');
+const { SELLER_PERMISSIONS, SELLER_ROLES } = require('../config/permissions');
+const { sendSuccess, sendError } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+const memberCode = (member) => member.invite.email || member.invite.phone;
+
+/**
+ * Get the shops the signed-in user can act for
+ * Pass a shop's ID in the X-Seller-Id header to act for it.
+ * @route GET /api/v1/sellers/shops
+ * @access Private
+ */
+exports.getMyShops = async (req, res) => {
+  try {
+    const shops = await sellerStaffService.shopsFor(req.user);
+
+    sendSuccess(res, 200, 'Shops retrieved successfully', { shops });
+  } catch (error) {
+    logger.error(`Get my shops error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving shops');
+  }
+};
+
+/**
+ * Get the staff roles a shop can give and what each allows
+ * @route GET /api/v1/sellers/staff/roles
+ * @access Private/Seller
+ */
+exports.getStaffRoles = async (req, res) => {
+  try {
+    const roles = Object.entries(SELLER_ROLES).map(([name, role]) => ({ name, ...role }));
+    const permissions = Object.entries(SELLER_PERMISSIONS).map(([name, description]) => ({ name, description }));
+
+    sendSuccess(res, 200, 'Staff roles retrieved successfully', { roles, permissions });
+  } catch (error) {
+    logger.error(`Get staff roles error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving staff roles');
+  }
+};
+
+/**
+ * Get the shop's owner, staff and open invitations
+ * @route GET /api/v1/sellers/staff
+ * @access Private/Seller
+ */
+exports.getStaff = async (req, res) => {
+  try {
+    const staff = await sellerStaffService.listStaff(req.seller);
+
+    sendSuccess(res, 200, 'Staff retrieved successfully', staff);
+  } catch (error) {
+    logger.error(`Get staff error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving staff');
+  }
+};
+
+/**
+ * Invite someone to the shop's staff by phone number or email
+ * @route POST /api/v1/sellers/staff/invitations
+ * @access Private/Seller
+ */
+exports.inviteStaff = async (req, res) => {
+  try {
+    const { email, phone, role } = req.body;
+    const { member, token } = await sellerStaffService.invite(req.seller, { email, phone, role }, req.user);
+
+    await auditService.record(req, {
+      action: 'seller_staff.invite',
+      target: { model: 'SellerMember', id: member._id, code: memberCode(member) },
+      after: auditService.pick(member, ['role', 'status']),
+      metadata: { seller: req.seller._id }
+    });
+
+    sendSuccess(res, 201, 'Invitation sent successfully', {
+      invitation: member,
+      token: process.env.NODE_ENV === 'development' ? token : undefined // Only show in dev
+    });
+  } catch (error) {
+    logger.error(`Invite staff error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error sending invitation');
+  }
+};
+
+/**
+ * Change a staff member's role, or the role an open invitation grants
+ * @route PUT /api/v1/sellers/staff/:memberId/role
+ * @access Private/Seller
+ */
+exports.updateStaffRole = async (req, res) => {
+  try {
+    const { member, previousRole } = await sellerStaffService.changeRole(req.seller, req.params.memberId, req.body.role, req.user);
+
+    await auditService.record(req, {
+      action: 'seller_staff.role',
+      target: { model: 'SellerMember', id: member._id, code: memberCode(member) },
+      before: { role: previousRole },
+      after: { role: member.role },
+      metadata: { seller: req.seller._id }
+    });
+
+    sendSuccess(res, 200, 'Staff role updated successfully', { member });
+  } catch (error) {
+    logger.error(`Update staff role error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error updating staff role');
+  }
+};
+
+/**
+ * Remove a staff member or withdraw an open invitation
+ * @route DELETE /api/v1/sellers/staff/:memberId
+ * @access Private/Seller
+ */
+exports.removeStaff = async (req, res) => {
+  try {
+    const member = await sellerStaffService.revoke(req.seller, req.params.memberId, req.user);
+
+    await auditService.record(req, {
+      action: 'seller_staff.revoke',
+      target: { model: 'SellerMember', id: member._id, code: memberCode(member) },
+      after: auditService.pick(member, ['role', 'status']),
+      reason: req.body?.reason,
+      metadata: { seller: req.seller._id }
+    });
+
+    sendSuccess(res, 200, 'Staff member removed successfully', { member });
+  } catch (error) {
+    logger.error(`Remove staff error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error removing staff member');
+  }
+};
+
+/**
+ * Get open invitations to the signed-in user's phone number or email
+ * @route GET /api/v1/sellers/invitations
+ * @access Private
+ */
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await sellerStaffService.invitationsFor(req.user);
+
+    sendSuccess(res, 200, 'Invitations retrieved successfully', { invitations });
+  } catch (error) {
+    logger.error(`Get invitations error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving invitations');
+  }
+};
+
+/**
+ * Accept an invitation and join the shop's staff
+ * Email invitations need the token from the emailed link.
+ * @route POST /api/v1/sellers/invitations/:invitationId/accept
+ * @access Private
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const member = await sellerStaffService.acceptInvitation(req.params.invitationId, req.user, req.body?.token);
+
+    await auditService.record(req, {
+      action: 'seller_staff.accept',
+      target: { model: 'SellerMember', id: member._id, code: memberCode(member) },
+      after: auditService.pick(member, ['role', 'status']),
+      metadata: { seller: member.seller }
+    });
+
+    sendSuccess(res, 200, 'Invitation accepted successfully', {
+      member,
+      sellerId: member.seller,
+      permissions: SELLER_ROLES[member.role].permissions
+    });
+  } catch (error) {
+    logger.error(`Accept invitation error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error accepting invitation');
+  }
+};
+
+/**
+ * Decline an invitation
+ * @route POST /api/v1/sellers/invitations/:invitationId/decline
+ * @access Private
+ */
+exports.declineInvitation = async (req, res) => {
+  try {
+    await sellerStaffService.declineInvitation(req.params.invitationId, req.user, req.body?.token);
+
+    sendSuccess(res, 200, 'Invitation declined');
+  } catch (error) {
+    logger.error(`Decline invitation error: ${error.message}`);
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
+    sendError(res, 500, 'Error declining invitation');
+  }
+};
@@ -3,10 +3,12 @@
  */
 
 const Support = require('../models/Support');
+const auditService = require('../services/auditService');
+const sellerStaffService = require('../services/sellerStaffService');
 
 exports.getAllTickets = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.query.sellerId;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.query.sellerId);
     const { status, category, page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
 
@@ -43,7 +45,7 @@ exports.getAllTickets = async (req, res) => {
 
 exports.getTicketById = async (req, res) => {
   try {
-    const ticket = await Support.findById(req.params.id)
+    const ticket = await Support.findOne({ _id: req.params.id, ...sellerStaffService.shopFilter(req) })
       .populate('assignedTo', 'name email')
       .populate('messages.sender', 'name email');
     if (!ticket) return res.status(404).json({ success: false, message: 'Ticket not found' });
@@ -55,7 +57,7 @@ exports.getTicketById = async (req, res) => {
 
 exports.createTicket = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.body.sellerId;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.body.sellerId);
     const ticketNumber = 'TKT' + Date.now();
     const ticket = await Support.create({ ...req.body, sellerId, ticketNumber });
     res.status(201).json({ success: true, message: 'Ticket created successfully', data: ticket });
@@ -67,7 +69,7 @@ exports.createTicket = async (req, res) => {
 exports.addMessage = async (req, res) => {
   try {
     const { message, attachments } = req.body;
-    const ticket = await Support.findById(req.params.id);
+    const ticket = await Support.findOne({ _id: req.params.id, ...sellerStaffService.shopFilter(req) });
     if (!ticket) return res.status(404).json({ success: false, message: 'Ticket not found' });
 
     ticket.messages.push({
@@ -86,12 +88,20 @@ exports.addMessage = async (req, res) => {
 exports.updateTicketStatus = async (req, res) => {
   try {
     const { status } = req.body;
+    const before = await Support.findById(req.params.id).select('status').lean();
     const ticket = await Support.findByIdAndUpdate(
       req.params.id,
       { status, resolvedAt: status === 'resolved' ? new Date() : undefined },
       { new: true }
     );
     if (!ticket) return res.status(404).json({ success: false, message: 'Ticket not found' });
+
+    await auditService.record(req, {
+      action: 'support_ticket.status',
+      target: { model: 'Support', id: ticket._id, code: ticket.ticketNumber },
+      before: auditService.pick(before, ['status']),
+      after: auditService.pick(ticket, ['status'])
+    });
     res.status(200).json({ success: true, message: 'Ticket status updated', data: ticket });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to update ticket', error: error.message });
@@ -5,6 +5,7 @@
 
 const User = require('../models/User');
 const Order = require('../models/Order');
+const walletService = require('../services/walletService');
 const { sendSuccess, sendError } = require('../utils/responseHandler');
 const logger = require('../utils/logger');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
@@ -18,7 +19,18 @@ const fs = require('fs');
 exports.getProfile = async (req, res) => {
   try {
     const user = await User.findById(req.user._id).populate('wishlist');
-    sendSuccess(res, 200, 'Profile retrieved successfully', { user });
+    const wallet = await walletService.getWallet(req.user._id);
+    const { transactions } = await walletService.getTransactions(req.user._id, { limit: 5 });
+
+    sendSuccess(res, 200, 'Profile retrieved successfully', {
+      user,
+      wallet: {
+        balance: wallet.balance,
+        totalCredited: wallet.totalCredited,
+        totalDebited: wallet.totalDebited,
+        recentTransactions: transactions
+      }
+    });
   } catch (error) {
     logger.error(`Get profile error: ${error.message}`);
     sendError(res, 500, 'Error retrieving profile');
@@ -169,6 +181,34 @@ exports.getOrders = async (req, res) => {
   }
 };
 
+/**
+ * Get wallet balance and transaction history
+ * @route GET /api/v1/users/wallet
+ * @access Private
+ */
+exports.getWallet = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type } = req.query;
+
+    const wallet = await walletService.getWallet(req.user._id);
+    const { transactions, total } = await walletService.getTransactions(req.user._id, { page, limit, type });
+
+    sendSuccess(res, 200, 'Wallet retrieved successfully', {
+      wallet,
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error(`Get wallet error: ${error.message}`);
+    sendError(res, 500, 'Error retrieving wallet');
+  }
+};
+
 /**
  * Add product to wishlist
  * @route POST /api/v1/users/wishlist/:productId
@@ -3,10 +3,11 @@
  */
 
 const Warehouse = require('../models/Warehouse');
+const sellerStaffService = require('../services/sellerStaffService');
 
 exports.getAllWarehouses = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.query.sellerId;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.query.sellerId);
     const { status } = req.query;
 
     const query = { sellerId };
@@ -28,7 +29,7 @@ exports.getAllWarehouses = async (req, res) => {
 
 exports.getWarehouseById = async (req, res) => {
   try {
-    const warehouse = await Warehouse.findById(req.params.id);
+    const warehouse = await Warehouse.findOne({ _id: req.params.id, ...sellerStaffService.shopFilter(req) });
     if (!warehouse) return res.status(404).json({ success: false, message: 'Warehouse not found' });
     res.status(200).json({ success: true, data: warehouse });
   } catch (error) {
@@ -38,7 +39,8 @@ exports.getWarehouseById = async (req, res) => {
 
 exports.createWarehouse = async (req, res) => {
   try {
-    const sellerId = req.seller?._id || req.user?.seller?._id || req.body.sellerId;
+    const sellerId = sellerStaffService.sellerIdFor(req, req.body.sellerId);
+    if (!sellerId) return res.status(400).json({ success: false, message: 'Seller ID required' });
     const warehouse = await Warehouse.create({ ...req.body, sellerId });
     res.status(201).json({ success: true, message: 'Warehouse created successfully', data: warehouse });
   } catch (error) {
@@ -48,7 +50,8 @@ exports.createWarehouse = async (req, res) => {
 
 exports.updateWarehouse = async (req, res) => {
   try {
-    const warehouse = await Warehouse.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const shop = sellerStaffService.shopFilter(req);
+    const warehouse = await Warehouse.findOneAndUpdate({ _id: req.params.id, ...shop }, { ...req.body, ...shop }, { new: true });
     if (!warehouse) return res.status(404).json({ success: false, message: 'Warehouse not found' });
     res.status(200).json({ success: true, message: 'Warehouse updated successfully', data: warehouse });
   } catch (error) {
@@ -58,7 +61,7 @@ exports.updateWarehouse = async (req, res) => {
 
 exports.deleteWarehouse = async (req, res) => {
   try {
-    const warehouse = await Warehouse.findByIdAndDelete(req.params.id);
+    const warehouse = await Warehouse.findOneAndDelete({ _id: req.params.id, ...sellerStaffService.shopFilter(req) });
     if (!warehouse) return res.status(404).json({ success: false, message: 'Warehouse not found' });
     res.status(200).json({ success: true, message: 'Warehouse deleted successfully' });
   } catch (error) {
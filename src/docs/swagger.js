@@ -428,6 +428,68 @@ const options = {
             status: {
               type: 'string',
               enum: ['pending', 'confirmed', 'processing', 'shipped', 'out_for_delivery', 'delivered', 'cancelled', 'returned', 'refunded']
+            },
+            subOrders: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/SubOrder'
+              }
+            }
+          }
+        },
+        SubOrder: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            subOrderId: { type: 'string' },
+            order: { type: 'string' },
+            orderId: { type: 'string' },
+            seller: { type: 'string' },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  orderItem: { type: 'string' },
+                  product: { type: 'string' },
+                  name: { type: 'string' },
+                  price: { type: 'number' },
+                  quantity: { type: 'number' },
+                  category: { type: 'string' },
+                  earnings: {
+                    type: 'object',
+                    properties: {
+                      commissionPercent: { type: 'number' },
+                      platformCommission: { type: 'number' },
+                      shippingCharges: { type: 'number' },
+                      totalTax: { type: 'number' },
+                      penalty: { type: 'number' },
+                      netSellerEarning: { type: 'number' }
+                    }
+                  }
+                }
+              }
+            },
+            pricing: {
+              type: 'object',
+              properties: {
+                itemsTotal: { type: 'number' },
+                shippingCharge: { type: 'number' },
+                discount: { type: 'number' },
+                total: { type: 'number' }
+              }
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'confirmed', 'processing', 'shipped', 'out_for_delivery', 'delivered', 'cancelled', 'return_requested', 'return_approved', 'return_rejected', 'returned', 'refunded']
+            },
+            tracking: {
+              type: 'object',
+              properties: {
+                courier: { type: 'string' },
+                trackingId: { type: 'string' },
+                url: { type: 'string' }
+              }
             }
           }
         },
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Builds the scheduled seller payout batch, resends failed transfers and releases seller reserves
+ * @module jobs/payoutCycleJob
+ */
+
+const payoutService = require('../services/payoutService');
+const logger = require('../utils/logger');
+
+const INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Create the cycle's batch if one is due, resend transfers due for a retry
+ * and release reserves that are due
+ * @returns {Promise<Object>} { batch, resent, released }
+ */
+const run = () => payoutService.runCycle();
+
+/**
+ * Start the hourly payout cycle check
+ * @param {number} [intervalMs] - how often to check
+ * @returns {NodeJS.Timeout} interval handle
+ */
+const start = (intervalMs = INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    run().catch(error => logger.error(`Payout cycle job error: ${error.message}`));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { run, start };
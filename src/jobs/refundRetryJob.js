@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Retries refunds that failed to reach the buyer
+ * @module jobs/refundRetryJob
+ */
+
+const refundService = require('../services/refundService');
+const logger = require('../utils/logger');
+
+const INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Send failed refunds whose retry time has come
+ * @returns {Promise<number>} number of refunds retried
+ */
+const run = async () => {
+  const due = await refundService.findDueRetries();
+  let retried = 0;
+
+  for (const refund of due) {
+    try {
+      await refundService.processRefund(refund, { actor: { role: 'system' } });
+      retried += 1;
+    } catch (error) {
+      logger.error(`Refund retry error for ${refund.refundId}: ${error.message}`);
+    }
+  }
+
+  return retried;
+};
+
+/**
+ * Start the retry loop
+ * @param {number} [intervalMs] - how often to look for refunds to retry
+ * @returns {NodeJS.Timeout} interval handle
+ */
+const start = (intervalMs = INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    run().catch(error => logger.error(`Refund retry job error: ${error.message}`));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { run, start };
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Pays out reseller margins that have cleared the return window
+ * @module jobs/resellerPayoutJob
+ */
+
+const resellerService = require('../services/resellerService');
+const logger = require('../utils/logger');
+
+const INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a payout for every reseller with cleared earnings
+ * @returns {Promise<number>} number of payouts created
+ */
+const run = () => resellerService.runPayouts();
+
+/**
+ * Start the daily payout run
+ * @param {number} [intervalMs] - how often to pay out
+ * @returns {NodeJS.Timeout} interval handle
+ */
+const start = (intervalMs = INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    run().catch(error => logger.error(`Reseller payout job error: ${error.message}`));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { run, start };
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Releases stock held for online orders that were never paid
+ * @module jobs/reservationExpiryJob
+ */
+
+const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
+const stockService = require('../services/stockService');
+const couponService = require('../services/couponService');
+const orderLifecycle = require('../services/orderLifecycleService');
+const logger = require('../utils/logger');
+
+const INTERVAL_MS = 60 * 1000;
+
+/**
+ * Release expired reservations and cancel the unpaid orders behind them
+ * @returns {Promise<number>} number of reservations released
+ */
+const run = async () => {
+  const expired = await stockService.findExpired();
+  let released = 0;
+
+  for (const reservation of expired) {
+    try {
+      const order = await Order.findById(reservation.order);
+      if (!order) {
+        await stockService.release({ _id: reservation.order, items: [] }, {
+          reason: 'Order not found',
+          expired: true
+        });
+        continue;
+      }
+
+      // Claim the payment so one arriving now is refunded instead of confirming the order
+      const claim = await Order.updateOne(
+        { _id: order._id, 'payment.status': 'pending' },
+        { $set: { 'payment.status': 'failed' } }
+      );
+      if (claim.modifiedCount === 0) continue;
+      order.payment.status = 'failed';
+
+      await stockService.release(order, {
+        reason: 'Payment not received in time',
+        expired: true
+      });
+      await couponService.releaseRedemptions(order._id);
+
+      // Only shipments still waiting for payment are cancelled
+      const subOrders = await SubOrder.find({ order: order._id, status: 'pending' });
+      for (const subOrder of subOrders) {
+        await orderLifecycle.transition(subOrder, 'cancelled', {
+          actor: { role: 'system' },
+          comment: 'Payment not received in time',
+          order
+        });
+      }
+
+      await order.syncStatusFromSubOrders();
+      if (order.status === 'cancelled') {
+        order.cancellationReason = 'Payment not received in time';
+      }
+      await order.save();
+
+      released += 1;
+      logger.info(`Released expired stock reservation for order ${order.orderId}`);
+    } catch (error) {
+      logger.error(`Reservation expiry error for order ${reservation.orderId}: ${error.message}`);
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Start the sweeper
+ * @param {number} [intervalMs] - how often to look for expired reservations
+ * @returns {NodeJS.Timeout} interval handle
+ */
+const start = (intervalMs = INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    run().catch(error => logger.error(`Reservation expiry job error: ${error.message}`));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { run, start };
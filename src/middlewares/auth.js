@@ -5,6 +5,8 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const rbacService = require('../services/rbacService');
+const sellerStaffService = require('../services/sellerStaffService');
 const { sendError } = require('../utils/responseHandler');
 const logger = require('../utils/logger');
 
@@ -74,6 +76,35 @@ exports.authorize = (...roles) => {
   };
 };
 
+/**
+ * Require admin permissions (see config/permissions)
+ * Admins need every permission listed, through the roles they hold. Sellers
+ * and buyers pass: what they may reach is decided by authorize() and by the
+ * ownership checks in the controllers.
+ * @param {...string} permissions - Required permissions
+ * @returns {Function} Middleware function
+ */
+exports.requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (req.user.role !== 'admin') return next();
+
+      if (!req.permissions) {
+        req.permissions = await rbacService.permissionsFor(req.user);
+      }
+
+      const missing = permissions.filter(permission => !rbacService.allows(req.permissions, permission));
+      if (missing.length > 0) {
+        return sendError(res, 403, `You need the ${missing.join(', ')} permission to access this route`);
+      }
+      next();
+    } catch (error) {
+      logger.error(`Permission check error: ${error.message}`);
+      return sendError(res, 500, 'Error checking permissions');
+    }
+  };
+};
+
 /**
  * Optional authentication - user can be guest or authenticated
  * @param {Object} req - Express request object
@@ -108,32 +139,61 @@ exports.optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Verify seller profile exists
+ * Resolve the shop the seller is acting for and check it is active
+ * The user's own shop, the one picked with the X-Seller-Id header, or their
+ * only staff membership (see sellerStaffService.resolveShop). Sets
+ * req.seller, req.sellerMember, req.sellerRole and req.sellerPermissions.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
 exports.verifySeller = async (req, res, next) => {
   try {
-    const Seller = require('../models/Seller');
-    const seller = await Seller.findOne({ user: req.user._id });
-
-    if (!seller) {
-      return sendError(res, 404, 'Seller profile not found');
-    }
+    const seller = await sellerStaffService.resolveShop(req);
 
     if (!seller.isActive) {
       return sendError(res, 403, 'Your seller account is inactive');
     }
 
-    req.seller = seller;
     next();
   } catch (error) {
+    if (error.isOperational) {
+      return sendError(res, error.statusCode, error.message);
+    }
     logger.error(`Seller verification error: ${error.message}`);
     return sendError(res, 500, 'Error verifying seller');
   }
 };
 
+/**
+ * verifySeller for sellers; other roles (admins) pass without a shop
+ * For routes shared by sellers and admins: sellers act for their own shop,
+ * admins name the seller in the request.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.loadSeller = (req, res, next) => (req.user.role === 'seller' ? exports.verifySeller(req, res, next) : next());
+
+/**
+ * Require seller staff permissions in the current shop (see config/permissions)
+ * Runs after verifySeller. Only sellers are checked; admins reaching a
+ * seller route pass.
+ * @param {...string} permissions - Required permissions
+ * @returns {Function} Middleware function
+ */
+exports.requireSellerPermission = (...permissions) => {
+  return (req, res, next) => {
+    if (req.user.role !== 'seller') return next();
+
+    const missing = permissions.filter(permission => !req.sellerPermissions || !req.sellerPermissions.has(permission));
+    if (missing.length > 0) {
+      return sendError(res, 403, `Your staff role does not allow this (needs ${missing.join(', ')})`);
+    }
+    next();
+  };
+};
+
 /**
  * Check if seller is verified
  * @param {Object} req - Express request object
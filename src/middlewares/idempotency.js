@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Idempotency-Key middleware for non-repeatable POST endpoints
+ * @module middlewares/idempotency
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { sendError } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON.stringify with sorted object keys so field order does not change the fingerprint
+ * @param {*} value
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Fingerprint of the request a key was first used with
+ * @param {Object} req - Express request object
+ * @returns {string} sha256 hex digest
+ */
+const fingerprintRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Make a route idempotent when the client sends an Idempotency-Key header
+ * - same key, same payload: the stored response is replayed
+ * - same key, different payload: 422
+ * - same key while the first request is still running: 409
+ * Requests without the header behave as before. Must run after `protect`.
+ * @param {string} scope - name of the operation, keeps keys from colliding across endpoints
+ * @returns {Function} Express middleware function
+ */
+exports.idempotency = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return sendError(res, 400, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+  }
+
+  const fingerprint = fingerprintRequest(req);
+  const lookup = { user: req.user._id, scope, key };
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({ ...lookup, fingerprint });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+
+    const existing = await IdempotencyKey.findOne(lookup).lean();
+    if (!existing) {
+      // Expired between the insert and the lookup; treat as new
+      return exports.idempotency(scope)(req, res, next);
+    }
+    if (existing.fingerprint !== fingerprint) {
+      return sendError(res, 422, 'Idempotency-Key has already been used with a different request');
+    }
+    if (existing.status !== 'completed') {
+      return sendError(res, 409, 'A request with this Idempotency-Key is still being processed');
+    }
+
+    logger.info(`Replaying ${scope} response for Idempotency-Key ${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response.statusCode).json(existing.response.body);
+  }
+
+  // Capture the response so it can be replayed for retries
+  let settled = false;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    const statusCode = res.statusCode;
+    const settle = statusCode >= 500
+      // Server errors are not remembered so the client can retry
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        // Store what the client actually receives (toJSON output of any documents)
+        { $set: { status: 'completed', response: { statusCode, body: JSON.parse(JSON.stringify(body)) } } }
+      );
+
+    // Store before replying so an immediate retry sees the completed record
+    settle
+      .catch(error => logger.error(`Idempotency-Key ${key} store error: ${error.message}`))
+      .finally(() => originalJson(body));
+    return res;
+  };
+
+  // Connection dropped before a response: free the key for a retry
+  res.on('close', () => {
+    if (!settled) {
+      IdempotencyKey.deleteOne({ _id: record._id })
+        .catch(error => logger.error(`Idempotency-Key ${key} cleanup error: ${error.message}`));
+    }
+  });
+
+  next();
+};
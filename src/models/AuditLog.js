@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Audit Log model schema
+ * @module models/AuditLog
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Audit Log Schema
+ * One privileged action taken by an admin (or other staff): who did it, from
+ * where, what it was done to and which fields changed. Entries are written by
+ * auditService and can never be edited or deleted.
+ * @typedef {Object} AuditLog
+ * @property {Object} actor - User who took the action
+ * @property {string} role - Actor's role at the time
+ * @property {string} action - What was done, as entity.verb (e.g. seller.verify)
+ * @property {Object} target - Entity acted on: model, id and a readable code
+ * @property {Array<Object>} changes - Fields that changed: path, from, to
+ * @property {string} reason - Reason or notes given with the action
+ * @property {string} ip - Client IP address
+ * @property {string} userAgent - Client user agent
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Copied so the log still reads after the user is renamed or removed
+    actorName: String,
+    actorEmail: String,
+    role: {
+      type: String,
+      required: true
+    },
+    action: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    target: {
+      model: {
+        type: String,
+        required: true
+      },
+      id: mongoose.Schema.Types.ObjectId,
+      code: String
+    },
+    changes: [
+      {
+        _id: false,
+        path: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+      }
+    ],
+    reason: String,
+    // Anything else worth keeping (amounts, counts, request options)
+    metadata: mongoose.Schema.Types.Mixed,
+    ip: String,
+    userAgent: String,
+    method: String,
+    url: String
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.model': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.code': 1 });
+
+// Entries are never edited or removed once written
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Audit log entries cannot be changed'));
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function (next) {
+    next(new Error('Audit log entries cannot be changed'));
+  }
+);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
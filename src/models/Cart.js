@@ -53,6 +53,11 @@ const cartSchema = new mongoose.Schema(
     totalPrice: {
       type: Number,
       default: 0
+    },
+    // Coupon codes the buyer has applied; re-validated at checkout
+    coupons: {
+      type: [String],
+      default: []
     }
   },
   {
@@ -16,6 +16,11 @@ const claimSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Order',
     },
+    // Penalty being disputed (penalty-dispute claims)
+    penalty: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SellerPenalty',
+    },
     claimNumber: {
       type: String,
       unique: true,
@@ -23,7 +28,7 @@ const claimSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['payment-dispute', 'product-damage', 'quality-issue', 'return-dispute', 'shipping-issue', 'other'],
+      enum: ['payment-dispute', 'penalty-dispute', 'product-damage', 'quality-issue', 'return-dispute', 'shipping-issue', 'other'],
       required: true,
     },
     subject: {
@@ -88,6 +93,7 @@ const claimSchema = new mongoose.Schema(
 
 claimSchema.index({ sellerId: 1, status: 1 });
 claimSchema.index({ claimNumber: 1 });
+claimSchema.index({ penalty: 1 });
 claimSchema.index({ createdAt: -1 });
 
 const Claim = mongoose.model('Claim', claimSchema);
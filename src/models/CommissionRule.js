@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Commission Rule model schema
+ * @module models/CommissionRule
+ */
+
+const mongoose = require('mongoose');
+const Seller = require('./Seller');
+
+/**
+ * Commission Rule Schema
+ * Sets the platform commission for the order lines it matches. Empty
+ * conditions match everything; a category matches its whole subtree. When
+ * several rules match a line the highest priority wins, then the more
+ * specific rule, then the newer one. A rule with 0% is a zero-commission
+ * promotion.
+ * @typedef {Object} CommissionRule
+ * @property {string} name - Admin-facing rule name
+ * @property {number} commissionPercent - Commission charged on the line (0-100)
+ * @property {number} priority - Higher priority rules win
+ * @property {Object} conditions - Categories, sellers, seller tiers and unit price band
+ * @property {Date} validFrom - Orders placed from here are covered
+ * @property {Date} validUntil - Orders placed up to here are covered
+ */
+const commissionRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+      maxlength: [100, 'Rule name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    commissionPercent: {
+      type: Number,
+      required: [true, 'Commission percent is required'],
+      min: 0,
+      max: 100
+    },
+    priority: {
+      type: Number,
+      default: 0
+    },
+    // Empty lists and unset prices mean "no restriction" on that dimension
+    conditions: {
+      categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+      sellers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Seller' }],
+      sellerTiers: [{
+        type: String,
+        enum: Seller.schema.path('tier').enumValues
+      }],
+      // Unit price band, inclusive
+      minPrice: { type: Number, min: 0 },
+      maxPrice: { type: Number, min: 0 }
+    },
+    validFrom: Date,
+    validUntil: Date,
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+commissionRuleSchema.index({ isActive: 1, validFrom: 1, validUntil: 1 });
+commissionRuleSchema.index({ priority: -1 });
+
+commissionRuleSchema.pre('validate', function (next) {
+  const { minPrice, maxPrice } = this.conditions || {};
+  if (minPrice != null && maxPrice != null && maxPrice < minPrice) {
+    return next(new Error('maxPrice must not be below minPrice'));
+  }
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    return next(new Error('validUntil must be after validFrom'));
+  }
+  next();
+});
+
+/**
+ * Number of conditions the rule sets, used to prefer narrower rules
+ * @returns {number}
+ */
+commissionRuleSchema.methods.specificity = function () {
+  const { categories, sellers, sellerTiers, minPrice, maxPrice } = this.conditions || {};
+  return [
+    categories?.length,
+    sellers?.length,
+    sellerTiers?.length,
+    minPrice != null || maxPrice != null,
+    this.validFrom || this.validUntil
+  ].filter(Boolean).length;
+};
+
+/**
+ * Check an order line against the rule
+ * @param {Object} line - { categoryPath, seller, sellerTier, price, date }
+ *   categoryPath lists the line's category followed by its ancestors
+ * @returns {Array<string>} conditions the line fails (empty when the rule matches)
+ */
+commissionRuleSchema.methods.mismatches = function (line) {
+  const has = (list, id) => list.some(entry => entry.toString() === id?.toString());
+  const { categories, sellers, sellerTiers, minPrice, maxPrice } = this.conditions || {};
+  const reasons = [];
+
+  if (!this.isActive) reasons.push('rule is inactive');
+  if (this.validFrom && line.date < this.validFrom) reasons.push('order placed before the rule starts');
+  if (this.validUntil && line.date > this.validUntil) reasons.push('order placed after the rule ends');
+  if (categories?.length && !line.categoryPath.some(id => has(categories, id))) {
+    reasons.push('category is outside the rule');
+  }
+  if (sellers?.length && !has(sellers, line.seller)) reasons.push('seller is not covered');
+  if (sellerTiers?.length && !sellerTiers.includes(line.sellerTier)) reasons.push(`seller tier ${line.sellerTier} is not covered`);
+  if (minPrice != null && line.price < minPrice) reasons.push(`price is below ${minPrice}`);
+  if (maxPrice != null && line.price > maxPrice) reasons.push(`price is above ${maxPrice}`);
+  return reasons;
+};
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
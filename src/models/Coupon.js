@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Coupon model schema
+ * @module models/Coupon
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Coupon Schema
+ * @typedef {Object} Coupon
+ * @property {string} code - Code the buyer enters (stored upper-case)
+ * @property {string} type - percentage | flat | free_shipping
+ * @property {number} value - Percent off or flat amount off
+ * @property {number} minOrderValue - Minimum eligible subtotal
+ * @property {number} maxDiscount - Cap on the discount (0 = no cap)
+ * @property {number} usageLimit - Total redemptions allowed (0 = unlimited)
+ * @property {number} perUserLimit - Redemptions allowed per buyer (0 = unlimited)
+ * @property {Object} scope - Restrict to categories, sellers and/or products
+ * @property {boolean} stackable - Can be combined with other stackable coupons
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Coupon code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, 'Coupon code must be 3-32 letters, digits, - or _']
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['percentage', 'flat', 'free_shipping'],
+      required: true
+    },
+    value: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    maxDiscount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    usageLimit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    validFrom: {
+      type: Date,
+      default: Date.now
+    },
+    validUntil: Date,
+    // Empty lists mean "no restriction" on that dimension
+    scope: {
+      categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+      sellers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Seller' }],
+      products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }]
+    },
+    stackable: {
+      type: Boolean,
+      default: false
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+couponSchema.index({ isActive: 1, validFrom: 1, validUntil: 1 });
+
+couponSchema.pre('validate', function (next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    return next(new Error('Percentage coupons need a value between 0 and 100'));
+  }
+  if (this.type === 'flat' && this.value <= 0) {
+    return next(new Error('Flat coupons need a positive value'));
+  }
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    return next(new Error('validUntil must be after validFrom'));
+  }
+  next();
+});
+
+/**
+ * Check whether an order line falls inside the coupon's scope
+ * @param {Object} line - { product, seller, category }
+ * @returns {boolean}
+ */
+couponSchema.methods.appliesTo = function (line) {
+  const has = (list, id) => list.some(entry => entry.toString() === id?.toString());
+  const { categories, sellers, products } = this.scope || {};
+
+  if (categories?.length && !has(categories, line.category)) return false;
+  if (sellers?.length && !has(sellers, line.seller)) return false;
+  if (products?.length && !has(products, line.product)) return false;
+  return true;
+};
+
+/**
+ * Whether the coupon can be used at the given moment (ignores per-user limits)
+ * @param {Date} [at]
+ * @returns {string|null} reason it cannot be used, or null
+ */
+couponSchema.methods.unavailableReason = function (at = new Date()) {
+  if (!this.isActive) return 'Coupon is no longer active';
+  if (this.validFrom && at < this.validFrom) return 'Coupon is not valid yet';
+  if (this.validUntil && at > this.validUntil) return 'Coupon has expired';
+  if (this.usageLimit > 0 && this.usedCount >= this.usageLimit) return 'Coupon usage limit reached';
+  return null;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Coupon Redemption model schema
+ * @module models/CouponRedemption
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Coupon Redemption Schema
+ * One row per coupon used on an order; drives per-user limits and usage reports.
+ */
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true
+    },
+    code: {
+      type: String,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    orderId: String,
+    discount: {
+      type: Number,
+      default: 0
+    },
+    // Which of the buyer's perUserLimit uses this holds (1..limit); cleared
+    // on release so the use can be taken again
+    slot: Number,
+    // Set when the order was never placed or paid and the use was given back
+    releasedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ order: 1 });
+couponRedemptionSchema.index({ coupon: 1, order: 1 }, { unique: true });
+// One held redemption per use slot, so concurrent checkouts cannot exceed perUserLimit
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $gt: 0 } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Customer Wallet model schema (buyer store credit)
+ * @module models/CustomerWallet
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Customer Wallet Schema
+ * Store credit a buyer can spend at checkout. The balance only moves through
+ * walletService, which writes a WalletTransaction for every change.
+ * @typedef {Object} CustomerWallet
+ * @property {ObjectId} user - Wallet owner
+ * @property {number} balance - Spendable credit
+ * @property {number} totalCredited - Lifetime credits
+ * @property {number} totalDebited - Lifetime spend
+ */
+const customerWalletSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true
+    },
+    balance: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    totalCredited: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    totalDebited: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastTransactionAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model('CustomerWallet', customerWalletSchema);
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Exchange model schema (size/colour swap after delivery)
+ * @module models/Exchange
+ */
+
+const mongoose = require('mongoose');
+
+const variantSchema = new mongoose.Schema(
+  {
+    size: String,
+    color: String
+  },
+  { _id: false }
+);
+
+const shipmentLegSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['pending', 'scheduled', 'in_transit', 'completed', 'failed'],
+      default: 'pending'
+    },
+    trackingId: String,
+    courier: String,
+    url: String,
+    scheduledAt: Date,
+    completedAt: Date,
+    failureReason: String
+  },
+  { _id: false }
+);
+
+/**
+ * Exchange Schema
+ * A buyer swapping some units of a delivered line for another size or colour of
+ * the same product at the same price. The replacement units are held from the
+ * request; the original units come back on a reverse pickup and the replacement
+ * goes out on a forward shipment. Nothing is refunded or reversed unless the
+ * exchange fails after pickup, when it falls back to an item return.
+ * @typedef {Object} Exchange
+ * @property {string} exchangeId - Public exchange ID
+ * @property {ObjectId} orderItem - Order line being exchanged
+ * @property {number} quantity - Units exchanged
+ * @property {Object} from - Variant the buyer has
+ * @property {Object} to - Variant the buyer wants
+ * @property {Object} heldStock - Replacement units held for the exchange
+ * @property {Object} reversePickup - Original units coming back
+ * @property {Object} replacement - Replacement units going out
+ * @property {string} status - Exchange status
+ */
+const exchangeSchema = new mongoose.Schema(
+  {
+    exchangeId: {
+      type: String,
+      unique: true,
+      default: () => `EX${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).substring(2, 6).toUpperCase()}`
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    orderId: String,
+    subOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubOrder',
+      required: true
+    },
+    subOrderId: String,
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Order line (Order.items._id, also SubOrder.items.orderItem)
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: String,
+    image: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    from: variantSchema,
+    to: variantSchema,
+    reason: {
+      type: String,
+      required: [true, 'Please provide a reason']
+    },
+    images: [{
+      public_id: String,
+      url: String
+    }],
+    // Replacement units taken off the shelf for this exchange
+    heldStock: {
+      inventory: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory'
+      },
+      status: {
+        type: String,
+        enum: ['held', 'sold', 'released'],
+        default: 'held'
+      }
+    },
+    reversePickup: {
+      type: shipmentLegSchema,
+      default: () => ({})
+    },
+    replacement: {
+      type: shipmentLegSchema,
+      default: () => ({})
+    },
+    status: {
+      type: String,
+      enum: ['requested', 'approved', 'rejected', 'picked_up', 'replacement_shipped', 'completed', 'cancelled', 'failed'],
+      default: 'requested'
+    },
+    // Item return the exchange fell back to when it failed after pickup
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderItemRequest'
+    },
+    notes: String,
+    rejectionReason: String,
+    failureReason: String,
+    approvedAt: Date,
+    completedAt: Date,
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    statusHistory: [{
+      status: String,
+      comment: String,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+exchangeSchema.index({ order: 1, orderItem: 1 });
+exchangeSchema.index({ seller: 1, status: 1, createdAt: -1 });
+exchangeSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Exchange', exchangeSchema);
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Idempotency Key model schema
+ * @module models/IdempotencyKey
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Idempotency Key Schema
+ * Remembers the first response sent for a client-supplied Idempotency-Key so
+ * retries of the same request get the same answer instead of running twice.
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true
+    },
+    // Endpoint the key was used on, e.g. 'orders.place'
+    scope: {
+      type: String,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Hash of method, path and body of the original request
+    fingerprint: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing'
+    },
+    response: {
+      statusCode: Number,
+      body: mongoose.Schema.Types.Mixed
+    },
+    // Keys are forgotten after a day
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 60 * 60 * 24
+    }
+  }
+);
+
+// Indexes
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -88,7 +88,7 @@ const inventorySchema = new mongoose.Schema(
         },
         type: {
           type: String,
-          enum: ['addition', 'sale', 'return', 'damage', 'adjustment'],
+          enum: ['addition', 'sale', 'return', 'damage', 'adjustment', 'reservation', 'release', 'cancellation'],
         },
         quantity: Number,
         reason: String,
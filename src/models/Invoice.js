@@ -0,0 +1,155 @@
+/**
+ * @fileoverview GST Tax Invoice model schema
+ * @module models/Invoice
+ */
+
+const mongoose = require('mongoose');
+
+const addressSchema = new mongoose.Schema({
+  addressLine1: String,
+  addressLine2: String,
+  city: String,
+  state: String,
+  pincode: String,
+  country: { type: String, default: 'India' }
+}, { _id: false });
+
+/**
+ * Invoice Line subdocument schema
+ * Prices are GST-inclusive, so the taxable value is backed out of the amount paid.
+ */
+const invoiceLineSchema = new mongoose.Schema({
+  orderItem: mongoose.Schema.Types.ObjectId,
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  description: { type: String, required: true },
+  hsnCode: String,
+  quantity: { type: Number, required: true },
+  unitPrice: { type: Number, required: true },
+  // Buyer discount on this line (coupons, prepaid offer)
+  discount: { type: Number, default: 0 },
+  taxableValue: { type: Number, required: true },
+  gstRate: { type: Number, default: 0 },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  total: { type: Number, required: true }
+}, { _id: false });
+
+/**
+ * Invoice Schema
+ * One tax invoice per seller shipment (sub-order), issued by the seller to the
+ * buyer. Seller, buyer and line details are snapshots taken at issue time, so a
+ * later change to the seller profile or product does not alter the invoice.
+ * @typedef {Object} Invoice
+ * @property {string} invoiceNumber - Consecutive per seller and financial year
+ * @property {ObjectId} seller - Supplier (seller) reference
+ * @property {ObjectId} subOrder - Shipment this invoice covers
+ * @property {string} supplyType - intra_state (CGST + SGST) or inter_state (IGST)
+ */
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      required: true
+    },
+    financialYear: {
+      type: String,
+      required: true
+    },
+    sequence: {
+      type: Number,
+      required: true
+    },
+    invoiceDate: {
+      type: Date,
+      default: Date.now
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      required: true
+    },
+    subOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubOrder',
+      required: true,
+      unique: true
+    },
+    subOrderId: String,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    orderId: String,
+    orderDate: Date,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    supplier: {
+      name: String,
+      gstin: String,
+      pan: String,
+      address: addressSchema
+    },
+    buyer: {
+      name: String,
+      phone: String,
+      address: addressSchema
+    },
+    // State of the delivery address
+    placeOfSupply: String,
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state'],
+      required: true
+    },
+    lines: [invoiceLineSchema],
+    totals: {
+      taxableValue: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      totalTax: { type: Number, default: 0 },
+      discount: { type: Number, default: 0 },
+      grandTotal: { type: Number, default: 0 }
+    },
+    paymentMethod: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+invoiceSchema.index({ seller: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ order: 1 });
+
+/**
+ * Indian financial year (April to March, IST) for a date, e.g. '2025-26'
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+invoiceSchema.statics.financialYearOf = function (date = new Date()) {
+  // Shift to IST so an invoice issued just after midnight on 1 April lands in the new year
+  const ist = new Date(new Date(date).getTime() + 330 * 60 * 1000);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Build an invoice number, e.g. INV/2526/000123 (GST allows at most 16 characters)
+ * @param {string} financialYear - e.g. '2025-26'
+ * @param {number} sequence
+ * @returns {string}
+ */
+invoiceSchema.statics.formatNumber = function (financialYear, sequence) {
+  const [start, end] = financialYear.split('-');
+  return `INV/${start.slice(-2)}${end}/${String(sequence).padStart(6, '0')}`;
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Invoice Counter model schema
+ * @module models/InvoiceCounter
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Invoice Counter Schema
+ * Last invoice sequence used by a seller in a financial year. GST rules want
+ * invoice numbers to be consecutive and unique per supplier per financial year.
+ */
+const invoiceCounterSchema = new mongoose.Schema(
+  {
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      required: true
+    },
+    // e.g. '2025-26'
+    financialYear: {
+      type: String,
+      required: true
+    },
+    seq: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+invoiceCounterSchema.index({ seller: 1, financialYear: 1 }, { unique: true });
+
+/**
+ * Take the next sequence number for a seller and financial year
+ * @returns {Promise<number>}
+ */
+invoiceCounterSchema.statics.next = async function (sellerId, financialYear) {
+  const counter = await this.findOneAndUpdate(
+    { seller: sellerId, financialYear },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('InvoiceCounter', invoiceCounterSchema);
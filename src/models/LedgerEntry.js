@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Ledger Entry model schema (double-entry journal)
+ * @module models/LedgerEntry
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Chart of accounts
+ * Seller-scoped accounts carry the seller on every line; platform accounts never do.
+ * Asset and expense accounts are debit-normal, the rest are credit-normal.
+ */
+const ACCOUNTS = {
+  platform_cash: { type: 'asset', scope: 'platform', name: 'Platform collections' },
+  seller_payable: { type: 'liability', scope: 'seller', name: 'Payable to seller' },
+  seller_reserve: { type: 'liability', scope: 'seller', name: 'Seller reserve held against returns' },
+  gst_payable: { type: 'liability', scope: 'platform', name: 'GST payable' },
+  tcs_payable: { type: 'liability', scope: 'platform', name: 'TCS payable (GST section 52)' },
+  tds_payable: { type: 'liability', scope: 'platform', name: 'TDS payable (section 194-O)' },
+  commission_income: { type: 'income', scope: 'platform', name: 'Commission income' },
+  shipping_income: { type: 'income', scope: 'platform', name: 'Shipping fee income' },
+  penalty_income: { type: 'income', scope: 'platform', name: 'Penalty income' },
+  adjustments: { type: 'expense', scope: 'platform', name: 'Manual adjustments' }
+};
+
+const ENTRY_TYPES = ['sale', 'commission', 'gst', 'shipping_fee', 'penalty', 'refund', 'payout', 'tax_deduction', 'reserve_hold', 'reserve_release', 'adjustment'];
+
+const DEBIT_NORMAL = ['asset', 'expense'];
+
+// Work in paise so balance checks are not thrown off by float rounding
+const toPaise = (amount) => Math.round((amount || 0) * 100);
+const round = (value) => toPaise(value) / 100;
+
+/**
+ * Ledger Line Schema
+ */
+const ledgerLineSchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      enum: Object.keys(ACCOUNTS),
+      required: true
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller'
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Ledger Entry Schema
+ * One journal entry per business event. Entries are append-only: mistakes are
+ * corrected with a reversing or adjustment entry, never by editing history.
+ */
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    entryNumber: {
+      type: String,
+      unique: true,
+      default: () => `JE${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).substring(2, 6).toUpperCase()}`
+    },
+    type: {
+      type: String,
+      enum: ENTRY_TYPES,
+      required: true
+    },
+    description: String,
+    // Seller this entry belongs to (if any), for statement lookups
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller'
+    },
+    // Source document that caused the entry
+    reference: {
+      model: {
+        type: String,
+        enum: ['SubOrder', 'Order', 'PayoutTransaction', 'Manual']
+      },
+      id: mongoose.Schema.Types.ObjectId,
+      code: String
+    },
+    lines: {
+      type: [ledgerLineSchema],
+      required: true
+    },
+    // Total of the debit side (equal to the credit side)
+    amount: {
+      type: Number,
+      default: 0
+    },
+    // When seller funds in this entry clear the return window
+    availableOn: {
+      type: Date,
+      default: Date.now
+    },
+    // Guards against posting the same business event twice
+    idempotencyKey: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+ledgerEntrySchema.index({ 'lines.account': 1, 'lines.seller': 1, createdAt: 1 });
+ledgerEntrySchema.index({ seller: 1, createdAt: 1 });
+ledgerEntrySchema.index({ 'reference.model': 1, 'reference.id': 1 });
+
+// Every entry must balance and every line must name a valid account/side
+ledgerEntrySchema.pre('validate', function (next) {
+  if (!this.lines || this.lines.length < 2) {
+    return next(new Error('A ledger entry needs at least two lines'));
+  }
+
+  let debits = 0;
+  let credits = 0;
+
+  for (const line of this.lines) {
+    const account = ACCOUNTS[line.account];
+    if (!account) {
+      return next(new Error(`Unknown ledger account: ${line.account}`));
+    }
+    if (account.scope === 'seller' && !line.seller) {
+      return next(new Error(`Account ${line.account} requires a seller`));
+    }
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error('Each ledger line must have exactly one of debit or credit'));
+    }
+    debits += toPaise(line.debit);
+    credits += toPaise(line.credit);
+  }
+
+  if (debits !== credits) {
+    return next(new Error(`Unbalanced ledger entry: debits ${debits / 100} != credits ${credits / 100}`));
+  }
+
+  this.amount = debits / 100;
+  next();
+});
+
+// Append-only: refuse edits to posted entries
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries are append-only'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(hook => {
+  ledgerEntrySchema.pre(hook, function (next) {
+    next(new Error('Ledger entries are append-only'));
+  });
+});
+
+/**
+ * Post a journal entry
+ * Re-posting with an idempotency key that already exists returns the original entry.
+ */
+ledgerEntrySchema.statics.post = async function (entry) {
+  if (entry.idempotencyKey) {
+    const existing = await this.findOne({ idempotencyKey: entry.idempotencyKey });
+    if (existing) return existing;
+  }
+
+  // Drop zero lines so callers can build entries without branching
+  const lines = entry.lines.filter(line => toPaise(line.debit) > 0 || toPaise(line.credit) > 0);
+  if (lines.length < 2) return null;
+
+  try {
+    return await this.create({ ...entry, lines });
+  } catch (error) {
+    // Lost a race with a concurrent post of the same event
+    if (error.code === 11000 && entry.idempotencyKey) {
+      return this.findOne({ idempotencyKey: entry.idempotencyKey });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Seller payable balances, one row per seller
+ * balance   - everything owed to the seller right now
+ * pending   - part of the balance still inside the return window
+ * available - part of the balance past the return window (negative when the
+ *             seller owes the platform)
+ * paidOut   - total settled through payout entries
+ * reserve   - held back from payouts in the seller reserve account
+ */
+ledgerEntrySchema.statics.balancesBySeller = async function (sellerIds = null, asOf = new Date()) {
+  const lineMatch = { 'lines.account': { $in: ['seller_payable', 'seller_reserve'] } };
+  if (sellerIds) {
+    lineMatch['lines.seller'] = { $in: sellerIds.map(id => new mongoose.Types.ObjectId(id.toString())) };
+  }
+
+  const rows = await this.aggregate([
+    { $match: lineMatch },
+    { $unwind: '$lines' },
+    { $match: lineMatch },
+    {
+      $group: {
+        _id: '$lines.seller',
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$lines.account', 'seller_payable'] },
+              { $subtract: ['$lines.credit', '$lines.debit'] },
+              0
+            ]
+          }
+        },
+        pending: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$lines.account', 'seller_payable'] }, { $gt: ['$availableOn', asOf] }] },
+              { $subtract: ['$lines.credit', '$lines.debit'] },
+              0
+            ]
+          }
+        },
+        paidOut: {
+          $sum: { $cond: [{ $eq: ['$type', 'payout'] }, '$lines.debit', 0] }
+        },
+        reserve: {
+          $sum: {
+            $cond: [
+              { $eq: ['$lines.account', 'seller_reserve'] },
+              { $subtract: ['$lines.credit', '$lines.debit'] },
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  return rows.map(row => ({
+    seller: row._id,
+    balance: round(row.balance),
+    pending: round(row.pending),
+    available: round(row.balance - row.pending),
+    paidOut: round(row.paidOut),
+    reserve: round(row.reserve)
+  }));
+};
+
+/**
+ * Seller payable balances for a single seller
+ */
+ledgerEntrySchema.statics.sellerBalances = async function (sellerId, asOf = new Date()) {
+  const [row] = await this.balancesBySeller([sellerId], asOf);
+  return row || { seller: sellerId, balance: 0, pending: 0, available: 0, paidOut: 0, reserve: 0 };
+};
+
+/**
+ * Trial balance across all accounts (seller accounts rolled up)
+ */
+ledgerEntrySchema.statics.trialBalance = async function (asOf = new Date()) {
+  const rows = await this.aggregate([
+    { $match: { createdAt: { $lte: asOf } } },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.account',
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const accounts = rows.map(row => {
+    const account = ACCOUNTS[row._id] || {};
+    const debitNormal = DEBIT_NORMAL.includes(account.type);
+    return {
+      account: row._id,
+      name: account.name,
+      type: account.type,
+      debit: round(row.debit),
+      credit: round(row.credit),
+      balance: round(debitNormal ? row.debit - row.credit : row.credit - row.debit)
+    };
+  });
+
+  const totalDebit = round(accounts.reduce((sum, a) => sum + a.debit, 0));
+  const totalCredit = round(accounts.reduce((sum, a) => sum + a.credit, 0));
+
+  return {
+    asOf,
+    accounts,
+    totalDebit,
+    totalCredit,
+    balanced: toPaise(totalDebit) === toPaise(totalCredit)
+  };
+};
+
+ledgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+ledgerEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { allocateAmount, lineValue } = require('../utils/helpers');
 
 /**
  * Order Item subdocument schema
@@ -27,7 +28,18 @@ const orderItemSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Seller',
     required: true
-  }
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  // Share of pricing.discount carried by this line
+  discount: { type: Number, default: 0 },
+  // Units taken off the order by item-level cancellations and completed returns
+  cancelledQuantity: { type: Number, default: 0, min: 0 },
+  returnedQuantity: { type: Number, default: 0, min: 0 },
+  // Reseller orders: margin added on this line (all units), collected on delivery
+  resellerMargin: { type: Number, default: 0, min: 0 }
 }, { _id: true });
 
 /**
@@ -41,6 +53,8 @@ const orderItemSchema = new mongoose.Schema({
  * @property {Object} pricing - Price breakdown
  * @property {string} status - Order status
  * @property {Array<Object>} statusHistory - Status change history
+ * @property {Object} reseller - Set when placed by a reseller for their own customer
+ * @property {Array<Object>} subOrders - Per-seller sub-orders (virtual)
  */
 const orderSchema = new mongoose.Schema(
   {
@@ -77,37 +91,32 @@ const orderSchema = new mongoose.Schema(
         default: 'pending'
       },
       transactionId: String,
-      paidAt: Date
+      paidAt: Date,
+      // Gateway details for online payments
+      provider: String,
+      intentId: String,
+      // Paid from the buyer's wallet; the rest (total - walletAmount) is paid by method
+      walletAmount: { type: Number, default: 0 },
+      // Wallet part already given back by refunds
+      walletRefunded: { type: Number, default: 0 }
     },
     pricing: {
       itemsTotal: { type: Number, required: true },
       shippingCharge: { type: Number, default: 40 },
       tax: { type: Number, default: 0 },
       discount: { type: Number, default: 0 },
-      total: { type: Number, required: true }
-    },
-    // Seller Earning Calculation Fields
-    earnings: {
-      commissionPercent: { type: Number, default: 0 }, // Category/seller commission %
-      platformCommission: { type: Number, default: 0 }, // Actual commission amount
-      shippingCharges: { type: Number, default: 40 }, // Shipping cost
-      cgst: { type: Number, default: 0 }, // 9% CGST on commission
-      sgst: { type: Number, default: 0 }, // 9% SGST on commission
-      totalTax: { type: Number, default: 0 }, // Total GST (CGST + SGST)
-      penalty: { type: Number, default: 0 }, // Any penalties
-      netSellerEarning: { type: Number, default: 0 }, // Final seller earning
-      calculatedAt: Date
-    },
-    payout: {
-      status: {
-        type: String,
-        enum: ['pending', 'upcoming', 'processing', 'completed', 'failed'],
-        default: 'pending'
-      },
-      scheduledDate: Date, // When payout is scheduled
-      completedDate: Date, // When payout was completed
-      transactionId: String,
-      failureReason: String
+      // discount = paymentDiscount + couponDiscount; free shipping shows up as shippingCharge 0
+      paymentDiscount: { type: Number, default: 0 },
+      couponDiscount: { type: Number, default: 0 },
+      coupons: [{
+        coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+        code: String,
+        type: { type: String },
+        discount: Number
+      }],
+      total: { type: Number, required: true },
+      // Owed back to the buyer for cancelled and returned items
+      refunded: { type: Number, default: 0 }
     },
     notes: {
       type: String,
@@ -130,37 +139,48 @@ const orderSchema = new mongoose.Schema(
         default: Date.now
       }
     }],
-    tracking: {
-      courier: String,
-      trackingId: String,
-      url: String
-    },
-    shippedAt: Date,
-    deliveredAt: Date,
-    cancelledAt: Date,
-    cancellationReason: String,
-    returnRequest: {
-      requested: { type: Boolean, default: false },
-      reason: String,
-      status: {
+    // Where the buyer wants refunds paid (needed for COD; wallet works for any order)
+    refundDetails: {
+      method: {
         type: String,
-        enum: ['pending', 'approved', 'rejected', 'completed']
+        enum: ['original', 'wallet', 'bank', 'upi']
       },
-      requestedAt: Date,
-      approvedAt: Date,
-      rejectedAt: Date,
-      completedAt: Date,
-      rejectionReason: String
+      accountHolderName: String,
+      accountNumber: String,
+      ifscCode: String,
+      bankName: String,
+      upiId: String,
+      updatedAt: Date
     },
-    returnReason: String,
-    returnNotes: String,
+    // Placed by a reseller (the order's user) for their own customer at shippingAddress
+    reseller: {
+      isResellerOrder: { type: Boolean, default: false },
+      customerName: String,
+      customerPhone: String,
+      // Sum of items[].resellerMargin
+      margin: { type: Number, default: 0 },
+      // What the courier collects from the customer on delivery (amount due + margin)
+      codAmount: Number
+    },
+    cancelledAt: Date,
+    cancellationReason: String,
     notes: String
   },
   {
-    timestamps: true
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
   }
 );
 
+/**
+ * Order of progress used to derive the parent status from its sub-orders
+ */
+const STATUS_PROGRESS = [
+  'pending', 'confirmed', 'processing', 'shipped', 'out_for_delivery', 'delivered',
+  'return_requested', 'return_approved', 'return_rejected', 'returned', 'refunded'
+];
+
 // Indexes
 // Note: orderId field already has unique: true in schema
 orderSchema.index({ user: 1, createdAt: -1 });
@@ -182,79 +202,97 @@ orderSchema.pre('save', function (next) {
 });
 
 /**
- * Calculate seller earnings after order delivery
- * Formula: Product Price - Platform Commission - Shipping - Tax - Penalty
+ * Virtual for per-seller sub-orders
  */
-orderSchema.methods.calculateSellerEarnings = async function () {
-  try {
-    const Order = this.constructor;
-    const Seller = mongoose.model('Seller');
-    const Category = mongoose.model('Category');
-    
-    // Get first item's details
-    const firstItem = this.items[0];
-    if (!firstItem) return;
-    
-    await this.populate('items.product');
-    const product = firstItem.product;
-    
-    // Get commission percentage (category > seller > default 10%)
-    let commissionPercent = 10;
-    
-    if (product && product.category) {
-      const category = await Category.findById(product.category);
-      if (category && category.commission > 0) {
-        commissionPercent = category.commission;
-      }
-    }
-    
-    if (!commissionPercent || commissionPercent === 0) {
-      const seller = await Seller.findById(firstItem.seller);
-      if (seller && seller.commission > 0) {
-        commissionPercent = seller.commission;
-      }
-    }
-    
-    // Calculate amounts
-    const productPrice = this.pricing.itemsTotal;
-    const platformCommission = (productPrice * commissionPercent) / 100;
-    const shippingCharges = this.pricing.shippingCharge || 40;
-    
-    // GST calculation: 9% CGST + 9% SGST on commission
-    const cgst = (platformCommission * 9) / 100;
-    const sgst = (platformCommission * 9) / 100;
-    const totalTax = cgst + sgst;
-    
-    // Net seller earning
-    const netSellerEarning = productPrice - platformCommission - shippingCharges - totalTax;
-    
-    // Update earnings object
-    this.earnings = {
-      commissionPercent,
-      platformCommission: Math.round(platformCommission * 100) / 100,
-      shippingCharges,
-      cgst: Math.round(cgst * 100) / 100,
-      sgst: Math.round(sgst * 100) / 100,
-      totalTax: Math.round(totalTax * 100) / 100,
-      penalty: this.earnings?.penalty || 0,
-      netSellerEarning: Math.round(netSellerEarning * 100) / 100,
-      calculatedAt: new Date()
-    };
-    
-    // Set payout status to upcoming (will be processed after 7 days)
-    if (this.status === 'delivered' && !this.payout.status) {
-      this.payout.status = 'upcoming';
-      // Schedule payout 7 days after delivery
-      const scheduledDate = new Date(this.deliveredAt);
-      scheduledDate.setDate(scheduledDate.getDate() + 7);
-      this.payout.scheduledDate = scheduledDate;
-    }
-    
-    return this.earnings;
-  } catch (error) {
-    console.error('Error calculating seller earnings:', error);
-    throw error;
+orderSchema.virtual('subOrders', {
+  ref: 'SubOrder',
+  localField: '_id',
+  foreignField: 'order',
+  justOne: false
+});
+
+/**
+ * Virtual for item-level cancellation and return requests
+ */
+orderSchema.virtual('itemRequests', {
+  ref: 'OrderItemRequest',
+  localField: '_id',
+  foreignField: 'order',
+  justOne: false
+});
+
+// Size/colour exchanges on this order
+orderSchema.virtual('exchanges', {
+  ref: 'Exchange',
+  localField: '_id',
+  foreignField: 'order',
+  justOne: false
+});
+
+/**
+ * Virtual for what is still to be paid (cash on delivery or the online payment)
+ * The wallet part was taken at checkout; wallet money already given back is owed again.
+ */
+orderSchema.virtual('amountDue').get(function () {
+  if (!this.payment || this.payment.status !== 'pending' || !this.pricing) return 0;
+  const wallet = (this.payment.walletAmount || 0) - (this.payment.walletRefunded || 0);
+  return Math.max(0, Math.round((this.pricing.total - wallet) * 100) / 100);
+});
+
+/**
+ * Derive the buyer-facing status from the sub-orders
+ * The order is cancelled only when every sub-order is cancelled, otherwise it
+ * shows the least advanced status among the remaining sub-orders.
+ * @returns {Promise<string>} Derived status
+ */
+orderSchema.methods.syncStatusFromSubOrders = async function () {
+  const SubOrder = mongoose.model('SubOrder');
+  const subOrders = await SubOrder.find({ order: this._id }).select('status');
+  if (subOrders.length === 0) return this.status;
+
+  const active = subOrders
+    .map(subOrder => subOrder.status)
+    .filter(status => status !== 'cancelled');
+
+  if (active.length === 0) {
+    this.status = 'cancelled';
+    if (!this.cancelledAt) this.cancelledAt = new Date();
+  } else {
+    this.status = active.reduce((least, status) =>
+      STATUS_PROGRESS.indexOf(status) < STATUS_PROGRESS.indexOf(least) ? status : least
+    );
+  }
+
+  if (this.status === 'delivered' && this.payment.status === 'pending') {
+    this.payment.status = 'completed';
+    this.payment.paidAt = new Date();
+  }
+  // payment.status becomes refunded only once the refunds are paid (see refundService)
+
+  return this.status;
+};
+
+/**
+ * Recalculate pricing from the units still on the order
+ * Shipping is not refunded when only some items are cancelled or returned.
+ * @returns {Object} Updated pricing
+ */
+orderSchema.methods.recalculatePricing = function () {
+  // Older orders kept the discount only at order level; spread it over the lines once
+  if (this.pricing.discount > 0 && this.items.every(item => !item.discount)) {
+    const shares = allocateAmount(this.pricing.discount, this.items.map(item => item.price * item.quantity));
+    this.items.forEach((item, index) => { item.discount = shares[index]; });
   }
+
+  const values = this.items.map(item => lineValue(item));
+  const round = (value) => Math.round(value * 100) / 100;
+
+  this.pricing.itemsTotal = round(values.reduce((sum, value) => sum + value.gross, 0));
+  this.pricing.discount = round(values.reduce((sum, value) => sum + value.discount, 0));
+  this.pricing.total = round(Math.max(0,
+    this.pricing.itemsTotal + (this.pricing.shippingCharge || 0) + (this.pricing.tax || 0) - this.pricing.discount
+  ));
+  return this.pricing;
 };
 
 /**
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Order item request model schema (item-level cancellations and returns)
+ * @module models/OrderItemRequest
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Order Item Request Schema
+ * A buyer cancelling or returning some units of one order line. Cancellations
+ * take effect at once (status completed); returns go requested -> approved ->
+ * completed (item received back), or requested -> rejected.
+ * @typedef {Object} OrderItemRequest
+ * @property {string} requestId - Public request ID
+ * @property {string} type - cancellation or return
+ * @property {ObjectId} orderItem - Order line the request is for
+ * @property {number} quantity - Units cancelled or returned
+ * @property {number} refundAmount - Amount owed back to the buyer
+ * @property {string} status - requested, approved, rejected or completed
+ */
+const orderItemRequestSchema = new mongoose.Schema(
+  {
+    requestId: {
+      type: String,
+      unique: true,
+      default: () => `IR${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).substring(2, 6).toUpperCase()}`
+    },
+    type: {
+      type: String,
+      enum: ['cancellation', 'return'],
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    orderId: String,
+    subOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubOrder',
+      required: true
+    },
+    subOrderId: String,
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Order line (Order.items._id, also SubOrder.items.orderItem)
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    name: String,
+    image: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    reason: {
+      type: String,
+      required: [true, 'Please provide a reason']
+    },
+    images: [{
+      public_id: String,
+      url: String
+    }],
+    status: {
+      type: String,
+      enum: ['requested', 'approved', 'rejected', 'completed'],
+      default: 'requested'
+    },
+    refundAmount: {
+      type: Number,
+      default: 0
+    },
+    notes: String,
+    rejectionReason: String,
+    approvedAt: Date,
+    rejectedAt: Date,
+    completedAt: Date,
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    statusHistory: [{
+      status: String,
+      comment: String,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+orderItemRequestSchema.index({ order: 1, orderItem: 1 });
+orderItemRequestSchema.index({ seller: 1, type: 1, status: 1, createdAt: -1 });
+orderItemRequestSchema.index({ type: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OrderItemRequest', orderItemRequestSchema);
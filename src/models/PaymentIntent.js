@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Payment intent model schema (buyer payments through a gateway)
+ * @module models/PaymentIntent
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Payment Intent Schema
+ * One attempt to collect an online order's total through a payment provider.
+ * An order may have several (retries after a failed payment); at most one is
+ * captured. Webhook event ids are kept so a redelivered event is ignored.
+ * @typedef {Object} PaymentIntent
+ * @property {string} intentId - Provider's intent/order ID
+ * @property {string} provider - Provider name (e.g. mock)
+ * @property {ObjectId} order - Order being paid
+ * @property {number} amount - Amount in rupees
+ * @property {string} status - created, captured, failed, partially_refunded or refunded
+ * @property {string} paymentId - Provider's payment ID once paid
+ * @property {Array<Object>} refunds - Refunds made against the payment
+ */
+const paymentIntentSchema = new mongoose.Schema(
+  {
+    intentId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    provider: {
+      type: String,
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    orderId: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    currency: {
+      type: String,
+      default: 'INR'
+    },
+    status: {
+      type: String,
+      enum: ['created', 'captured', 'failed', 'partially_refunded', 'refunded'],
+      default: 'created'
+    },
+    paymentId: String,
+    capturedAt: Date,
+    failureReason: String,
+    amountRefunded: {
+      type: Number,
+      default: 0
+    },
+    refunds: [{
+      refundId: String,
+      amount: Number,
+      status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+      },
+      reason: String,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    events: [{
+      eventId: String,
+      event: String,
+      receivedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+paymentIntentSchema.index({ order: 1, createdAt: -1 });
+paymentIntentSchema.index({ paymentId: 1 });
+
+module.exports = mongoose.model('PaymentIntent', paymentIntentSchema);
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Payout Batch model schema
+ * @module models/PayoutBatch
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Payout Batch Schema
+ * One scheduled payout run: a PayoutTransaction for every seller with
+ * shipments past their return window at the cycle cutoff. A batch waits as a
+ * draft until an admin approves it (or the cycle auto-approves), which sends
+ * its transfers; a held batch is not sent until it is approved.
+ *   draft -> processing -> completed | partially_failed
+ *   draft -> on_hold -> processing
+ * @typedef {Object} PayoutBatch
+ * @property {string} batchId - Public batch ID
+ * @property {string} cycleKey - Cutoff day, one batch per day
+ * @property {Date} cutoff - Shipments scheduled for payout up to here are included
+ * @property {Array<ObjectId>} transactions - PayoutTransactions in the batch
+ * @property {Array<Object>} skipped - Sellers left out and why
+ * @property {Object} totals - Transfer counts and amounts
+ * @property {Array<Object>} bankFiles - Bulk-transfer files exported for the batch
+ * @property {string} status - Batch status
+ */
+const payoutBatchSchema = new mongoose.Schema(
+  {
+    batchId: {
+      type: String,
+      unique: true,
+      default: () => `PB${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).substring(2, 6).toUpperCase()}`
+    },
+    cycleKey: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    cutoff: {
+      type: Date,
+      required: true
+    },
+    transactions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PayoutTransaction'
+    }],
+    // Sellers with eligible shipments that were not paid this cycle
+    skipped: [{
+      seller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Seller'
+      },
+      amount: Number,
+      reason: String
+    }],
+    totals: {
+      sellers: { type: Number, default: 0 },
+      subOrders: { type: Number, default: 0 },
+      // Net earnings of the shipments before balance adjustments
+      earnings: { type: Number, default: 0 },
+      // Penalties, refunds and carried-forward balances netted off
+      adjustments: { type: Number, default: 0 },
+      // TCS and TDS withheld
+      taxes: { type: Number, default: 0 },
+      // Held back in the seller reserve
+      reserve: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+      completed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 }
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'on_hold', 'processing', 'completed', 'partially_failed'],
+      default: 'draft'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date,
+    heldBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    heldAt: Date,
+    holdReason: String,
+    // Bulk-transfer files exported for the bank
+    bankFiles: [{
+      fileName: String,
+      format: String,
+      mode: String,
+      transactions: Number,
+      amount: Number,
+      // Transfers left out for missing or invalid beneficiary details
+      excluded: [String],
+      exportedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      exportedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    completedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ cutoff: -1 });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -4,10 +4,15 @@
  */
 
 const mongoose = require('mongoose');
+const ledgerService = require('../services/ledgerService');
+const taxDeductionService = require('../services/taxDeductionService');
+const sellerReserveService = require('../services/sellerReserveService');
 
 /**
  * Payout Transaction Schema
- * Records all payout transactions to sellers
+ * Records all payout transactions to sellers, requested by the seller or
+ * created by a scheduled payout batch. A failed transfer with nextRetryAt set
+ * is sent again by the payout cycle job; its amount stays reserved until then.
  */
 const payoutTransactionSchema = new mongoose.Schema(
   {
@@ -23,16 +28,26 @@ const payoutTransactionSchema = new mongoose.Schema(
       required: true,
       index: true
     },
+    // Scheduled payout batch, absent for seller-requested payouts
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PayoutBatch'
+    },
     amount: {
       type: Number,
       required: true,
       min: 0
     },
-    // Orders included in this payout
+    // Parent orders included in this payout
     orders: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Order'
     }],
+    // Seller shipments (sub-orders) paid out by this transaction
+    subOrders: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubOrder'
+    }],
     paymentMode: {
       type: String,
       enum: ['bank', 'upi', 'wallet'],
@@ -63,6 +78,12 @@ const payoutTransactionSchema = new mongoose.Schema(
     // Failure information
     failureReason: String,
     failureCode: String,
+    // Transfer attempts and when a failed transfer is sent again
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextRetryAt: Date,
     // Payment gateway reference
     gatewayTransactionId: String,
     gatewayResponse: mongoose.Schema.Types.Mixed,
@@ -79,8 +100,35 @@ const payoutTransactionSchema = new mongoose.Schema(
       totalCommission: { type: Number, default: 0 },
       totalTax: { type: Number, default: 0 },
       totalShipping: { type: Number, default: 0 },
-      netAmount: { type: Number, default: 0 }
-    }
+      totalPenalty: { type: Number, default: 0 },
+      netAmount: { type: Number, default: 0 },
+      // Refunds, penalties, adjustments and carried-forward balances on the
+      // seller account netted against netAmount (scheduled payouts only)
+      balanceAdjustment: { type: Number, default: 0 },
+      // Owed to the seller before TCS and TDS; amount is what is transferred
+      grossPayout: { type: Number, default: 0 },
+      tcs: { type: Number, default: 0 },
+      tds: { type: Number, default: 0 },
+      // Held back against later returns (see reserve)
+      reserve: { type: Number, default: 0 }
+    },
+    // Part of the payout held in the seller reserve until releaseOn
+    reserve: {
+      amount: { type: Number, default: 0 },
+      percent: Number,
+      releaseOn: Date,
+      releasedAt: Date
+    },
+    // Statutory deductions withheld from this payout
+    taxDeductions: [{
+      type: { type: String, enum: ['tcs', 'tds'] },
+      section: String,
+      base: Number,
+      rate: Number,
+      amount: Number,
+      note: String,
+      _id: false
+    }]
   },
   {
     timestamps: true
@@ -91,41 +139,81 @@ const payoutTransactionSchema = new mongoose.Schema(
 payoutTransactionSchema.index({ seller: 1, createdAt: -1 });
 payoutTransactionSchema.index({ status: 1, createdAt: -1 });
 payoutTransactionSchema.index({ transactionId: 1 });
+payoutTransactionSchema.index({ batch: 1 });
+payoutTransactionSchema.index({ status: 1, nextRetryAt: 1 });
+payoutTransactionSchema.index({ 'reserve.releaseOn': 1, 'reserve.releasedAt': 1 });
+
+/**
+ * Amount a seller has in payouts not yet settled (including failed
+ * transfers waiting for a retry)
+ */
+payoutTransactionSchema.statics.inFlightAmount = async function (sellerId) {
+  const seller = new mongoose.Types.ObjectId(sellerId.toString());
+  const [row] = await this.aggregate([
+    {
+      $match: {
+        seller,
+        $or: [
+          { status: { $in: ['pending', 'processing'] } },
+          { status: 'failed', nextRetryAt: { $ne: null } }
+        ]
+      }
+    },
+    // Taxes and the reserve withheld from a payout are settled with it
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: {
+            $add: [
+              '$amount',
+              { $ifNull: ['$breakdown.tcs', 0] },
+              { $ifNull: ['$breakdown.tds', 0] },
+              { $ifNull: ['$reserve.amount', 0] }
+            ]
+          }
+        }
+      }
+    }
+  ]);
+  return row ? Math.round(row.total * 100) / 100 : 0;
+};
 
 /**
- * Calculate breakdown from orders
+ * Calculate breakdown from the seller's sub-orders
+ * A negative balance on the seller's account (returns or penalties after
+ * earlier payouts) is netted off, then TCS/TDS and the reserve are withheld.
  */
 payoutTransactionSchema.methods.calculateBreakdown = async function () {
   try {
-    await this.populate('orders');
-    
-    let totalOrders = this.orders.length;
-    let totalSales = 0;
-    let totalCommission = 0;
-    let totalTax = 0;
-    let totalShipping = 0;
-    let netAmount = 0;
+    await this.populate('subOrders');
     
-    this.orders.forEach(order => {
-      if (order.earnings) {
-        totalSales += order.pricing.itemsTotal;
-        totalCommission += order.earnings.platformCommission || 0;
-        totalTax += order.earnings.totalTax || 0;
-        totalShipping += order.earnings.shippingCharges || 0;
-        netAmount += order.earnings.netSellerEarning || 0;
-      }
-    });
+    // Sum item-level earnings so mixed-category shipments are counted line by line
+    const SubOrder = mongoose.model('SubOrder');
+    const totals = SubOrder.summarizeItemEarnings(this.subOrders, this.seller);
     
     this.breakdown = {
-      totalOrders,
-      totalSales: Math.round(totalSales * 100) / 100,
-      totalCommission: Math.round(totalCommission * 100) / 100,
-      totalTax: Math.round(totalTax * 100) / 100,
-      totalShipping: Math.round(totalShipping * 100) / 100,
-      netAmount: Math.round(netAmount * 100) / 100
+      totalOrders: totals.totalOrders,
+      totalSales: totals.totalSales,
+      totalCommission: totals.totalCommission,
+      totalTax: totals.totalTax,
+      totalShipping: totals.totalShipping,
+      totalPenalty: totals.totalPenalty,
+      netAmount: totals.netEarnings
     };
     
-    this.amount = this.breakdown.netAmount;
+    // Never pay more than the account has available after payouts in flight
+    const LedgerEntry = mongoose.model('LedgerEntry');
+    const [balances, inFlight] = await Promise.all([
+      LedgerEntry.sellerBalances(this.seller),
+      this.constructor.inFlightAmount(this.seller)
+    ]);
+    const payable = Math.round((balances.available - inFlight) * 100) / 100;
+    this.breakdown.balanceAdjustment = Math.min(0, Math.round((payable - totals.netEarnings) * 100) / 100);
+
+    this.amount = Math.max(0, Math.round((this.breakdown.netAmount + this.breakdown.balanceAdjustment) * 100) / 100);
+    await taxDeductionService.applyToPayout(this);
+    sellerReserveService.applyToPayout(this);
     
     return this.breakdown;
   } catch (error) {
@@ -143,10 +231,10 @@ payoutTransactionSchema.methods.markCompleted = async function (gatewayTransacti
   this.gatewayTransactionId = gatewayTransactionId;
   this.processedBy = processedBy;
   
-  // Update all orders in this payout
-  const Order = mongoose.model('Order');
-  await Order.updateMany(
-    { _id: { $in: this.orders } },
+  // Update all shipments in this payout
+  const SubOrder = mongoose.model('SubOrder');
+  await SubOrder.updateMany(
+    { _id: { $in: this.subOrders } },
     { 
       $set: { 
         'payout.status': 'completed',
@@ -156,16 +244,19 @@ payoutTransactionSchema.methods.markCompleted = async function (gatewayTransacti
     }
   );
   
-  // Update seller wallet
+  await this.save();
+  
+  // Settle the seller's ledger account, then refresh the wallet view of it
+  await ledgerService.postPayout(this, processedBy);
+  await taxDeductionService.recordForPayout(this, processedBy);
+  await sellerReserveService.holdForPayout(this, processedBy);
+  
   const SellerWallet = mongoose.model('SellerWallet');
   const wallet = await SellerWallet.getOrCreate(this.seller);
-  wallet.completedPayout += this.amount;
-  wallet.upcomingPayout -= this.amount;
   wallet.lastPayoutDate = new Date();
   wallet.lastPayoutAmount = this.amount;
-  await wallet.save();
+  await wallet.syncFromLedger();
   
-  await this.save();
   return this;
 };
 
@@ -177,11 +268,12 @@ payoutTransactionSchema.methods.markFailed = async function (reason, code) {
   this.failedAt = new Date();
   this.failureReason = reason;
   this.failureCode = code;
+  this.nextRetryAt = undefined;
   
-  // Update all orders in this payout
-  const Order = mongoose.model('Order');
-  await Order.updateMany(
-    { _id: { $in: this.orders } },
+  // Update all shipments in this payout
+  const SubOrder = mongoose.model('SubOrder');
+  await SubOrder.updateMany(
+    { _id: { $in: this.subOrders } },
     { 
       $set: { 
         'payout.status': 'failed',
@@ -102,6 +102,18 @@ const productSchema = new mongoose.Schema(
       min: 0,
       max: 100
     },
+    // HSN code printed on GST invoices
+    hsnCode: {
+      type: String,
+      trim: true,
+      match: [/^\d{4,8}$/, 'HSN code must be 4 to 8 digits']
+    },
+    // GST rate (%) included in the selling price
+    gstRate: {
+      type: Number,
+      enum: [0, 5, 12, 18, 28],
+      default: 5
+    },
     images: [{
       public_id: {
         type: String,
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Refund model schema (money owed back to a buyer)
+ * @module models/Refund
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Refund Schema
+ * One payment back to the buyer for a cancelled or returned shipment, or for
+ * units cancelled or returned from it. Online payments go back to the original
+ * payment; COD refunds go to the buyer's bank account or UPI ID (held as
+ * awaiting_details until the buyer gives them) or to their wallet.
+ *   awaiting_details -> pending -> processing -> completed
+ *                                  processing -> failed -> (retry) processing
+ * @typedef {Object} Refund
+ * @property {string} refundId - Public refund ID
+ * @property {string} kind - What the refund is for
+ * @property {Object} amount - Breakdown: items, discount, shipping, adjustment, total (wallet part of it)
+ * @property {Object} destination - Where the money goes
+ * @property {Object} sellerDebit - Seller earning reversed for this refund
+ * @property {string} status - Refund status
+ */
+const refundSchema = new mongoose.Schema(
+  {
+    refundId: {
+      type: String,
+      unique: true,
+      default: () => `RF${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).substring(2, 6).toUpperCase()}`
+    },
+    // One refund per event, e.g. "cancelled:<subOrder>" or "request:<itemRequest>"
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    kind: {
+      type: String,
+      enum: ['cancellation', 'return', 'item_cancellation', 'item_return'],
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    orderId: String,
+    subOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubOrder'
+    },
+    subOrderId: String,
+    itemRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderItemRequest'
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller'
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    amount: {
+      items: { type: Number, default: 0 },
+      // Coupon and payment discounts prorated onto the refunded units
+      discount: { type: Number, default: 0 },
+      shipping: { type: Number, default: 0 },
+      // Manual change to the computed amount (e.g. admin partial refund)
+      adjustment: { type: Number, default: 0 },
+      total: { type: Number, required: true, min: 0 },
+      // Part of the total credited back to the wallet it was paid from
+      wallet: { type: Number, default: 0 }
+    },
+    destination: {
+      type: {
+        type: String,
+        enum: ['original', 'wallet', 'bank', 'upi']
+      },
+      provider: String,
+      paymentId: String,
+      accountHolderName: String,
+      accountNumber: String,
+      ifscCode: String,
+      bankName: String,
+      upiId: String
+    },
+    sellerDebit: {
+      amount: { type: Number, default: 0 },
+      // Ledger entry that reversed the earning
+      ledgerKey: String
+    },
+    reason: String,
+    status: {
+      type: String,
+      enum: ['awaiting_details', 'pending', 'processing', 'completed', 'failed'],
+      default: 'pending'
+    },
+    // Provider or bank reference (gateway refund ID, UTR)
+    reference: String,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextRetryAt: Date,
+    failureReason: String,
+    completedAt: Date,
+    history: [{
+      status: String,
+      comment: String,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+refundSchema.index({ order: 1, createdAt: -1 });
+refundSchema.index({ status: 1, nextRetryAt: 1 });
+refundSchema.index({ reference: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Reseller Earning model schema (margin on a reseller order shipment)
+ * @module models/ResellerEarning
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Reseller Earning Schema
+ * The margin a reseller added on one shipment of an order placed for their
+ * customer. Units cancelled or returned forfeit their share; the rest is paid
+ * out once the shipment is delivered and its return window has passed.
+ *   pending -> in_payout -> paid
+ *   pending -> cancelled (nothing left to earn)
+ * @typedef {Object} ResellerEarning
+ * @property {ObjectId} reseller - User who placed the order
+ * @property {number} margin - Margin added on the shipment
+ * @property {number} forfeited - Margin lost to cancelled and returned units
+ * @property {number} amount - margin - forfeited
+ * @property {Date} availableOn - When the return window closes
+ * @property {string} status - Earning status
+ */
+const resellerEarningSchema = new mongoose.Schema(
+  {
+    reseller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    orderId: String,
+    subOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubOrder',
+      required: true,
+      unique: true
+    },
+    subOrderId: String,
+    customerName: String,
+    lines: [{
+      orderItem: mongoose.Schema.Types.ObjectId,
+      name: String,
+      quantity: Number,
+      // Margin on the whole line
+      margin: Number,
+      _id: false
+    }],
+    margin: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    forfeited: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    availableOn: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'in_payout', 'paid', 'cancelled'],
+      default: 'pending'
+    },
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ResellerPayout'
+    },
+    paidAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+resellerEarningSchema.index({ reseller: 1, status: 1, availableOn: 1 });
+resellerEarningSchema.index({ reseller: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ResellerEarning', resellerEarningSchema);
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Reseller Payout model schema
+ * @module models/ResellerPayout
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Reseller Payout Schema
+ * One bank or UPI transfer of cleared reseller margins. Finance marks it
+ * completed with the UTR, or failed, which frees its earnings for the next payout.
+ * @typedef {Object} ResellerPayout
+ * @property {string} payoutId - Public payout ID
+ * @property {ObjectId} reseller - User being paid
+ * @property {number} amount - Sum of the earnings paid
+ * @property {Object} destination - Bank account or UPI ID
+ * @property {string} status - processing, completed or failed
+ */
+const resellerPayoutSchema = new mongoose.Schema(
+  {
+    payoutId: {
+      type: String,
+      unique: true,
+      default: () => `RP${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).substring(2, 6).toUpperCase()}`
+    },
+    reseller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    earnings: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ResellerEarning'
+    }],
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    destination: {
+      type: {
+        type: String,
+        enum: ['bank', 'upi'],
+        required: true
+      },
+      accountHolderName: String,
+      accountNumber: String,
+      ifscCode: String,
+      bankName: String,
+      upiId: String
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed', 'failed'],
+      default: 'processing'
+    },
+    // Bank or UPI transfer reference (UTR)
+    reference: String,
+    failureReason: String,
+    completedAt: Date,
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+resellerPayoutSchema.index({ reseller: 1, createdAt: -1 });
+resellerPayoutSchema.index({ status: 1 });
+
+module.exports = mongoose.model('ResellerPayout', resellerPayoutSchema);
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Admin Role model schema
+ * @module models/Role
+ */
+
+const mongoose = require('mongoose');
+const { PERMISSION_KEYS, ALL } = require('../config/permissions');
+
+/**
+ * Role Schema
+ * A named bundle of admin permissions (see config/permissions). Admin users
+ * hold one or more roles and may do whatever any of their roles allows.
+ * Built-in roles are created on startup and cannot be deleted or renamed.
+ * @typedef {Object} Role
+ * @property {string} name - Unique slug, e.g. finance
+ * @property {string} label - Display name
+ * @property {Array<string>} permissions - Permissions granted, or * for all
+ * @property {boolean} isSystem - Built-in role
+ */
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z][a-z0-9_]{1,39}$/, 'Role name may only contain lowercase letters, digits and underscores']
+    },
+    label: {
+      type: String,
+      required: [true, 'Role label is required'],
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    permissions: {
+      type: [{
+        type: String,
+        enum: { values: [...PERMISSION_KEYS, ALL], message: 'Unknown permission: {VALUE}' }
+      }],
+      validate: [value => value.length > 0, 'A role needs at least one permission']
+    },
+    isSystem: {
+      type: Boolean,
+      default: false
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Whether this role grants a permission
+ * @param {string} permission
+ * @returns {boolean}
+ */
+roleSchema.methods.grants = function (permission) {
+  return this.permissions.includes(ALL) || this.permissions.includes(permission);
+};
+
+module.exports = mongoose.model('Role', roleSchema);
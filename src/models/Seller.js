@@ -43,7 +43,7 @@ const kycDocumentsSchema = new mongoose.Schema({
 /**
  * Seller Schema
  * @typedef {Object} Seller
- * @property {ObjectId} user - Reference to User model
+ * @property {ObjectId} user - Account that created the shop, always its owner (other staff are SellerMember records)
  * @property {string} shopName - Shop/Business name
  * @property {string} businessType - Type of business
  * @property {string} description - Shop description
@@ -55,6 +55,7 @@ const kycDocumentsSchema = new mongoose.Schema({
  * @property {Object} stats - Seller statistics
  * @property {Object} ratings - Seller ratings
  * @property {Array<string>} categories - Product categories
+ * @property {string} tier - Seller tier used by commission rules
  */
 const sellerSchema = new mongoose.Schema(
   {
@@ -128,6 +129,12 @@ const sellerSchema = new mongoose.Schema(
       min: 0,
       max: 100
     },
+    // Commission rules can target sellers by tier
+    tier: {
+      type: String,
+      enum: ['standard', 'silver', 'gold', 'platinum'],
+      default: 'standard'
+    },
     returnPolicy: {
       enabled: { type: Boolean, default: true },
       days: { type: Number, default: 7 }
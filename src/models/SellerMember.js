@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Seller Member model schema
+ * @module models/SellerMember
+ */
+
+const mongoose = require('mongoose');
+const { SELLER_ROLES } = require('../config/permissions');
+
+/**
+ * Seller Member Schema
+ * A user who works in a seller's shop with a staff role (see
+ * config/permissions). Members start as an invitation to a phone number or
+ * email address and become active once the invitee accepts it. The user the
+ * shop was created by (Seller.user) is always an owner and has no member record.
+ * @typedef {Object} SellerMember
+ * @property {ObjectId} seller - Shop the member works in
+ * @property {ObjectId} user - Member's account, set when the invitation is accepted
+ * @property {string} role - Staff role: owner, catalog, fulfilment, finance or read_only
+ * @property {string} status - invited, active, declined or revoked
+ * @property {Object} invite - Who was invited (phone or email), by whom and until when
+ */
+const sellerMemberSchema = new mongoose.Schema(
+  {
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: { values: Object.keys(SELLER_ROLES), message: 'Unknown staff role: {VALUE}' },
+      required: [true, 'Staff role is required']
+    },
+    status: {
+      type: String,
+      enum: ['invited', 'active', 'declined', 'revoked'],
+      default: 'invited'
+    },
+    invite: {
+      email: {
+        type: String,
+        lowercase: true,
+        trim: true
+      },
+      phone: {
+        type: String,
+        trim: true
+      },
+      // sha256 of the token sent in the email link; phone invitations have none
+      tokenHash: {
+        type: String,
+        select: false
+      },
+      expiresAt: Date,
+      invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
+    acceptedAt: Date,
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+sellerMemberSchema.index({ user: 1, status: 1 });
+sellerMemberSchema.index({ seller: 1, status: 1 });
+sellerMemberSchema.index({ 'invite.email': 1, status: 1 });
+sellerMemberSchema.index({ 'invite.phone': 1, status: 1 });
+// A user holds at most one active membership per shop
+sellerMemberSchema.index(
+  { seller: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+module.exports = mongoose.model('SellerMember', sellerMemberSchema);
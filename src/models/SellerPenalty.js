@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Seller Penalty model schema
+ * @module models/SellerPenalty
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Seller Penalty Schema
+ * One penalty charged to a seller for a shipment: late dispatch, a seller
+ * cancellation, a wrong or defective item returned, or a fake shipment. The
+ * amount is debited from the seller payable account; a penalty reversed by an
+ * admin or by an upheld claim is credited back.
+ *   active -> disputed (claim raised) -> active (claim rejected) | reversed (claim upheld)
+ *   active -> reversed (waived by an admin)
+ * @typedef {Object} SellerPenalty
+ * @property {string} penaltyId - Public penalty ID
+ * @property {string} rule - Penalty rule that was breached
+ * @property {string} reason - Why the penalty was charged, shown to the seller
+ * @property {number} base - Value the percentage part was worked out on
+ * @property {number} amount - Amount charged
+ * @property {string} key - One penalty per rule and event
+ * @property {string} status - active, disputed or reversed
+ */
+const sellerPenaltySchema = new mongoose.Schema(
+  {
+    penaltyId: {
+      type: String,
+      unique: true,
+      default: () => `PN${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).substring(2, 6).toUpperCase()}`
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      required: true
+    },
+    subOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubOrder',
+      required: true
+    },
+    subOrderId: String,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    orderId: String,
+    // Item return the penalty is for, if any
+    itemRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderItemRequest'
+    },
+    rule: {
+      type: String,
+      enum: ['late_dispatch', 'seller_cancellation', 'wrong_item', 'defective_item', 'fake_shipment'],
+      required: true
+    },
+    reason: {
+      type: String,
+      required: true
+    },
+    // Facts the rule was evaluated on (hours late, tracking ID, ...)
+    details: mongoose.Schema.Types.Mixed,
+    base: {
+      type: Number,
+      default: 0
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    status: {
+      type: String,
+      enum: ['active', 'disputed', 'reversed'],
+      default: 'active'
+    },
+    // Claim raised by the seller to dispute the penalty
+    claim: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Claim'
+    },
+    imposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reversedAt: Date,
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reversalReason: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+sellerPenaltySchema.index({ seller: 1, createdAt: -1 });
+sellerPenaltySchema.index({ status: 1, createdAt: -1 });
+sellerPenaltySchema.index({ subOrder: 1 });
+
+module.exports = mongoose.model('SellerPenalty', sellerPenaltySchema);
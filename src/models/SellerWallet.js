@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const sellerReserveService = require('../services/sellerReserveService');
 
 /**
  * Seller Wallet Schema
@@ -49,6 +50,27 @@ const sellerWalletSchema = new mongoose.Schema(
       type: Number,
       default: 0
     },
+    // Held back from payouts against later returns
+    reserveHeld: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    nextReserveRelease: {
+      amount: { type: Number, default: 0 },
+      date: { type: Date, default: null }
+    },
+    // Owed to the platform when returns and penalties after a payout exceed
+    // what has been earned since; netted off later payouts
+    negativeBalance: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    negativeSince: {
+      type: Date,
+      default: null
+    },
     // Next scheduled payout date
     nextPayoutDate: {
       type: Date,
@@ -70,65 +92,47 @@ const sellerWalletSchema = new mongoose.Schema(
 sellerWalletSchema.index({ seller: 1 });
 
 /**
- * Update wallet amounts from orders
+ * Refresh wallet amounts from the seller's ledger account
+ * The ledger is the source of truth; these fields are a cached view of it.
  */
-sellerWalletSchema.methods.updateFromOrders = async function () {
+sellerWalletSchema.methods.syncFromLedger = async function () {
   try {
-    const Order = mongoose.model('Order');
-    const seller = this.seller;
-    
-    // Get all delivered orders for this seller
-    const orders = await Order.find({
-      'items.seller': seller,
-      status: 'delivered',
-      'earnings.netSellerEarning': { $gt: 0 }
-    });
-    
-    let pendingAmount = 0;
-    let upcomingPayout = 0;
-    const now = new Date();
-    
-    orders.forEach(order => {
-      const earning = order.earnings?.netSellerEarning || 0;
-      const deliveredDate = order.deliveredAt || order.createdAt;
-      const daysSinceDelivery = (now - deliveredDate) / (1000 * 60 * 60 * 24);
-      
-      // Skip if already part of a payout transaction
-      if (order.payout?.status === 'completed' || order.payout?.status === 'processing') {
-        return;
-      }
-      
-      // If within 7-day return window
-      if (daysSinceDelivery < 7) {
-        pendingAmount += earning;
-      } else {
-        // Past return window, ready for payout (upcoming)
-        upcomingPayout += earning;
-      }
-    });
-    
-    // Get completed payouts
+    const LedgerEntry = mongoose.model('LedgerEntry');
     const PayoutTransaction = mongoose.model('PayoutTransaction');
-    const completedPayouts = await PayoutTransaction.aggregate([
-      { $match: { seller, status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
-    ]);
-    
-    const completedPayout = completedPayouts.length > 0 ? completedPayouts[0].total : 0;
-    
+    const SubOrder = mongoose.model('SubOrder');
+    const seller = this.seller;
+
+    const balances = await LedgerEntry.sellerBalances(seller);
+
+    // Payouts requested but not yet settled are no longer available to request
+    const inFlightAmount = await PayoutTransaction.inFlightAmount(seller);
+
     // Update wallet
-    this.pendingAmount = Math.round(pendingAmount * 100) / 100;
-    this.upcomingPayout = Math.round(upcomingPayout * 100) / 100;
-    this.completedPayout = Math.round(completedPayout * 100) / 100;
-    this.totalEarnings = this.pendingAmount + this.upcomingPayout + this.completedPayout;
-    
+    const payable = Math.round((balances.available - inFlightAmount) * 100) / 100;
+    this.pendingAmount = Math.max(0, balances.pending);
+    this.upcomingPayout = Math.max(0, payable);
+    this.completedPayout = balances.paidOut;
+    this.totalEarnings = Math.max(0, Math.round((balances.balance + balances.paidOut) * 100) / 100);
+
+    // Reserve and debt
+    const nextRelease = await sellerReserveService.nextRelease(seller);
+    this.reserveHeld = Math.max(0, balances.reserve);
+    this.nextReserveRelease = { amount: nextRelease?.amount || 0, date: nextRelease?.date || null };
+    this.negativeBalance = Math.max(0, -payable);
+    if (this.negativeBalance === 0) {
+      this.negativeSince = null;
+    } else if (!this.negativeSince) {
+      this.negativeSince = new Date();
+    }
+
     // Update stats
-    this.stats.deliveredOrders = orders.length;
-    
+    this.stats.deliveredOrders = await SubOrder.countDocuments({ seller, status: 'delivered' });
+    this.stats.returnedOrders = await SubOrder.countDocuments({ seller, status: { $in: ['returned', 'refunded'] } });
+
     await this.save();
     return this;
   } catch (error) {
-    console.error('Error updating wallet from orders:', error);
+    console.error('Error syncing wallet from ledger:', error);
     throw error;
   }
 };
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Settings model schema
+ * @module models/Settings
+ */
+
+const mongoose = require('mongoose');
+const { envNumber, envFlag } = require('../utils/helpers');
+
+/**
+ * Settings Schema
+ * Platform settings, one document per version. Every change saves a new
+ * version holding the full settings plus the fields that changed, so older
+ * versions are never edited and double as the change history. The newest
+ * version is the one in force; until the first change is saved the defaults
+ * below apply (taken from the environment where a variable exists, read each
+ * time the defaults are built).
+ * @typedef {Object} Settings
+ * @property {number} version - 1 for the first saved change, then one up per change
+ * @property {Object} store - Store name and contact details shown to buyers
+ * @property {Object} checkout - Shipping charge, prepaid offer, coupons and payment methods
+ * @property {Object} returns - Return window
+ * @property {Object} payouts - Seller payout cycle and reserve
+ * @property {Object} commission - Commission when no rule, category or seller rate applies
+ * @property {Array<Object>} changes - What this version changed: path, from, to
+ * @property {string} comment - Why the change was made
+ */
+const settingsSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      unique: true,
+      min: 1
+    },
+    store: {
+      storeName: { type: String, trim: true, default: () => process.env.STORE_NAME || 'Meesho' },
+      currency: { type: String, trim: true, uppercase: true, match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code'], default: () => process.env.CURRENCY || 'INR' },
+      taxRate: { type: Number, min: 0, max: 100, default: () => envNumber('TAX_RATE', 18) },
+      contactEmail: { type: String, trim: true, lowercase: true, match: [/^\S+@\S+\.\S+$/, 'Please provide a valid contact email'], default: () => process.env.CONTACT_EMAIL || 'support@meesho.com' },
+      contactPhone: { type: String, trim: true, default: () => process.env.CONTACT_PHONE || '1800-123-4567' },
+      address: { type: String, trim: true, default: () => process.env.STORE_ADDRESS || 'Bangalore, Karnataka, India' }
+    },
+    checkout: {
+      // Orders at or above this items total ship free
+      freeShippingThreshold: { type: Number, min: 0, default: () => envNumber('FREE_SHIPPING_THRESHOLD', 500) },
+      shippingCharge: { type: Number, min: 0, default: () => envNumber('SHIPPING_CHARGE', 40) },
+      // Prepaid offer on online payments, % of the items total
+      onlineDiscountPercent: { type: Number, min: 0, max: 100, default: 3 },
+      maxCouponsPerOrder: { type: Number, min: 0, max: 10, validate: [Number.isInteger, 'Max coupons per order must be a whole number'], default: 2 },
+      codEnabled: { type: Boolean, default: true },
+      onlinePaymentEnabled: { type: Boolean, default: true },
+      // Minutes stock stays reserved for an unpaid online order
+      stockReservationMinutes: { type: Number, min: 1, max: 1440, default: () => envNumber('STOCK_RESERVATION_TTL_MINUTES', 15) }
+    },
+    returns: {
+      // Days after delivery a buyer can ask for a return; also when earnings clear
+      windowDays: { type: Number, min: 0, max: 90, validate: [Number.isInteger, 'Return window must be a whole number of days'], default: 7 }
+    },
+    payouts: {
+      cycleDays: { type: Number, min: 1, max: 90, default: () => envNumber('PAYOUT_CYCLE_DAYS', 7) },
+      // Smallest transfer a batch will send; smaller balances carry forward
+      minAmount: { type: Number, min: 0, default: () => envNumber('PAYOUT_MIN_AMOUNT', 1) },
+      autoApprove: { type: Boolean, default: () => envFlag('PAYOUT_AUTO_APPROVE', false) },
+      reservePercent: { type: Number, min: 0, max: 100, default: () => envNumber('SELLER_RESERVE_PERCENT', 5) },
+      reserveDays: { type: Number, min: 0, max: 365, default: () => envNumber('SELLER_RESERVE_DAYS', 30) }
+    },
+    commission: {
+      defaultPercent: { type: Number, min: 0, max: 100, default: 10 }
+    },
+    changes: [
+      {
+        _id: false,
+        path: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+      }
+    ],
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Sections an admin may change, in the order they are shown
+settingsSchema.statics.SECTIONS = ['store', 'checkout', 'returns', 'payouts', 'commission'];
+
+/**
+ * Every setting path (e.g. checkout.shippingCharge)
+ * @returns {Array<string>}
+ */
+settingsSchema.statics.settingPaths = function () {
+  const paths = [];
+  this.schema.eachPath(path => {
+    if (this.SECTIONS.includes(path.split('.')[0])) paths.push(path);
+  });
+  return paths;
+};
+
+// Versions are never edited once saved
+settingsSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Saved settings versions cannot be changed'));
+  next();
+});
+
+settingsSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  next(new Error('Saved settings versions cannot be changed'));
+});
+
+module.exports = mongoose.model('Settings', settingsSchema);
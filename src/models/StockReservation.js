@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Stock Reservation model schema
+ * @module models/StockReservation
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Reserved Item Schema
+ */
+const reservedItemSchema = new mongoose.Schema(
+  {
+    // Order line this hold belongs to
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Inventory record the units were taken from (absent for products without one)
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory'
+    },
+    // Units still held; item-level cancellations take units off
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    size: String,
+    color: String,
+    status: {
+      type: String,
+      enum: ['reserved', 'converted', 'released'],
+      default: 'reserved'
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Stock Reservation Schema
+ * Holds stock for an order from checkout until it is confirmed (converted),
+ * cancelled (released) or left unpaid past expiresAt (expired).
+ */
+const stockReservationSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      unique: true
+    },
+    orderId: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    items: [reservedItemSchema],
+    status: {
+      type: String,
+      enum: ['active', 'converted', 'released', 'expired'],
+      default: 'active'
+    },
+    // Null means the hold does not time out (e.g. COD orders)
+    expiresAt: Date,
+    convertedAt: Date,
+    releasedAt: Date,
+    releaseReason: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
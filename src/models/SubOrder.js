@@ -0,0 +1,477 @@
+/**
+ * @fileoverview Seller sub-order (shipment) model schema
+ * @module models/SubOrder
+ */
+
+const mongoose = require('mongoose');
+const { allocateAmount, activeQuantity, lineValue } = require('../utils/helpers');
+const commissionService = require('../services/commissionService');
+
+/**
+ * Sub-order Item subdocument schema
+ * Copy of the parent order line that belongs to this seller
+ */
+const subOrderItemSchema = new mongoose.Schema({
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: { type: String, required: true },
+  image: { type: String, default: '' },
+  price: { type: Number, required: true },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  variant: String,
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  // Buyer discount (coupons, prepaid offer) allocated to this line
+  discount: { type: Number, default: 0 },
+  // Units taken off the shipment by item-level cancellations and completed returns
+  cancelledQuantity: { type: Number, default: 0, min: 0 },
+  returnedQuantity: { type: Number, default: 0, min: 0 },
+  // Seller earning for this line, using the line's own category and seller
+  earnings: {
+    commissionPercent: { type: Number, default: 0 },
+    // Where the commission came from: rule, category, seller or default
+    commissionSource: String,
+    commissionRule: { type: mongoose.Schema.Types.ObjectId, ref: 'CommissionRule' },
+    platformCommission: { type: Number, default: 0 },
+    shippingCharges: { type: Number, default: 0 }, // Share of the shipment's shipping cost
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    // Not deducted: penalties are charged through the ledger (penaltyService)
+    penalty: { type: Number, default: 0 },
+    netSellerEarning: { type: Number, default: 0 }
+  }
+}, { _id: true });
+
+/**
+ * Sub-order Schema
+ * One sub-order is created per seller when an order is placed. The seller
+ * confirms, ships, tracks and is paid for the sub-order, while the buyer
+ * keeps seeing the parent order.
+ * @typedef {Object} SubOrder
+ * @property {string} subOrderId - Unique sub-order ID (parent orderId + suffix)
+ * @property {ObjectId} order - Parent order reference
+ * @property {string} orderId - Parent order public ID
+ * @property {ObjectId} user - Buyer reference
+ * @property {ObjectId} seller - Seller reference
+ * @property {Array<Object>} items - Seller's items from the parent order
+ * @property {Object} pricing - Seller's share of the order pricing
+ * @property {Object} earnings - Seller earning calculation
+ * @property {Object} payout - Payout status for this shipment
+ * @property {string} status - Shipment status
+ */
+const subOrderSchema = new mongoose.Schema(
+  {
+    subOrderId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    orderId: {
+      type: String,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      required: true
+    },
+    items: [subOrderItemSchema],
+    pricing: {
+      itemsTotal: { type: Number, required: true },
+      shippingCharge: { type: Number, default: 0 },
+      discount: { type: Number, default: 0 },
+      total: { type: Number, required: true },
+      // Owed back to the buyer for cancelled and returned items
+      refunded: { type: Number, default: 0 }
+    },
+    // Seller Earning totals (sum of items[].earnings)
+    earnings: {
+      commissionPercent: { type: Number, default: 0 }, // Effective commission % across items
+      platformCommission: { type: Number, default: 0 }, // Actual commission amount
+      shippingCharges: { type: Number, default: 40 }, // Shipping cost
+      cgst: { type: Number, default: 0 }, // 9% CGST on commission
+      sgst: { type: Number, default: 0 }, // 9% SGST on commission
+      totalTax: { type: Number, default: 0 }, // Total GST (CGST + SGST)
+      penalty: { type: Number, default: 0 }, // Penalties in force (charged through the ledger, not deducted here)
+      netSellerEarning: { type: Number, default: 0 }, // Final seller earning
+      calculatedAt: Date
+    },
+    payout: {
+      status: {
+        type: String,
+        enum: ['pending', 'upcoming', 'processing', 'completed', 'failed'],
+        default: 'pending'
+      },
+      scheduledDate: Date, // When payout is scheduled
+      completedDate: Date, // When payout was completed
+      transactionId: String,
+      failureReason: String
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'processing', 'shipped', 'out_for_delivery', 'delivered', 'cancelled', 'return_requested', 'return_approved', 'return_rejected', 'returned', 'refunded'],
+      default: 'pending'
+    },
+    statusHistory: [{
+      status: String,
+      comment: String,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    tracking: {
+      courier: String,
+      trackingId: String,
+      url: String,
+      estimatedDelivery: Date
+    },
+    shippedAt: Date,
+    deliveredAt: Date,
+    cancelledAt: Date,
+    cancellationReason: String,
+    returnRequest: {
+      requested: { type: Boolean, default: false },
+      reason: String,
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'completed']
+      },
+      requestedAt: Date,
+      approvedAt: Date,
+      rejectedAt: Date,
+      completedAt: Date,
+      rejectionReason: String,
+      refundAmount: Number,
+      processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
+    returnReason: String,
+    returnNotes: String,
+    // Seller penalties on this shipment, with the reason shown to the seller
+    penalties: [{
+      penalty: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SellerPenalty'
+      },
+      penaltyId: String,
+      rule: String,
+      reason: String,
+      amount: Number,
+      status: String,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+// Note: subOrderId field already has unique: true in schema
+subOrderSchema.index({ order: 1 });
+subOrderSchema.index({ orderId: 1 });
+subOrderSchema.index({ seller: 1, createdAt: -1 });
+subOrderSchema.index({ seller: 1, status: 1 });
+subOrderSchema.index({ 'payout.status': 1, seller: 1 });
+
+/**
+ * Add status to history before updating, unless the lifecycle service already did
+ */
+subOrderSchema.pre('save', function (next) {
+  const last = this.statusHistory[this.statusHistory.length - 1];
+  if (this.isModified('status') && last?.status !== this.status) {
+    this.statusHistory.push({
+      status: this.status,
+      timestamp: new Date()
+    });
+  }
+  next();
+});
+
+/**
+ * Create one sub-order per seller for a newly placed order
+ * Shipping charge and discount are split in proportion to each seller's items total.
+ * @param {Object} order - Parent order document
+ * @returns {Promise<Array<Object>>} Created sub-orders
+ */
+subOrderSchema.statics.createForOrder = async function (order) {
+  const groups = new Map();
+
+  order.items.forEach(item => {
+    const sellerId = item.seller.toString();
+    if (!groups.has(sellerId)) {
+      groups.set(sellerId, []);
+    }
+    groups.get(sellerId).push(item);
+  });
+
+  const sellerGroups = Array.from(groups.values());
+  const totals = sellerGroups.map(items =>
+    items.reduce((sum, item) => sum + (item.price * item.quantity), 0)
+  );
+  const shippingShares = allocateAmount(order.pricing.shippingCharge || 0, totals);
+  // Prefer the per-line discounts worked out at checkout (seller-scoped coupons
+  // land on that seller); older orders without them are split by value
+  const lineDiscounts = sellerGroups.map(items =>
+    Math.round(items.reduce((sum, item) => sum + (item.discount || 0), 0) * 100) / 100
+  );
+  const lineDiscountTotal = lineDiscounts.reduce((sum, d) => sum + d, 0);
+  const discountShares = Math.round(lineDiscountTotal * 100) === Math.round((order.pricing.discount || 0) * 100)
+    ? lineDiscounts
+    : allocateAmount(order.pricing.discount || 0, totals);
+
+  const subOrders = sellerGroups.map((items, index) => ({
+    subOrderId: `${order.orderId}-${index + 1}`,
+    order: order._id,
+    orderId: order.orderId,
+    user: order.user,
+    seller: items[0].seller,
+    items: items.map(item => ({
+      orderItem: item._id,
+      product: item.product,
+      name: item.name,
+      image: item.image,
+      price: item.price,
+      quantity: item.quantity,
+      variant: item.variant,
+      seller: item.seller,
+      category: item.category,
+      discount: item.discount || 0
+    })),
+    pricing: {
+      itemsTotal: totals[index],
+      shippingCharge: shippingShares[index],
+      discount: discountShares[index],
+      total: Math.round((totals[index] + shippingShares[index] - discountShares[index]) * 100) / 100
+    },
+    status: order.status,
+    statusHistory: [{
+      status: order.status,
+      comment: 'Order placed successfully',
+      timestamp: new Date()
+    }]
+  }));
+
+  return this.insertMany(subOrders);
+};
+
+/**
+ * Find a seller's sub-order by sub-order _id, subOrderId, or the parent order _id/orderId
+ * @param {string} ref - Identifier supplied by the client
+ * @param {ObjectId} sellerId - Seller who owns the sub-order
+ * @returns {Promise<Object|null>} Sub-order document
+ */
+subOrderSchema.statics.findForSeller = async function (ref, sellerId) {
+  const conditions = [{ subOrderId: ref }, { orderId: ref }];
+  if (mongoose.Types.ObjectId.isValid(ref)) {
+    conditions.push({ _id: ref }, { order: ref });
+  }
+  return this.findOne({ seller: sellerId, $or: conditions });
+};
+
+/**
+ * Round to paise
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Penalties still charged on a shipment (active or disputed, not reversed)
+ * @param {Object} subOrder - SubOrder document or lean object
+ * @returns {number} Amount
+ */
+const penaltiesInForce = (subOrder) => round((subOrder.penalties || [])
+  .filter(penalty => penalty.status !== 'reversed')
+  .reduce((sum, penalty) => sum + (penalty.amount || 0), 0));
+
+/**
+ * Recalculate pricing from the units still on the shipment
+ * @returns {Object} Updated pricing
+ */
+subOrderSchema.methods.recalculatePricing = function () {
+  // Older sub-orders kept the discount only at shipment level; spread it over the lines once
+  if (this.pricing.discount > 0 && this.items.every(item => !item.discount)) {
+    const shares = allocateAmount(this.pricing.discount, this.items.map(item => item.price * item.quantity));
+    this.items.forEach((item, index) => { item.discount = shares[index]; });
+  }
+
+  const values = this.items.map(item => lineValue(item));
+
+  this.pricing.itemsTotal = round(values.reduce((sum, value) => sum + value.gross, 0));
+  this.pricing.discount = round(values.reduce((sum, value) => sum + value.discount, 0));
+  this.pricing.total = round(Math.max(0, this.pricing.itemsTotal + (this.pricing.shippingCharge || 0) - this.pricing.discount));
+  return this.pricing;
+};
+
+/**
+ * Units still on the shipment across all lines
+ * @returns {number}
+ */
+subOrderSchema.methods.activeQuantity = function () {
+  return this.items.reduce((sum, item) => sum + activeQuantity(item), 0);
+};
+
+/**
+ * Calculate seller earnings after delivery, line by line
+ * Formula per item: Line Total - Platform Commission - Shipping Share - Tax
+ * Penalties are not deducted here; each is debited through the ledger when
+ * it is charged (penaltyService).
+ * Commission comes from the commission rules as of the order date, falling
+ * back to the item's category, then the item's seller, then 10%.
+ */
+subOrderSchema.methods.calculateSellerEarnings = async function () {
+  try {
+    const Product = mongoose.model('Product');
+
+    if (this.items.length === 0) return;
+
+    // Cancelled and returned units earn nothing
+    const lineTotals = this.items.map(item => item.price * activeQuantity(item));
+    // Free-shipping shipments (0) carry no shipping deduction
+    const shippingShares = allocateAmount(this.pricing.shippingCharge ?? 0, lineTotals);
+    const commissionContext = commissionService.createContext();
+    const orderDate = this.createdAt || new Date();
+
+    for (const [index, item] of this.items.entries()) {
+      // Older orders did not snapshot the category on the line
+      if (!item.category) {
+        const product = await Product.findById(item.product).select('category');
+        item.category = product?.category;
+      }
+
+      const commission = await commissionService.resolve(
+        { category: item.category, seller: item.seller, price: item.price },
+        { date: orderDate, context: commissionContext }
+      );
+      const { commissionPercent } = commission;
+
+      const lineTotal = lineTotals[index];
+      const platformCommission = (lineTotal * commissionPercent) / 100;
+
+      // GST calculation: 9% CGST + 9% SGST on commission
+      const cgst = (platformCommission * 9) / 100;
+      const sgst = (platformCommission * 9) / 100;
+      const totalTax = round(cgst) + round(sgst);
+
+      item.earnings = {
+        commissionPercent,
+        commissionSource: commission.source,
+        commissionRule: commission.rule?._id,
+        platformCommission: round(platformCommission),
+        shippingCharges: shippingShares[index],
+        cgst: round(cgst),
+        sgst: round(sgst),
+        totalTax: round(totalTax),
+        penalty: 0,
+        netSellerEarning: round(lineTotal - round(platformCommission) - shippingShares[index] - totalTax)
+      };
+    }
+
+    // Roll the item lines up to the shipment totals
+    const sum = (field) => round(this.items.reduce((total, item) => total + (item.earnings[field] || 0), 0));
+    const itemsTotal = lineTotals.reduce((total, value) => total + value, 0);
+    const platformCommission = sum('platformCommission');
+
+    this.earnings = {
+      commissionPercent: itemsTotal > 0 ? round((platformCommission / itemsTotal) * 100) : 0,
+      platformCommission,
+      shippingCharges: sum('shippingCharges'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      totalTax: sum('totalTax'),
+      penalty: penaltiesInForce(this),
+      netSellerEarning: sum('netSellerEarning'),
+      calculatedAt: new Date()
+    };
+
+    return this.earnings;
+  } catch (error) {
+    console.error('Error calculating seller earnings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Sum a seller's item-level earnings across sub-orders
+ * @param {Array<Object>} subOrders - Sub-orders (documents or lean objects)
+ * @param {ObjectId|string} [sellerId] - Only count lines sold by this seller
+ * @returns {Object} Totals for sales, commission, tax, shipping, penalty and net earnings
+ * (penalties are listed for information; net earnings are before penalties)
+ */
+subOrderSchema.statics.summarizeItemEarnings = function (subOrders, sellerId) {
+  const totals = {
+    totalOrders: subOrders.length,
+    totalItems: 0,
+    totalSales: 0,
+    totalCommission: 0,
+    totalTax: 0,
+    totalShipping: 0,
+    totalPenalty: 0,
+    netEarnings: 0
+  };
+
+  subOrders.forEach(subOrder => {
+    (subOrder.items || []).forEach(item => {
+      if (sellerId && item.seller?.toString() !== sellerId.toString()) return;
+      const earnings = item.earnings || {};
+      const quantity = activeQuantity(item);
+      totals.totalItems += quantity;
+      totals.totalSales += item.price * quantity;
+      totals.totalCommission += earnings.platformCommission || 0;
+      totals.totalTax += earnings.totalTax || 0;
+      totals.totalShipping += earnings.shippingCharges || 0;
+      totals.netEarnings += earnings.netSellerEarning || 0;
+    });
+    if (!sellerId || (subOrder.seller?._id || subOrder.seller)?.toString() === sellerId.toString()) {
+      totals.totalPenalty += penaltiesInForce(subOrder);
+    }
+  });
+
+  Object.keys(totals).forEach(key => {
+    totals[key] = round(totals[key]);
+  });
+
+  return totals;
+};
+
+module.exports = mongoose.model('SubOrder', subOrderSchema);
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Tax Deduction model schema (TCS and TDS withheld from seller payouts)
+ * @module models/TaxDeduction
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Tax Deduction Schema
+ * One statutory deduction on one completed payout: TCS under section 52 of
+ * the CGST Act or TDS under section 194-O of the Income Tax Act. A row is kept
+ * even when nothing is withheld (below the threshold, no GSTIN) so the
+ * financial-year totals that thresholds are checked against stay complete.
+ * @typedef {Object} TaxDeduction
+ * @property {string} type - tcs or tds
+ * @property {number} base - Sale value the deduction is worked out on
+ * @property {number} rate - Percentage applied
+ * @property {number} amount - Amount withheld
+ * @property {string} financialYear - e.g. 2026-27
+ * @property {string} quarter - Q1 (Apr-Jun) to Q4 (Jan-Mar)
+ * @property {string} month - YYYY-MM
+ */
+const taxDeductionSchema = new mongoose.Schema(
+  {
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      required: true
+    },
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PayoutTransaction',
+      required: true
+    },
+    transactionId: String,
+    type: {
+      type: String,
+      enum: ['tcs', 'tds'],
+      required: true
+    },
+    section: String,
+    base: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    rate: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Why nothing (or the higher rate) was applied
+    note: String,
+    pan: String,
+    gstin: String,
+    financialYear: {
+      type: String,
+      required: true
+    },
+    quarter: {
+      type: String,
+      enum: ['Q1', 'Q2', 'Q3', 'Q4'],
+      required: true
+    },
+    month: {
+      type: String,
+      required: true
+    },
+    deductedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+taxDeductionSchema.index({ payout: 1, type: 1 }, { unique: true });
+taxDeductionSchema.index({ seller: 1, financialYear: 1, type: 1 });
+taxDeductionSchema.index({ seller: 1, deductedAt: 1 });
+
+module.exports = mongoose.model('TaxDeduction', taxDeductionSchema);
@@ -34,6 +34,7 @@ const addressSchema = new mongoose.Schema({
  * @property {string} phone - User's phone number
  * @property {string} password - Hashed password
  * @property {string} role - User role (user/seller/admin)
+ * @property {Array<ObjectId>} adminRoles - Admin roles that grant permissions (admins only)
  * @property {string} avatar - Profile picture URL
  * @property {boolean} isEmailVerified - Email verification status
  * @property {boolean} isPhoneVerified - Phone verification status
@@ -76,6 +77,10 @@ const userSchema = new mongoose.Schema(
       enum: ['user', 'seller', 'admin'],
       default: 'user'
     },
+    adminRoles: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Role'
+    }],
     avatar: {
       public_id: String,
       url: {
@@ -113,6 +118,19 @@ const userSchema = new mongoose.Schema(
     resetPasswordExpire: Date,
     refreshToken: String,
     lastLogin: Date,
+    // Where reseller margins are paid out
+    resellerPayout: {
+      method: {
+        type: String,
+        enum: ['bank', 'upi']
+      },
+      accountHolderName: String,
+      accountNumber: String,
+      ifscCode: String,
+      bankName: String,
+      upiId: String,
+      updatedAt: Date
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Wallet Transaction model schema (buyer wallet history)
+ * @module models/WalletTransaction
+ */
+
+const mongoose = require('mongoose');
+
+// What a credit or debit was for
+const SOURCES = {
+  credit: ['refund', 'goodwill', 'referral', 'cashback', 'order_reversal'],
+  debit: ['order_payment', 'adjustment']
+};
+
+/**
+ * Wallet Transaction Schema
+ * One credit to or spend from a buyer's wallet.
+ * @typedef {Object} WalletTransaction
+ * @property {string} transactionId - Public transaction ID
+ * @property {string} type - credit or debit
+ * @property {string} source - What it was for
+ * @property {number} amount - Always positive
+ * @property {number} balanceAfter - Wallet balance right after this transaction
+ */
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    transactionId: {
+      type: String,
+      unique: true,
+      default: () => `WT${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).substring(2, 6).toUpperCase()}`
+    },
+    // One transaction per event, e.g. "order:<order>" or "refund:<refund>"
+    key: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    wallet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CustomerWallet',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: Object.keys(SOURCES),
+      required: true
+    },
+    source: {
+      type: String,
+      enum: [...SOURCES.credit, ...SOURCES.debit],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01
+    },
+    balanceAfter: {
+      type: Number,
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    orderId: String,
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund'
+    },
+    // Support ticket, campaign or referral code the credit was given for
+    reference: String,
+    description: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ order: 1 });
+
+walletTransactionSchema.statics.SOURCES = SOURCES;
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
@@ -13,6 +13,7 @@ const {
   getSellerById,
   verifySeller,
   updateSellerStatus,
+  updateSellerTier,
   getAllProducts,
   deleteProduct,
   getAllOrders,
@@ -20,8 +21,16 @@ const {
   // New routes
   getReturns,
   updateReturnStatus,
+  updateItemReturnStatus,
+  getExchanges,
+  updateExchangeStatus,
+  getRefunds,
+  updateRefundStatus,
+  retryRefund,
   getSalesReports,
   getCustomers,
+  getCustomerWallet,
+  creditCustomerWallet,
   getPayments,
   getReviews,
   deleteReview,
@@ -29,6 +38,7 @@ const {
   updateShipment,
   getSettings,
   updateSettings,
+  getSettingsHistory,
   getKYCSubmissions,
   getSellerManagement,
   submitSupportTicket,
@@ -36,12 +46,78 @@ const {
   // Payout routes
   getAllPendingPayouts,
   getAllPayoutHistory,
-  getAllWallets
+  getAllWallets,
+  updatePayoutStatus,
+  previewPayoutBatch,
+  createPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatch,
+  approvePayoutBatch,
+  holdPayoutBatch,
+  exportPayoutBatchFile,
+  importBankStatement,
+  getResellerPayouts,
+  updateResellerPayoutStatus,
+  // Ledger routes
+  getTrialBalance,
+  getSellerStatement,
+  getSellerTaxStatement,
+  createLedgerAdjustment,
+  getPenalties,
+  createPenalty,
+  reversePenalty
 } = require('../controllers/adminController');
-const { protect, authorize } = require('../middlewares/auth');
+const {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getCouponUsage,
+  getCouponUsageReport
+} = require('../controllers/couponController');
+const {
+  getCommissionRules,
+  getCommissionRuleById,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule,
+  previewCommission
+} = require('../controllers/commissionController');
+const {
+  getAuditLogs,
+  exportAuditLogs
+} = require('../controllers/auditLogController');
+const {
+  getPermissions,
+  getMyPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getAdmins,
+  assignRoles
+} = require('../controllers/roleController');
+const { protect, authorize, requirePermission } = require('../middlewares/auth');
+const multer = require('multer');
 
 const router = express.Router();
 
+// Bank response and statement files are read in memory, never stored
+const bankStatementUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: function (req, file, cb) {
+    if (/\.(csv|xlsx|xls)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only Excel and CSV files are allowed.'));
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
 /**
  * @swagger
  * tags:
@@ -96,7 +172,7 @@ router.use(authorize('admin'));
  *       403:
  *         description: Admin access only
  */
-router.get('/dashboard', getDashboard);
+router.get('/dashboard', requirePermission('reports:view'), getDashboard);
 
 /**
  * @swagger
@@ -132,7 +208,7 @@ router.get('/dashboard', getDashboard);
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/users', getAllUsers);
+router.get('/users', requirePermission('users:view'), getAllUsers);
 
 /**
  * @swagger
@@ -154,7 +230,7 @@ router.get('/users', getAllUsers);
  *       404:
  *         description: User not found
  */
-router.get('/users/:userId', getUserById);
+router.get('/users/:userId', requirePermission('users:view'), getUserById);
 
 /**
  * @swagger
@@ -187,7 +263,7 @@ router.get('/users/:userId', getUserById);
  *       404:
  *         description: User not found
  */
-router.put('/users/:userId/status', updateUserStatus);
+router.put('/users/:userId/status', requirePermission('users:manage'), updateUserStatus);
 
 /**
  * @swagger
@@ -219,7 +295,7 @@ router.put('/users/:userId/status', updateUserStatus);
  *       200:
  *         description: Sellers list retrieved
  */
-router.get('/sellers', getAllSellers);
+router.get('/sellers', requirePermission('sellers:view'), getAllSellers);
 
 /**
  * @swagger
@@ -241,7 +317,7 @@ router.get('/sellers', getAllSellers);
  *       404:
  *         description: Seller not found
  */
-router.get('/sellers/:sellerId', getSellerById);
+router.get('/sellers/:sellerId', requirePermission('sellers:view'), getSellerById);
 
 /**
  * @swagger
@@ -280,7 +356,7 @@ router.get('/sellers/:sellerId', getSellerById);
  *       404:
  *         description: Seller not found
  */
-router.put('/sellers/:sellerId/verify', verifySeller);
+router.put('/sellers/:sellerId/verify', requirePermission('kyc:review'), verifySeller);
 
 /**
  * @swagger
@@ -313,7 +389,43 @@ router.put('/sellers/:sellerId/verify', verifySeller);
  *       404:
  *         description: Seller not found
  */
-router.put('/sellers/:sellerId/status', updateSellerStatus);
+router.put('/sellers/:sellerId/status', requirePermission('sellers:manage'), updateSellerStatus);
+
+/**
+ * @swagger
+ * /api/v1/admin/sellers/{sellerId}/tier:
+ *   put:
+ *     summary: Update seller tier (used by commission rules)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sellerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tier
+ *             properties:
+ *               tier:
+ *                 type: string
+ *                 enum: [standard, silver, gold, platinum]
+ *     responses:
+ *       200:
+ *         description: Seller tier updated
+ *       400:
+ *         description: Invalid tier
+ *       404:
+ *         description: Seller not found
+ */
+router.put('/sellers/:sellerId/tier', requirePermission('sellers:manage'), updateSellerTier);
 
 /**
  * @swagger
@@ -348,7 +460,7 @@ router.put('/sellers/:sellerId/status', updateSellerStatus);
  *       200:
  *         description: Products list retrieved
  */
-router.get('/products', getAllProducts);
+router.get('/products', requirePermission('catalog:moderate'), getAllProducts);
 
 /**
  * @swagger
@@ -370,7 +482,7 @@ router.get('/products', getAllProducts);
  *       404:
  *         description: Product not found
  */
-router.delete('/products/:productId', deleteProduct);
+router.delete('/products/:productId', requirePermission('catalog:moderate'), deleteProduct);
 
 /**
  * @swagger
@@ -407,7 +519,7 @@ router.delete('/products/:productId', deleteProduct);
  *       200:
  *         description: Orders list retrieved
  */
-router.get('/orders', getAllOrders);
+router.get('/orders', requirePermission('orders:view'), getAllOrders);
 
 /**
  * @swagger
@@ -455,48 +567,377 @@ router.get('/orders', getAllOrders);
  *                     topSellers:
  *                       type: array
  */
-router.get('/analytics', getAnalytics);
+router.get('/analytics', requirePermission('reports:view'), getAnalytics);
 
 // Returns routes
-router.get('/returns', getReturns);
-router.put('/returns/:orderId', updateReturnStatus);
+router.get('/returns', requirePermission('orders:view'), getReturns);
+router.put('/returns/items/:requestId', requirePermission('orders:manage'), updateItemReturnStatus);
+router.put('/returns/:orderId', requirePermission('orders:manage'), updateReturnStatus);
+
+// Exchanges routes
+router.get('/exchanges', requirePermission('orders:view'), getExchanges);
+router.put('/exchanges/:exchangeId', requirePermission('orders:manage'), updateExchangeStatus);
+
+// Refunds routes
+router.get('/refunds', requirePermission('orders:view'), getRefunds);
+router.put('/refunds/:refundId/status', requirePermission('refunds:manage'), updateRefundStatus);
+router.post('/refunds/:refundId/retry', requirePermission('refunds:manage'), retryRefund);
 
 // Sales Reports routes
-router.get('/reports/sales', getSalesReports);
+router.get('/reports/sales', requirePermission('reports:view'), getSalesReports);
 
 // Customers routes
-router.get('/customers', getCustomers);
+router.get('/customers', requirePermission('users:view'), getCustomers);
+router.get('/customers/:userId/wallet', requirePermission('users:view'), getCustomerWallet);
+router.post('/customers/:userId/wallet/credit', requirePermission('wallets:credit'), creditCustomerWallet);
 
 // Payments routes
-router.get('/payments', getPayments);
+router.get('/payments', requirePermission('orders:view'), getPayments);
 
 // Earnings routes
-router.get('/earnings', getEarnings);
+router.get('/earnings', requirePermission('reports:view'), getEarnings);
 
 // Payout routes (admin view of all seller payouts)
-router.get('/payouts/pending', getAllPendingPayouts);
-router.get('/payouts/history', getAllPayoutHistory);
-router.get('/wallet', getAllWallets);
+router.get('/payouts/pending', requirePermission('payouts:view'), getAllPendingPayouts);
+router.get('/payouts/history', requirePermission('payouts:view'), getAllPayoutHistory);
+router.get('/wallet', requirePermission('payouts:view'), getAllWallets);
+router.put('/payouts/:transactionId/status', requirePermission('payouts:approve'), updatePayoutStatus);
+router.post('/payouts/bank-statement', requirePermission('payouts:approve'), bankStatementUpload.single('file'), importBankStatement);
+
+// Scheduled payout batch routes
+router.get('/payout-batches/preview', requirePermission('payouts:view'), previewPayoutBatch);
+router.get('/payout-batches', requirePermission('payouts:view'), getPayoutBatches);
+router.post('/payout-batches', requirePermission('payouts:approve'), createPayoutBatch);
+router.get('/payout-batches/:batchId', requirePermission('payouts:view'), getPayoutBatch);
+router.put('/payout-batches/:batchId/approve', requirePermission('payouts:approve'), approvePayoutBatch);
+router.put('/payout-batches/:batchId/hold', requirePermission('payouts:approve'), holdPayoutBatch);
+router.get('/payout-batches/:batchId/bank-file', requirePermission('payouts:approve'), exportPayoutBatchFile);
+
+// Reseller payout routes
+router.get('/reseller-payouts', requirePermission('payouts:view'), getResellerPayouts);
+router.put('/reseller-payouts/:payoutId/status', requirePermission('payouts:approve'), updateResellerPayoutStatus);
+
+// Ledger routes
+router.get('/ledger/trial-balance', requirePermission('payouts:view'), getTrialBalance);
+router.get('/ledger/sellers/:sellerId/statement', requirePermission('payouts:view'), getSellerStatement);
+router.get('/ledger/sellers/:sellerId/tax-statement', requirePermission('payouts:view'), getSellerTaxStatement);
+router.post('/ledger/adjustments', requirePermission('ledger:adjust'), createLedgerAdjustment);
+
+// Seller penalty routes
+router.get('/penalties', requirePermission('penalties:manage'), getPenalties);
+router.post('/penalties', requirePermission('penalties:manage'), createPenalty);
+router.put('/penalties/:penaltyId/reverse', requirePermission('penalties:manage'), reversePenalty);
+
+// Coupon routes
+router.get('/coupons', requirePermission('coupons:manage'), getCoupons);
+router.post('/coupons', requirePermission('coupons:manage'), createCoupon);
+router.get('/coupons/reports/usage', requirePermission('coupons:manage'), getCouponUsageReport);
+router.get('/coupons/:couponId', requirePermission('coupons:manage'), getCouponById);
+router.put('/coupons/:couponId', requirePermission('coupons:manage'), updateCoupon);
+router.delete('/coupons/:couponId', requirePermission('coupons:manage'), deleteCoupon);
+router.get('/coupons/:couponId/usage', requirePermission('coupons:manage'), getCouponUsage);
+
+// Commission rule routes
+router.get('/commission-rules', requirePermission('commission:manage'), getCommissionRules);
+router.post('/commission-rules', requirePermission('commission:manage'), createCommissionRule);
+router.get('/commission-rules/preview', requirePermission('commission:manage'), previewCommission);
+router.get('/commission-rules/:ruleId', requirePermission('commission:manage'), getCommissionRuleById);
+router.put('/commission-rules/:ruleId', requirePermission('commission:manage'), updateCommissionRule);
+router.delete('/commission-rules/:ruleId', requirePermission('commission:manage'), deleteCommissionRule);
 
 // Reviews routes
-router.get('/reviews', getReviews);
-router.delete('/reviews/:reviewId', deleteReview);
+router.get('/reviews', requirePermission('catalog:moderate'), getReviews);
+router.delete('/reviews/:reviewId', requirePermission('catalog:moderate'), deleteReview);
 
 // Shipping routes
-router.get('/shipping', getShipments);
-router.put('/shipping/:orderId', updateShipment);
+router.get('/shipping', requirePermission('orders:view'), getShipments);
+router.put('/shipping/:orderId', requirePermission('orders:manage'), updateShipment);
 
 // Settings routes
-router.get('/settings', getSettings);
-router.put('/settings', updateSettings);
+/**
+ * @swagger
+ * /api/v1/admin/settings:
+ *   get:
+ *     summary: Get platform settings in force (store, checkout, returns, payouts, commission)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings with their version
+ *   put:
+ *     summary: Change platform settings (saved as a new version)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 description: Version the change was made against
+ *               comment:
+ *                 type: string
+ *               checkout:
+ *                 type: object
+ *                 example: { shippingCharge: 49, freeShippingThreshold: 599 }
+ *               returns:
+ *                 type: object
+ *                 example: { windowDays: 10 }
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Unknown or invalid setting, or nothing changed
+ *       409:
+ *         description: Settings were changed by someone else meanwhile
+ */
+router.get('/settings', requirePermission('settings:manage'), getSettings);
+router.put('/settings', requirePermission('settings:manage'), updateSettings);
+
+/**
+ * @swagger
+ * /api/v1/admin/settings/history:
+ *   get:
+ *     summary: Settings change history (who changed what, newest first)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: path
+ *         schema:
+ *           type: string
+ *         description: Only changes to this setting or section, e.g. checkout.shippingCharge
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Settings versions with their changes
+ */
+router.get('/settings/history', requirePermission('settings:manage'), getSettingsHistory);
+
+// Audit log routes
+/**
+ * @swagger
+ * /api/v1/admin/audit-logs:
+ *   get:
+ *     summary: Search the audit log of privileged actions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User ID of the actor
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Exact action (seller.verify) or a prefix ending in a dot (payout.)
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *         description: Target model, e.g. Seller, PayoutTransaction
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *         description: Target ID or code
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit log entries, newest first
+ */
+router.get('/audit-logs', requirePermission('audit:view'), getAuditLogs);
+
+/**
+ * @swagger
+ * /api/v1/admin/audit-logs/export:
+ *   get:
+ *     summary: Export the audit log as XLSX (takes the same filters as the search)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: XLSX file, one row per changed field
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get('/audit-logs/export', requirePermission('audit:view'), exportAuditLogs);
+
+// Role and permission routes
+/**
+ * @swagger
+ * /api/v1/admin/me/permissions:
+ *   get:
+ *     summary: Roles and permissions of the signed-in admin
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles held and the permissions they grant (* means all)
+ */
+router.get('/me/permissions', getMyPermissions);
+
+/**
+ * @swagger
+ * /api/v1/admin/permissions:
+ *   get:
+ *     summary: Every permission a role can grant
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission names and descriptions
+ */
+router.get('/permissions', requirePermission('roles:manage'), getPermissions);
+
+/**
+ * @swagger
+ * /api/v1/admin/roles:
+ *   get:
+ *     summary: Get admin roles
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles with the number of admins holding each
+ *   post:
+ *     summary: Create an admin role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - label
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: refunds_desk
+ *               label:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [orders:view, refunds:manage]
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       403:
+ *         description: Grants permissions the admin does not hold
+ */
+router.get('/roles', requirePermission('roles:manage'), getRoles);
+router.post('/roles', requirePermission('roles:manage'), createRole);
+router.put('/roles/:roleId', requirePermission('roles:manage'), updateRole);
+router.delete('/roles/:roleId', requirePermission('roles:manage'), deleteRole);
+
+/**
+ * @swagger
+ * /api/v1/admin/admins/{userId}/roles:
+ *   put:
+ *     summary: Set the roles an admin holds
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roles
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Role IDs or names
+ *                 example: [finance]
+ *     responses:
+ *       200:
+ *         description: Roles assigned
+ *       400:
+ *         description: Unknown role, not an admin, or the last super admin
+ *       403:
+ *         description: Roles with permissions the admin does not hold
+ */
+router.get('/admins', requirePermission('roles:manage'), getAdmins);
+router.put('/admins/:userId/roles', requirePermission('roles:manage'), assignRoles);
 
 // KYC routes
-router.get('/kyc', getKYCSubmissions);
+router.get('/kyc', requirePermission('kyc:review'), getKYCSubmissions);
 
 // Seller Management routes
-router.get('/seller-management', getSellerManagement);
+router.get('/seller-management', requirePermission('sellers:view'), getSellerManagement);
 
 // Support routes
-router.post('/support', submitSupportTicket);
+router.post('/support', requirePermission('support:reply'), submitSupportTicket);
 
 module.exports = router;
@@ -11,7 +11,10 @@ const {
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  getCartPreview,
+  applyCoupon,
+  removeCoupon
 } = require('../controllers/cartController');
 
 /**
@@ -228,4 +231,84 @@ router.delete('/remove/:productId', removeFromCart);
  */
 router.delete('/clear', clearCart);
 
+/**
+ * @swagger
+ * /api/v1/cart/preview:
+ *   get:
+ *     summary: Preview cart pricing with applied coupons
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: paymentMethod
+ *         schema:
+ *           type: string
+ *           enum: [cod, online, wallet]
+ *         description: Online payments get the prepaid discount
+ *     responses:
+ *       200:
+ *         description: Pricing breakdown; coupons that no longer apply are listed under rejected
+ *       400:
+ *         description: Cart is empty
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/preview', getCartPreview);
+
+/**
+ * @swagger
+ * /api/v1/cart/coupons:
+ *   post:
+ *     summary: Apply a coupon to the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "WELCOME10"
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cod, online, wallet]
+ *     responses:
+ *       200:
+ *         description: Coupon applied, returns updated pricing
+ *       400:
+ *         description: Coupon invalid, expired, not applicable or cannot be combined
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/coupons', applyCoupon);
+
+/**
+ * @swagger
+ * /api/v1/cart/coupons/{code}:
+ *   delete:
+ *     summary: Remove a coupon from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon removed
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.delete('/coupons/:code', removeCoupon);
+
 module.exports = router;
@@ -6,11 +6,16 @@
 const express = require('express');
 const router = express.Router();
 const catalogController = require('../controllers/catalogController');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, authorize, requirePermission, loadSeller, requireSellerPermission } = require('../middlewares/auth');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+// Sellers work on their own shop's catalog; admins with catalog:moderate pass sellerId
+const catalogAccess = [protect, authorize('seller', 'admin'), requirePermission('catalog:moderate'), loadSeller];
+const canView = [...catalogAccess, requireSellerPermission('catalog:view')];
+const canEdit = [...catalogAccess, requireSellerPermission('catalog:edit')];
+
 // Ensure upload directories exist
 const ensureDirectoryExists = (directory) => {
   if (!fs.existsSync(directory)) {
@@ -235,7 +240,7 @@ const imageUpload = multer({
  *       500:
  *         description: Server error
  */
-router.post('/bulk-upload', protect, authorize('seller', 'admin'), upload.single('file'), catalogController.bulkCatalogUpload);
+router.post('/bulk-upload', canEdit, upload.single('file'), catalogController.bulkCatalogUpload);
 
 /**
  * @swagger
@@ -272,7 +277,7 @@ router.post('/bulk-upload', protect, authorize('seller', 'admin'), upload.single
  *       500:
  *         description: Server error
  */
-router.post('/bulk-image-upload', protect, authorize('seller', 'admin'), imageUpload.array('images', 20), catalogController.bulkImageUpload);
+router.post('/bulk-image-upload', canEdit, imageUpload.array('images', 20), catalogController.bulkImageUpload);
 
 /**
  * @swagger
@@ -344,7 +349,7 @@ router.post('/bulk-image-upload', protect, authorize('seller', 'admin'), imageUp
  *       500:
  *         description: Server error
  */
-router.post('/single-upload', protect, authorize('seller', 'admin'), catalogController.singleProductUpload);
+router.post('/single-upload', canEdit, catalogController.singleProductUpload);
 
 /**
  * @swagger
@@ -374,7 +379,7 @@ router.post('/single-upload', protect, authorize('seller', 'admin'), catalogCont
  *       500:
  *         description: Server error
  */
-router.get('/stats/:sellerId', catalogController.getCatalogStats);
+router.get('/stats/:sellerId', canView, catalogController.getCatalogStats);
 
 /**
  * @swagger
@@ -432,7 +437,7 @@ router.get('/stats/:sellerId', catalogController.getCatalogStats);
  *       500:
  *         description: Server error
  */
-router.get('/:sellerId', catalogController.getAllCatalogs);
+router.get('/:sellerId', canView, catalogController.getAllCatalogs);
 
 /**
  * @swagger
@@ -464,7 +469,7 @@ router.get('/:sellerId', catalogController.getAllCatalogs);
  *       500:
  *         description: Server error
  */
-router.delete('/item/:id', catalogController.deleteCatalogItem);
+router.delete('/item/:id', canEdit, catalogController.deleteCatalogItem);
 
 /**
  * @swagger
@@ -499,6 +504,6 @@ router.delete('/item/:id', catalogController.deleteCatalogItem);
  *       500:
  *         description: Server error
  */
-router.post('/publish/:id', protect, authorize('seller', 'admin'), catalogController.publishCatalogItem);
+router.post('/publish/:id', canEdit, catalogController.publishCatalogItem);
 
 module.exports = router;
@@ -8,7 +8,8 @@
 const express = require('express');
 const router = express.Router();
 const claimController = require('../controllers/claimController');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, authorize, requirePermission, loadSeller } = require('../middlewares/auth');
+const { idempotency } = require('../middlewares/idempotency');
 
 /**
  * @swagger
@@ -38,7 +39,7 @@ const { protect, authorize } = require('../middlewares/auth');
  *       401:
  *         description: Unauthorized
  */
-router.get('/', protect, authorize('admin', 'seller', 'user'), claimController.getAllClaims);
+router.get('/', protect, authorize('admin', 'seller', 'user'), requirePermission('claims:resolve'), loadSeller, claimController.getAllClaims);
 
 /**
  * @swagger
@@ -62,7 +63,7 @@ router.get('/', protect, authorize('admin', 'seller', 'user'), claimController.g
  *       404:
  *         description: Claim not found
  */
-router.get('/:id', protect, claimController.getClaimById);
+router.get('/:id', protect, requirePermission('claims:resolve'), loadSeller, claimController.getClaimById);
 
 /**
  * @swagger
@@ -89,13 +90,16 @@ router.get('/:id', protect, claimController.getClaimById);
  *                 type: string
  *               description:
  *                 type: string
+ *               penaltyId:
+ *                 type: string
+ *                 description: Penalty to dispute; an upheld (approved) claim reverses it
  *     responses:
  *       201:
  *         description: Claim created successfully
  *       401:
  *         description: Unauthorized
  */
-router.post('/', protect, claimController.createClaim);
+router.post('/', protect, requirePermission('claims:resolve'), loadSeller, idempotency('claims.create'), claimController.createClaim);
 
 /**
  * @swagger
@@ -131,6 +135,6 @@ router.post('/', protect, claimController.createClaim);
  *       403:
  *         description: Forbidden - Admin only
  */
-router.put('/:id/status', protect, authorize('admin'), claimController.updateClaimStatus);
+router.put('/:id/status', protect, authorize('admin'), requirePermission('claims:resolve'), claimController.updateClaimStatus);
 
 module.exports = router;
@@ -9,10 +9,17 @@ const {
   getDetailedEarnings,
   getEarningsAnalytics
 } = require('../controllers/earningsController');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, authorize, requirePermission, loadSeller, requireSellerPermission } = require('../middlewares/auth');
 
 const router = express.Router();
 
+// Sellers see their own shop; admins with payouts:view pass sellerId
+router.use(protect);
+router.use(authorize('seller', 'admin'));
+router.use(requirePermission('payouts:view'));
+router.use(loadSeller);
+router.use(requireSellerPermission('finance:view'));
+
 /**
  * @swagger
  * tags:
@@ -28,6 +35,12 @@ const router = express.Router();
  *     tags: [Earnings]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sellerId
+ *         description: Seller to read (admins only; sellers always get their own shop)
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Earnings summary retrieved successfully
@@ -61,18 +74,23 @@ const router = express.Router();
  *       403:
  *         description: Forbidden - Seller access only
  */
-router.get('/summary', protect, authorize('seller', 'admin'), getEarningsSummary);
+router.get('/summary', getEarningsSummary);
 
 /**
  * @swagger
  * /api/v1/earnings/detailed:
  *   get:
- *     summary: Get detailed earnings with orders
+ *     summary: Get detailed earnings per delivered shipment
  *     tags: [Earnings]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: sellerId
+ *         description: Seller to read (admins only; sellers always get their own shop)
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -98,7 +116,7 @@ router.get('/summary', protect, authorize('seller', 'admin'), getEarningsSummary
  *       401:
  *         description: Unauthorized
  */
-router.get('/detailed', protect, authorize('seller', 'admin'), getDetailedEarnings);
+router.get('/detailed', getDetailedEarnings);
 
 /**
  * @swagger
@@ -108,12 +126,18 @@ router.get('/detailed', protect, authorize('seller', 'admin'), getDetailedEarnin
  *     tags: [Earnings]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sellerId
+ *         description: Seller to read (admins only; sellers always get their own shop)
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Analytics retrieved successfully
  *       401:
  *         description: Unauthorized
  */
-router.get('/analytics', protect, authorize('seller', 'admin'), getEarningsAnalytics);
+router.get('/analytics', getEarningsAnalytics);
 
 module.exports = router;
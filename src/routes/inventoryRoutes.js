@@ -6,10 +6,16 @@
 const express = require('express');
 const router = express.Router();
 const inventoryController = require('../controllers/inventoryController');
-const { protect } = require('../middlewares/auth');
+const { protect, authorize, requirePermission, loadSeller, requireSellerPermission } = require('../middlewares/auth');
 
-// Apply authentication to all inventory routes
+// Sellers manage their own shop's inventory; admins with catalog:moderate see any seller's
 router.use(protect);
+router.use(authorize('seller', 'admin'));
+router.use(requirePermission('catalog:moderate'));
+router.use(loadSeller);
+
+const canView = requireSellerPermission('catalog:view');
+const canEdit = requireSellerPermission('catalog:edit');
 
 /**
  * @swagger
@@ -31,6 +37,7 @@ router.use(protect);
  *         name: sellerId
  *         schema:
  *           type: string
+ *         description: Seller to look up (admins only; sellers always see their own shop)
  *       - in: query
  *         name: status
  *         schema:
@@ -56,7 +63,7 @@ router.use(protect);
  *       500:
  *         description: Server error
  */
-router.get('/', inventoryController.getAllInventory);
+router.get('/', canView, inventoryController.getAllInventory);
 
 /**
  * @swagger
@@ -71,6 +78,7 @@ router.get('/', inventoryController.getAllInventory);
  *         name: sellerId
  *         schema:
  *           type: string
+ *         description: Seller to look up (admins only; sellers always see their own shop)
  *     responses:
  *       200:
  *         description: Low stock items fetched successfully
@@ -79,7 +87,7 @@ router.get('/', inventoryController.getAllInventory);
  *       500:
  *         description: Server error
  */
-router.get('/alerts/low-stock', inventoryController.getLowStockItems);
+router.get('/alerts/low-stock', canView, inventoryController.getLowStockItems);
 
 /**
  * @swagger
@@ -118,7 +126,7 @@ router.get('/alerts/low-stock', inventoryController.getLowStockItems);
  *       500:
  *         description: Server error
  */
-router.post('/bulk-update', inventoryController.bulkStockUpdate);
+router.post('/bulk-update', canEdit, inventoryController.bulkStockUpdate);
 
 /**
  * @swagger
@@ -144,7 +152,7 @@ router.post('/bulk-update', inventoryController.bulkStockUpdate);
  *       500:
  *         description: Server error
  */
-router.get('/:id', inventoryController.getInventoryById);
+router.get('/:id', canView, inventoryController.getInventoryById);
 
 /**
  * @swagger
@@ -189,7 +197,7 @@ router.get('/:id', inventoryController.getInventoryById);
  *       500:
  *         description: Server error
  */
-router.post('/', inventoryController.createInventory);
+router.post('/', canEdit, inventoryController.createInventory);
 
 /**
  * @swagger
@@ -232,7 +240,7 @@ router.post('/', inventoryController.createInventory);
  *       500:
  *         description: Server error
  */
-router.put('/:id/stock', inventoryController.updateStock);
+router.put('/:id/stock', canEdit, inventoryController.updateStock);
 
 /**
  * @swagger
@@ -264,7 +272,7 @@ router.put('/:id/stock', inventoryController.updateStock);
  *       500:
  *         description: Server error
  */
-router.put('/:id', inventoryController.updateInventory);
+router.put('/:id', canEdit, inventoryController.updateInventory);
 
 /**
  * @swagger
@@ -290,6 +298,6 @@ router.put('/:id', inventoryController.updateInventory);
  *       500:
  *         description: Server error
  */
-router.delete('/:id', inventoryController.deleteInventory);
+router.delete('/:id', canEdit, inventoryController.deleteInventory);
 
 module.exports = router;
@@ -8,6 +8,14 @@
 const express = require('express');
 const router = express.Router();
 const kycController = require('../controllers/kycController');
+const { protect, authorize, requirePermission, loadSeller, requireSellerPermission } = require('../middlewares/auth');
+
+// Sellers work on their own KYC; admins with kyc:review may only read a seller's, by sellerId
+const sellerOnly = [authorize('seller'), requireSellerPermission('shop:manage')];
+
+router.use(protect);
+router.use(authorize('seller', 'admin'));
+router.use(loadSeller);
 
 /**
  * @swagger
@@ -15,13 +23,21 @@ const kycController = require('../controllers/kycController');
  *   get:
  *     summary: Get KYC status
  *     tags: [KYC]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sellerId
+ *         schema:
+ *           type: string
+ *         description: Seller to look up (required for admins with kyc:review)
  *     responses:
  *       200:
  *         description: KYC status fetched successfully
  */
-router.get('/', kycController.getKYCStatus);
-router.put('/', kycController.updateKYC);
-router.post('/submit', kycController.submitKYC);
-router.post('/upload-document', kycController.uploadDocument);
+router.get('/', requirePermission('kyc:review'), requireSellerPermission('shop:view'), kycController.getKYCStatus);
+router.put('/', sellerOnly, kycController.updateKYC);
+router.post('/submit', sellerOnly, kycController.submitKYC);
+router.post('/upload-document', sellerOnly, kycController.uploadDocument);
 
 module.exports = router;
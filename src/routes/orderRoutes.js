@@ -6,6 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middlewares/auth');
+const { idempotency } = require('../middlewares/idempotency');
+const upload = require('../middlewares/upload');
 const {
   placeOrder,
   getUserOrders,
@@ -14,7 +16,12 @@ const {
   getAllOrders,
   updateOrderStatus,
   cancelOrder,
-  requestReturn
+  requestReturn,
+  requestExchange,
+  cancelExchange,
+  getOrderInvoice,
+  getOrderRefunds,
+  updateRefundDetails
 } = require('../controllers/orderController');
 
 /**
@@ -35,6 +42,13 @@ router.use(protect);
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Client-generated key; retrying with the same key and body replays the first response instead of placing a second order
  *     requestBody:
  *       required: true
  *       content:
@@ -55,6 +69,9 @@ router.use(protect);
  *                       type: string
  *                     quantity:
  *                       type: number
+ *                     margin:
+ *                       type: number
+ *                       description: Reseller margin per unit (reseller orders)
  *               shippingAddress:
  *                 oneOf:
  *                   - type: string
@@ -68,6 +85,40 @@ router.use(protect);
  *               couponCode:
  *                 type: string
  *                 description: Optional coupon code
+ *               couponCodes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Optional list of stackable coupon codes (defaults to the coupons applied on the cart)
+ *               useWallet:
+ *                 type: boolean
+ *                 description: Pay as much as the wallet balance covers; paymentMethod (cod or online) pays the rest
+ *               walletAmount:
+ *                 type: number
+ *                 description: Pay this much from the wallet (capped at the balance and the order total)
+ *               reseller:
+ *                 type: object
+ *                 description: |
+ *                   Order for a reseller's own customer, shipped to shippingAddress. Margins are
+ *                   collected from the customer on delivery, so orders with a margin must be COD.
+ *                 properties:
+ *                   customerName:
+ *                     type: string
+ *                   customerPhone:
+ *                     type: string
+ *                   margins:
+ *                     type: array
+ *                     description: Margin per unit by product (for cart orders)
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         productId:
+ *                           type: string
+ *                         margin:
+ *                           type: number
+ *                   codAmount:
+ *                     type: number
+ *                     description: Amount to collect from the customer; defaults to the amount due plus the margins. Without margins, the difference is spread over the items as margin.
  *     responses:
  *       201:
  *         description: Order placed successfully
@@ -91,7 +142,7 @@ router.use(protect);
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/place', placeOrder);
+router.post('/place', idempotency('orders.place'), placeOrder);
 
 /**
  * @swagger
@@ -217,6 +268,149 @@ router.get('/seller', authorize('seller', 'admin'), getSellerOrders);
  */
 router.get('/admin', authorize('admin'), getAllOrders);
 
+/**
+ * @swagger
+ * /api/v1/order/{orderId}/invoice:
+ *   get:
+ *     summary: Get GST tax invoices for an order
+ *     description: |
+ *       One invoice per seller shipment, issued on first request with a number that is
+ *       consecutive per seller and financial year. Sellers only get invoices for their
+ *       own shipments. Pending and cancelled shipments are not invoiced.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID or Order Number
+ *       - in: query
+ *         name: subOrderId
+ *         schema:
+ *           type: string
+ *         description: Limit to one shipment
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Invoices as JSON, or a PDF with one page per invoice
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoices:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Order not yet confirmed or cancelled
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not authorized to view this invoice
+ *       404:
+ *         description: Order or shipment not found
+ */
+router.get('/:orderId/invoice', getOrderInvoice);
+
+/**
+ * @swagger
+ * /api/v1/order/{orderId}/refunds:
+ *   get:
+ *     summary: Get refunds for an order
+ *     description: One refund per cancelled or returned shipment or item request, with its amount breakdown and status.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refunds and totals
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not your order
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:orderId/refunds', getOrderRefunds);
+
+/**
+ * @swagger
+ * /api/v1/order/{orderId}/refund-details:
+ *   put:
+ *     summary: Set where refunds for an order are paid
+ *     description: |
+ *       Cash on delivery orders are refunded to a bank account, a UPI ID or the wallet.
+ *       Refunds waiting for these details (or that failed) are sent again right away.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refundTo
+ *             properties:
+ *               refundTo:
+ *                 type: string
+ *                 enum: [original, wallet, bank, upi]
+ *               accountHolderName:
+ *                 type: string
+ *               accountNumber:
+ *                 type: string
+ *                 example: "123456789012"
+ *               ifscCode:
+ *                 type: string
+ *                 example: "HDFC0001234"
+ *               bankName:
+ *                 type: string
+ *               upiId:
+ *                 type: string
+ *                 example: "buyer@okhdfcbank"
+ *     responses:
+ *       200:
+ *         description: Refund details saved; waiting refunds sent
+ *       400:
+ *         description: Missing or invalid details
+ *       403:
+ *         description: Not your order
+ *       404:
+ *         description: Order not found
+ */
+router.put('/:orderId/refund-details', updateRefundDetails);
+
 /**
  * @swagger
  * /api/v1/order/{orderId}:
@@ -281,7 +475,7 @@ router.get('/:orderId', getOrderById);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [confirmed, processing, shipped, out_for_delivery, delivered]
+ *                 enum: [confirmed, processing, shipped, out_for_delivery, delivered, cancelled, return_approved, return_rejected, returned, refunded]
  *                 example: "shipped"
  *               trackingNumber:
  *                 type: string
@@ -327,9 +521,35 @@ router.put('/update/:orderId', authorize('seller', 'admin'), updateOrderStatus);
  *                 type: string
  *                 description: Cancellation reason
  *                 example: "Changed my mind"
+ *               items:
+ *                 type: array
+ *                 description: Cancel only these units (defaults to every shipment that can still be cancelled)
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - itemId
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                       description: Order item ID
+ *                     quantity:
+ *                       type: integer
+ *                       default: 1
+ *               refundTo:
+ *                 type: string
+ *                 enum: [original, wallet, bank, upi]
+ *                 description: Where to send the refund (COD orders need bank, upi or wallet)
+ *               accountHolderName:
+ *                 type: string
+ *               accountNumber:
+ *                 type: string
+ *               ifscCode:
+ *                 type: string
+ *               upiId:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Order cancelled successfully
+ *         description: Order (or the selected items) cancelled successfully
  *         content:
  *           application/json:
  *             schema:
@@ -379,9 +599,53 @@ router.put('/cancel/:orderId', cancelOrder);
  *               description:
  *                 type: string
  *                 description: Detailed description
+ *               subOrderId:
+ *                 type: string
+ *                 description: Return only this seller shipment (defaults to every delivered shipment)
+ *               items:
+ *                 type: array
+ *                 description: Return only these units; each becomes its own return request
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - itemId
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                       description: Order item ID
+ *                     quantity:
+ *                       type: integer
+ *                       default: 1
+ *                     reason:
+ *                       type: string
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Photo URLs of the items being returned
+ *               refundTo:
+ *                 type: string
+ *                 enum: [original, wallet, bank, upi]
+ *                 description: Where to send the refund; see PUT /order/{orderId}/refund-details for the fields
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               items:
+ *                 type: string
+ *                 description: JSON array of { itemId, quantity, reason }
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
  *     responses:
  *       200:
- *         description: Return request submitted
+ *         description: Return request submitted for whole shipments
+ *       201:
+ *         description: Item-level return requests created
  *         content:
  *           application/json:
  *             schema:
@@ -399,6 +663,115 @@ router.put('/cancel/:orderId', cancelOrder);
  *       404:
  *         description: Order not found
  */
-router.post('/return/:orderId', requestReturn);
+router.post('/return/:orderId', upload.array('images', 5), requestReturn);
+
+/**
+ * @swagger
+ * /api/v1/order/exchange/{orderId}:
+ *   post:
+ *     summary: Request a size or colour exchange for a delivered item
+ *     description: Holds the replacement variant's stock, then links a reverse pickup of the original units to a forward replacement shipment. The buyer is not refunded unless the exchange fails after pickup.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemId
+ *               - reason
+ *             properties:
+ *               itemId:
+ *                 type: string
+ *                 description: Order item ID
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *               size:
+ *                 type: string
+ *                 description: Size wanted instead
+ *                 example: "L"
+ *               color:
+ *                 type: string
+ *                 description: Colour wanted instead
+ *                 example: "Blue"
+ *               reason:
+ *                 type: string
+ *                 example: "Too small"
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               itemId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Exchange requested
+ *       400:
+ *         description: Return window expired, variant unavailable or out of stock
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Order or item not found
+ */
+router.post('/exchange/:orderId', upload.array('images', 5), requestExchange);
+
+/**
+ * @swagger
+ * /api/v1/order/exchange/{exchangeId}/cancel:
+ *   put:
+ *     summary: Cancel an exchange before the item is picked up
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: exchangeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Exchange cancelled and replacement stock released
+ *       400:
+ *         description: Exchange can no longer be cancelled
+ *       404:
+ *         description: Exchange not found
+ */
+router.put('/exchange/:exchangeId/cancel', cancelExchange);
 
 module.exports = router;
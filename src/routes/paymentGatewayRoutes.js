@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Payment gateway routes
+ * @module routes/paymentGatewayRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middlewares/auth');
+const {
+  createIntent,
+  verifyPayment,
+  getOrderPayments,
+  handleWebhook,
+  simulateMockPayment
+} = require('../controllers/paymentGatewayController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payment Gateway
+ *   description: Paying online orders through a payment provider
+ */
+
+/**
+ * @swagger
+ * /api/v1/payment-gateway/webhook/{provider}:
+ *   post:
+ *     summary: Payment provider webhook
+ *     description: Called by the provider. The body must be signed (x-mock-signature for the mock provider); redelivered events are ignored.
+ *     tags: [Payment Gateway]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: mock
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       401:
+ *         description: Invalid signature
+ */
+router.post('/webhook/:provider', handleWebhook);
+
+// Everything else is for signed-in buyers
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/payment-gateway/orders/{orderId}/intent:
+ *   post:
+ *     summary: Create a payment intent for an online order
+ *     description: Reuses an open intent for the same amount. Returns what the client needs to open checkout.
+ *     tags: [Payment Gateway]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Payment intent created
+ *       400:
+ *         description: Order is not an unpaid online order
+ *       404:
+ *         description: Order not found
+ */
+router.post('/orders/:orderId/intent', createIntent);
+
+/**
+ * @swagger
+ * /api/v1/payment-gateway/orders/{orderId}/verify:
+ *   post:
+ *     summary: Verify the checkout callback and mark the order paid
+ *     tags: [Payment Gateway]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - intentId
+ *               - paymentId
+ *               - signature
+ *             properties:
+ *               intentId:
+ *                 type: string
+ *               paymentId:
+ *                 type: string
+ *               signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment verified; order confirmed (or refunded if it was no longer payable)
+ *       400:
+ *         description: Signature verification failed
+ *       404:
+ *         description: Order or payment not found
+ */
+router.post('/orders/:orderId/verify', verifyPayment);
+
+/**
+ * @swagger
+ * /api/v1/payment-gateway/orders/{orderId}:
+ *   get:
+ *     summary: Payment attempts for an order
+ *     tags: [Payment Gateway]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order payment and its intents
+ *       404:
+ *         description: Order not found
+ */
+router.get('/orders/:orderId', getOrderPayments);
+
+/**
+ * @swagger
+ * /api/v1/payment-gateway/mock/{intentId}/pay:
+ *   post:
+ *     summary: Complete checkout against the mock provider
+ *     description: Offline testing only. Sends the signed webhook the gateway would send and returns the callback fields the client would receive.
+ *     tags: [Payment Gateway]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: intentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               succeed:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Mock payment processed
+ *       404:
+ *         description: Mock provider not active or intent not found
+ */
+router.post('/mock/:intentId/pay', simulateMockPayment);
+
+module.exports = router;
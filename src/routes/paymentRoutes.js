@@ -8,6 +8,15 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
+const { protect, authorize, requirePermission, loadSeller, requireSellerPermission } = require('../middlewares/auth');
+
+// Sellers read their own shop's payments; only admins record and settle them
+router.use(protect);
+router.use(authorize('seller', 'admin'));
+router.use(loadSeller);
+
+const canView = [requirePermission('payouts:view'), requireSellerPermission('finance:view')];
+const canSettle = [authorize('admin'), requirePermission('payouts:approve')];
 
 /**
  * @swagger
@@ -40,7 +49,7 @@ const paymentController = require('../controllers/paymentController');
  *       200:
  *         description: Payments fetched successfully
  */
-router.get('/', paymentController.getAllPayments);
+router.get('/', canView, paymentController.getAllPayments);
 
 /**
  * @swagger
@@ -58,7 +67,7 @@ router.get('/', paymentController.getAllPayments);
  *       200:
  *         description: Payment fetched successfully
  */
-router.get('/:id', paymentController.getPaymentById);
+router.get('/:id', canView, paymentController.getPaymentById);
 
 /**
  * @swagger
@@ -76,7 +85,7 @@ router.get('/:id', paymentController.getPaymentById);
  *       201:
  *         description: Payment created successfully
  */
-router.post('/', paymentController.createPayment);
+router.post('/', canSettle, paymentController.createPayment);
 
 /**
  * @swagger
@@ -103,6 +112,6 @@ router.post('/', paymentController.createPayment);
  *       200:
  *         description: Payment status updated successfully
  */
-router.put('/:id/status', paymentController.updatePaymentStatus);
+router.put('/:id/status', canSettle, paymentController.updatePaymentStatus);
 
 module.exports = router;
@@ -8,6 +8,16 @@
 const express = require('express');
 const router = express.Router();
 const pricingController = require('../controllers/pricingController');
+const { protect, authorize, requirePermission, loadSeller, requireSellerPermission } = require('../middlewares/auth');
+
+// Sellers price their own shop's products; admins with catalog:moderate pass sellerId
+router.use(protect);
+router.use(authorize('seller', 'admin'));
+router.use(requirePermission('catalog:moderate'));
+router.use(loadSeller);
+
+const canView = requireSellerPermission('catalog:view');
+const canEdit = requireSellerPermission('catalog:edit');
 
 /**
  * @swagger
@@ -19,10 +29,10 @@ const pricingController = require('../controllers/pricingController');
  *       200:
  *         description: Pricing fetched successfully
  */
-router.get('/', pricingController.getAllPricing);
-router.get('/:id', pricingController.getPricingById);
-router.post('/', pricingController.createPricing);
-router.put('/:id', pricingController.updatePricing);
-router.put('/:id/auto-price', pricingController.enableAutoPrice);
+router.get('/', canView, pricingController.getAllPricing);
+router.get('/:id', canView, pricingController.getPricingById);
+router.post('/', canEdit, pricingController.createPricing);
+router.put('/:id', canEdit, pricingController.updatePricing);
+router.put('/:id/auto-price', canEdit, pricingController.enableAutoPrice);
 
 module.exports = router;
@@ -8,6 +8,13 @@
 const express = require('express');
 const router = express.Router();
 const qualityController = require('../controllers/qualityController');
+const { protect, authorize, requirePermission, loadSeller, requireSellerPermission } = require('../middlewares/auth');
+
+// Sellers see their own shop's quality metrics; admins with catalog:moderate pass sellerId
+router.use(protect);
+router.use(authorize('seller', 'admin'));
+router.use(requirePermission('catalog:moderate'));
+router.use(loadSeller);
 
 /**
  * @swagger
@@ -19,8 +26,8 @@ const qualityController = require('../controllers/qualityController');
  *       200:
  *         description: Quality metrics fetched successfully
  */
-router.get('/', qualityController.getQualityMetrics);
-router.get('/:id', qualityController.getQualityById);
-router.put('/:id', qualityController.updateQualityMetrics);
+router.get('/', requireSellerPermission('catalog:view'), qualityController.getQualityMetrics);
+router.get('/:id', requireSellerPermission('catalog:view'), qualityController.getQualityById);
+router.put('/:id', requireSellerPermission('catalog:edit'), qualityController.updateQualityMetrics);
 
 module.exports = router;
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Reseller routes
+ * @module routes/resellerRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middlewares/auth');
+const {
+  getDashboard,
+  getEarnings,
+  getPayouts,
+  requestPayout,
+  updatePayoutDetails
+} = require('../controllers/resellerController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reseller
+ *   description: Margins on orders placed for a reseller's own customers
+ */
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/reseller/dashboard:
+ *   get:
+ *     summary: Reseller earnings dashboard
+ *     description: |
+ *       Totals across reseller orders: margin added, forfeited on cancelled and returned
+ *       units, pending (not yet delivered or still in the return window), available,
+ *       in payout and paid. Also the latest earnings and payouts.
+ *     tags: [Reseller]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dashboard figures
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/dashboard', getDashboard);
+
+/**
+ * @swagger
+ * /api/v1/reseller/earnings:
+ *   get:
+ *     summary: Margins earned per shipment
+ *     tags: [Reseller]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in_payout, paid, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Earnings
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/earnings', getEarnings);
+
+/**
+ * @swagger
+ * /api/v1/reseller/payouts:
+ *   get:
+ *     summary: Reseller payouts
+ *     tags: [Reseller]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Payouts, newest first
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: Request a payout of cleared margins now
+ *     description: Pays every earning whose shipment is delivered, past its return window and has no open return or exchange.
+ *     tags: [Reseller]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Payout created and sent for processing
+ *       400:
+ *         description: No payout details, or nothing ready to pay
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/payouts', getPayouts);
+router.post('/payouts', requestPayout);
+
+/**
+ * @swagger
+ * /api/v1/reseller/payout-details:
+ *   put:
+ *     summary: Set where reseller margins are paid
+ *     tags: [Reseller]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - method
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [bank, upi]
+ *               accountHolderName:
+ *                 type: string
+ *               accountNumber:
+ *                 type: string
+ *               ifscCode:
+ *                 type: string
+ *               bankName:
+ *                 type: string
+ *               upiId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payout details saved
+ *       400:
+ *         description: Missing or invalid details
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/payout-details', updatePayoutDetails);
+
+module.exports = router;
@@ -18,14 +18,33 @@ const {
   updateOrderStatus,
   getReturns,
   updateReturnStatus,
+  updateItemReturnStatus,
+  getExchanges,
+  updateExchangeStatus,
   getWallet,
   getPendingPayouts,
   getPayoutHistory,
   requestPayout,
-  getEarningsBreakdown
+  getEarningsBreakdown,
+  getPayoutStatement,
+  getMonthlyStatement,
+  getTaxStatement,
+  getPenalties
 } = require('../controllers/sellerController');
-const { protect, authorize, verifySeller } = require('../middlewares/auth');
+const {
+  getMyShops,
+  getStaffRoles,
+  getStaff,
+  inviteStaff,
+  updateStaffRole,
+  removeStaff,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation
+} = require('../controllers/sellerStaffController');
+const { protect, authorize, verifySeller, requireSellerPermission } = require('../middlewares/auth');
 const { validate } = require('../middlewares/validator');
+const { idempotency } = require('../middlewares/idempotency');
 const { single, kycDocuments } = require('../config/multer');
 
 const router = express.Router();
@@ -37,8 +56,98 @@ const router = express.Router();
  *   description: Seller management and operations
  */
 
+/**
+ * @swagger
+ * tags:
+ *   name: Seller Staff
+ *   description: People who run a shop with the owner, their roles and invitations. Staff act for a shop by sending its ID in the X-Seller-Id header when they belong to more than one.
+ */
+
 // Protect all routes
 router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/sellers/shops:
+ *   get:
+ *     summary: Shops the signed-in user can act for, with their staff role and permissions in each
+ *     tags: [Seller Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shops retrieved successfully
+ */
+router.get('/shops', getMyShops);
+
+/**
+ * @swagger
+ * /api/v1/sellers/invitations:
+ *   get:
+ *     summary: Open staff invitations to the signed-in user's phone number or email
+ *     tags: [Seller Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ */
+router.get('/invitations', getMyInvitations);
+
+/**
+ * @swagger
+ * /api/v1/sellers/invitations/{invitationId}/accept:
+ *   post:
+ *     summary: Accept a staff invitation and join the shop
+ *     description: A phone invitation is accepted by the account with that phone number once it is verified. An email invitation needs the token from the emailed link. Buyer accounts become seller accounts.
+ *     tags: [Seller Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the invitation email
+ *     responses:
+ *       200:
+ *         description: Invitation accepted successfully
+ *       403:
+ *         description: The invitation is for someone else, or the phone number is not verified
+ *       404:
+ *         description: Invitation not found
+ */
+router.post('/invitations/:invitationId/accept', acceptInvitation);
+
+/**
+ * @swagger
+ * /api/v1/sellers/invitations/{invitationId}/decline:
+ *   post:
+ *     summary: Decline a staff invitation
+ *     tags: [Seller Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ */
+router.post('/invitations/:invitationId/decline', declineInvitation);
+
 router.use(authorize('seller'));
 
 /**
@@ -82,7 +191,7 @@ router.use(authorize('seller'));
  *       403:
  *         description: Seller verification required
  */
-router.get('/dashboard', verifySeller, getDashboard);
+router.get('/dashboard', verifySeller, requireSellerPermission('shop:view'), getDashboard);
 
 /**
  * @swagger
@@ -110,7 +219,7 @@ router.get('/dashboard', verifySeller, getDashboard);
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/profile', verifySeller, getProfile);
+router.get('/profile', verifySeller, requireSellerPermission('shop:view'), getProfile);
 
 /**
  * @swagger
@@ -176,7 +285,7 @@ router.post('/profile', protect, createProfile);
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.put('/profile', verifySeller, single('shopLogo'), updateProfile);
+router.put('/profile', verifySeller, requireSellerPermission('shop:manage'), single('shopLogo'), updateProfile);
 
 /**
  * @swagger
@@ -220,7 +329,7 @@ router.put('/profile', verifySeller, single('shopLogo'), updateProfile);
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/kyc', kycDocuments, submitKYC);
+router.post('/kyc', verifySeller, requireSellerPermission('shop:manage'), kycDocuments, submitKYC);
 
 /**
  * @swagger
@@ -275,6 +384,7 @@ router.post(
     validate
   ],
   verifySeller,
+  requireSellerPermission('bank:manage'),
   addBankDetails
 );
 
@@ -324,7 +434,7 @@ router.post(
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/products', verifySeller, getProducts);
+router.get('/products', verifySeller, requireSellerPermission('catalog:view'), getProducts);
 
 /**
  * @swagger
@@ -370,7 +480,7 @@ router.get('/products', verifySeller, getProducts);
  *       404:
  *         description: Product not found
  */
-router.put('/products/:id', verifySeller, updateProduct);
+router.put('/products/:id', verifySeller, requireSellerPermission('catalog:edit'), updateProduct);
 
 /**
  * @swagger
@@ -401,7 +511,7 @@ router.put('/products/:id', verifySeller, updateProduct);
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/orders', verifySeller, getOrders);
+router.get('/orders', verifySeller, requireSellerPermission('orders:view'), getOrders);
 
 /**
  * @swagger
@@ -428,12 +538,19 @@ router.get('/orders', verifySeller, getOrders);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [confirmed, processing, shipped, delivered]
+ *                 enum: [confirmed, processing, shipped, out_for_delivery, delivered, cancelled]
+ *               comment:
+ *                 type: string
+ *                 description: Note for the status history (cancellation reason when cancelling)
+ *               trackingId:
+ *                 type: string
+ *               courier:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Order status updated
  *       400:
- *         description: Invalid status
+ *         description: Invalid status or transition not allowed from the current status
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       404:
@@ -443,23 +560,275 @@ router.put(
   '/orders/:orderId/status',
   [
     body('status')
-      .isIn(['confirmed', 'processing', 'shipped', 'delivered'])
+      .isIn(['confirmed', 'processing', 'shipped', 'out_for_delivery', 'delivered', 'cancelled'])
       .withMessage('Invalid status'),
     validate
   ],
   verifySeller,
+  requireSellerPermission('orders:fulfil'),
   updateOrderStatus
 );
 
 // Returns routes
-router.get('/returns', verifySeller, getReturns);
-router.put('/returns/:orderId', verifySeller, updateReturnStatus);
+router.get('/returns', verifySeller, requireSellerPermission('orders:view'), getReturns);
+router.put('/returns/items/:requestId', verifySeller, requireSellerPermission('orders:fulfil'), updateItemReturnStatus);
+router.put('/returns/:orderId', verifySeller, requireSellerPermission('orders:fulfil'), updateReturnStatus);
+
+// Exchanges routes
+router.get('/exchanges', verifySeller, requireSellerPermission('orders:view'), getExchanges);
+router.put('/exchanges/:exchangeId', verifySeller, requireSellerPermission('orders:fulfil'), updateExchangeStatus);
 
 // Wallet and Payout routes
-router.get('/wallet', verifySeller, getWallet);
-router.get('/payouts/pending', verifySeller, getPendingPayouts);
-router.get('/payouts/history', verifySeller, getPayoutHistory);
-router.post('/payouts/request', verifySeller, requestPayout);
-router.get('/earnings/breakdown', verifySeller, getEarningsBreakdown);
+router.get('/wallet', verifySeller, requireSellerPermission('finance:view'), getWallet);
+router.get('/payouts/pending', verifySeller, requireSellerPermission('finance:view'), getPendingPayouts);
+router.get('/payouts/history', verifySeller, requireSellerPermission('finance:view'), getPayoutHistory);
+router.post('/payouts/request', verifySeller, requireSellerPermission('finance:request'), idempotency('sellers.payouts.request'), requestPayout);
+router.get('/earnings/breakdown', verifySeller, requireSellerPermission('finance:view'), getEarningsBreakdown);
+
+/**
+ * @swagger
+ * /api/v1/sellers/payouts/{transactionId}/statement:
+ *   get:
+ *     summary: Settlement statement for one payout
+ *     description: Every shipment in the payout with sale, commission, GST, shipping, penalty, refunds and net, the adjustments and TCS/TDS netted into the payout, and the balance before and after it.
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, xlsx, json]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Statement file (or JSON)
+ *       404:
+ *         description: Payout not found
+ */
+router.get('/payouts/:transactionId/statement', verifySeller, requireSellerPermission('finance:view'), getPayoutStatement);
+
+/**
+ * @swagger
+ * /api/v1/sellers/statements:
+ *   get:
+ *     summary: Monthly settlement statement
+ *     description: Every shipment posted in the month with sale, commission, GST, shipping, penalty, refunds and net, other account movements, and the opening and closing balances.
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 2026-10
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, xlsx, json]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Statement file (or JSON)
+ *       400:
+ *         description: Invalid month or format
+ */
+router.get('/statements', verifySeller, requireSellerPermission('finance:view'), getMonthlyStatement);
+
+/**
+ * @swagger
+ * /api/v1/sellers/tax-statements:
+ *   get:
+ *     summary: TCS and TDS withheld from payouts for a month or a quarter
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: 2026-10
+ *       - in: query
+ *         name: financialYear
+ *         schema:
+ *           type: string
+ *           example: 2026-27
+ *       - in: query
+ *         name: quarter
+ *         schema:
+ *           type: string
+ *           enum: [Q1, Q2, Q3, Q4]
+ *       - in: query
+ *         name: format
+ *         description: Download as a file instead of JSON
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv]
+ *     responses:
+ *       200:
+ *         description: Statement (JSON or file)
+ *       400:
+ *         description: Give a month, or a financialYear and quarter
+ */
+router.get('/tax-statements', verifySeller, requireSellerPermission('finance:view'), getTaxStatement);
+
+/**
+ * @swagger
+ * /api/v1/sellers/penalties:
+ *   get:
+ *     summary: Penalties charged for late dispatch, cancellations, wrong or defective items and fake shipments
+ *     description: Each penalty has the reason it was charged. Dispute one by raising a claim with its penaltyId; an upheld claim reverses it.
+ *     tags: [Sellers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, disputed, reversed]
+ *       - in: query
+ *         name: rule
+ *         schema:
+ *           type: string
+ *           enum: [late_dispatch, seller_cancellation, wrong_item, defective_item, fake_shipment]
+ *     responses:
+ *       200:
+ *         description: Penalties with totals by status
+ */
+router.get('/penalties', verifySeller, requireSellerPermission('finance:view'), getPenalties);
+
+/**
+ * @swagger
+ * /api/v1/sellers/staff/roles:
+ *   get:
+ *     summary: Staff roles a shop can give and the permissions each grants
+ *     tags: [Seller Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Staff roles retrieved successfully
+ */
+router.get('/staff/roles', verifySeller, getStaffRoles);
+
+/**
+ * @swagger
+ * /api/v1/sellers/staff:
+ *   get:
+ *     summary: The shop's owner account, staff and open invitations
+ *     tags: [Seller Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Staff retrieved successfully
+ *       403:
+ *         description: Needs the staff:manage permission
+ */
+router.get('/staff', verifySeller, requireSellerPermission('staff:manage'), getStaff);
+
+/**
+ * @swagger
+ * /api/v1/sellers/staff/invitations:
+ *   post:
+ *     summary: Invite someone to the shop's staff by phone number or email
+ *     description: Inviting the same phone number or email again replaces the open invitation. Invitations are valid for 7 days.
+ *     tags: [Seller Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "packing@example.com"
+ *               phone:
+ *                 type: string
+ *                 example: "9876543210"
+ *               role:
+ *                 type: string
+ *                 enum: [owner, catalog, fulfilment, finance, read_only]
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *       400:
+ *         description: Unknown role, or not exactly one of phone and email
+ *       409:
+ *         description: Already on the shop's staff
+ */
+router.post('/staff/invitations', verifySeller, requireSellerPermission('staff:manage'), inviteStaff);
+
+/**
+ * @swagger
+ * /api/v1/sellers/staff/{memberId}/role:
+ *   put:
+ *     summary: Change a staff member's role, or the role an open invitation grants
+ *     tags: [Seller Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, catalog, fulfilment, finance, read_only]
+ *     responses:
+ *       200:
+ *         description: Staff role updated successfully
+ *       404:
+ *         description: Staff member not found
+ */
+router.put('/staff/:memberId/role', verifySeller, requireSellerPermission('staff:manage'), updateStaffRole);
+
+/**
+ * @swagger
+ * /api/v1/sellers/staff/{memberId}:
+ *   delete:
+ *     summary: Remove a staff member or withdraw an open invitation
+ *     tags: [Seller Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Staff member removed successfully
+ *       404:
+ *         description: Staff member not found
+ */
+router.delete('/staff/:memberId', verifySeller, requireSellerPermission('staff:manage'), removeStaff);
 
 module.exports = router;
@@ -8,7 +8,7 @@
 const express = require('express');
 const router = express.Router();
 const supportController = require('../controllers/supportController');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, authorize, requirePermission, loadSeller } = require('../middlewares/auth');
 
 /**
  * @swagger
@@ -43,7 +43,7 @@ const { protect, authorize } = require('../middlewares/auth');
  *       401:
  *         description: Unauthorized
  */
-router.get('/', protect, authorize('admin', 'seller', 'user'), supportController.getAllTickets);
+router.get('/', protect, authorize('admin', 'seller', 'user'), requirePermission('support:reply'), loadSeller, supportController.getAllTickets);
 
 /**
  * @swagger
@@ -67,7 +67,7 @@ router.get('/', protect, authorize('admin', 'seller', 'user'), supportController
  *       404:
  *         description: Ticket not found
  */
-router.get('/:id', protect, supportController.getTicketById);
+router.get('/:id', protect, requirePermission('support:reply'), loadSeller, supportController.getTicketById);
 
 /**
  * @swagger
@@ -103,7 +103,7 @@ router.get('/:id', protect, supportController.getTicketById);
  *       401:
  *         description: Unauthorized
  */
-router.post('/', protect, supportController.createTicket);
+router.post('/', protect, requirePermission('support:reply'), loadSeller, supportController.createTicket);
 
 /**
  * @swagger
@@ -136,7 +136,7 @@ router.post('/', protect, supportController.createTicket);
  *       401:
  *         description: Unauthorized
  */
-router.post('/:id/message', protect, supportController.addMessage);
+router.post('/:id/message', protect, requirePermission('support:reply'), loadSeller, supportController.addMessage);
 
 /**
  * @swagger
@@ -172,6 +172,6 @@ router.post('/:id/message', protect, supportController.addMessage);
  *       403:
  *         description: Forbidden - Admin only
  */
-router.put('/:id/status', protect, authorize('admin'), supportController.updateTicketStatus);
+router.put('/:id/status', protect, authorize('admin'), requirePermission('support:reply'), supportController.updateTicketStatus);
 
 module.exports = router;
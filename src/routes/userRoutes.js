@@ -12,6 +12,7 @@ const {
   updateAddress,
   deleteAddress,
   getOrders,
+  getWallet,
   addToWishlist,
   removeFromWishlist,
   getWishlist
@@ -56,6 +57,9 @@ router.use(authorize('user', 'seller', 'admin'));
  *                   properties:
  *                     user:
  *                       $ref: '#/components/schemas/User'
+ *                     wallet:
+ *                       type: object
+ *                       description: Wallet balance and the last few transactions
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
@@ -239,6 +243,39 @@ router.delete('/addresses/:addressId', deleteAddress);
  */
 router.get('/orders', getOrders);
 
+/**
+ * @swagger
+ * /api/v1/users/wallet:
+ *   get:
+ *     summary: Get wallet balance and transactions
+ *     description: Credits from refunds, goodwill, referral and cashback rewards, and spend at checkout.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [credit, debit]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/wallet', getWallet);
+
 /**
  * @swagger
  * /api/v1/users/wishlist:
@@ -8,6 +8,15 @@
 const express = require('express');
 const router = express.Router();
 const warehouseController = require('../controllers/warehouseController');
+const { protect, authorize, requirePermission, loadSeller, requireSellerPermission } = require('../middlewares/auth');
+
+// Sellers manage their own shop's warehouses; admins pass sellerId
+router.use(protect);
+router.use(authorize('seller', 'admin'));
+router.use(loadSeller);
+
+const canView = [requirePermission('sellers:view'), requireSellerPermission('shop:view')];
+const canManage = [requirePermission('sellers:manage'), requireSellerPermission('shop:manage')];
 
 /**
  * @swagger
@@ -19,10 +28,10 @@ const warehouseController = require('../controllers/warehouseController');
  *       200:
  *         description: Warehouses fetched successfully
  */
-router.get('/', warehouseController.getAllWarehouses);
-router.get('/:id', warehouseController.getWarehouseById);
-router.post('/', warehouseController.createWarehouse);
-router.put('/:id', warehouseController.updateWarehouse);
-router.delete('/:id', warehouseController.deleteWarehouse);
+router.get('/', canView, warehouseController.getAllWarehouses);
+router.get('/:id', canView, warehouseController.getWarehouseById);
+router.post('/', canManage, warehouseController.createWarehouse);
+router.put('/:id', canManage, warehouseController.updateWarehouse);
+router.delete('/:id', canManage, warehouseController.deleteWarehouse);
 
 module.exports = router;
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Audit service - records privileged actions and searches the audit log
+ * @module services/auditService
+ *
+ * Controllers call record() after a privileged action has gone through,
+ * passing the fields of the entity before and after the change; only the
+ * fields that differ are kept. Passwords, tokens and bank account numbers are
+ * never stored. A failure to write the log is logged rather than failing the
+ * action that was already carried out.
+ */
+
+const mongoose = require('mongoose');
+const xlsx = require('xlsx');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+// Most rows one export will hold
+const EXPORT_LIMIT = 10000;
+
+const REDACTED = /password|token|secret|otp|accountNumber/i;
+
+/**
+ * Plain copy of some fields of a document, for before/after snapshots
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {Array<string>} fields - Paths to copy (dot paths allowed)
+ * @returns {Object|null}
+ */
+exports.pick = (doc, fields) => {
+  if (!doc) return null;
+  const source = doc.toObject ? doc.toObject({ depopulate: true }) : doc;
+  return fields.reduce((picked, field) => {
+    picked[field] = field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+    return picked;
+  }, {});
+};
+
+/**
+ * Store-friendly copy of a value: ids as strings, no undefined
+ */
+const normalize = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value) || (value && typeof value === 'object' && !(value instanceof Date))) {
+    return JSON.parse(JSON.stringify(value));
+  }
+  return value;
+};
+
+/**
+ * Fields that differ between two snapshots
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<Object>} [{ path, from, to }]
+ */
+exports.diff = (before, after) => {
+  const paths = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return paths.reduce((changes, path) => {
+    const from = normalize(before ? before[path] : undefined);
+    const to = normalize(after ? after[path] : undefined);
+    if (JSON.stringify(from) === JSON.stringify(to)) return changes;
+    changes.push(REDACTED.test(path)
+      ? { path, from: from == null ? null : '[redacted]', to: to == null ? null : '[redacted]' }
+      : { path, from, to });
+    return changes;
+  }, []);
+};
+
+/**
+ * Record a privileged action
+ * @param {Object} req - Express request of the actor (user, IP and user agent come from it)
+ * @param {Object} entry
+ * @param {string} entry.action - entity.verb, e.g. seller.verify
+ * @param {Object} entry.target - { model, id, code }
+ * @param {Object} [entry.before] - Fields before the action (from pick)
+ * @param {Object} [entry.after] - Fields after the action (from pick)
+ * @param {string} [entry.reason] - Reason or notes given
+ * @param {Object} [entry.metadata]
+ * @returns {Promise<Object|null>} AuditLog
+ */
+exports.record = async (req, { action, target, before, after, reason, metadata }) => {
+  try {
+    const user = req.user || {};
+    return await AuditLog.create({
+      actor: user._id,
+      actorName: user.name,
+      actorEmail: user.email,
+      role: user.role || 'system',
+      action,
+      target,
+      changes: exports.diff(before, after),
+      reason,
+      metadata,
+      ip: req.ip || req.headers?.['x-forwarded-for'] || req.socket?.remoteAddress,
+      userAgent: req.get ? req.get('user-agent') : req.headers?.['user-agent'],
+      method: req.method,
+      url: req.originalUrl
+    });
+  } catch (error) {
+    logger.error(`Audit log for ${action} on ${target?.model} ${target?.code || target?.id} failed: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Build an audit log query from search filters
+ * @param {Object} filters
+ * @param {string} [filters.actor] - User ID
+ * @param {string} [filters.role]
+ * @param {string} [filters.action] - Exact action, or a prefix ending in . (e.g. payout.)
+ * @param {string} [filters.entity] - Target model
+ * @param {string} [filters.entityId] - Target ID or code
+ * @param {string} [filters.ip]
+ * @param {string} [filters.from] - Start date
+ * @param {string} [filters.to] - End date
+ * @param {string} [filters.search] - Text in the action, target code, reason or actor name/email
+ * @returns {Object} MongoDB query
+ */
+exports.buildQuery = ({ actor, role, action, entity, entityId, ip, from, to, search } = {}) => {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const query = {};
+
+  if (actor && mongoose.Types.ObjectId.isValid(actor)) query.actor = actor;
+  if (role) query.role = role;
+  if (action) query.action = action.endsWith('.') ? { $regex: `^${escape(action)}` } : action;
+  if (entity) query['target.model'] = entity;
+  if (entityId) {
+    query.$or = mongoose.Types.ObjectId.isValid(entityId)
+      ? [{ 'target.id': entityId }, { 'target.code': entityId }]
+      : [{ 'target.code': entityId }];
+  }
+  if (ip) query.ip = ip;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+  if (search) {
+    const pattern = { $regex: escape(search), $options: 'i' };
+    const textMatch = [
+      { action: pattern },
+      { 'target.code': pattern },
+      { reason: pattern },
+      { actorName: pattern },
+      { actorEmail: pattern }
+    ];
+    if (query.$or) {
+      query.$and = [{ $or: query.$or }, { $or: textMatch }];
+      delete query.$or;
+    } else {
+      query.$or = textMatch;
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Audit log entries as an XLSX workbook, one row per changed field
+ * @param {Object} query - From buildQuery
+ * @returns {Promise<Object>} { buffer, contentType, fileName, rows }
+ */
+exports.exportXlsx = async (query) => {
+  const logs = await AuditLog.find(query).sort({ createdAt: -1 }).limit(EXPORT_LIMIT).lean();
+
+  const rows = [];
+  logs.forEach(log => {
+    const base = {
+      Date: log.createdAt.toISOString(),
+      Actor: log.actorName || '',
+      'Actor email': log.actorEmail || '',
+      'Actor ID': log.actor ? log.actor.toString() : '',
+      Role: log.role,
+      Action: log.action,
+      Entity: log.target.model,
+      'Entity ID': log.target.id ? log.target.id.toString() : '',
+      'Entity code': log.target.code || '',
+      Reason: log.reason || '',
+      IP: log.ip || '',
+      'User agent': log.userAgent || ''
+    };
+    const changes = log.changes.length ? log.changes : [{}];
+    changes.forEach(change => rows.push({
+      ...base,
+      Field: change.path || '',
+      From: change.path ? JSON.stringify(change.from ?? null) : '',
+      To: change.path ? JSON.stringify(change.to ?? null) : ''
+    }));
+  });
+
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(rows), 'Audit log');
+
+  return {
+    buffer: xlsx.write(workbook, { bookType: 'xlsx', type: 'buffer' }),
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    fileName: `audit-log-${new Date().toISOString().slice(0, 10)}.xlsx`,
+    rows: logs.length
+  };
+};
+
+exports.EXPORT_LIMIT = EXPORT_LIMIT;
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Bank file service - bulk-transfer files and bank statement reconciliation
+ * @module services/bankFileService
+ *
+ * An approved payout batch is exported as a bulk NEFT/IMPS transfer file (CSV
+ * or XLSX) for upload to the bank, one row per transfer that is being sent,
+ * with the transactionId as the customer reference. The bank's response or
+ * statement file is imported back: each row is matched to its transfer by that
+ * reference, and the transfer is marked completed with the row's UTR or failed
+ * with its failure code. Rows that cannot be matched or do not agree with the
+ * transfer are reported and left for finance to resolve.
+ */
+
+const xlsx = require('xlsx');
+const PayoutTransaction = require('../models/PayoutTransaction');
+const payoutService = require('./payoutService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+const { isValidIFSC } = require('../utils/helpers');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const FORMATS = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const MODES = ['NEFT', 'IMPS'];
+
+// Banks cap a single IMPS transfer; larger ones go by NEFT
+const IMPS_LIMIT = 500000;
+
+// Column names used by common bank response and statement formats
+const COLUMNS = {
+  reference: ['Customer Reference', 'Transaction Reference', 'Reference', 'Ref No', 'Payment Reference', 'Narration'],
+  utr: ['UTR', 'UTR Number', 'UTR No', 'Bank Reference', 'Bank Reference No'],
+  status: ['Status', 'Transaction Status', 'Payment Status'],
+  amount: ['Amount', 'Transaction Amount', 'Debit Amount', 'Debit'],
+  failureCode: ['Failure Code', 'Reason Code', 'Return Code', 'Error Code'],
+  failureReason: ['Failure Reason', 'Reason', 'Remarks', 'Return Reason', 'Error Description']
+};
+
+const SUCCESS_STATUSES = ['success', 'successful', 'completed', 'paid', 'processed', 'credited', 'executed'];
+const FAILED_STATUSES = ['failed', 'failure', 'rejected', 'returned', 'reversed', 'cancelled'];
+
+const formatDate = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+};
+
+/**
+ * Value of the first matching column in a row (case-insensitive)
+ */
+const pick = (row, names) => {
+  const keys = Object.keys(row);
+  for (const name of names) {
+    const key = keys.find(candidate => candidate.trim().toLowerCase() === name.toLowerCase());
+    if (key !== undefined && String(row[key]).trim() !== '') return String(row[key]).trim();
+  }
+  return undefined;
+};
+
+/**
+ * Build the bulk-transfer file for a batch's transfers being sent
+ * @param {Object} batch - PayoutBatch document (processing)
+ * @param {Object} [options]
+ * @param {string} [options.format=csv] - csv or xlsx
+ * @param {string} [options.mode=NEFT] - NEFT or IMPS
+ * @param {Object} [options.actor] - { user, role }
+ * @returns {Promise<Object>} { fileName, contentType, buffer, transactions, amount, excluded }
+ * @throws {AppError} 400 for a bad format or mode, or when nothing is waiting to be sent
+ */
+exports.buildTransferFile = async (batch, { format = 'csv', mode = 'NEFT', actor = {} } = {}) => {
+  const fileFormat = String(format).toLowerCase();
+  const transferMode = String(mode).toUpperCase();
+  if (!FORMATS[fileFormat]) {
+    throw new AppError(`Format must be one of: ${Object.keys(FORMATS).join(', ')}`, 400);
+  }
+  if (!MODES.includes(transferMode)) {
+    throw new AppError(`Mode must be one of: ${MODES.join(', ')}`, 400);
+  }
+  if (batch.status !== 'processing') {
+    throw new AppError(`Batch is ${batch.status}; only approved batches can be sent to the bank`, 400);
+  }
+
+  const transactions = await PayoutTransaction.find({ batch: batch._id, status: 'processing' })
+    .populate('seller', 'shopName')
+    .sort({ createdAt: 1 });
+  if (transactions.length === 0) {
+    throw new AppError('No transfers in this batch are waiting to be sent', 400);
+  }
+
+  const valueDate = formatDate(new Date());
+  const rows = [];
+  const excluded = [];
+  transactions.forEach(payout => {
+    const details = payout.paymentDetails || {};
+    if (!details.accountNumber || !details.accountHolderName || !isValidIFSC(details.ifscCode)) {
+      excluded.push(payout.transactionId);
+      return;
+    }
+    rows.push({
+      'Payment Type': transferMode === 'IMPS' && payout.amount > IMPS_LIMIT ? 'NEFT' : transferMode,
+      'Customer Reference': payout.transactionId,
+      'Beneficiary Name': details.accountHolderName,
+      'Beneficiary Account Number': String(details.accountNumber),
+      'IFSC Code': details.ifscCode.toUpperCase(),
+      'Beneficiary Bank': details.bankName || '',
+      Amount: round(payout.amount).toFixed(2),
+      'Value Date': valueDate,
+      Narration: `Payout ${payout.seller?.shopName || ''} ${batch.batchId}`.replace(/\s+/g, ' ').trim()
+    });
+  });
+  if (rows.length === 0) {
+    throw new AppError('No transfer in this batch has valid beneficiary details', 400);
+  }
+
+  const sheet = xlsx.utils.json_to_sheet(rows);
+  let buffer;
+  if (fileFormat === 'csv') {
+    // Plain CSV without a byte-order mark; bank upload portals reject it
+    buffer = Buffer.from(xlsx.utils.sheet_to_csv(sheet));
+  } else {
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, sheet, 'Transfers');
+    buffer = xlsx.write(workbook, { bookType: 'xlsx', type: 'buffer' });
+  }
+
+  const amount = round(rows.reduce((sum, row) => sum + Number(row.Amount), 0));
+  const fileName = `${batch.batchId}-${transferMode}.${fileFormat}`;
+
+  batch.bankFiles.push({
+    fileName,
+    format: fileFormat,
+    mode: transferMode,
+    transactions: rows.length,
+    amount,
+    excluded,
+    exportedBy: actor.user
+  });
+  await batch.save();
+
+  logger.info(`Bank file ${fileName} exported: ${rows.length} transfers, ${amount}${excluded.length ? `, ${excluded.length} excluded` : ''}`);
+
+  return { fileName, contentType: FORMATS[fileFormat], buffer, transactions: rows.length, amount, excluded };
+};
+
+/**
+ * Settle transfers from a bank response or statement file
+ * @param {Buffer} buffer - CSV or XLSX file contents
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - { user, role }
+ * @returns {Promise<Object>} { rows, completed, failed, retrying, alreadySettled, pending, mismatches }
+ * @throws {AppError} 400 when the file cannot be read or has no rows
+ */
+exports.reconcileStatement = async (buffer, { actor = {} } = {}) => {
+  let rows;
+  try {
+    const workbook = xlsx.read(buffer, { type: 'buffer', raw: true });
+    rows = xlsx.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '', raw: false });
+  } catch (error) {
+    throw new AppError('Could not read the bank file', 400);
+  }
+  if (!rows || rows.length === 0) {
+    throw new AppError('The bank file has no rows', 400);
+  }
+
+  const report = { rows: rows.length, completed: 0, failed: 0, retrying: 0, alreadySettled: 0, pending: 0, mismatches: [] };
+  const seenUtrs = new Map();
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    // +2 for the header row and 1-based rows
+    const line = i + 2;
+    const reference = pick(row, COLUMNS.reference);
+    const utr = pick(row, COLUMNS.utr);
+    const status = (pick(row, COLUMNS.status) || '').toLowerCase();
+    const amountText = pick(row, COLUMNS.amount);
+    const amount = amountText !== undefined ? Number(amountText.replace(/[,₹\s]/g, '')) : undefined;
+    const mismatch = (reason) => report.mismatches.push({ row: line, reference, utr, amount, reason });
+
+    const transactionId = reference && (reference.match(/PAYOUT[0-9A-Z]+/i) || [])[0];
+    let payout = transactionId ? await PayoutTransaction.findOne({ transactionId: transactionId.toUpperCase() }) : null;
+    if (!payout && utr) {
+      payout = await PayoutTransaction.findOne({ gatewayTransactionId: utr });
+    }
+    if (!payout) {
+      mismatch('No payout matches this reference');
+      continue;
+    }
+
+    if (utr) {
+      const other = seenUtrs.get(utr);
+      if (other && other !== payout.transactionId) {
+        mismatch(`UTR is also used for ${other}`);
+        continue;
+      }
+      seenUtrs.set(utr, payout.transactionId);
+    }
+
+    if (payout.status === 'completed') {
+      if (utr && payout.gatewayTransactionId && payout.gatewayTransactionId !== utr) {
+        mismatch(`Payout ${payout.transactionId} was already completed with UTR ${payout.gatewayTransactionId}`);
+      } else {
+        report.alreadySettled += 1;
+      }
+      continue;
+    }
+
+    if (amount !== undefined && (isNaN(amount) || Math.abs(round(amount) - round(payout.amount)) > 0.01)) {
+      mismatch(`Amount does not match payout ${payout.transactionId} (${round(payout.amount)})`);
+      continue;
+    }
+
+    const succeeded = SUCCESS_STATUSES.includes(status) || (!status && utr);
+    const failed = FAILED_STATUSES.includes(status);
+    if (!succeeded && !failed) {
+      report.pending += 1;
+      continue;
+    }
+    if (succeeded && !utr) {
+      mismatch(`No UTR given for completed payout ${payout.transactionId}`);
+      continue;
+    }
+
+    try {
+      payout.gatewayResponse = row;
+      if (succeeded) {
+        await payoutService.settleTransaction(payout, 'completed', { reference: utr, actor });
+        report.completed += 1;
+      } else {
+        await payoutService.settleTransaction(payout, 'failed', {
+          reason: pick(row, COLUMNS.failureReason) || 'Rejected by bank',
+          code: pick(row, COLUMNS.failureCode),
+          actor
+        });
+        if (payout.nextRetryAt) report.retrying += 1;
+        else report.failed += 1;
+      }
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      mismatch(error.message);
+    }
+  }
+
+  logger.info(`Bank file reconciled: ${report.completed} completed, ${report.failed + report.retrying} failed, ${report.mismatches.length} mismatches`);
+
+  return report;
+};
+
+exports.FORMATS = Object.keys(FORMATS);
+exports.MODES = MODES;
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Commission service - picks the commission for an order line
+ * @module services/commissionService
+ *
+ * Active commission rules are checked against the line's category (and its
+ * parent categories), seller, seller tier and unit price as of the date the
+ * order was placed, so recalculating earnings later (after a return, say)
+ * keeps the commission the order was sold under. The winning rule is the one
+ * with the highest priority, then the most conditions, then the newest. When
+ * no rule matches, the older chain applies: the category's commission, then
+ * the seller's, then the default commission in the settings. A 0% rate can only be set by
+ * a rule, since an unset commission on a category or seller is stored as 0.
+ */
+
+const mongoose = require('mongoose');
+const CommissionRule = require('../models/CommissionRule');
+const settingsService = require('./settingsService');
+
+// Categories are at most three levels deep
+const MAX_CATEGORY_DEPTH = 3;
+
+/**
+ * Shared lookups for resolving several lines in one go
+ * @returns {Object}
+ */
+const createContext = () => ({
+  categories: new Map(),
+  sellers: new Map(),
+  rules: null
+});
+
+const loadCategory = async (context, id) => {
+  const key = id.toString();
+  if (!context.categories.has(key)) {
+    context.categories.set(key, await mongoose.model('Category').findById(id).select('name parent commission').lean());
+  }
+  return context.categories.get(key);
+};
+
+const loadSeller = async (context, id) => {
+  const key = id.toString();
+  if (!context.sellers.has(key)) {
+    context.sellers.set(key, await mongoose.model('Seller').findById(id).select('shopName commission tier').lean());
+  }
+  return context.sellers.get(key);
+};
+
+/**
+ * The category followed by its ancestors, nearest first
+ */
+const categoryPath = async (context, categoryId) => {
+  const path = [];
+  let current = categoryId ? await loadCategory(context, categoryId) : null;
+  while (current && path.length < MAX_CATEGORY_DEPTH) {
+    path.push(current);
+    current = current.parent ? await loadCategory(context, current.parent) : null;
+  }
+  return path;
+};
+
+/**
+ * Rank matching rules: priority, then specificity, then newest
+ */
+const compareRules = (a, b) => (
+  (b.priority - a.priority) ||
+  (b.specificity() - a.specificity()) ||
+  (b.createdAt - a.createdAt)
+);
+
+/**
+ * Work out the commission for one order line
+ * @param {Object} line - { category, seller, price }
+ * @param {Object} [options]
+ * @param {Date} [options.date] - When the order was placed (defaults to now)
+ * @param {Object} [options.context] - From createContext, to share lookups across lines
+ * @param {boolean} [options.explain=false] - Also list every rule checked and why it did not apply
+ * @returns {Promise<Object>} { commissionPercent, source, rule, explanation, candidates? }
+ *   source is rule, category, seller or default
+ */
+exports.resolve = async (line, { date = new Date(), context = createContext(), explain = false } = {}) => {
+  if (!context.rules) {
+    context.rules = await CommissionRule.find({ isActive: true }).sort({ priority: -1, createdAt: -1 });
+  }
+
+  const path = await categoryPath(context, line.category);
+  const seller = line.seller ? await loadSeller(context, line.seller) : null;
+  const facts = {
+    categoryPath: path.map(category => category._id),
+    seller: line.seller,
+    sellerTier: seller?.tier || 'standard',
+    price: line.price,
+    date
+  };
+
+  const candidates = context.rules.map(rule => ({ rule, reasons: rule.mismatches(facts) }));
+  const matched = candidates.filter(candidate => candidate.reasons.length === 0).map(candidate => candidate.rule);
+  matched.sort(compareRules);
+
+  let result;
+  if (matched.length > 0) {
+    const rule = matched[0];
+    result = {
+      commissionPercent: rule.commissionPercent,
+      source: 'rule',
+      rule: { _id: rule._id, name: rule.name, priority: rule.priority },
+      explanation: `Rule "${rule.name}" (priority ${rule.priority}) sets ${rule.commissionPercent}%` +
+        (matched.length > 1 ? `, ahead of ${matched.length - 1} other matching rule${matched.length > 2 ? 's' : ''}` : '')
+    };
+  } else if (path[0] && path[0].commission > 0) {
+    result = {
+      commissionPercent: path[0].commission,
+      source: 'category',
+      rule: null,
+      explanation: `No rule matched; category ${path[0].name} charges ${path[0].commission}%`
+    };
+  } else if (seller && seller.commission > 0) {
+    result = {
+      commissionPercent: seller.commission,
+      source: 'seller',
+      rule: null,
+      explanation: `No rule matched; seller ${seller.shopName} is charged ${seller.commission}%`
+    };
+  } else {
+    const { defaultPercent } = (await settingsService.get()).commission;
+    result = {
+      commissionPercent: defaultPercent,
+      source: 'default',
+      rule: null,
+      explanation: `No rule matched and no category or seller commission is set; default ${defaultPercent}% applies`
+    };
+  }
+
+  if (explain) {
+    result.facts = {
+      categories: path.map(category => ({ _id: category._id, name: category.name })),
+      seller: seller ? { _id: seller._id, shopName: seller.shopName } : null,
+      sellerTier: facts.sellerTier,
+      price: facts.price,
+      date
+    };
+    result.candidates = candidates.map(({ rule, reasons }) => ({
+      _id: rule._id,
+      name: rule.name,
+      priority: rule.priority,
+      commissionPercent: rule.commissionPercent,
+      specificity: rule.specificity(),
+      matched: reasons.length === 0,
+      applied: result.rule ? rule._id.equals(result.rule._id) : false,
+      reasons
+    }));
+  }
+
+  return result;
+};
+
+/**
+ * Explain the commission on each line of a sub-order
+ * Shows what the rules give today for the order date next to what was
+ * recorded on the line when earnings were last calculated.
+ * @param {Object} subOrder - SubOrder document
+ * @param {string} [itemId] - Only this line (sub-order item or parent order item ID)
+ * @returns {Promise<Array<Object>>}
+ */
+exports.explainSubOrder = async (subOrder, itemId) => {
+  const context = createContext();
+  const date = subOrder.createdAt || new Date();
+  const items = itemId
+    ? subOrder.items.filter(item => item._id.toString() === itemId || item.orderItem.toString() === itemId)
+    : subOrder.items;
+
+  const lines = [];
+  for (const item of items) {
+    let category = item.category;
+    if (!category) {
+      const product = await mongoose.model('Product').findById(item.product).select('category');
+      category = product?.category;
+    }
+    const resolved = await exports.resolve(
+      { category, seller: item.seller, price: item.price },
+      { date, context, explain: true }
+    );
+    lines.push({
+      subOrderId: subOrder.subOrderId,
+      itemId: item._id,
+      orderItem: item.orderItem,
+      name: item.name,
+      price: item.price,
+      quantity: item.quantity,
+      recorded: item.earnings?.commissionSource ? {
+        commissionPercent: item.earnings.commissionPercent,
+        source: item.earnings.commissionSource,
+        rule: item.earnings.commissionRule || null
+      } : null,
+      ...resolved
+    });
+  }
+  return lines;
+};
+
+exports.createContext = createContext;
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Coupon service - prices a basket with coupons and tracks redemptions
+ * @module services/couponService
+ */
+
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const settingsService = require('./settingsService');
+const { AppError } = require('../middlewares/errorHandler');
+const { allocateAmount } = require('../utils/helpers');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normalise a list of coupon codes: trimmed, upper-case, no duplicates or blanks
+ * @param {Array<string>|string} codes
+ * @returns {Array<string>}
+ */
+const normalizeCodes = (codes) => {
+  const list = Array.isArray(codes) ? codes : (codes ? [codes] : []);
+  return [...new Set(list.map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+};
+
+/**
+ * Check one coupon against the buyer and the basket
+ * @returns {Promise<string|null>} reason it cannot be used, or null
+ */
+const rejectionReason = async (coupon, { user, lines, remaining }) => {
+  const unavailable = coupon.unavailableReason();
+  if (unavailable) return unavailable;
+
+  if (coupon.perUserLimit > 0 && user) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user, releasedAt: null });
+    if (used >= coupon.perUserLimit) return 'You have already used this coupon';
+  }
+
+  const eligibleTotal = lines.reduce((sum, line, index) => sum + (coupon.appliesTo(line) ? remaining[index] : 0), 0);
+  if (eligibleTotal <= 0) return 'Coupon does not apply to any item in your cart';
+  if (eligibleTotal < coupon.minOrderValue) {
+    return `Add items worth ₹${round(coupon.minOrderValue - eligibleTotal)} more to use this coupon`;
+  }
+  return null;
+};
+
+/**
+ * Price a basket: shipping, prepaid offer and coupons
+ * Coupons are applied in the order given, each on what is left of the eligible
+ * lines after earlier discounts, so stacked coupons can never push a line below zero.
+ * Shipping, the prepaid offer and the coupon limit come from the checkout settings.
+ * Stacking rules: at most checkout.maxCouponsPerOrder coupons, every coupon in
+ * a combination must be stackable, and only one free-shipping coupon counts.
+ * @param {Object} params
+ * @param {Array<Object>} params.lines - [{ product, seller, category, price, quantity }]
+ * @param {Array<string>} [params.codes] - coupon codes
+ * @param {string} [params.paymentMethod] - 'online' gets the prepaid discount
+ * @param {Object} [params.user] - buyer, for per-user limits
+ * @param {boolean} [params.strict=true] - throw on an unusable coupon instead of skipping it
+ * @returns {Promise<Object>} pricing with coupons, rejected codes and per-line discounts
+ * @throws {AppError} 400 in strict mode when a coupon cannot be used
+ */
+exports.quote = async ({ lines, codes, paymentMethod, user, strict = true }) => {
+  const { checkout } = await settingsService.get();
+  const lineTotals = lines.map(line => round(line.price * line.quantity));
+  const itemsTotal = round(lineTotals.reduce((sum, total) => sum + total, 0));
+  let shippingCharge = itemsTotal >= checkout.freeShippingThreshold ? 0 : checkout.shippingCharge;
+
+  // Prepaid offer comes off first, spread over every line
+  const paymentDiscount = paymentMethod === 'online'
+    ? Math.round(itemsTotal * checkout.onlineDiscountPercent / 100)
+    : 0;
+  const lineDiscounts = paymentDiscount > 0 ? allocateAmount(paymentDiscount, lineTotals) : lineTotals.map(() => 0);
+  const remaining = lineTotals.map((total, index) => round(total - lineDiscounts[index]));
+
+  const rejected = [];
+  const reject = (code, reason) => {
+    if (strict) throw new AppError(`Coupon ${code}: ${reason}`, 400);
+    rejected.push({ code, reason });
+  };
+
+  const wanted = normalizeCodes(codes);
+  const found = wanted.length ? await Coupon.find({ code: { $in: wanted } }) : [];
+  const byCode = new Map(found.map(coupon => [coupon.code, coupon]));
+
+  const candidates = [];
+  for (const code of wanted) {
+    const coupon = byCode.get(code);
+    if (!coupon) {
+      reject(code, 'Invalid coupon code');
+      continue;
+    }
+    candidates.push(coupon);
+  }
+
+  // Stacking rules
+  if (candidates.length > checkout.maxCouponsPerOrder) {
+    candidates.splice(checkout.maxCouponsPerOrder).forEach(coupon =>
+      reject(coupon.code, `At most ${checkout.maxCouponsPerOrder} coupons can be used on one order`)
+    );
+  }
+  if (candidates.length > 1) {
+    for (let i = candidates.length - 1; i >= 0; i -= 1) {
+      if (!candidates[i].stackable) {
+        reject(candidates[i].code, 'Coupon cannot be combined with other coupons');
+        candidates.splice(i, 1);
+      }
+    }
+  }
+
+  const applied = [];
+  let couponDiscount = 0;
+  let freeShippingApplied = false;
+
+  for (const coupon of candidates) {
+    const reason = await rejectionReason(coupon, { user, lines, remaining });
+    if (reason) {
+      reject(coupon.code, reason);
+      continue;
+    }
+
+    if (coupon.type === 'free_shipping') {
+      if (freeShippingApplied) {
+        reject(coupon.code, 'Only one free-shipping coupon can be used');
+        continue;
+      }
+      freeShippingApplied = true;
+      applied.push({ coupon: coupon._id, code: coupon.code, type: coupon.type, discount: shippingCharge });
+      shippingCharge = 0;
+      continue;
+    }
+
+    const weights = lines.map((line, index) => (coupon.appliesTo(line) ? remaining[index] : 0));
+    const eligibleTotal = round(weights.reduce((sum, w) => sum + w, 0));
+
+    let discount = coupon.type === 'percentage'
+      ? round(eligibleTotal * coupon.value / 100)
+      : coupon.value;
+    if (coupon.maxDiscount > 0) discount = Math.min(discount, coupon.maxDiscount);
+    discount = round(Math.min(discount, eligibleTotal));
+
+    const shares = allocateAmount(discount, weights);
+    shares.forEach((share, index) => {
+      lineDiscounts[index] = round(lineDiscounts[index] + share);
+      remaining[index] = round(remaining[index] - share);
+    });
+
+    couponDiscount = round(couponDiscount + discount);
+    applied.push({ coupon: coupon._id, code: coupon.code, type: coupon.type, discount });
+  }
+
+  const discount = round(paymentDiscount + couponDiscount);
+
+  return {
+    itemsTotal,
+    shippingCharge,
+    paymentDiscount,
+    couponDiscount,
+    discount,
+    total: round(Math.max(0, itemsTotal + shippingCharge - discount)),
+    coupons: applied,
+    rejected,
+    lineDiscounts
+  };
+};
+
+/**
+ * Give back coupon uses held by an order (order not placed, or never paid)
+ * @param {string} orderId - Order _id
+ */
+exports.releaseRedemptions = async (orderId) => {
+  const redemptions = await CouponRedemption.find({ order: orderId, releasedAt: null });
+
+  for (const redemption of redemptions) {
+    const claim = await CouponRedemption.updateOne(
+      { _id: redemption._id, releasedAt: null },
+      { $set: { releasedAt: new Date() }, $unset: { slot: 1 } }
+    );
+    if (claim.modifiedCount === 0) continue;
+    await Coupon.updateOne({ _id: redemption.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  }
+};
+
+/**
+ * Create the redemption row, taking a free per-user slot when the coupon has a per-user limit
+ * @returns {Promise<Object|null>} the redemption, or null when every slot is held
+ */
+const createRedemption = async (data, perUserLimit) => {
+  if (!(perUserLimit > 0)) return CouponRedemption.create(data);
+
+  for (let slot = 1; slot <= perUserLimit; slot += 1) {
+    try {
+      return await CouponRedemption.create({ ...data, slot });
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.slot) throw error;
+    }
+  }
+  return null;
+};
+
+/**
+ * Record coupon use for an order
+ * The global usage limit is enforced with a conditional increment, and the
+ * per-user limit with a unique use slot per buyer, so two checkouts cannot
+ * both take the last use.
+ * @param {Object} order - Order document (may be unsaved; needs _id and orderId)
+ * @param {Array<Object>} coupons - applied coupons from quote()
+ * @param {Object} user - buyer
+ * @throws {AppError} 400 when a coupon ran out in the meantime
+ */
+exports.redeem = async (order, coupons, user) => {
+  try {
+    for (const applied of coupons) {
+      const coupon = await Coupon.findById(applied.coupon).select('perUserLimit');
+      const redemption = await createRedemption({
+        coupon: applied.coupon,
+        code: applied.code,
+        user,
+        order: order._id,
+        orderId: order.orderId,
+        discount: applied.discount
+      }, coupon?.perUserLimit);
+      if (!redemption) {
+        throw new AppError(`Coupon ${applied.code}: You have already used this coupon`, 400);
+      }
+
+      const result = await Coupon.updateOne(
+        {
+          _id: applied.coupon,
+          isActive: true,
+          $expr: { $or: [{ $eq: ['$usageLimit', 0] }, { $lt: ['$usedCount', '$usageLimit'] }] }
+        },
+        { $inc: { usedCount: 1 } }
+      );
+      if (result.modifiedCount === 0) {
+        // Never counted, so close it without giving a use back
+        await CouponRedemption.updateOne({ _id: redemption._id }, { $set: { releasedAt: new Date() }, $unset: { slot: 1 } });
+        throw new AppError(`Coupon ${applied.code}: Coupon usage limit reached`, 400);
+      }
+    }
+  } catch (error) {
+    await exports.releaseRedemptions(order._id);
+    throw error;
+  }
+};
+
+exports.normalizeCodes = normalizeCodes;
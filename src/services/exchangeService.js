@@ -0,0 +1,388 @@
+/**
+ * @fileoverview Exchange service - size/colour swaps for delivered items
+ * @module services/exchangeService
+ *
+ * An exchange swaps some units of a delivered line for another size or colour
+ * of the same product at the price already paid:
+ *   requested           - replacement variant's stock is held
+ *   approved            - reverse pickup of the original units is scheduled
+ *   picked_up           - original units collected from the buyer
+ *   replacement_shipped - held units are sold and go out on the forward shipment
+ *   completed           - replacement delivered, original units restocked
+ * The buyer is not refunded and the seller's earning is left alone. If the
+ * exchange fails after pickup it falls back to an item return, which refunds
+ * the buyer and reverses the earning; a failed pickup just closes it.
+ */
+
+const mongoose = require('mongoose');
+const SubOrder = require('../models/SubOrder');
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const OrderItemRequest = require('../models/OrderItemRequest');
+const Exchange = require('../models/Exchange');
+const orderLifecycle = require('./orderLifecycleService');
+const itemRequestService = require('./itemRequestService');
+const stockService = require('./stockService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+const { lineValue } = require('../utils/helpers');
+
+// Exchanges still in progress
+const OPEN_STATUSES = ['requested', 'approved', 'picked_up', 'replacement_shipped'];
+
+/**
+ * Allowed moves: from -> { to: roles that may make the move }
+ */
+const TRANSITIONS = {
+  requested: {
+    approved: ['seller', 'admin'],
+    rejected: ['seller', 'admin'],
+    cancelled: ['user', 'admin']
+  },
+  approved: {
+    picked_up: ['seller', 'admin'],
+    cancelled: ['user', 'admin'],
+    failed: ['seller', 'admin']
+  },
+  picked_up: {
+    replacement_shipped: ['seller', 'admin'],
+    failed: ['seller', 'admin']
+  },
+  replacement_shipped: {
+    completed: ['seller', 'admin'],
+    failed: ['seller', 'admin']
+  },
+  rejected: {},
+  cancelled: {},
+  completed: {},
+  failed: {}
+};
+
+const sameText = (a, b) => (a || '').toString().trim().toLowerCase() === (b || '').toString().trim().toLowerCase();
+
+/**
+ * Size and colour the buyer received on an order line
+ * Taken from the stock reservation, or parsed from the "size / colour" label.
+ */
+const currentVariant = async (order, subLine) => {
+  const reservation = await StockReservation.findOne({ order: order._id }).select('items');
+  const reserved = reservation?.items.find(item => item.orderItem?.toString() === subLine.orderItem.toString());
+  if (reserved && (reserved.size || reserved.color)) {
+    return { size: reserved.size, color: reserved.color };
+  }
+
+  const [size, color] = (subLine.variant || '').split('/').map(part => part.trim());
+  return { size: size || undefined, color: color || undefined };
+};
+
+/**
+ * Ask to exchange some units of a delivered line for another size or colour
+ * @param {Object} params
+ * @param {Object} params.order - Order document
+ * @param {string} params.itemId - order item id or sub-order item id
+ * @param {number} [params.quantity=1]
+ * @param {string} [params.size] - wanted size
+ * @param {string} [params.color] - wanted colour name
+ * @param {string} params.reason
+ * @param {Array<Object>} [params.images] - [{ public_id, url }]
+ * @param {Object} params.actor - { user, role }
+ * @returns {Promise<Object>} Exchange
+ * @throws {AppError} 400 outside the return window, unknown variant or no stock
+ */
+exports.requestExchange = async ({ order, itemId, quantity = 1, size, color, reason, images = [], actor }) => {
+  if (!reason) {
+    throw new AppError('Please provide a reason for the exchange', 400);
+  }
+  if (!size && !color) {
+    throw new AppError('Please choose the size or colour you want instead', 400);
+  }
+
+  const subOrders = await SubOrder.find({ order: order._id });
+  const [line] = itemRequestService.resolveLines(order, subOrders, [{ itemId, quantity }]);
+  const { subOrder, subLine } = line;
+
+  // Same rule as a return: delivered and inside the window
+  orderLifecycle.assertTransition(subOrder, 'return_requested', actor.role);
+
+  const available = await itemRequestService.returnableQuantity(order, subLine);
+  if (line.quantity > available) {
+    throw new AppError(`Only ${available} unit(s) of ${subLine.name} can be exchanged`, 400);
+  }
+
+  const product = await Product.findById(subLine.product).select('name sizes colors');
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+  if (size && product.sizes?.length && !product.sizes.some(option => sameText(option, size))) {
+    throw new AppError(`Size ${size} is not available for ${product.name}`, 400);
+  }
+  if (color && product.colors?.length && !product.colors.some(option => sameText(option.name, color))) {
+    throw new AppError(`Colour ${color} is not available for ${product.name}`, 400);
+  }
+
+  const from = await currentVariant(order, subLine);
+  const to = { size: size || from.size, color: color || from.color };
+  if (sameText(to.size, from.size) && sameText(to.color, from.color)) {
+    throw new AppError('Please choose a different size or colour', 400);
+  }
+
+  const exchange = new Exchange({
+    order: order._id,
+    orderId: order.orderId,
+    subOrder: subOrder._id,
+    subOrderId: subOrder.subOrderId,
+    seller: subOrder.seller,
+    user: order.user,
+    orderItem: subLine.orderItem,
+    product: subLine.product,
+    name: subLine.name,
+    image: subLine.image,
+    quantity: line.quantity,
+    from,
+    to,
+    reason,
+    images,
+    statusHistory: [{ status: 'requested', comment: reason, updatedBy: actor.user, timestamp: new Date() }]
+  });
+
+  // Hold the replacement now so it is still there when the original comes back
+  const held = await stockService.holdUnits({
+    product: subLine.product,
+    quantity: line.quantity,
+    size: to.size,
+    color: to.color,
+    name: `${subLine.name} (${[to.size, to.color].filter(Boolean).join(' / ')})`,
+    reason: `Held for exchange ${exchange.exchangeId}`,
+    user: actor.user
+  });
+  exchange.heldStock = { inventory: held.inventory, status: 'held' };
+
+  try {
+    await exchange.save();
+  } catch (error) {
+    await stockService.releaseHeldUnits(held, { reason: `Exchange ${exchange.exchangeId} not created`, user: actor.user });
+    throw error;
+  }
+
+  logger.info(`Exchange ${exchange.exchangeId} requested on order ${order.orderId} by ${actor.user}`);
+
+  return exchange;
+};
+
+/**
+ * Held replacement units as stockService expects them
+ */
+const heldUnits = (exchange) => ({
+  product: exchange.product,
+  inventory: exchange.heldStock?.inventory,
+  quantity: exchange.quantity
+});
+
+/**
+ * Put the held replacement back, whether it was still held or already sold
+ */
+const releaseReplacement = async (exchange, reason, user) => {
+  const status = exchange.heldStock?.status;
+  if (status !== 'held' && status !== 'sold') return;
+
+  await stockService.releaseHeldUnits(heldUnits(exchange), { sold: status === 'sold', reason, user });
+  exchange.heldStock.status = 'released';
+};
+
+/**
+ * Refund the exchanged units through an item return (exchange failed after pickup)
+ */
+const fallBackToReturn = async (exchange, { actor, comment }) => {
+  const subOrder = await SubOrder.findById(exchange.subOrder);
+  const subLine = subOrder?.items.find(item => item.orderItem.toString() === exchange.orderItem.toString());
+  if (!subLine) {
+    throw new AppError('Item for this exchange not found', 404);
+  }
+
+  const now = new Date();
+  const request = await OrderItemRequest.create({
+    type: 'return',
+    order: exchange.order,
+    orderId: exchange.orderId,
+    subOrder: exchange.subOrder,
+    subOrderId: exchange.subOrderId,
+    seller: exchange.seller,
+    user: exchange.user,
+    orderItem: exchange.orderItem,
+    product: exchange.product,
+    name: exchange.name,
+    image: exchange.image,
+    quantity: exchange.quantity,
+    reason: `Exchange ${exchange.exchangeId} failed${comment ? `: ${comment}` : ''}`,
+    images: exchange.images,
+    status: 'approved',
+    refundAmount: lineValue(subLine, exchange.quantity).net,
+    approvedAt: now,
+    statusHistory: [{ status: 'approved', comment: `From exchange ${exchange.exchangeId}`, updatedBy: actor.user, timestamp: now }]
+  });
+
+  try {
+    await itemRequestService.updateReturn(request, 'completed', { actor, notes: comment });
+  } catch (error) {
+    await OrderItemRequest.deleteOne({ _id: request._id, status: 'approved' });
+    throw error;
+  }
+
+  exchange.returnRequest = request._id;
+};
+
+/**
+ * Apply the shipment details sent with a move to the leg it belongs to
+ */
+const applyTracking = (leg, tracking = {}) => {
+  if (tracking.trackingId) leg.trackingId = tracking.trackingId;
+  if (tracking.courier) leg.courier = tracking.courier;
+  if (tracking.url) leg.url = tracking.url;
+};
+
+/**
+ * Field changes, stock moves and money for the new status
+ */
+const applyEffects = async (exchange, from, to, { actor, comment, tracking }) => {
+  const now = new Date();
+
+  switch (to) {
+    case 'approved':
+      exchange.approvedAt = now;
+      exchange.reversePickup.status = 'scheduled';
+      exchange.reversePickup.scheduledAt = now;
+      applyTracking(exchange.reversePickup, tracking);
+      break;
+
+    case 'rejected':
+      exchange.rejectionReason = comment;
+      await releaseReplacement(exchange, `Exchange ${exchange.exchangeId} rejected`, actor.user);
+      break;
+
+    case 'cancelled':
+      await releaseReplacement(exchange, `Exchange ${exchange.exchangeId} cancelled`, actor.user);
+      break;
+
+    case 'picked_up':
+      exchange.reversePickup.status = 'completed';
+      exchange.reversePickup.completedAt = now;
+      applyTracking(exchange.reversePickup, tracking);
+      break;
+
+    case 'replacement_shipped':
+      await stockService.sellHeldUnits(heldUnits(exchange), `Sent on exchange ${exchange.exchangeId}`, actor.user);
+      exchange.heldStock.status = 'sold';
+      exchange.replacement.status = 'in_transit';
+      exchange.replacement.scheduledAt = now;
+      applyTracking(exchange.replacement, tracking);
+      break;
+
+    case 'completed':
+      exchange.replacement.status = 'completed';
+      exchange.replacement.completedAt = now;
+      exchange.completedAt = now;
+      // The original units are back with the seller
+      await stockService.restockReturn({
+        order: exchange.order,
+        orderItem: exchange.orderItem,
+        product: exchange.product,
+        quantity: exchange.quantity,
+        reason: `Exchanged on ${exchange.exchangeId}`,
+        user: actor.user
+      });
+      break;
+
+    case 'failed':
+      exchange.failureReason = comment;
+      if (from === 'approved') {
+        // Nothing was collected; the buyer keeps what they have
+        exchange.reversePickup.status = 'failed';
+        exchange.reversePickup.failureReason = comment;
+      } else {
+        // The original units were collected: refund them as a return
+        if (from === 'replacement_shipped') {
+          exchange.replacement.status = 'failed';
+          exchange.replacement.failureReason = comment;
+        }
+        await fallBackToReturn(exchange, { actor, comment });
+      }
+      await releaseReplacement(exchange, `Exchange ${exchange.exchangeId} failed`, actor.user);
+      break;
+
+    default:
+      break;
+  }
+};
+
+/**
+ * Move an exchange to a new status
+ * @param {Object} exchange - Exchange document
+ * @param {string} to - target status
+ * @param {Object} options
+ * @param {Object} options.actor - { user, role }
+ * @param {string} [options.comment] - history comment; also the rejection/failure reason
+ * @param {Object} [options.tracking] - { trackingId, courier, url } for the pickup or replacement
+ * @returns {Promise<Object>} saved exchange
+ * @throws {AppError} 400 illegal move, 403 role not allowed, 409 changed concurrently
+ */
+exports.transition = async (exchange, to, options = {}) => {
+  const { actor, comment } = options;
+
+  const roles = TRANSITIONS[exchange.status]?.[to];
+  if (!roles) {
+    throw new AppError(`Cannot change exchange from ${exchange.status} to ${to}`, 400);
+  }
+  if (!roles.includes(actor.role)) {
+    throw new AppError(`Not allowed to change exchange from ${exchange.status} to ${to}`, 403);
+  }
+
+  // Claim the move so two requests cannot both act on the same status
+  const from = exchange.status;
+  const claim = await Exchange.updateOne({ _id: exchange._id, status: from }, { $set: { status: to } });
+  if (claim.modifiedCount === 0) {
+    throw new AppError('Exchange was changed by another request, please retry', 409);
+  }
+
+  try {
+    exchange.status = to;
+    if (actor.role !== 'user') exchange.processedBy = actor.user;
+    if (comment && actor.role !== 'user') exchange.notes = comment;
+    exchange.statusHistory.push({ status: to, comment, updatedBy: actor.user, timestamp: new Date() });
+    await applyEffects(exchange, from, to, options);
+    await exchange.save();
+  } catch (error) {
+    await Exchange.updateOne({ _id: exchange._id, status: to }, { $set: { status: from } });
+    throw error;
+  }
+
+  logger.info(`Exchange ${exchange.exchangeId} moved from ${from} to ${to} by ${actor.role} ${actor.user}`);
+
+  return exchange;
+};
+
+/**
+ * Find an exchange by _id or exchangeId
+ * @param {string} id
+ * @param {Object} [filter] - extra conditions (e.g. { seller })
+ * @returns {Promise<Object|null>}
+ */
+exports.findExchange = (id, filter = {}) => {
+  const conditions = [{ exchangeId: id }];
+  if (mongoose.Types.ObjectId.isValid(id)) conditions.push({ _id: id });
+  return Exchange.findOne({ ...filter, $or: conditions });
+};
+
+/**
+ * Statuses an actor may move an exchange to from its current status
+ * @param {string} from
+ * @param {string} role
+ * @returns {Array<string>}
+ */
+exports.allowedTransitions = (from, role) => {
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+};
+
+exports.OPEN_STATUSES = OPEN_STATUSES;
+exports.TRANSITIONS = TRANSITIONS;
@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Invoice service - GST tax invoices per seller shipment
+ * @module services/invoiceService
+ *
+ * Selling prices include GST. For each line the amount the buyer paid (price x
+ * quantity less the line's discount) is split into taxable value and tax at the
+ * product's GST rate. Supply within the seller's state is taxed as CGST + SGST,
+ * supply to another state as IGST.
+ */
+
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const InvoiceCounter = require('../models/InvoiceCounter');
+const Seller = require('../models/Seller');
+const KYC = require('../models/KYC');
+const Product = require('../models/Product');
+const { AppError } = require('../middlewares/errorHandler');
+const { lineValue } = require('../utils/helpers');
+
+// Shipments in these states have not been (or will never be) supplied
+const NOT_INVOICEABLE = ['pending', 'cancelled'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeState = (state) => (state || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Split one GST-inclusive line into taxable value and tax heads
+ */
+const taxLine = (item, product, intraState) => {
+  // Units cancelled before the invoice was issued were never supplied
+  const quantity = item.quantity - (item.cancelledQuantity || 0);
+  const value = lineValue(item, quantity);
+  const gross = value.net;
+  const gstRate = product?.gstRate ?? 0;
+  const taxableValue = round(gross / (1 + gstRate / 100));
+  const tax = round(gross - taxableValue);
+
+  const cgst = intraState ? round(tax / 2) : 0;
+  const sgst = intraState ? round(tax - cgst) : 0;
+
+  return {
+    orderItem: item.orderItem,
+    product: item.product,
+    description: item.variant ? `${item.name} (${item.variant})` : item.name,
+    hsnCode: product?.hsnCode,
+    quantity,
+    unitPrice: item.price,
+    discount: value.discount,
+    taxableValue,
+    gstRate,
+    cgst,
+    sgst,
+    igst: intraState ? 0 : tax,
+    total: gross
+  };
+};
+
+/**
+ * Get the invoice for a shipment, issuing it on first request
+ * @param {Object} subOrder - SubOrder document
+ * @param {Object} order - parent Order document
+ * @returns {Promise<Object>} Invoice
+ * @throws {AppError} 400 when the shipment cannot be invoiced yet
+ */
+exports.getOrCreateForSubOrder = async (subOrder, order) => {
+  const existing = await Invoice.findOne({ subOrder: subOrder._id });
+  if (existing) return existing;
+
+  if (NOT_INVOICEABLE.includes(subOrder.status)) {
+    throw new AppError(`Invoice is not available for a ${subOrder.status} shipment`, 400);
+  }
+
+  const seller = await Seller.findById(subOrder.seller);
+  if (!seller) {
+    throw new AppError('Seller for this shipment not found', 404);
+  }
+  const kyc = await KYC.findOne({ sellerId: seller._id });
+
+  const products = await Product.find({ _id: { $in: subOrder.items.map(item => item.product) } })
+    .select('hsnCode gstRate');
+  const productById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const sellerState = seller.businessAddress?.state;
+  const buyerState = order.shippingAddress?.state;
+  const intraState = !!sellerState && normalizeState(sellerState) === normalizeState(buyerState);
+
+  const lines = subOrder.items
+    .filter(item => item.quantity > (item.cancelledQuantity || 0))
+    .map(item => taxLine(item, productById.get(item.product.toString()), intraState));
+  const sum = (field) => round(lines.reduce((total, line) => total + line[field], 0));
+
+  const totals = {
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    discount: sum('discount'),
+    grandTotal: sum('total')
+  };
+  totals.totalTax = round(totals.cgst + totals.sgst + totals.igst);
+
+  const invoiceDate = new Date();
+  const financialYear = Invoice.financialYearOf(invoiceDate);
+
+  // Re-check just before numbering so a concurrent request does not use up a number
+  const raced = await Invoice.findOne({ subOrder: subOrder._id });
+  if (raced) return raced;
+
+  const sequence = await InvoiceCounter.next(seller._id, financialYear);
+
+  try {
+    return await Invoice.create({
+      invoiceNumber: Invoice.formatNumber(financialYear, sequence),
+      financialYear,
+      sequence,
+      invoiceDate,
+      seller: seller._id,
+      subOrder: subOrder._id,
+      subOrderId: subOrder.subOrderId,
+      order: order._id,
+      orderId: order.orderId,
+      orderDate: order.createdAt,
+      user: order.user?._id || order.user,
+      supplier: {
+        name: kyc?.businessInfo?.businessName || seller.shopName,
+        gstin: kyc?.businessInfo?.gstin || seller.kycDocuments?.gst?.number,
+        pan: kyc?.personalInfo?.pan || seller.kycDocuments?.panCard?.number,
+        address: seller.businessAddress
+      },
+      buyer: {
+        name: order.shippingAddress.fullName,
+        phone: order.shippingAddress.phone,
+        address: {
+          addressLine1: order.shippingAddress.addressLine1,
+          addressLine2: order.shippingAddress.addressLine2,
+          city: order.shippingAddress.city,
+          state: order.shippingAddress.state,
+          pincode: order.shippingAddress.pincode
+        }
+      },
+      placeOfSupply: buyerState,
+      supplyType: intraState ? 'intra_state' : 'inter_state',
+      lines,
+      totals,
+      paymentMethod: order.payment?.method
+    });
+  } catch (error) {
+    // Lost a race with a concurrent request for the same shipment
+    if (error.code === 11000) {
+      const winner = await Invoice.findOne({ subOrder: subOrder._id });
+      if (winner) return winner;
+    }
+    throw error;
+  }
+};
+
+const money = (value) => (value || 0).toFixed(2);
+
+const formatAddress = (address = {}) => [
+  address.addressLine1,
+  address.addressLine2,
+  [address.city, address.state, address.pincode].filter(Boolean).join(', ')
+].filter(Boolean).join('\n');
+
+/**
+ * Draw one invoice on the current page
+ */
+const drawInvoice = (doc, invoice) => {
+  const intraState = invoice.supplyType === 'intra_state';
+
+  doc.fontSize(16).font('Helvetica-Bold').text('TAX INVOICE', { align: 'center' });
+  doc.moveDown(0.5);
+
+  doc.fontSize(9).font('Helvetica');
+  const top = doc.y;
+  doc.text(`Invoice No: ${invoice.invoiceNumber}`, 40, top);
+  doc.text(`Invoice Date: ${new Date(invoice.invoiceDate).toLocaleDateString('en-IN')}`);
+  doc.text(`Order ID: ${invoice.orderId}`);
+  doc.text(`Shipment: ${invoice.subOrderId}`);
+  doc.text(`Place of Supply: ${invoice.placeOfSupply || '-'}`, 320, top);
+  doc.text(`Payment: ${(invoice.paymentMethod || '-').toUpperCase()}`, 320);
+
+  doc.moveDown(1.5);
+  const partiesTop = doc.y;
+  doc.font('Helvetica-Bold').text('Sold By', 40, partiesTop);
+  doc.font('Helvetica').text(invoice.supplier.name || '-', 40, doc.y, { width: 250 });
+  doc.text(formatAddress(invoice.supplier.address), { width: 250 });
+  doc.text(`GSTIN: ${invoice.supplier.gstin || 'Unregistered'}`);
+  if (invoice.supplier.pan) doc.text(`PAN: ${invoice.supplier.pan}`);
+  const supplierBottom = doc.y;
+
+  doc.font('Helvetica-Bold').text('Ship To / Bill To', 320, partiesTop);
+  doc.font('Helvetica').text(invoice.buyer.name || '-', 320, doc.y, { width: 235 });
+  doc.text(formatAddress(invoice.buyer.address), { width: 235 });
+  if (invoice.buyer.phone) doc.text(`Phone: ${invoice.buyer.phone}`);
+
+  doc.y = Math.max(doc.y, supplierBottom) + 20;
+
+  const columns = intraState
+    ? [['Description', 150], ['HSN', 45], ['Qty', 30], ['Rate', 50], ['Disc.', 45], ['Taxable', 55], ['GST %', 35], ['CGST', 45], ['SGST', 45], ['Total', 55]]
+    : [['Description', 180], ['HSN', 45], ['Qty', 30], ['Rate', 55], ['Disc.', 45], ['Taxable', 60], ['GST %', 35], ['IGST', 50], ['Total', 55]];
+
+  const drawRow = (values, bold = false) => {
+    const rowTop = doc.y;
+    let x = 40;
+    let bottom = rowTop;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    values.forEach((value, index) => {
+      const width = columns[index][1];
+      doc.text(String(value), x, rowTop, { width: width - 4, align: index === 0 ? 'left' : 'right' });
+      bottom = Math.max(bottom, doc.y);
+      x += width;
+    });
+    doc.y = bottom + 4;
+  };
+
+  drawRow(columns.map(([title]) => title), true);
+  doc.moveTo(40, doc.y - 2).lineTo(555, doc.y - 2).stroke();
+
+  invoice.lines.forEach(line => {
+    const taxes = intraState ? [money(line.cgst), money(line.sgst)] : [money(line.igst)];
+    drawRow([
+      line.description, line.hsnCode || '-', line.quantity, money(line.unitPrice), money(line.discount),
+      money(line.taxableValue), line.gstRate, ...taxes, money(line.total)
+    ]);
+  });
+
+  doc.moveTo(40, doc.y - 2).lineTo(555, doc.y - 2).stroke();
+  const totalTaxes = intraState
+    ? [money(invoice.totals.cgst), money(invoice.totals.sgst)]
+    : [money(invoice.totals.igst)];
+  drawRow(['Total', '', '', '', money(invoice.totals.discount), money(invoice.totals.taxableValue), '', ...totalTaxes, money(invoice.totals.grandTotal)], true);
+
+  doc.moveDown(1);
+  doc.font('Helvetica').text(`Total tax: Rs. ${money(invoice.totals.totalTax)}`, 40);
+  doc.font('Helvetica-Bold').text(`Invoice value: Rs. ${money(invoice.totals.grandTotal)}`, 40);
+  doc.moveDown(1);
+  doc.font('Helvetica').fontSize(8).text(
+    'Prices are inclusive of GST. Tax is not payable on reverse charge basis. This is a computer generated invoice and does not require a signature.',
+    40, doc.y, { width: 515 }
+  );
+};
+
+/**
+ * Write invoices as a PDF, one page per invoice
+ * @param {Array<Object>} invoices
+ * @param {Object} stream - writable stream (e.g. the HTTP response)
+ */
+exports.renderPdf = (invoices, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+
+  invoices.forEach((invoice, index) => {
+    if (index > 0) doc.addPage();
+    drawInvoice(doc, invoice);
+  });
+
+  doc.end();
+};
+
+exports.NOT_INVOICEABLE = NOT_INVOICEABLE;
@@ -0,0 +1,503 @@
+/**
+ * @fileoverview Item request service - item-level cancellations and returns
+ * @module services/itemRequestService
+ *
+ * A buyer can cancel or return some units of one order line. Cancelled and
+ * returned units are counted on the line (cancelledQuantity / returnedQuantity)
+ * on both the order and the seller's sub-order, and pricing is recalculated from
+ * the units that remain. When no units are left on a shipment it moves to
+ * cancelled through the order lifecycle.
+ */
+
+const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
+const SellerWallet = require('../models/SellerWallet');
+const OrderItemRequest = require('../models/OrderItemRequest');
+const Exchange = require('../models/Exchange');
+const orderLifecycle = require('./orderLifecycleService');
+const ledgerService = require('./ledgerService');
+const stockService = require('./stockService');
+const refundService = require('./refundService');
+const resellerService = require('./resellerService');
+const penaltyService = require('./penaltyService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+const { activeQuantity, lineValue } = require('../utils/helpers');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Allowed moves for return requests: from -> { to: roles that may make the move }
+ * Admins may complete a return straight from the request, as for whole shipments.
+ */
+const RETURN_TRANSITIONS = {
+  requested: {
+    approved: ['seller', 'admin'],
+    rejected: ['seller', 'admin'],
+    completed: ['admin']
+  },
+  approved: {
+    completed: ['seller', 'admin']
+  },
+  rejected: {},
+  completed: {}
+};
+
+/**
+ * Find an order line and the sub-order that ships it
+ * itemId may be the order item id or the sub-order item id.
+ */
+const findLine = (order, subOrders, itemId) => {
+  const id = itemId?.toString();
+  for (const subOrder of subOrders) {
+    const subLine = subOrder.items.find(item => item.orderItem.toString() === id || item._id.toString() === id);
+    if (subLine) {
+      const orderLine = order.items.find(item => item._id.toString() === subLine.orderItem.toString());
+      return { subOrder, subLine, orderLine };
+    }
+  }
+  return null;
+};
+
+/**
+ * Check and resolve the lines of a request before anything is changed
+ */
+const resolveLines = (order, subOrders, items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('Please select at least one item', 400);
+  }
+
+  const seen = new Set();
+  return items.map(({ itemId, quantity = 1, reason }) => {
+    const line = findLine(order, subOrders, itemId);
+    if (!line || !line.orderLine) {
+      throw new AppError(`Item ${itemId} not found in this order`, 404);
+    }
+
+    const key = line.subLine.orderItem.toString();
+    if (seen.has(key)) {
+      throw new AppError(`Item ${line.subLine.name} is listed more than once`, 400);
+    }
+    seen.add(key);
+
+    const units = parseInt(quantity, 10);
+    if (!Number.isInteger(units) || units < 1) {
+      throw new AppError('Quantity must be a whole number of at least 1', 400);
+    }
+
+    return { ...line, quantity: units, reason };
+  });
+};
+
+/**
+ * Units of a delivered line not yet spoken for by an open return or exchange
+ * @param {Object} order - Order document
+ * @param {Object} subLine - SubOrder line
+ * @returns {Promise<number>}
+ */
+const returnableQuantity = async (order, subLine) => {
+  const [returns, exchanges] = await Promise.all([
+    OrderItemRequest.find({
+      order: order._id,
+      orderItem: subLine.orderItem,
+      type: 'return',
+      status: { $in: ['requested', 'approved'] }
+    }).select('quantity'),
+    Exchange.find({
+      order: order._id,
+      orderItem: subLine.orderItem,
+      status: { $in: ['requested', 'approved', 'picked_up', 'replacement_shipped'] }
+    }).select('quantity')
+  ]);
+  const open = [...returns, ...exchanges].reduce((sum, request) => sum + request.quantity, 0);
+  return Math.max(0, activeQuantity(subLine) - open);
+};
+
+/**
+ * Forfeit a reseller's margin on units taken off a shipment (after save; failures are logged)
+ */
+const syncResellerEarning = async (subOrder) => {
+  try {
+    await resellerService.syncEarning(subOrder);
+  } catch (error) {
+    logger.error(`Reseller earning sync failed for sub-order ${subOrder.subOrderId}: ${error.message}`);
+  }
+};
+
+/**
+ * Count units on a sub-order line, guarded against a concurrent change to the same line
+ */
+const claimUnits = async (subOrder, subLine, field, quantity) => {
+  const unchanged = (value) => (value ? value : { $in: [0, null] });
+  const claim = await SubOrder.updateOne(
+    {
+      _id: subOrder._id,
+      items: {
+        $elemMatch: {
+          _id: subLine._id,
+          cancelledQuantity: unchanged(subLine.cancelledQuantity),
+          returnedQuantity: unchanged(subLine.returnedQuantity)
+        }
+      }
+    },
+    { $inc: { [`items.$.${field}`]: quantity } }
+  );
+  if (claim.modifiedCount === 0) {
+    throw new AppError('Order was changed by another request, please retry', 409);
+  }
+  subLine[field] = (subLine[field] || 0) + quantity;
+};
+
+/**
+ * Cancel some units of one or more order lines
+ * @param {Object} params
+ * @param {Object} params.order - Order document
+ * @param {Array<Object>} params.items - [{ itemId, quantity }]
+ * @param {string} params.reason
+ * @param {Object} params.actor - { user, role }
+ * @returns {Promise<Array<Object>>} completed cancellation requests
+ * @throws {AppError} 400 when a line cannot be cancelled or has fewer units left
+ */
+exports.cancelItems = async ({ order, items, reason, actor }) => {
+  const subOrders = await SubOrder.find({ order: order._id });
+  const lines = resolveLines(order, subOrders, items);
+
+  lines.forEach(({ subOrder, subLine, quantity }) => {
+    orderLifecycle.assertTransition(subOrder, 'cancelled', actor.role);
+    if (quantity > activeQuantity(subLine)) {
+      throw new AppError(`Only ${activeQuantity(subLine)} unit(s) of ${subLine.name} can be cancelled`, 400);
+    }
+  });
+
+  // Of unpaid orders (COD, pending online payment) only the wallet part was paid
+  const paid = order.payment?.status === 'completed';
+  let walletLeft = paid ? 0 : round((order.payment?.walletAmount || 0) - (order.payment?.walletRefunded || 0));
+  const requests = [];
+  const refunds = [];
+  const touched = new Map();
+
+  for (const { subOrder, subLine, orderLine, quantity, reason: lineReason } of lines) {
+    await claimUnits(subOrder, subLine, 'cancelledQuantity', quantity);
+    orderLine.cancelledQuantity = (orderLine.cancelledQuantity || 0) + quantity;
+
+    await stockService.releaseQuantity(order, {
+      orderItem: subLine.orderItem,
+      quantity,
+      reason: lineReason || reason || 'Item cancelled',
+      user: actor.user
+    });
+
+    const net = lineValue(subLine, quantity).net;
+    const refundAmount = paid ? net : round(Math.max(0, Math.min(net, walletLeft)));
+    walletLeft = round(walletLeft - refundAmount);
+    subOrder.pricing.refunded = round((subOrder.pricing.refunded || 0) + refundAmount);
+    order.pricing.refunded = round((order.pricing.refunded || 0) + refundAmount);
+
+    const now = new Date();
+    requests.push(await OrderItemRequest.create({
+      type: 'cancellation',
+      order: order._id,
+      orderId: order.orderId,
+      subOrder: subOrder._id,
+      subOrderId: subOrder.subOrderId,
+      seller: subOrder.seller,
+      user: order.user,
+      orderItem: subLine.orderItem,
+      product: subLine.product,
+      name: subLine.name,
+      image: subLine.image,
+      quantity,
+      reason: lineReason || reason || 'Cancelled by customer',
+      status: 'completed',
+      refundAmount,
+      completedAt: now,
+      processedBy: actor.user,
+      statusHistory: [{ status: 'completed', comment: lineReason || reason, updatedBy: actor.user, timestamp: now }]
+    }));
+
+    touched.set(subOrder._id.toString(), subOrder);
+    refunds.push({ subOrder, subLine, request: requests[requests.length - 1] });
+  }
+
+  for (const subOrder of touched.values()) {
+    subOrder.recalculatePricing();
+    await subOrder.save();
+
+    // Nothing left to ship
+    if (subOrder.activeQuantity() === 0) {
+      await orderLifecycle.transition(subOrder, 'cancelled', {
+        actor,
+        comment: reason || 'All items cancelled',
+        order
+      });
+    }
+  }
+
+  order.recalculatePricing();
+  await orderLifecycle.syncOrder(order);
+
+  for (const subOrder of touched.values()) {
+    await syncResellerEarning(subOrder);
+  }
+
+  // The cancellation is stored, so a refund failure is logged; refunds are retried
+  for (const refund of refunds) {
+    if (!(refund.request.refundAmount > 0)) continue;
+    try {
+      await refundService.refundItems({ order, ...refund, actor });
+    } catch (error) {
+      logger.error(`Refund failed for item cancellation ${refund.request.requestId}: ${error.message}`);
+    }
+  }
+
+  logger.info(`${requests.length} item(s) cancelled on order ${order.orderId} by ${actor.role} ${actor.user}`);
+
+  return requests;
+};
+
+/**
+ * Ask to return some units of one or more delivered order lines
+ * @param {Object} params
+ * @param {Object} params.order - Order document
+ * @param {Array<Object>} params.items - [{ itemId, quantity, reason }]
+ * @param {string} [params.reason] - used for lines without their own reason
+ * @param {Array<Object>} [params.images] - [{ public_id, url }]
+ * @param {Object} params.actor - { user, role }
+ * @returns {Promise<Array<Object>>} return requests
+ * @throws {AppError} 400 outside the return window or when units are already returned
+ */
+exports.requestReturns = async ({ order, items, reason, images = [], actor }) => {
+  const subOrders = await SubOrder.find({ order: order._id });
+  const lines = resolveLines(order, subOrders, items);
+
+  for (const line of lines) {
+    // Same rule as a whole-shipment return: delivered and inside the window
+    orderLifecycle.assertTransition(line.subOrder, 'return_requested', actor.role);
+
+    if (!line.reason && !reason) {
+      throw new AppError(`Please give a reason for returning ${line.subLine.name}`, 400);
+    }
+
+    const available = await returnableQuantity(order, line.subLine);
+    if (line.quantity > available) {
+      throw new AppError(`Only ${available} unit(s) of ${line.subLine.name} can be returned`, 400);
+    }
+  }
+
+  const requests = [];
+  for (const { subOrder, subLine, quantity, reason: lineReason } of lines) {
+    requests.push(await OrderItemRequest.create({
+      type: 'return',
+      order: order._id,
+      orderId: order.orderId,
+      subOrder: subOrder._id,
+      subOrderId: subOrder.subOrderId,
+      seller: subOrder.seller,
+      user: order.user,
+      orderItem: subLine.orderItem,
+      product: subLine.product,
+      name: subLine.name,
+      image: subLine.image,
+      quantity,
+      reason: lineReason || reason,
+      images,
+      status: 'requested',
+      refundAmount: lineValue(subLine, quantity).net,
+      statusHistory: [{ status: 'requested', comment: lineReason || reason, updatedBy: actor.user, timestamp: new Date() }]
+    }));
+  }
+
+  logger.info(`${requests.length} item return(s) requested on order ${order.orderId} by ${actor.user}`);
+
+  return requests;
+};
+
+/**
+ * Load the order and sub-order lines a return request is for
+ */
+const loadReturnLine = async (request) => {
+  const subOrder = await SubOrder.findById(request.subOrder);
+  const order = await Order.findById(request.order);
+  if (!subOrder || !order) {
+    throw new AppError('Order for this request not found', 404);
+  }
+
+  const subLine = subOrder.items.find(item => item.orderItem.toString() === request.orderItem.toString());
+  const orderLine = order.items.find(item => item._id.toString() === request.orderItem.toString());
+  if (!subLine || !orderLine) {
+    throw new AppError('Item for this request not found', 404);
+  }
+  if (request.quantity > activeQuantity(subLine)) {
+    throw new AppError(`Only ${activeQuantity(subLine)} unit(s) of ${subLine.name} are left to return`, 400);
+  }
+
+  return { order, subOrder, subLine, orderLine };
+};
+
+/**
+ * Check a refund override against what the returned units were paid
+ * @param {*} refundAmount - amount asked for
+ * @param {number} net - net value of the returned units
+ * @returns {number}
+ * @throws {AppError} 400 for a non-number, a negative amount or more than the units' value
+ */
+const checkRefundAmount = (refundAmount, net) => {
+  const amount = Number(refundAmount);
+  if (typeof refundAmount === 'boolean' || !Number.isFinite(amount) || amount < 0) {
+    throw new AppError('Refund amount must be a number of 0 or more', 400);
+  }
+  if (round(amount) > round(net)) {
+    throw new AppError(`Refund amount cannot be more than ₹${round(net)}, the value of the returned units`, 400);
+  }
+  return round(amount);
+};
+
+/**
+ * Take the returned units off the shipment: stock, pricing, earnings and ledger
+ * Runs once the units are counted on the sub-order line and the request is
+ * stored as completed, so a failure here can never restock twice.
+ */
+const completeReturn = async (request, { order, subOrder, subLine, orderLine, before }, { actor }) => {
+  const earned = !!before;
+
+  orderLine.returnedQuantity = (orderLine.returnedQuantity || 0) + request.quantity;
+
+  await stockService.restockReturn({
+    order: order._id,
+    orderItem: request.orderItem,
+    product: request.product || subLine.product,
+    quantity: request.quantity,
+    reason: `Returned on ${request.requestId}`,
+    user: actor.user
+  });
+
+  subOrder.recalculatePricing();
+  subOrder.pricing.refunded = round((subOrder.pricing.refunded || 0) + request.refundAmount);
+  if (earned) await subOrder.calculateSellerEarnings();
+  await subOrder.save();
+
+  order.recalculatePricing();
+  order.pricing.refunded = round((order.pricing.refunded || 0) + request.refundAmount);
+  await orderLifecycle.syncOrder(order);
+
+  // The return is already stored, so a ledger failure is logged; postings are idempotent
+  const after = earned ? SubOrder.summarizeItemEarnings([subOrder], subOrder.seller) : null;
+  if (earned) {
+    try {
+      await ledgerService.postItemReturn(subOrder, request, before, after, actor.user);
+      const wallet = await SellerWallet.getOrCreate(subOrder.seller);
+      await wallet.syncFromLedger();
+    } catch (error) {
+      logger.error(`Ledger posting failed for item return ${request.requestId}: ${error.message}`);
+    }
+  }
+
+  await syncResellerEarning(subOrder);
+
+  try {
+    await penaltyService.evaluateItemReturn(request, subOrder);
+  } catch (error) {
+    logger.error(`Penalty check failed for item return ${request.requestId}: ${error.message}`);
+  }
+
+  return { order, subOrder, subLine, before, after };
+};
+
+/**
+ * Pay the buyer back for a completed return (after the request is saved)
+ */
+const refundReturn = async (request, returned, actor) => {
+  if (!(request.refundAmount > 0)) return;
+  try {
+    await refundService.refundItems({ ...returned, request, actor });
+  } catch (error) {
+    logger.error(`Refund failed for item return ${request.requestId}: ${error.message}`);
+  }
+};
+
+/**
+ * Move a return request to a new status
+ * @param {Object} request - OrderItemRequest (type return)
+ * @param {string} to - approved, rejected or completed
+ * @param {Object} options
+ * @param {Object} options.actor - { user, role }
+ * @param {string} [options.notes]
+ * @param {number} [options.refundAmount] - override the refund on completion
+ * @returns {Promise<Object>} updated request
+ * @throws {AppError} 400 illegal move, 403 role not allowed, 409 changed concurrently
+ */
+exports.updateReturn = async (request, to, { actor, notes, refundAmount } = {}) => {
+  if (request.type !== 'return') {
+    throw new AppError('Only return requests can be updated', 400);
+  }
+
+  const roles = RETURN_TRANSITIONS[request.status]?.[to];
+  if (!roles) {
+    throw new AppError(`Cannot change return from ${request.status} to ${to}`, 400);
+  }
+  if (!roles.includes(actor.role)) {
+    throw new AppError(`Not allowed to change return from ${request.status} to ${to}`, 403);
+  }
+
+  // Claim the move so two reviewers cannot both complete the same return
+  const from = request.status;
+  const claim = await OrderItemRequest.updateOne({ _id: request._id, status: from }, { $set: { status: to } });
+  if (claim.modifiedCount === 0) {
+    throw new AppError('Return was changed by another request, please retry', 409);
+  }
+
+  const now = new Date();
+  let line;
+  let claimed = false;
+  request.status = to;
+  request.processedBy = actor.user;
+  if (notes) request.notes = notes;
+  request.statusHistory.push({ status: to, comment: notes, updatedBy: actor.user, timestamp: now });
+
+  try {
+    if (to === 'approved') {
+      request.approvedAt = now;
+    } else if (to === 'rejected') {
+      request.rejectedAt = now;
+      request.rejectionReason = notes;
+    } else if (to === 'completed') {
+      request.approvedAt = request.approvedAt || now;
+      request.completedAt = now;
+      line = await loadReturnLine(request);
+      if (refundAmount !== undefined && refundAmount !== null && refundAmount !== '') {
+        request.refundAmount = checkRefundAmount(refundAmount, lineValue(line.subLine, request.quantity).net);
+      }
+      line.before = line.subOrder.earnings?.calculatedAt
+        ? SubOrder.summarizeItemEarnings([line.subOrder], line.subOrder.seller)
+        : null;
+      // Count the units first: it is the step a concurrent change can make fail
+      await claimUnits(line.subOrder, line.subLine, 'returnedQuantity', request.quantity);
+      claimed = true;
+    }
+    await request.save();
+  } catch (error) {
+    if (claimed) {
+      await SubOrder.updateOne(
+        { _id: line.subOrder._id, 'items._id': line.subLine._id },
+        { $inc: { 'items.$.returnedQuantity': -request.quantity } }
+      );
+    }
+    await OrderItemRequest.updateOne({ _id: request._id, status: to }, { $set: { status: from } });
+    throw error;
+  }
+
+  // The request is stored as completed and cannot be completed again, so the
+  // restock, pricing and ledger updates below run once per return
+  if (line) {
+    const returned = await completeReturn(request, line, { actor });
+    await refundReturn(request, returned, actor);
+  }
+
+  logger.info(`Item return ${request.requestId} moved from ${from} to ${to} by ${actor.role} ${actor.user}`);
+
+  return request;
+};
+
+exports.resolveLines = resolveLines;
+exports.returnableQuantity = returnableQuantity;
+exports.RETURN_TRANSITIONS = RETURN_TRANSITIONS;
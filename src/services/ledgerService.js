@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Ledger service - posts journal entries for order and payout events
+ * @module services/ledgerService
+ */
+
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const SubOrder = require('../models/SubOrder');
+const settingsService = require('./settingsService');
+
+/**
+ * Date on which a delivered shipment's earnings clear the return window
+ */
+const releaseDateFor = (subOrder) => {
+  const deliveredAt = subOrder.deliveredAt ? new Date(subOrder.deliveredAt) : new Date();
+  return new Date(deliveredAt.getTime() + settingsService.current().returns.windowDays * 24 * 60 * 60 * 1000);
+};
+
+const subOrderReference = (subOrder) => ({
+  model: 'SubOrder',
+  id: subOrder._id,
+  code: subOrder.subOrderId
+});
+
+/**
+ * Post the sale and the platform's deductions for a delivered shipment
+ * Safe to call more than once: each entry is keyed by event and sub-order.
+ * @param {Object} subOrder - delivered sub-order with earnings calculated
+ * @param {Object} [postedBy] - user who triggered the posting
+ */
+exports.postSubOrderDelivery = async (subOrder, postedBy) => {
+  const seller = subOrder.seller;
+  const totals = SubOrder.summarizeItemEarnings([subOrder], seller);
+  const common = {
+    seller,
+    reference: subOrderReference(subOrder),
+    availableOn: releaseDateFor(subOrder),
+    postedBy
+  };
+
+  const postings = [
+    {
+      type: 'sale',
+      description: `Sale ${subOrder.subOrderId}`,
+      lines: [
+        { account: 'platform_cash', debit: totals.totalSales },
+        { account: 'seller_payable', seller, credit: totals.totalSales }
+      ]
+    },
+    {
+      type: 'commission',
+      description: `Commission on ${subOrder.subOrderId}`,
+      lines: [
+        { account: 'seller_payable', seller, debit: totals.totalCommission },
+        { account: 'commission_income', credit: totals.totalCommission }
+      ]
+    },
+    {
+      type: 'gst',
+      description: `GST on commission for ${subOrder.subOrderId}`,
+      lines: [
+        { account: 'seller_payable', seller, debit: totals.totalTax },
+        { account: 'gst_payable', credit: totals.totalTax }
+      ]
+    },
+    {
+      type: 'shipping_fee',
+      description: `Shipping fee for ${subOrder.subOrderId}`,
+      lines: [
+        { account: 'seller_payable', seller, debit: totals.totalShipping },
+        { account: 'shipping_income', credit: totals.totalShipping }
+      ]
+    }
+    // Penalties are posted when charged (postPenalty), not on delivery
+  ];
+
+  const entries = [];
+  for (const posting of postings) {
+    const entry = await LedgerEntry.post({
+      ...common,
+      ...posting,
+      idempotencyKey: `${posting.type}:${subOrder._id}`
+    });
+    if (entry) entries.push(entry);
+  }
+  return entries;
+};
+
+/**
+ * Post a refund for a returned shipment
+ * Reverses the sale, commission and GST that were posted on delivery, net of
+ * anything already reversed by item-level returns; the shipping fee and any
+ * penalty stay with the seller.
+ * @param {Object} subOrder - returned sub-order
+ * @param {Object} [postedBy] - user who triggered the posting
+ */
+exports.postSubOrderRefund = async (subOrder, postedBy) => {
+  const posted = await LedgerEntry.find({
+    'reference.model': 'SubOrder',
+    'reference.id': subOrder._id,
+    type: { $in: ['sale', 'commission', 'gst', 'refund'] }
+  }).lean();
+
+  // Nothing to reverse if the delivery was never posted
+  if (!posted.some(entry => entry.type === 'sale')) return null;
+
+  // Net debit (in paise) per account and seller, then post the opposite side
+  const net = new Map();
+  posted.forEach(entry => {
+    entry.lines.forEach(line => {
+      const key = `${line.account}:${line.seller || ''}`;
+      const current = net.get(key) || { account: line.account, seller: line.seller, paise: 0 };
+      current.paise += Math.round((line.debit || 0) * 100) - Math.round((line.credit || 0) * 100);
+      net.set(key, current);
+    });
+  });
+
+  const lines = [...net.values()]
+    .filter(line => line.paise !== 0)
+    .map(line => ({
+      account: line.account,
+      seller: line.seller,
+      debit: line.paise < 0 ? -line.paise / 100 : 0,
+      credit: line.paise > 0 ? line.paise / 100 : 0
+    }));
+
+  return LedgerEntry.post({
+    type: 'refund',
+    description: `Refund for returned ${subOrder.subOrderId}`,
+    seller: subOrder.seller,
+    reference: subOrderReference(subOrder),
+    // Net against the delivery postings so the refund lands in the same bucket
+    availableOn: releaseDateFor(subOrder),
+    lines,
+    idempotencyKey: `refund:${subOrder._id}`,
+    postedBy
+  });
+};
+
+/**
+ * Post a refund for units returned from a delivered shipment
+ * Reverses the drop in sale, commission and GST between the shipment's
+ * earnings before and after the return.
+ * @param {Object} subOrder - sub-order with earnings recalculated after the return
+ * @param {Object} request - completed OrderItemRequest
+ * @param {Object} before - SubOrder.summarizeItemEarnings before the return
+ * @param {Object} after - SubOrder.summarizeItemEarnings after the return
+ * @param {Object} [postedBy] - user who triggered the posting
+ */
+exports.postItemReturn = async (subOrder, request, before, after, postedBy) => {
+  const round = (value) => Math.round(value * 100) / 100;
+  const seller = subOrder.seller;
+  // Each pair of lines balances on its own, so a pair that did not drop is simply left out
+  const sales = Math.max(0, round(before.totalSales - after.totalSales));
+  const commission = Math.max(0, round(before.totalCommission - after.totalCommission));
+  const tax = Math.max(0, round(before.totalTax - after.totalTax));
+
+  return LedgerEntry.post({
+    type: 'refund',
+    description: `Refund for ${request.quantity} x ${request.name || 'item'} returned from ${subOrder.subOrderId}`,
+    seller,
+    reference: subOrderReference(subOrder),
+    availableOn: releaseDateFor(subOrder),
+    lines: [
+      { account: 'seller_payable', seller, debit: sales },
+      { account: 'platform_cash', credit: sales },
+      { account: 'commission_income', debit: commission },
+      { account: 'seller_payable', seller, credit: commission },
+      { account: 'gst_payable', debit: tax },
+      { account: 'seller_payable', seller, credit: tax }
+    ],
+    idempotencyKey: `refund:${subOrder._id}:${request._id}`,
+    postedBy
+  });
+};
+
+/**
+ * Post a completed payout to a seller
+ * @param {Object} payout - PayoutTransaction
+ * @param {Object} [postedBy] - user who processed the payout
+ */
+exports.postPayout = async (payout, postedBy) => {
+  return LedgerEntry.post({
+    type: 'payout',
+    description: `Payout ${payout.transactionId}`,
+    seller: payout.seller,
+    reference: { model: 'PayoutTransaction', id: payout._id, code: payout.transactionId },
+    lines: [
+      { account: 'seller_payable', seller: payout.seller, debit: payout.amount },
+      { account: 'platform_cash', credit: payout.amount }
+    ],
+    idempotencyKey: `payout:${payout._id}`,
+    postedBy
+  });
+};
+
+/**
+ * Post a penalty charged to a seller, or its reversal
+ * Penalties are posted against the shipment so they show on its statement row.
+ * @param {Object} penalty - SellerPenalty
+ * @param {Object} [options]
+ * @param {boolean} [options.reverse=false] - credit the penalty back
+ * @param {Object} [options.postedBy]
+ */
+exports.postPenalty = async (penalty, { reverse = false, postedBy } = {}) => {
+  const seller = penalty.seller;
+  const debit = [{ account: 'seller_payable', seller, debit: penalty.amount }, { account: 'penalty_income', credit: penalty.amount }];
+  const credit = [{ account: 'penalty_income', debit: penalty.amount }, { account: 'seller_payable', seller, credit: penalty.amount }];
+
+  return LedgerEntry.post({
+    type: 'penalty',
+    description: `${reverse ? 'Penalty reversed' : 'Penalty'} ${penalty.penaltyId} on ${penalty.subOrderId}: ${penalty.reason}`,
+    seller,
+    reference: { model: 'SubOrder', id: penalty.subOrder, code: penalty.subOrderId },
+    lines: reverse ? credit : debit,
+    idempotencyKey: `${reverse ? 'penalty_reversal' : 'seller_penalty'}:${penalty._id}`,
+    postedBy
+  });
+};
+
+/**
+ * Post a manual adjustment to a seller's balance
+ * A positive amount credits the seller, a negative amount debits them.
+ * @param {Object} params
+ * @param {string} params.sellerId
+ * @param {number} params.amount
+ * @param {string} params.reason
+ * @param {Object} [params.postedBy]
+ * @param {string} [params.idempotencyKey]
+ */
+exports.postAdjustment = async ({ sellerId, amount, reason, postedBy, idempotencyKey }) => {
+  const value = Math.round(Math.abs(amount) * 100) / 100;
+  const seller = new mongoose.Types.ObjectId(sellerId.toString());
+  const lines = amount >= 0
+    ? [
+      { account: 'adjustments', debit: value },
+      { account: 'seller_payable', seller, credit: value }
+    ]
+    : [
+      { account: 'seller_payable', seller, debit: value },
+      { account: 'adjustments', credit: value }
+    ];
+
+  return LedgerEntry.post({
+    type: 'adjustment',
+    description: reason,
+    seller,
+    reference: { model: 'Manual' },
+    lines,
+    idempotencyKey,
+    postedBy
+  });
+};
+
+/**
+ * Seller payable balance from everything posted before a moment
+ * @param {string} sellerId
+ * @param {Date} before
+ * @returns {Promise<number>}
+ */
+exports.sellerBalanceBefore = async (sellerId, before) => {
+  const seller = new mongoose.Types.ObjectId(sellerId.toString());
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { 'lines.seller': seller, createdAt: { $lt: before } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': 'seller_payable', 'lines.seller': seller } },
+    { $group: { _id: null, balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } }
+  ]);
+  return Math.round((row?.balance || 0) * 100) / 100;
+};
+
+/**
+ * Seller account statement for the seller payable account
+ * @param {string} sellerId
+ * @param {Object} [options]
+ * @param {Date} [options.startDate]
+ * @param {Date} [options.endDate]
+ */
+exports.getSellerStatement = async (sellerId, { startDate, endDate } = {}) => {
+  const seller = new mongoose.Types.ObjectId(sellerId.toString());
+  const from = startDate ? new Date(startDate) : null;
+  const to = endDate ? new Date(endDate) : new Date();
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+
+  // Opening balance is everything before the period
+  const openingBalance = from ? await exports.sellerBalanceBefore(seller, from) : 0;
+
+  const createdAt = { $lte: to };
+  if (from) createdAt.$gte = from;
+
+  const entries = await LedgerEntry.find({ 'lines.seller': seller, createdAt })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  let running = openingBalance;
+  let totalDebit = 0;
+  let totalCredit = 0;
+
+  const rows = entries.map(entry => {
+    let debit = 0;
+    let credit = 0;
+    entry.lines.forEach(line => {
+      if (line.account === 'seller_payable' && line.seller?.toString() === seller.toString()) {
+        debit += line.debit || 0;
+        credit += line.credit || 0;
+      }
+    });
+    totalDebit += debit;
+    totalCredit += credit;
+    running = round(running + credit - debit);
+
+    return {
+      entryNumber: entry.entryNumber,
+      date: entry.createdAt,
+      type: entry.type,
+      description: entry.description,
+      reference: entry.reference,
+      debit: round(debit),
+      credit: round(credit),
+      balance: running
+    };
+  });
+
+  return {
+    seller: sellerId,
+    period: { startDate: from, endDate: to },
+    openingBalance,
+    totalDebit: round(totalDebit),
+    totalCredit: round(totalCredit),
+    closingBalance: running,
+    entries: rows
+  };
+};
+
@@ -0,0 +1,400 @@
+/**
+ * @fileoverview Order lifecycle service - the one place shipment status changes
+ * @module services/orderLifecycleService
+ *
+ * Status lives on the seller shipment (sub-order); the buyer's order status is
+ * derived from its shipments. Every status change goes through transition(),
+ * which checks the move against TRANSITIONS, claims it atomically, writes
+ * statusHistory and runs the side effects for the new state:
+ *   confirmed  - held stock becomes sold
+ *   cancelled  - stock goes back on the shelf
+ *   shipped    - tracking details recorded
+ *   delivered  - earnings calculated, payout scheduled, sale posted to the ledger
+ *   returned   - earnings reversed in the ledger, payout withdrawn
+ * Paid shipments that are cancelled or returned are refunded (refundService).
+ * Reseller margins follow delivery, cancellation and return (resellerService).
+ * Late dispatch, seller cancellations, seller-fault returns and reused tracking
+ * IDs are charged as seller penalties (penaltyService).
+ * Payment status follows from the derived order status (see Order.syncStatusFromSubOrders).
+ */
+
+const mongoose = require('mongoose');
+const SubOrder = require('../models/SubOrder');
+const SellerWallet = require('../models/SellerWallet');
+const ledgerService = require('./ledgerService');
+const stockService = require('./stockService');
+const resellerService = require('./resellerService');
+const penaltyService = require('./penaltyService');
+const settingsService = require('./settingsService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+
+const STATES = [
+  'pending', 'confirmed', 'processing', 'shipped', 'out_for_delivery', 'delivered', 'cancelled',
+  'return_requested', 'return_approved', 'return_rejected', 'returned', 'refunded'
+];
+
+/**
+ * Allowed moves: from -> { to: roles that may make the move }
+ * 'user' is the buyer; 'system' covers payment callbacks and background jobs.
+ * Admins completing a return straight from the request is the one shortcut.
+ * Pending shipments are unpaid online orders: the payment confirms them, so
+ * sellers cannot (admins may, when reconciling a payment by hand).
+ */
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['admin', 'system'],
+    cancelled: ['user', 'seller', 'admin', 'system']
+  },
+  confirmed: {
+    processing: ['seller', 'admin'],
+    cancelled: ['user', 'seller', 'admin']
+  },
+  processing: {
+    shipped: ['seller', 'admin'],
+    cancelled: ['seller', 'admin']
+  },
+  shipped: {
+    out_for_delivery: ['seller', 'admin', 'system'],
+    delivered: ['seller', 'admin', 'system']
+  },
+  out_for_delivery: {
+    delivered: ['seller', 'admin', 'system']
+  },
+  delivered: {
+    return_requested: ['user']
+  },
+  return_requested: {
+    return_approved: ['seller', 'admin'],
+    return_rejected: ['seller', 'admin'],
+    returned: ['admin']
+  },
+  return_approved: {
+    returned: ['seller', 'admin']
+  },
+  return_rejected: {},
+  returned: {
+    refunded: ['admin', 'system']
+  },
+  cancelled: {},
+  refunded: {}
+};
+
+/**
+ * Extra conditions a move must meet, beyond being listed in TRANSITIONS
+ * Each returns the reason the move is not allowed, or null.
+ */
+const GUARDS = {
+  return_requested: (subOrder) => {
+    const deliveredAt = subOrder.deliveredAt ? new Date(subOrder.deliveredAt).getTime() : 0;
+    const days = Math.floor((Date.now() - deliveredAt) / (1000 * 60 * 60 * 24));
+    const { windowDays } = settingsService.current().returns;
+    return days <= windowDays
+      ? null
+      : `Return window has expired (${windowDays} days)`;
+  }
+};
+
+/**
+ * Why a shipment cannot move to a status, or null if it can
+ * @param {Object} subOrder - SubOrder document
+ * @param {string} to - target status
+ * @param {string} role - actor role (user, seller, admin, system)
+ * @returns {{ message: string, statusCode: number }|null}
+ */
+const rejection = (subOrder, to, role) => {
+  if (!STATES.includes(to)) {
+    return { message: `Invalid status: ${to}`, statusCode: 400 };
+  }
+  const roles = TRANSITIONS[subOrder.status]?.[to];
+  if (!roles) {
+    return { message: `Cannot change status from ${subOrder.status} to ${to}`, statusCode: 400 };
+  }
+  if (!roles.includes(role)) {
+    return { message: `Not allowed to change status from ${subOrder.status} to ${to}`, statusCode: 403 };
+  }
+  const reason = GUARDS[to]?.(subOrder);
+  return reason ? { message: reason, statusCode: 400 } : null;
+};
+
+/**
+ * Check a move without making it
+ * @returns {string|null} reason the move is not allowed, or null
+ */
+exports.check = (subOrder, to, role) => rejection(subOrder, to, role)?.message || null;
+
+/**
+ * Throw if a move is not allowed
+ * @throws {AppError} 400 illegal move, 403 role not allowed
+ */
+exports.assertTransition = (subOrder, to, role) => {
+  const rejected = rejection(subOrder, to, role);
+  if (rejected) {
+    throw new AppError(rejected.message, rejected.statusCode);
+  }
+};
+
+/**
+ * Statuses an actor may move a shipment to from its current status
+ * @param {string} from - current status
+ * @param {string} role - actor role
+ * @returns {Array<string>}
+ */
+exports.allowedTransitions = (from, role) => {
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+};
+
+/**
+ * Withdraw a payout that has not started yet
+ */
+const withdrawPayout = (subOrder) => {
+  if (['pending', 'upcoming'].includes(subOrder.payout?.status)) {
+    subOrder.payout.status = 'pending';
+    subOrder.payout.scheduledDate = undefined;
+  }
+};
+
+/**
+ * Refund for a completed return: the items less discount (shipping is not
+ * refunded on returns), or a smaller amount the admin settled on
+ * @throws {AppError} 400 for a non-number, a negative amount or more than the shipment's value
+ */
+const returnRefundAmount = (subOrder, refundAmount) => {
+  const refundable = Math.round(((subOrder.pricing?.itemsTotal || 0) - (subOrder.pricing?.discount || 0)) * 100) / 100;
+  if (refundAmount === undefined || refundAmount === null || refundAmount === '') return refundable;
+
+  const amount = Number(refundAmount);
+  if (typeof refundAmount === 'boolean' || !Number.isFinite(amount) || amount < 0) {
+    throw new AppError('Refund amount must be a number of 0 or more', 400);
+  }
+  if (Math.round(amount * 100) > Math.round(refundable * 100)) {
+    throw new AppError(`Refund amount cannot be more than ₹${refundable}, the refundable value of this shipment`, 400);
+  }
+  return Math.round(amount * 100) / 100;
+};
+
+/**
+ * Field changes and stock moves that belong to the new status (before save)
+ */
+const applyEffects = async (subOrder, to, { actor, comment, order, tracking, refundAmount }) => {
+  const now = new Date();
+  const orderItems = subOrder.items.map(item => item.orderItem);
+
+  switch (to) {
+    case 'confirmed':
+      // Held stock becomes sold once the shipment is confirmed
+      await stockService.convert(subOrder.order, { orderItems, user: actor.user });
+      break;
+
+    case 'cancelled': {
+      subOrder.cancelledAt = now;
+      subOrder.cancellationReason = comment;
+      const parent = order || await mongoose.model('Order').findById(subOrder.order);
+      if (parent) {
+        await stockService.release(parent, {
+          orderItems,
+          reason: comment || 'Order cancelled',
+          user: actor.user
+        });
+      }
+      break;
+    }
+
+    case 'shipped':
+      subOrder.shippedAt = now;
+      break;
+
+    case 'delivered':
+      subOrder.deliveredAt = now;
+      await subOrder.calculateSellerEarnings();
+      // Paid out once the return window has passed
+      if (!subOrder.payout.status || subOrder.payout.status === 'pending') {
+        subOrder.payout.status = 'upcoming';
+        subOrder.payout.scheduledDate = new Date(now.getTime() + settingsService.current().returns.windowDays * 24 * 60 * 60 * 1000);
+      }
+      break;
+
+    case 'return_requested':
+      subOrder.returnReason = comment;
+      subOrder.returnRequest = {
+        requested: true,
+        reason: comment,
+        status: 'pending',
+        requestedAt: now
+      };
+      break;
+
+    case 'return_approved':
+      subOrder.returnRequest.status = 'approved';
+      subOrder.returnRequest.approvedAt = now;
+      subOrder.returnRequest.processedBy = actor.user;
+      break;
+
+    case 'return_rejected':
+      subOrder.returnRequest.status = 'rejected';
+      subOrder.returnRequest.rejectedAt = now;
+      subOrder.returnRequest.rejectionReason = comment;
+      subOrder.returnRequest.processedBy = actor.user;
+      break;
+
+    case 'returned':
+      subOrder.returnRequest.status = 'completed';
+      subOrder.returnRequest.approvedAt = subOrder.returnRequest.approvedAt || now;
+      subOrder.returnRequest.completedAt = now;
+      subOrder.returnRequest.processedBy = actor.user;
+      subOrder.returnRequest.refundAmount = returnRefundAmount(subOrder, refundAmount);
+      withdrawPayout(subOrder);
+      break;
+
+    default:
+      break;
+  }
+
+  if (tracking) {
+    if (tracking.trackingId) subOrder.tracking.trackingId = tracking.trackingId;
+    if (tracking.courier) subOrder.tracking.courier = tracking.courier;
+    if (tracking.url) subOrder.tracking.url = tracking.url;
+    if (tracking.estimatedDelivery) subOrder.tracking.estimatedDelivery = tracking.estimatedDelivery;
+  }
+};
+
+/**
+ * Ledger postings for the new status (after save)
+ * The status change has already been stored, so a failure here is logged rather
+ * than thrown; postings are idempotent and can be retried.
+ */
+const postToLedger = async (subOrder, to, actor) => {
+  if (to !== 'delivered' && to !== 'returned') return;
+
+  try {
+    if (to === 'delivered') {
+      await ledgerService.postSubOrderDelivery(subOrder, actor.user);
+    } else {
+      await ledgerService.postSubOrderRefund(subOrder, actor.user);
+    }
+    const wallet = await SellerWallet.getOrCreate(subOrder.seller);
+    await wallet.syncFromLedger();
+  } catch (error) {
+    logger.error(`Ledger posting failed for sub-order ${subOrder.subOrderId} (${to}): ${error.message}`);
+  }
+};
+
+/**
+ * Refund the buyer for a paid shipment that was cancelled or returned (after save)
+ * Like the ledger postings, a failure is logged; the refund retry job and
+ * admins can pick it up.
+ */
+const refundBuyer = async (subOrder, to, { order, actor }) => {
+  if (to !== 'cancelled' && to !== 'returned') return;
+
+  try {
+    // Required here: refundService depends on this module through paymentService
+    await require('./refundService').refundSubOrder(subOrder, { order, actor });
+  } catch (error) {
+    logger.error(`Refund failed for sub-order ${subOrder.subOrderId} (${to}): ${error.message}`);
+  }
+};
+
+/**
+ * Keep a reseller order's margin in step with the shipment (after save)
+ * Logged on failure like the ledger postings; the next change syncs it again.
+ */
+const syncResellerEarning = async (subOrder, to) => {
+  if (!['delivered', 'cancelled', 'returned'].includes(to)) return;
+
+  try {
+    await resellerService.syncEarning(subOrder);
+  } catch (error) {
+    logger.error(`Reseller earning sync failed for sub-order ${subOrder.subOrderId} (${to}): ${error.message}`);
+  }
+};
+
+/**
+ * Charge the seller for any SLA breach in the move (after save)
+ * Logged on failure like the ledger postings; penalties are keyed by event.
+ */
+const chargePenalties = async (subOrder, to, actor) => {
+  if (!['shipped', 'cancelled', 'returned'].includes(to)) return;
+
+  try {
+    await penaltyService.evaluateTransition(subOrder, to, { actor });
+  } catch (error) {
+    logger.error(`Penalty check failed for sub-order ${subOrder.subOrderId} (${to}): ${error.message}`);
+  }
+};
+
+/**
+ * Move one shipment to a new status
+ * @param {Object} subOrder - SubOrder document
+ * @param {string} to - target status
+ * @param {Object} options
+ * @param {Object} options.actor - { user: user _id (optional for system), role }
+ * @param {string} [options.comment] - history comment; also the cancel/return/reject reason
+ * @param {Object} [options.order] - parent Order document, if already loaded
+ * @param {Object} [options.tracking] - { trackingId, courier, url, estimatedDelivery }
+ * @param {number} [options.refundAmount] - refund on a completed return (defaults to, and may not exceed, the items less discount)
+ * @returns {Promise<Object>} saved sub-order
+ * @throws {AppError} 400 illegal move, 403 role not allowed, 409 changed concurrently
+ */
+exports.transition = async (subOrder, to, options = {}) => {
+  const { actor = { role: 'system' }, comment } = options;
+
+  exports.assertTransition(subOrder, to, actor.role);
+
+  // Claim the move so two requests cannot both act on the same status
+  const from = subOrder.status;
+  const claim = await SubOrder.updateOne({ _id: subOrder._id, status: from }, { $set: { status: to } });
+  if (claim.modifiedCount === 0) {
+    throw new AppError('Shipment status was changed by another request, please retry', 409);
+  }
+
+  try {
+    subOrder.status = to;
+    subOrder.statusHistory.push({
+      status: to,
+      comment,
+      updatedBy: actor.user,
+      timestamp: new Date()
+    });
+    await applyEffects(subOrder, to, { ...options, actor });
+    await subOrder.save();
+  } catch (error) {
+    await SubOrder.updateOne({ _id: subOrder._id, status: to }, { $set: { status: from } });
+    throw error;
+  }
+
+  await postToLedger(subOrder, to, actor);
+  await refundBuyer(subOrder, to, { order: options.order, actor });
+  await syncResellerEarning(subOrder, to);
+  await chargePenalties(subOrder, to, actor);
+
+  logger.info(`Sub-order ${subOrder.subOrderId} moved from ${from} to ${to} by ${actor.role}${actor.user ? ` ${actor.user}` : ''}`);
+
+  return subOrder;
+};
+
+/**
+ * Re-derive the buyer's order status (and payment status) from its shipments
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} saved order
+ */
+exports.syncOrder = async (order) => {
+  await order.syncStatusFromSubOrders();
+  await order.save();
+  return order;
+};
+
+/**
+ * Re-derive the buyer's order status for a shipment's parent order
+ * @param {Object} subOrder - SubOrder document
+ * @returns {Promise<Object|null>} saved order
+ */
+exports.syncParentOrder = async (subOrder) => {
+  const order = await mongoose.model('Order').findById(subOrder.order);
+  return order ? exports.syncOrder(order) : null;
+};
+
+exports.STATES = STATES;
+exports.TRANSITIONS = TRANSITIONS;
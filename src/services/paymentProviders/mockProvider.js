@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Mock payment provider - runs fully offline
+ * @module services/paymentProviders/mockProvider
+ *
+ * Behaves like a hosted gateway (Razorpay-style): an intent is created, the
+ * buyer "pays" it, the client gets { paymentId, signature } to send back and
+ * the gateway posts a signed webhook. Nothing leaves the process; signatures
+ * are HMAC-SHA256 with local secrets so verification is still exercised.
+ * simulatePayment() stands in for the buyer completing checkout.
+ * Test only: paymentService refuses this provider in production.
+ */
+
+const crypto = require('crypto');
+
+const name = 'mock';
+const testOnly = true;
+
+const keySecret = () => process.env.MOCK_PAYMENT_KEY_SECRET || 'mock_key_secret';
+const webhookSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'mock_webhook_secret';
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Create a payment intent
+ * @param {Object} params
+ * @param {number} params.amount - Amount in rupees
+ * @param {string} [params.currency='INR']
+ * @param {string} params.receipt - Our reference (order ID)
+ * @returns {Promise<Object>} { intentId, amount, currency, status, checkout }
+ */
+exports.createIntent = async ({ amount, currency = 'INR', receipt }) => {
+  const intentId = randomId('mock_intent');
+  return {
+    intentId,
+    amount,
+    currency,
+    status: 'created',
+    // What the client needs to open checkout
+    checkout: { provider: name, intentId, amount, currency, receipt }
+  };
+};
+
+/**
+ * Check the signature the client sends back after checkout
+ * @param {Object} params
+ * @param {string} params.intentId
+ * @param {string} params.paymentId
+ * @param {string} params.signature
+ * @returns {boolean}
+ */
+exports.verifySignature = ({ intentId, paymentId, signature }) => {
+  return safeEqual(hmac(keySecret(), `${intentId}|${paymentId}`), signature);
+};
+
+/**
+ * Capture an authorised payment
+ * @param {Object} params
+ * @param {string} params.paymentId
+ * @param {number} params.amount
+ * @returns {Promise<Object>} { paymentId, amount, status }
+ */
+exports.capture = async ({ paymentId, amount }) => ({ paymentId, amount, status: 'captured' });
+
+/**
+ * Refund some or all of a captured payment
+ * @param {Object} params
+ * @param {string} params.paymentId
+ * @param {number} params.amount
+ * @returns {Promise<Object>} { refundId, paymentId, amount, status }
+ */
+exports.refund = async ({ paymentId, amount }) => ({
+  refundId: randomId('mock_refund'),
+  paymentId,
+  amount,
+  status: 'processed'
+});
+
+/**
+ * Verify and read a webhook call
+ * @param {Object} params
+ * @param {Buffer|string} params.rawBody - body exactly as received
+ * @param {Object} params.headers - request headers
+ * @returns {Object|null} { event, intentId, paymentId, amount, refundId, reason }, or null if the signature is wrong
+ */
+exports.parseWebhook = ({ rawBody, headers }) => {
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+  if (!safeEqual(hmac(webhookSecret(), body), headers['x-mock-signature'])) {
+    return null;
+  }
+
+  const payload = JSON.parse(body);
+  return {
+    id: payload.id,
+    event: payload.event,
+    intentId: payload.intentId,
+    paymentId: payload.paymentId,
+    amount: payload.amount,
+    refundId: payload.refundId,
+    reason: payload.reason
+  };
+};
+
+/**
+ * Pretend the buyer completed (or failed) checkout for an intent
+ * @param {Object} params
+ * @param {string} params.intentId
+ * @param {number} params.amount
+ * @param {boolean} [params.succeed=true]
+ * @returns {Object} { callback: { intentId, paymentId, signature }, webhook: { rawBody, headers } }
+ */
+exports.simulatePayment = ({ intentId, amount, succeed = true }) => {
+  const paymentId = randomId('mock_pay');
+  const rawBody = JSON.stringify({
+    id: randomId('mock_evt'),
+    event: succeed ? 'payment.captured' : 'payment.failed',
+    intentId,
+    paymentId,
+    amount,
+    reason: succeed ? undefined : 'Payment declined by mock provider'
+  });
+
+  return {
+    callback: succeed
+      ? { intentId, paymentId, signature: hmac(keySecret(), `${intentId}|${paymentId}`) }
+      : null,
+    webhook: { rawBody, headers: { 'x-mock-signature': hmac(webhookSecret(), rawBody) } }
+  };
+};
+
+exports.name = name;
+exports.testOnly = testOnly;
@@ -0,0 +1,309 @@
+/**
+ * @fileoverview Payment service - buyer payments through a payment provider
+ * @module services/paymentService
+ *
+ * Online orders are placed pending with their stock held. The buyer pays a
+ * payment intent; the order is marked paid only once the provider confirms it,
+ * either through the signed client callback (verifyCallback) or a signed
+ * webhook (handleWebhook). Paying confirms the shipments, which turns the held
+ * stock into sales. An order that is never paid is cancelled by the
+ * reservation expiry job; a payment that lands after that is refunded.
+ *
+ * A provider implements:
+ *   createIntent({ amount, currency, receipt }) -> { intentId, amount, currency, status, checkout }
+ *   verifySignature({ intentId, paymentId, signature }) -> boolean
+ *   capture({ paymentId, amount }) -> { paymentId, amount, status }
+ *   refund({ paymentId, amount, reason }) -> { refundId, paymentId, amount, status }
+ *   parseWebhook({ rawBody, headers }) -> { id, event, intentId, paymentId, amount, refundId, reason } | null
+ */
+
+const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
+const PaymentIntent = require('../models/PaymentIntent');
+const orderLifecycle = require('./orderLifecycleService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+
+const PROVIDERS = {
+  mock: require('./paymentProviders/mockProvider')
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Payment provider by name (defaults to PAYMENT_PROVIDER, then mock)
+ * The mock provider signs with well-known secrets, so it is refused in
+ * production; PAYMENT_PROVIDER must name a real gateway there.
+ * @param {string} [name]
+ * @returns {Object} provider
+ * @throws {AppError} 400 for an unknown provider, or the mock provider in production
+ */
+exports.getProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new AppError(`Unknown payment provider: ${name}`, 400);
+  }
+  if (provider.testOnly && process.env.NODE_ENV === 'production') {
+    throw new AppError(`The ${name} payment provider cannot be used in production`, 400);
+  }
+  return provider;
+};
+
+/**
+ * Start (or resume) paying an online order
+ * An open intent for the same amount is reused so retries do not pile up.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { intent, checkout }
+ * @throws {AppError} 400 when the order does not need paying
+ */
+exports.createIntent = async (order) => {
+  if (order.payment?.method !== 'online') {
+    throw new AppError('Only online orders are paid through the payment gateway', 400);
+  }
+  if (order.payment.status !== 'pending' || order.status === 'cancelled') {
+    throw new AppError(`Order payment is already ${order.status === 'cancelled' ? 'cancelled' : order.payment.status}`, 400);
+  }
+
+  const provider = exports.getProvider();
+  // Any wallet part was taken at checkout
+  const amount = order.amountDue;
+  if (!(amount > 0)) {
+    throw new AppError('Nothing is left to pay on this order', 400);
+  }
+
+  const open = await PaymentIntent.findOne({ order: order._id, provider: provider.name, status: 'created', amount })
+    .sort({ createdAt: -1 });
+  if (open) {
+    return {
+      intent: open,
+      checkout: { provider: open.provider, intentId: open.intentId, amount: open.amount, currency: open.currency, receipt: order.orderId }
+    };
+  }
+
+  const created = await provider.createIntent({ amount, currency: 'INR', receipt: order.orderId });
+  const intent = await PaymentIntent.create({
+    intentId: created.intentId,
+    provider: provider.name,
+    order: order._id,
+    orderId: order.orderId,
+    user: order.user,
+    amount,
+    currency: created.currency
+  });
+
+  order.payment.provider = provider.name;
+  order.payment.intentId = intent.intentId;
+  await order.save();
+
+  return { intent, checkout: created.checkout };
+};
+
+/**
+ * Give back a captured payment (or part of it)
+ * @param {Object} intent - PaymentIntent document (captured)
+ * @param {number} amount - Amount in rupees
+ * @param {string} [reason]
+ * @returns {Promise<Object>} the refund entry
+ * @throws {AppError} 400 when nothing (or not that much) is left to refund
+ */
+exports.refundIntent = async (intent, amount, reason) => {
+  const value = round(amount);
+  const refundable = round(intent.amount - (intent.amountRefunded || 0));
+  if (!intent.paymentId || !['captured', 'partially_refunded'].includes(intent.status)) {
+    throw new AppError('Payment has not been captured', 400);
+  }
+  if (value <= 0 || value > refundable) {
+    throw new AppError(`Refund must be between 0 and ${refundable}`, 400);
+  }
+
+  // Claim the amount so two refunds cannot together exceed the payment
+  const claim = await PaymentIntent.updateOne(
+    { _id: intent._id, amountRefunded: intent.amountRefunded || 0 },
+    { $inc: { amountRefunded: value } }
+  );
+  if (claim.modifiedCount === 0) {
+    throw new AppError('Payment was changed by another request, please retry', 409);
+  }
+
+  let result;
+  try {
+    result = await exports.getProvider(intent.provider).refund({ paymentId: intent.paymentId, amount: value, reason });
+  } catch (error) {
+    await PaymentIntent.updateOne({ _id: intent._id }, { $inc: { amountRefunded: -value } });
+    throw error;
+  }
+
+  intent.amountRefunded = round((intent.amountRefunded || 0) + value);
+  intent.status = intent.amountRefunded >= intent.amount ? 'refunded' : 'partially_refunded';
+  intent.refunds.push({ refundId: result.refundId, amount: value, status: result.status === 'processed' ? 'processed' : 'pending', reason });
+  await intent.save();
+
+  logger.info(`Refunded ${value} on payment ${intent.paymentId} (${intent.orderId})`);
+
+  return intent.refunds[intent.refunds.length - 1];
+};
+
+/**
+ * Record a confirmed payment and confirm the order it pays for
+ */
+const markPaid = async (intent, paymentId, source) => {
+  const claim = await PaymentIntent.updateOne(
+    { _id: intent._id, status: { $in: ['created', 'failed'] } },
+    { $set: { status: 'captured', paymentId, capturedAt: new Date() }, $unset: { failureReason: 1 } }
+  );
+  if (claim.modifiedCount === 0) {
+    // Already recorded (callback and webhook both arrive)
+    return PaymentIntent.findById(intent._id);
+  }
+  intent.status = 'captured';
+  intent.paymentId = paymentId;
+
+  // Claim the order; the expiry job claims the same field when the payment window passes
+  const paid = await Order.updateOne(
+    { _id: intent.order, 'payment.status': 'pending', status: { $ne: 'cancelled' } },
+    {
+      $set: {
+        'payment.status': 'completed',
+        'payment.transactionId': paymentId,
+        'payment.paidAt': new Date(),
+        'payment.provider': intent.provider,
+        'payment.intentId': intent.intentId
+      }
+    }
+  );
+
+  if (paid.modifiedCount === 0) {
+    // Paid too late (order cancelled) or paid twice: give the money back
+    logger.warn(`Payment ${paymentId} for ${intent.orderId} arrived for an order that is no longer payable, refunding`);
+    await exports.refundIntent(intent, intent.amount, 'Order is no longer payable');
+    return intent;
+  }
+
+  const order = await Order.findById(intent.order);
+  const subOrders = await SubOrder.find({ order: intent.order, status: 'pending' });
+  for (const subOrder of subOrders) {
+    await orderLifecycle.transition(subOrder, 'confirmed', {
+      actor: { role: 'system' },
+      comment: `Payment received (${source})`,
+      order
+    });
+  }
+  await orderLifecycle.syncOrder(order);
+
+  logger.info(`Payment ${paymentId} captured for order ${intent.orderId} via ${source}`);
+
+  return intent;
+};
+
+/**
+ * Capture a payment if the provider has only authorised it, then mark it paid
+ */
+const captureAndMarkPaid = async (intent, paymentId, source) => {
+  const provider = exports.getProvider(intent.provider);
+  const captured = await provider.capture({ paymentId, amount: intent.amount });
+  if (captured.status !== 'captured') {
+    throw new AppError('Payment could not be captured', 402);
+  }
+  return markPaid(intent, paymentId, source);
+};
+
+/**
+ * Handle the client callback after checkout
+ * @param {Object} params
+ * @param {Object} params.order - Order document
+ * @param {string} params.intentId
+ * @param {string} params.paymentId
+ * @param {string} params.signature
+ * @returns {Promise<Object>} PaymentIntent
+ * @throws {AppError} 400 bad signature, 404 unknown intent
+ */
+exports.verifyCallback = async ({ order, intentId, paymentId, signature }) => {
+  const intent = await PaymentIntent.findOne({ intentId, order: order._id });
+  if (!intent) {
+    throw new AppError('Payment not found for this order', 404);
+  }
+
+  const provider = exports.getProvider(intent.provider);
+  if (!paymentId || !provider.verifySignature({ intentId, paymentId, signature })) {
+    throw new AppError('Payment signature verification failed', 400);
+  }
+
+  return captureAndMarkPaid(intent, paymentId, 'callback');
+};
+
+/**
+ * Handle a webhook call from a provider
+ * @param {string} providerName
+ * @param {Object} params
+ * @param {Buffer|string} params.rawBody
+ * @param {Object} params.headers
+ * @returns {Promise<{ handled: boolean, event: string }>}
+ * @throws {AppError} 401 bad signature
+ */
+exports.handleWebhook = async (providerName, { rawBody, headers }) => {
+  const provider = exports.getProvider(providerName);
+  const event = provider.parseWebhook({ rawBody, headers });
+  if (!event) {
+    throw new AppError('Invalid webhook signature', 401);
+  }
+
+  const intent = await PaymentIntent.findOne({ intentId: event.intentId, provider: provider.name });
+  if (!intent) {
+    logger.warn(`Webhook ${event.event} for unknown intent ${event.intentId}`);
+    return { handled: false, event: event.event };
+  }
+
+  // Providers redeliver events; handle each one once
+  if (event.id) {
+    const fresh = await PaymentIntent.updateOne(
+      { _id: intent._id, 'events.eventId': { $ne: event.id } },
+      { $push: { events: { eventId: event.id, event: event.event } } }
+    );
+    if (fresh.modifiedCount === 0) {
+      return { handled: false, event: event.event };
+    }
+  }
+
+  switch (event.event) {
+    case 'payment.authorized':
+      await captureAndMarkPaid(intent, event.paymentId, 'webhook');
+      break;
+
+    case 'payment.captured':
+      await markPaid(intent, event.paymentId, 'webhook');
+      break;
+
+    case 'payment.failed':
+      // The buyer may retry; the order stays pending until its payment window passes
+      await PaymentIntent.updateOne(
+        { _id: intent._id, status: 'created' },
+        { $set: { status: 'failed', paymentId: event.paymentId, failureReason: event.reason } }
+      );
+      break;
+
+    case 'refund.processed':
+      await PaymentIntent.updateOne(
+        { _id: intent._id, 'refunds.refundId': event.refundId },
+        { $set: { 'refunds.$.status': 'processed' } }
+      );
+      // Required here: refundService depends on this module
+      await require('./refundService').confirmProviderRefund(event.refundId);
+      break;
+
+    default:
+      return { handled: false, event: event.event };
+  }
+
+  return { handled: true, event: event.event };
+};
+
+/**
+ * The captured payment for an order, if any
+ * @param {string} orderId - Order _id
+ * @returns {Promise<Object|null>} PaymentIntent
+ */
+exports.findCaptured = (orderId) => {
+  return PaymentIntent.findOne({ order: orderId, status: { $in: ['captured', 'partially_refunded', 'refunded'] } });
+};
+
+exports.PROVIDERS = Object.keys(PROVIDERS);
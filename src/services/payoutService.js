@@ -0,0 +1,447 @@
+/**
+ * @fileoverview Payout service - scheduled seller payout cycles
+ * @module services/payoutService
+ *
+ * Every payouts.cycleDays (see settingsService) the payout cycle job builds a batch: for each seller
+ * with delivered shipments whose payout date (the end of the return window)
+ * has passed, one PayoutTransaction for what the seller ledger says is
+ * available at the cutoff, less payouts already in flight. The ledger already
+ * carries refunds, penalties, adjustments and earlier negative balances, so
+ * they are netted off; a seller whose net is below payouts.minAmount is
+ * skipped and the balance is carried to the next cycle. TCS, TDS and the
+ * seller reserve are then withheld from each transfer (see
+ * taxDeductionService and sellerReserveService).
+ *
+ * A batch is a draft until an admin approves it (or payouts.autoApprove is
+ * set), which sends the transfers. Finance marks each transfer completed with
+ * its UTR, or failed; a failed transfer is sent again with backoff up to
+ * MAX_ATTEMPTS times, then its shipments go back into the next cycle.
+ */
+
+const LedgerEntry = require('../models/LedgerEntry');
+const PayoutBatch = require('../models/PayoutBatch');
+const PayoutTransaction = require('../models/PayoutTransaction');
+const Seller = require('../models/Seller');
+const SubOrder = require('../models/SubOrder');
+const taxDeductionService = require('./taxDeductionService');
+const sellerReserveService = require('./sellerReserveService');
+const settingsService = require('./settingsService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_MINUTES = 60;
+
+// Shipment statuses whose earnings are paid once the return window passes
+const PAYABLE_STATUSES = ['delivered', 'return_rejected'];
+
+// Shipment payout states picked up by a cycle ("failed" after the last retry)
+const OPEN_PAYOUT_STATUSES = ['upcoming', 'failed'];
+
+const cycleKeyFor = (cutoff) => cutoff.toISOString().slice(0, 10);
+
+/**
+ * Work out what each seller is due at a cutoff
+ * @param {Date} cutoff
+ * @returns {Promise<Array<Object>>} { seller, subOrders, totals, balanceAdjustment, amount, skipReason }
+ */
+const collect = async (cutoff) => {
+  const subOrders = await SubOrder.find({
+    status: { $in: PAYABLE_STATUSES },
+    'payout.status': { $in: OPEN_PAYOUT_STATUSES },
+    'payout.scheduledDate': { $lte: cutoff }
+  }).select('subOrderId order seller items payout penalties');
+
+  const bySeller = new Map();
+  subOrders.forEach(subOrder => {
+    const key = subOrder.seller.toString();
+    if (!bySeller.has(key)) bySeller.set(key, []);
+    bySeller.get(key).push(subOrder);
+  });
+
+  const sellers = await Seller.find({ _id: { $in: [...bySeller.keys()] } }).select('shopName bankDetails');
+  const { minAmount } = (await settingsService.get()).payouts;
+  const entries = [];
+
+  for (const seller of sellers) {
+    const sellerSubOrders = bySeller.get(seller._id.toString());
+    const totals = SubOrder.summarizeItemEarnings(sellerSubOrders, seller._id);
+    const [balances, inFlight] = await Promise.all([
+      LedgerEntry.sellerBalances(seller._id, cutoff),
+      PayoutTransaction.inFlightAmount(seller._id)
+    ]);
+    const amount = round(balances.available - inFlight);
+
+    let skipReason;
+    if (!seller.bankDetails?.accountNumber) {
+      skipReason = 'No bank details';
+    } else if (amount <= 0) {
+      skipReason = 'Negative balance carried forward';
+    } else if (amount < minAmount) {
+      skipReason = `Below the minimum payout of ${minAmount}`;
+    }
+
+    entries.push({
+      seller,
+      subOrders: sellerSubOrders,
+      totals,
+      balanceAdjustment: round(amount - totals.netEarnings),
+      amount,
+      skipReason
+    });
+  }
+
+  return entries;
+};
+
+/**
+ * What the next batch would pay, without creating it
+ * @param {Object} [options]
+ * @param {Date} [options.cutoff=now]
+ * @returns {Promise<Object>} { cutoff, payouts, skipped, totals }
+ */
+exports.previewBatch = async ({ cutoff = new Date() } = {}) => {
+  const entries = await collect(cutoff);
+  const payable = entries.filter(entry => !entry.skipReason);
+  for (const entry of payable) {
+    const deductions = await taxDeductionService.computeDeductions(entry.seller._id, entry.totals.totalSales);
+    entry.taxes = Math.min(deductions.total, entry.amount);
+    entry.reserve = sellerReserveService.reserveFor(entry.amount, entry.amount - entry.taxes);
+  }
+
+  return {
+    cutoff,
+    payouts: payable.map(entry => ({
+      seller: { _id: entry.seller._id, shopName: entry.seller.shopName },
+      subOrders: entry.subOrders.map(subOrder => subOrder.subOrderId),
+      earnings: entry.totals.netEarnings,
+      penalties: entry.totals.totalPenalty,
+      balanceAdjustment: entry.balanceAdjustment,
+      grossPayout: entry.amount,
+      taxes: entry.taxes,
+      reserve: entry.reserve,
+      amount: round(entry.amount - entry.taxes - entry.reserve)
+    })),
+    skipped: entries.filter(entry => entry.skipReason).map(entry => ({
+      seller: { _id: entry.seller._id, shopName: entry.seller.shopName },
+      amount: entry.amount,
+      reason: entry.skipReason
+    })),
+    totals: {
+      sellers: payable.length,
+      subOrders: payable.reduce((sum, entry) => sum + entry.subOrders.length, 0),
+      earnings: round(payable.reduce((sum, entry) => sum + entry.totals.netEarnings, 0)),
+      adjustments: round(payable.reduce((sum, entry) => sum + entry.balanceAdjustment, 0)),
+      taxes: round(payable.reduce((sum, entry) => sum + entry.taxes, 0)),
+      reserve: round(payable.reduce((sum, entry) => sum + entry.reserve, 0)),
+      amount: round(payable.reduce((sum, entry) => sum + entry.amount - entry.taxes - entry.reserve, 0))
+    }
+  };
+};
+
+/**
+ * Create one seller's transaction in a batch, or record why they are skipped
+ */
+const addTransaction = async (batch, entry, totals) => {
+  if (entry.skipReason) {
+    batch.skipped.push({ seller: entry.seller._id, amount: entry.amount, reason: entry.skipReason });
+    return;
+  }
+
+  const { bankDetails } = entry.seller;
+  const payout = new PayoutTransaction({
+    seller: entry.seller._id,
+    batch: batch._id,
+    amount: entry.amount,
+    paymentMode: 'bank',
+    paymentDetails: {
+      accountNumber: bankDetails.accountNumber,
+      ifscCode: bankDetails.ifscCode,
+      accountHolderName: bankDetails.accountHolderName,
+      bankName: bankDetails.bankName
+    },
+    status: 'pending',
+    notes: `Payout cycle ${batch.cycleKey}`
+  });
+
+  const claim = await SubOrder.updateMany(
+    { _id: { $in: entry.subOrders.map(subOrder => subOrder._id) }, 'payout.status': { $in: OPEN_PAYOUT_STATUSES } },
+    { $set: { 'payout.status': 'processing', 'payout.transactionId': payout.transactionId } }
+  );
+  if (claim.modifiedCount === 0) {
+    batch.skipped.push({ seller: entry.seller._id, amount: entry.amount, reason: 'Shipments already in a payout' });
+    return;
+  }
+
+  const claimed = entry.subOrders.length === claim.modifiedCount
+    ? entry.subOrders
+    : await SubOrder.find({ 'payout.transactionId': payout.transactionId }).select('order seller items penalties');
+  const earnings = SubOrder.summarizeItemEarnings(claimed, entry.seller._id);
+
+  payout.orders = [...new Set(claimed.map(subOrder => subOrder.order.toString()))];
+  payout.subOrders = claimed.map(subOrder => subOrder._id);
+  payout.breakdown = {
+    totalOrders: earnings.totalOrders,
+    totalSales: earnings.totalSales,
+    totalCommission: earnings.totalCommission,
+    totalTax: earnings.totalTax,
+    totalShipping: earnings.totalShipping,
+    totalPenalty: earnings.totalPenalty,
+    netAmount: earnings.netEarnings,
+    balanceAdjustment: round(entry.amount - earnings.netEarnings)
+  };
+  await taxDeductionService.applyToPayout(payout);
+  sellerReserveService.applyToPayout(payout);
+
+  try {
+    await payout.save();
+  } catch (error) {
+    await SubOrder.updateMany(
+      { 'payout.transactionId': payout.transactionId, 'payout.status': 'processing' },
+      { $set: { 'payout.status': 'upcoming' }, $unset: { 'payout.transactionId': 1 } }
+    );
+    throw error;
+  }
+
+  batch.transactions.push(payout._id);
+  totals.sellers += 1;
+  totals.subOrders += payout.subOrders.length;
+  totals.earnings = round(totals.earnings + payout.breakdown.netAmount);
+  totals.adjustments = round(totals.adjustments + payout.breakdown.balanceAdjustment);
+  totals.taxes = round(totals.taxes + payout.breakdown.tcs + payout.breakdown.tds);
+  totals.reserve = round(totals.reserve + payout.breakdown.reserve);
+  totals.amount = round(totals.amount + payout.amount);
+};
+
+/**
+ * Create the payout batch for a cutoff
+ * Shipments are claimed into each transaction, so a seller's own payout
+ * request and the batch cannot pay the same shipment twice.
+ * @param {Object} [options]
+ * @param {Date} [options.cutoff=now]
+ * @param {Object} [options.actor] - { user, role }
+ * @returns {Promise<Object>} PayoutBatch (draft)
+ * @throws {AppError} 409 when the day's batch already exists
+ */
+exports.createBatch = async ({ cutoff = new Date(), actor = {} } = {}) => {
+  let batch;
+  try {
+    batch = await PayoutBatch.create({ cycleKey: cycleKeyFor(cutoff), cutoff, createdBy: actor.user });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`A payout batch for ${cycleKeyFor(cutoff)} already exists`, 409);
+    }
+    throw error;
+  }
+
+  const totals = { sellers: 0, subOrders: 0, earnings: 0, adjustments: 0, taxes: 0, reserve: 0, amount: 0, completed: 0, failed: 0 };
+  try {
+    const entries = await collect(cutoff);
+    for (const entry of entries) {
+      await addTransaction(batch, entry, totals);
+    }
+  } catch (error) {
+    // Keep what was created; an empty batch would only block the day's cycle
+    if (batch.transactions.length === 0) {
+      await PayoutBatch.deleteOne({ _id: batch._id });
+    } else {
+      batch.totals = totals;
+      await batch.save();
+    }
+    throw error;
+  }
+
+  batch.totals = totals;
+  if (batch.transactions.length === 0) {
+    batch.status = 'completed';
+    batch.completedAt = new Date();
+  }
+  await batch.save();
+
+  logger.info(`Payout batch ${batch.batchId} created: ${totals.sellers} sellers, ${totals.amount}`);
+
+  return batch;
+};
+
+/**
+ * Approve a draft or held batch and send its transfers
+ * @param {Object} batch - PayoutBatch document
+ * @param {Object} [options]
+ * @param {Object} [options.actor]
+ * @returns {Promise<Object>} PayoutBatch (processing)
+ * @throws {AppError} 400 when the batch is not a draft or on hold
+ */
+exports.approveBatch = async (batch, { actor = {} } = {}) => {
+  const approvedAt = new Date();
+  const claim = await PayoutBatch.updateOne(
+    { _id: batch._id, status: { $in: ['draft', 'on_hold'] } },
+    { $set: { status: 'processing', approvedBy: actor.user, approvedAt } }
+  );
+  if (claim.modifiedCount === 0) {
+    throw new AppError(`Batch is ${batch.status}, only draft or held batches can be approved`, 400);
+  }
+
+  await PayoutTransaction.updateMany(
+    { batch: batch._id, status: 'pending' },
+    { $set: { status: 'processing', processedAt: approvedAt, processedBy: actor.user }, $inc: { attempts: 1 } }
+  );
+
+  logger.info(`Payout batch ${batch.batchId} approved`);
+
+  return exports.refreshBatch(batch._id);
+};
+
+/**
+ * Hold a draft batch so it is not sent until approved
+ * @param {Object} batch - PayoutBatch document
+ * @param {Object} options
+ * @param {string} options.reason
+ * @param {Object} [options.actor]
+ * @returns {Promise<Object>} PayoutBatch (on_hold)
+ * @throws {AppError} 400 without a reason or when the batch is not a draft
+ */
+exports.holdBatch = async (batch, { reason, actor = {} } = {}) => {
+  if (!reason) {
+    throw new AppError('Please provide a reason for holding the batch', 400);
+  }
+
+  const updated = await PayoutBatch.findOneAndUpdate(
+    { _id: batch._id, status: 'draft' },
+    { $set: { status: 'on_hold', holdReason: reason, heldBy: actor.user, heldAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new AppError(`Batch is ${batch.status}, only draft batches can be held`, 400);
+  }
+
+  logger.info(`Payout batch ${batch.batchId} held: ${reason}`);
+
+  return updated;
+};
+
+/**
+ * Recount a batch's transfers and close it once they are all settled
+ * @param {string} batchId - PayoutBatch _id
+ * @returns {Promise<Object>} PayoutBatch
+ */
+exports.refreshBatch = async (batchId) => {
+  const batch = await PayoutBatch.findById(batchId);
+  if (!batch) return null;
+
+  const transactions = await PayoutTransaction.find({ batch: batch._id }).select('status nextRetryAt');
+  const completed = transactions.filter(payout => payout.status === 'completed').length;
+  const failed = transactions.filter(payout => payout.status === 'failed' && !payout.nextRetryAt).length;
+
+  batch.totals.completed = completed;
+  batch.totals.failed = failed;
+  if (batch.status === 'processing' && completed + failed === transactions.length) {
+    batch.status = failed > 0 ? 'partially_failed' : 'completed';
+    batch.completedAt = new Date();
+  }
+  await batch.save();
+
+  return batch;
+};
+
+/**
+ * Mark a sent transfer completed (with the UTR) or failed
+ * A failure is retried with backoff; after the last attempt the transfer is
+ * failed for good and its shipments go back into the next cycle.
+ * @param {Object} payout - PayoutTransaction document
+ * @param {string} status - completed or failed
+ * @param {Object} options
+ * @param {string} [options.reference] - UTR
+ * @param {string} [options.reason] - failure reason
+ * @param {string} [options.code] - bank failure code
+ * @param {Object} [options.actor]
+ * @returns {Promise<Object>} PayoutTransaction
+ * @throws {AppError} 400 when the transfer has not been sent
+ */
+exports.settleTransaction = async (payout, status, { reference, reason, code, actor = {} } = {}) => {
+  if (!['completed', 'failed'].includes(status)) {
+    throw new AppError('Status must be completed or failed', 400);
+  }
+  if (status === 'completed' && !reference) {
+    throw new AppError('Please provide the transfer reference (UTR)', 400);
+  }
+
+  // Batch transfers are sent on approval; a seller's own request is settled straight from pending
+  const settleable = payout.batch ? ['processing'] : ['pending', 'processing'];
+  const claim = await PayoutTransaction.updateOne(
+    { _id: payout._id, status: { $in: settleable } },
+    { $set: { status }, $inc: { attempts: payout.status === 'pending' ? 1 : 0 } }
+  );
+  if (claim.modifiedCount === 0) {
+    throw new AppError(`Payout is ${payout.status}, not ${settleable.join(' or ')}`, 400);
+  }
+  if (payout.status === 'pending') payout.attempts = (payout.attempts || 0) + 1;
+
+  if (status === 'completed') {
+    await payout.markCompleted(reference, actor.user);
+  } else if (payout.attempts < MAX_ATTEMPTS) {
+    payout.status = 'failed';
+    payout.failedAt = new Date();
+    payout.failureReason = reason || 'Transfer failed';
+    payout.failureCode = code;
+    payout.nextRetryAt = new Date(Date.now() + RETRY_BASE_MINUTES * 2 ** (payout.attempts - 1) * 60 * 1000);
+    await payout.save();
+  } else {
+    await payout.markFailed(reason || 'Transfer failed', code);
+  }
+
+  logger.info(`Payout ${payout.transactionId} ${status}${reference ? ` (${reference})` : ''}`);
+
+  if (payout.batch) await exports.refreshBatch(payout.batch);
+
+  return payout;
+};
+
+/**
+ * Send failed transfers whose retry time has come again
+ * @returns {Promise<number>} transfers resent
+ */
+exports.retryDue = async () => {
+  const due = await PayoutTransaction.find({
+    status: 'failed',
+    nextRetryAt: { $ne: null, $lte: new Date() }
+  }).select('_id transactionId');
+
+  let resent = 0;
+  for (const payout of due) {
+    const claim = await PayoutTransaction.updateOne(
+      { _id: payout._id, status: 'failed', nextRetryAt: { $ne: null } },
+      { $set: { status: 'processing', processedAt: new Date() }, $unset: { nextRetryAt: 1 }, $inc: { attempts: 1 } }
+    );
+    if (claim.modifiedCount === 1) {
+      resent += 1;
+      logger.info(`Payout ${payout.transactionId} sent again`);
+    }
+  }
+  return resent;
+};
+
+/**
+ * Create the cycle's batch when one is due, then resend due retries and
+ * release reserves whose holding period has ended
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { batch, resent, released }
+ */
+exports.runCycle = async (now = new Date()) => {
+  let batch = null;
+  const { cycleDays, autoApprove } = (await settingsService.get()).payouts;
+  const last = await PayoutBatch.findOne().sort({ cutoff: -1 }).select('cutoff');
+  if (!last || now - last.cutoff >= cycleDays * 24 * 60 * 60 * 1000) {
+    batch = await exports.createBatch({ cutoff: now, actor: { role: 'system' } });
+    if (autoApprove && batch.transactions.length > 0) {
+      batch = await exports.approveBatch(batch, { actor: { role: 'system' } });
+    }
+  }
+
+  const resent = await exports.retryDue();
+  const released = await sellerReserveService.releaseDue(now);
+  return { batch, resent, released };
+};
+
+exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
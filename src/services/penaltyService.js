@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Penalty service - charges sellers for SLA breaches
+ * @module services/penaltyService
+ *
+ * Rules are checked as shipments move through their lifecycle:
+ *   late_dispatch       - shipped more than PENALTY_HANDLING_HOURS after it was confirmed
+ *   seller_cancellation - cancelled by the seller
+ *   wrong_item          - returned because the wrong item was sent
+ *   defective_item      - returned as defective or damaged
+ *   fake_shipment       - marked shipped with a tracking ID already used on
+ *                         another order, or flagged by an admin after a courier check
+ * Each rule charges a flat amount plus a percentage of the value involved
+ * (PENALTY_<RULE>_FLAT and PENALTY_<RULE>_PERCENT); a rule with both at 0 is off.
+ * Return reasons are free text, so wrong and defective items are recognised
+ * from the reason the buyer gave.
+ *
+ * A penalty is debited from the seller payable account against the shipment
+ * and listed on the shipment with its reason. That ledger entry is the only
+ * charge: shipment earnings are worked out before penalties.
+ * The rule amounts and handling time are read from the environment when a
+ * rule is checked. Sellers dispute a penalty by
+ * raising a claim on it; an upheld claim reverses it.
+ */
+
+const SellerPenalty = require('../models/SellerPenalty');
+const SellerWallet = require('../models/SellerWallet');
+const SubOrder = require('../models/SubOrder');
+const ledgerService = require('./ledgerService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+const { activeQuantity, lineValue, envNumber } = require('../utils/helpers');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const RULES = ['late_dispatch', 'seller_cancellation', 'wrong_item', 'defective_item', 'fake_shipment'];
+
+/**
+ * Hours a seller has to ship a confirmed shipment
+ * @returns {number}
+ */
+const handlingHours = () => envNumber('PENALTY_HANDLING_HOURS', 48);
+
+/**
+ * Flat amount and percentage each rule charges
+ * @returns {Object} { <rule>: { flat, percent } }
+ */
+const ruleConfig = () => ({
+  late_dispatch: {
+    flat: envNumber('PENALTY_LATE_DISPATCH_FLAT', 50),
+    percent: envNumber('PENALTY_LATE_DISPATCH_PERCENT', 0)
+  },
+  seller_cancellation: {
+    flat: envNumber('PENALTY_SELLER_CANCELLATION_FLAT', 0),
+    percent: envNumber('PENALTY_SELLER_CANCELLATION_PERCENT', 10)
+  },
+  wrong_item: {
+    flat: envNumber('PENALTY_WRONG_ITEM_FLAT', 100),
+    percent: envNumber('PENALTY_WRONG_ITEM_PERCENT', 0)
+  },
+  defective_item: {
+    flat: envNumber('PENALTY_DEFECTIVE_ITEM_FLAT', 50),
+    percent: envNumber('PENALTY_DEFECTIVE_ITEM_PERCENT', 0)
+  },
+  fake_shipment: {
+    flat: envNumber('PENALTY_FAKE_SHIPMENT_FLAT', 500),
+    percent: envNumber('PENALTY_FAKE_SHIPMENT_PERCENT', 0)
+  }
+});
+
+// Return reasons that put the fault on the seller
+const RETURN_FAULTS = [
+  { rule: 'wrong_item', pattern: /wrong|different (item|product|colou?r|size)|not (what|as) (i )?ordered|not as described/i },
+  { rule: 'defective_item', pattern: /defect|damage|broken|faulty|not working|torn|expired/i }
+];
+
+/**
+ * Amount a rule charges on a value
+ * @param {string} rule
+ * @param {number} [base=0]
+ * @returns {number}
+ */
+exports.amountFor = (rule, base = 0) => {
+  const config = ruleConfig()[rule];
+  if (!config) return 0;
+  return round(config.flat + (base * config.percent) / 100);
+};
+
+/**
+ * Which seller-fault rule a return reason falls under, if any
+ * @param {string} reason
+ * @returns {string|null} wrong_item, defective_item or null
+ */
+exports.returnFault = (reason) => {
+  const match = RETURN_FAULTS.find(fault => fault.pattern.test(reason || ''));
+  return match ? match.rule : null;
+};
+
+/**
+ * Charge a penalty on a shipment
+ * Safe to call more than once for the same event: the key allows one penalty.
+ * @param {Object} params
+ * @param {Object} params.subOrder - SubOrder document
+ * @param {string} params.rule
+ * @param {string} params.reason - shown to the seller
+ * @param {string} params.key - identifies the event
+ * @param {number} [params.base=0] - value the percentage applies to
+ * @param {number} [params.amount] - overrides the rule's amount
+ * @param {Object} [params.details]
+ * @param {ObjectId} [params.itemRequest]
+ * @param {Object} [params.actor] - { user, role }
+ * @returns {Promise<Object|null>} SellerPenalty, or null when nothing is charged
+ */
+exports.impose = async ({ subOrder, rule, reason, key, base = 0, amount, details, itemRequest, actor = {} }) => {
+  if (!RULES.includes(rule)) {
+    throw new AppError(`Unknown penalty rule: ${rule}`, 400);
+  }
+  const charge = amount !== undefined ? round(amount) : exports.amountFor(rule, base);
+  if (!(charge > 0)) return null;
+
+  let penalty;
+  try {
+    penalty = await SellerPenalty.create({
+      seller: subOrder.seller,
+      subOrder: subOrder._id,
+      subOrderId: subOrder.subOrderId,
+      order: subOrder.order,
+      orderId: subOrder.orderId,
+      itemRequest,
+      rule,
+      reason,
+      details,
+      base: round(base),
+      amount: charge,
+      key,
+      imposedBy: actor.user
+    });
+  } catch (error) {
+    // Already charged for this event
+    if (error.code === 11000) return SellerPenalty.findOne({ key });
+    throw error;
+  }
+
+  await SubOrder.updateOne(
+    { _id: subOrder._id },
+    {
+      $push: {
+        penalties: {
+          penalty: penalty._id,
+          penaltyId: penalty.penaltyId,
+          rule,
+          reason,
+          amount: charge,
+          status: penalty.status
+        }
+      }
+    }
+  );
+  await ledgerService.postPenalty(penalty, { postedBy: actor.user });
+  const wallet = await SellerWallet.getOrCreate(subOrder.seller);
+  await wallet.syncFromLedger();
+
+  logger.info(`Penalty ${penalty.penaltyId} (${rule}, ${charge}) charged on ${subOrder.subOrderId}`);
+
+  return penalty;
+};
+
+/**
+ * When the shipment was confirmed (placed as confirmed for COD orders)
+ */
+const confirmedAt = (subOrder) => {
+  const entry = [...(subOrder.statusHistory || [])].reverse().find(history => history.status === 'confirmed');
+  return entry ? new Date(entry.timestamp) : new Date(subOrder.createdAt);
+};
+
+const shipmentValue = (subOrder) => round(subOrder.items.reduce((sum, item) => sum + lineValue(item, activeQuantity(item)).net, 0));
+
+/**
+ * Check the penalty rules after a shipment changed status
+ * @param {Object} subOrder - SubOrder document (saved)
+ * @param {string} to - the new status
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - { user, role }
+ * @returns {Promise<Array<Object>>} penalties charged
+ */
+exports.evaluateTransition = async (subOrder, to, { actor = {} } = {}) => {
+  const penalties = [];
+  const charge = async (params) => {
+    const penalty = await exports.impose({ subOrder, ...params });
+    if (penalty) penalties.push(penalty);
+  };
+
+  if (to === 'shipped') {
+    const confirmed = confirmedAt(subOrder);
+    const shipped = subOrder.shippedAt ? new Date(subOrder.shippedAt) : new Date();
+    const hours = (shipped - confirmed) / (60 * 60 * 1000);
+    const allowed = handlingHours();
+    if (hours > allowed) {
+      const hoursLate = Math.round((hours - allowed) * 10) / 10;
+      await charge({
+        rule: 'late_dispatch',
+        reason: `Shipped ${hoursLate} hours after the ${allowed}-hour handling time`,
+        key: `late_dispatch:${subOrder._id}`,
+        base: shipmentValue(subOrder),
+        details: { confirmedAt: confirmed, shippedAt: shipped, handlingHours: allowed, hoursLate }
+      });
+    }
+
+    const trackingId = subOrder.tracking?.trackingId;
+    if (trackingId) {
+      const reused = await SubOrder.findOne({
+        _id: { $ne: subOrder._id },
+        order: { $ne: subOrder.order },
+        'tracking.trackingId': trackingId
+      }).select('subOrderId');
+      if (reused) {
+        await charge({
+          rule: 'fake_shipment',
+          reason: `Tracking ID ${trackingId} was already used for shipment ${reused.subOrderId}`,
+          key: `fake_shipment:${subOrder._id}`,
+          base: shipmentValue(subOrder),
+          details: { trackingId, courier: subOrder.tracking.courier, reusedFrom: reused.subOrderId }
+        });
+      }
+    }
+  }
+
+  if (to === 'cancelled' && actor.role === 'seller') {
+    await charge({
+      rule: 'seller_cancellation',
+      reason: `Cancelled by the seller${subOrder.cancellationReason ? `: ${subOrder.cancellationReason}` : ''}`,
+      key: `seller_cancellation:${subOrder._id}`,
+      base: shipmentValue(subOrder)
+    });
+  }
+
+  if (to === 'returned') {
+    const reason = subOrder.returnRequest?.reason || subOrder.returnReason;
+    const rule = exports.returnFault(reason);
+    if (rule) {
+      await charge({
+        rule,
+        reason: `Returned as ${rule === 'wrong_item' ? 'the wrong item' : 'defective'}: ${reason}`,
+        key: `${rule}:${subOrder._id}`,
+        base: subOrder.returnRequest?.refundAmount || 0
+      });
+    }
+  }
+
+  return penalties;
+};
+
+/**
+ * Check the return rules after an item return was completed
+ * @param {Object} request - OrderItemRequest (completed return)
+ * @param {Object} subOrder - SubOrder document
+ * @returns {Promise<Object|null>} penalty charged
+ */
+exports.evaluateItemReturn = async (request, subOrder) => {
+  const rule = exports.returnFault(request.reason);
+  if (!rule) return null;
+
+  return exports.impose({
+    subOrder,
+    rule,
+    reason: `${request.quantity} x ${request.name || 'item'} returned as ${rule === 'wrong_item' ? 'the wrong item' : 'defective'}: ${request.reason}`,
+    key: `${rule}:${request._id}`,
+    base: request.refundAmount || 0,
+    itemRequest: request._id
+  });
+};
+
+/**
+ * Keep the copy of a penalty on its shipment in step
+ */
+const syncShipment = (penalty) => SubOrder.updateOne(
+  { _id: penalty.subOrder, 'penalties.penalty': penalty._id },
+  { $set: { 'penalties.$.status': penalty.status } }
+);
+
+/**
+ * Mark a penalty as disputed by a claim
+ * @param {Object} penalty - SellerPenalty document
+ * @param {Object} claim - Claim document
+ * @returns {Promise<Object>} penalty
+ * @throws {AppError} 400 when the penalty is reversed or already disputed
+ */
+exports.dispute = async (penalty, claim) => {
+  const updated = await SellerPenalty.findOneAndUpdate(
+    { _id: penalty._id, status: 'active' },
+    { $set: { status: 'disputed', claim: claim._id } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new AppError(`Penalty is ${penalty.status}, only active penalties can be disputed`, 400);
+  }
+  await syncShipment(updated);
+  return updated;
+};
+
+/**
+ * Put a disputed penalty back in force after its claim was rejected
+ * @param {Object} penalty - SellerPenalty document
+ * @returns {Promise<Object>} penalty
+ */
+exports.upholdPenalty = async (penalty) => {
+  const updated = await SellerPenalty.findOneAndUpdate(
+    { _id: penalty._id, status: 'disputed' },
+    { $set: { status: 'active' } },
+    { new: true }
+  );
+  if (updated) await syncShipment(updated);
+  return updated || penalty;
+};
+
+/**
+ * Reverse a penalty and credit the seller back
+ * @param {Object} penalty - SellerPenalty document
+ * @param {Object} options
+ * @param {string} options.reason
+ * @param {Object} [options.actor] - { user, role }
+ * @returns {Promise<Object>} penalty
+ * @throws {AppError} 400 when already reversed
+ */
+exports.reverse = async (penalty, { reason, actor = {} } = {}) => {
+  const updated = await SellerPenalty.findOneAndUpdate(
+    { _id: penalty._id, status: { $in: ['active', 'disputed'] } },
+    { $set: { status: 'reversed', reversedAt: new Date(), reversedBy: actor.user, reversalReason: reason } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new AppError('Penalty has already been reversed', 400);
+  }
+
+  await syncShipment(updated);
+  await ledgerService.postPenalty(updated, { reverse: true, postedBy: actor.user });
+  const wallet = await SellerWallet.getOrCreate(updated.seller);
+  await wallet.syncFromLedger();
+
+  logger.info(`Penalty ${updated.penaltyId} reversed${reason ? `: ${reason}` : ''}`);
+
+  return updated;
+};
+
+exports.RULES = RULES;
+exports.handlingHours = handlingHours;
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview RBAC service - admin roles, permission checks and role assignment
+ * @module services/rbacService
+ *
+ * Admin users get permissions from the roles they hold (User.adminRoles); the
+ * user/seller/admin role on the account still decides which part of the API
+ * they can reach at all. Built-in roles are created or brought up to date on
+ * startup. The first time that happens no admin holds super_admin yet, so
+ * every admin without a role is given it and nobody is locked out; admins
+ * added after that have no permissions until a role is assigned.
+ */
+
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+const { ALL, BUILT_IN_ROLES, SUPER_ADMIN } = require('../config/permissions');
+
+/**
+ * Create missing built-in roles and reset the super_admin permissions
+ * @returns {Promise<void>}
+ */
+exports.syncBuiltInRoles = async () => {
+  for (const builtIn of BUILT_IN_ROLES) {
+    const existing = await Role.findOne({ name: builtIn.name });
+    if (!existing) {
+      await Role.create({ ...builtIn, isSystem: true });
+    } else if (builtIn.name === SUPER_ADMIN && !(existing.permissions.length === 1 && existing.permissions[0] === ALL)) {
+      existing.permissions = [ALL];
+      await existing.save();
+    }
+  }
+
+  const superAdmin = await Role.findOne({ name: SUPER_ADMIN });
+  if (!(await User.exists({ role: 'admin', adminRoles: superAdmin._id }))) {
+    const result = await User.updateMany(
+      { role: 'admin', $or: [{ adminRoles: { $exists: false } }, { adminRoles: { $size: 0 } }] },
+      { $set: { adminRoles: [superAdmin._id] } }
+    );
+    if (result.modifiedCount > 0) {
+      logger.info(`Gave the ${SUPER_ADMIN} role to ${result.modifiedCount} existing admins`);
+    }
+  }
+};
+
+/**
+ * Permissions a user holds
+ * @param {Object} user - User document (req.user)
+ * @returns {Promise<Set<string>>} may contain * for every permission
+ */
+exports.permissionsFor = async (user) => {
+  if (!user || user.role !== 'admin' || !user.adminRoles || user.adminRoles.length === 0) {
+    return new Set();
+  }
+  const roles = await Role.find({ _id: { $in: user.adminRoles } }).select('permissions').lean();
+  return new Set(roles.flatMap(role => role.permissions));
+};
+
+/**
+ * Whether a set of permissions covers a permission
+ * @param {Set<string>} permissions - From permissionsFor
+ * @param {string} permission
+ * @returns {boolean}
+ */
+exports.allows = (permissions, permission) => permissions.has(ALL) || permissions.has(permission);
+
+/**
+ * Replace the roles an admin holds
+ * An admin can only hand out or take away roles whose permissions they hold
+ * themselves, and the last super admin cannot lose the role.
+ * @param {Object} user - Admin user to change
+ * @param {Array<string>} roleRefs - Role IDs or names
+ * @param {Object} actor - Admin making the change (req.user)
+ * @returns {Promise<Array<Object>>} the roles now held
+ * @throws {AppError} 400 for unknown roles or a non-admin user, 403 beyond the actor's own permissions
+ */
+exports.assignRoles = async (user, roleRefs, actor) => {
+  if (user.role !== 'admin') {
+    throw new AppError('Roles can only be assigned to admin users', 400);
+  }
+  if (!Array.isArray(roleRefs)) {
+    throw new AppError('roles must be a list of role IDs or names', 400);
+  }
+
+  const refs = [...new Set(roleRefs.map(String))];
+  const ids = refs.filter(ref => mongoose.Types.ObjectId.isValid(ref));
+  const roles = await Role.find({ $or: [{ _id: { $in: ids } }, { name: { $in: refs.map(ref => ref.toLowerCase()) } }] });
+  const missing = refs.filter(ref => !roles.some(role => role._id.toString() === ref || role.name === ref.toLowerCase()));
+  if (missing.length > 0) {
+    throw new AppError(`Unknown roles: ${missing.join(', ')}`, 400);
+  }
+
+  const current = await Role.find({ _id: { $in: user.adminRoles || [] } });
+  const changed = [
+    ...roles.filter(role => !current.some(held => held._id.equals(role._id))),
+    ...current.filter(held => !roles.some(role => role._id.equals(held._id)))
+  ];
+
+  const own = await exports.permissionsFor(actor);
+  const beyond = changed.filter(role => role.permissions.some(permission => !exports.allows(own, permission)));
+  if (beyond.length > 0) {
+    throw new AppError(`You cannot assign or remove roles with permissions you do not hold: ${beyond.map(role => role.name).join(', ')}`, 403);
+  }
+
+  const losesSuperAdmin = current.some(role => role.name === SUPER_ADMIN) && !roles.some(role => role.name === SUPER_ADMIN);
+  if (losesSuperAdmin) {
+    const superAdmin = current.find(role => role.name === SUPER_ADMIN);
+    const others = await User.countDocuments({ _id: { $ne: user._id }, role: 'admin', isActive: true, adminRoles: superAdmin._id });
+    if (others === 0) {
+      throw new AppError('At least one active admin must keep the super_admin role', 400);
+    }
+  }
+
+  user.adminRoles = roles.map(role => role._id);
+  await user.save();
+
+  logger.info(`Admin roles of ${user._id} set to ${roles.map(role => role.name).join(', ') || 'none'} by ${actor._id}`);
+
+  return roles;
+};
@@ -0,0 +1,549 @@
+/**
+ * @fileoverview Refund service - paying buyers back for cancellations and returns
+ * @module services/refundService
+ *
+ * A Refund is created when money the buyer paid is no longer owed:
+ *   cancellation      - a paid shipment is cancelled (items, prorated discount, shipping)
+ *   return            - a shipment is returned (items and prorated discount; shipping is kept)
+ *   item_cancellation - units cancelled from a paid shipment
+ *   item_return       - units returned from a delivered shipment
+ * Of an unpaid order (unpaid online, COD before delivery) only the part paid from
+ * the wallet at checkout is refunded.
+ *
+ * Money paid from the wallet goes back to the wallet first. The rest goes back
+ * to the original online payment, to the buyer's wallet, or for COD to the bank
+ * account / UPI ID the buyer gives. Gateway refunds complete
+ * straight away (or on the provider's webhook); bank and UPI transfers are paid
+ * by finance and marked completed with the UTR. Failed refunds are retried with
+ * backoff by the refund retry job. The seller's earning for the refunded units
+ * is reversed in the ledger by the lifecycle and item-return postings; the
+ * refund records that amount as sellerDebit.
+ */
+
+const Order = require('../models/Order');
+const SubOrder = require('../models/SubOrder');
+const Refund = require('../models/Refund');
+const orderLifecycle = require('./orderLifecycleService');
+const paymentService = require('./paymentService');
+const walletService = require('./walletService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+const { lineValue, isValidIFSC, isValidUPI } = require('../utils/helpers');
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MINUTES = 5;
+
+// Whether the shipment's shipping charge goes back to the buyer
+const SHIPPING_REFUNDED = {
+  cancellation: true,
+  return: false
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check and store where the buyer wants refunds paid
+ * @param {Object} order - Order document (not saved here)
+ * @param {Object} details - { refundTo, accountHolderName, accountNumber, ifscCode, bankName, upiId }
+ * @returns {boolean} whether anything was given
+ * @throws {AppError} 400 for incomplete or invalid details
+ */
+exports.applyRefundDetails = (order, details = {}) => {
+  const method = details.refundTo || details.method;
+  if (!method) return false;
+
+  if (!['original', 'wallet', 'bank', 'upi'].includes(method)) {
+    throw new AppError('Refund method must be original, wallet, bank or upi', 400);
+  }
+  if (method === 'original' && order.payment?.method !== 'online') {
+    throw new AppError('Only online payments can be refunded to the original payment method', 400);
+  }
+
+  const next = { method, updatedAt: new Date() };
+  if (method === 'bank') {
+    const ifscCode = (details.ifscCode || '').toString().trim().toUpperCase();
+    const accountNumber = (details.accountNumber || '').toString().replace(/\s+/g, '');
+    if (!details.accountHolderName || !/^\d{9,18}$/.test(accountNumber) || !isValidIFSC(ifscCode)) {
+      throw new AppError('Please provide account holder name, a valid account number and IFSC code', 400);
+    }
+    Object.assign(next, {
+      accountHolderName: details.accountHolderName,
+      accountNumber,
+      ifscCode,
+      bankName: details.bankName
+    });
+  } else if (method === 'upi') {
+    if (!isValidUPI(details.upiId || '')) {
+      throw new AppError('Please provide a valid UPI ID', 400);
+    }
+    next.upiId = details.upiId;
+  }
+
+  order.refundDetails = next;
+  return true;
+};
+
+/**
+ * Where a refund on this order should go, or null if the buyer still has to say
+ */
+const resolveDestination = async (order) => {
+  const details = order.refundDetails || {};
+
+  if (details.method === 'wallet' || order.payment?.method === 'wallet') {
+    return { type: 'wallet' };
+  }
+
+  if (order.payment?.method === 'online') {
+    const intent = await paymentService.findCaptured(order._id);
+    if (intent) {
+      return { type: 'original', provider: intent.provider, paymentId: intent.paymentId };
+    }
+  }
+
+  if (details.method === 'bank' && details.accountNumber) {
+    return {
+      type: 'bank',
+      accountHolderName: details.accountHolderName,
+      accountNumber: details.accountNumber,
+      ifscCode: details.ifscCode,
+      bankName: details.bankName
+    };
+  }
+  if (details.method === 'upi' && details.upiId) {
+    return { type: 'upi', upiId: details.upiId };
+  }
+
+  return null;
+};
+
+/**
+ * Claim the part of a refund that goes back to the wallet it was paid from
+ * @returns {Promise<number>} wallet share (0 when nothing was paid from the wallet)
+ */
+const claimWalletShare = async (order, total) => {
+  if (!(order.payment?.walletAmount > 0)) return 0;
+
+  // Claimed against the stored figure so concurrent refunds never exceed what was paid
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const current = await Order.findById(order._id).select('payment.walletAmount payment.walletRefunded');
+    const refunded = current.payment.walletRefunded || 0;
+    const share = round(Math.min(total, current.payment.walletAmount - refunded));
+    if (share <= 0) return 0;
+
+    const claim = await Order.updateOne(
+      { _id: order._id, 'payment.walletRefunded': refunded },
+      { $inc: { 'payment.walletRefunded': share } }
+    );
+    if (claim.modifiedCount === 1) {
+      order.payment.walletRefunded = round(refunded + share);
+      return share;
+    }
+  }
+  throw new AppError('Order was changed by another request, please retry', 409);
+};
+
+/**
+ * Create a refund (once per key) and try to pay it
+ * @param {Object} params
+ * @param {string} params.key - idempotency key for the event
+ * @param {string} params.kind
+ * @param {Object} params.order - Order document
+ * @param {Object} [params.subOrder] - SubOrder document
+ * @param {Object} [params.itemRequest] - OrderItemRequest
+ * @param {Object} params.amount - { items, discount, shipping, adjustment, total }
+ * @param {Object} [params.sellerDebit] - { amount, ledgerKey }
+ * @param {string} [params.reason]
+ * @param {Object} [params.actor] - { user, role }
+ * @param {boolean} [params.trackOnOrder] - add the total to pricing.refunded
+ * @param {boolean} [params.received=true] - false when only the wallet part was paid so far
+ * @returns {Promise<Object|null>} Refund, or null when nothing is owed
+ */
+const createRefund = async ({ key, kind, order, subOrder, itemRequest, amount, sellerDebit, reason, actor = {}, trackOnOrder = false, received = true }) => {
+  if (!(amount.total > 0)) return null;
+
+  const existing = await Refund.findOne({ key });
+  if (existing) return existing;
+
+  const walletShare = await claimWalletShare(order, amount.total);
+  if (!received) {
+    if (walletShare === 0) return null;
+    amount = { ...amount, adjustment: round(amount.adjustment - (amount.total - walletShare)), total: walletShare };
+  }
+  amount = { ...amount, wallet: walletShare };
+
+  // All of it back to the wallet, or the rest to where the buyer paid it from
+  const destination = walletShare >= amount.total ? { type: 'wallet' } : await resolveDestination(order);
+  let refund;
+  try {
+    refund = await Refund.create({
+      key,
+      kind,
+      order: order._id,
+      orderId: order.orderId,
+      subOrder: subOrder?._id,
+      subOrderId: subOrder?.subOrderId,
+      itemRequest: itemRequest?._id,
+      seller: subOrder?.seller,
+      user: order.user?._id || order.user,
+      amount,
+      destination: destination || undefined,
+      sellerDebit,
+      reason,
+      status: destination ? 'pending' : 'awaiting_details',
+      history: [{
+        status: destination ? 'pending' : 'awaiting_details',
+        comment: destination ? reason : 'Waiting for the buyer to give bank or UPI details',
+        updatedBy: actor.user
+      }]
+    });
+  } catch (error) {
+    if (walletShare > 0) {
+      await Order.updateOne({ _id: order._id }, { $inc: { 'payment.walletRefunded': -walletShare } });
+      order.payment.walletRefunded = round(order.payment.walletRefunded - walletShare);
+    }
+    // Lost a race with a concurrent request for the same event
+    if (error.code === 11000) return Refund.findOne({ key });
+    throw error;
+  }
+
+  // Shipment-level refunds are counted here; item flows count their own
+  if (trackOnOrder) {
+    await Order.updateOne({ _id: order._id }, { $inc: { 'pricing.refunded': amount.total } });
+    order.pricing.refunded = round((order.pricing.refunded || 0) + amount.total);
+    if (subOrder) {
+      await SubOrder.updateOne({ _id: subOrder._id }, { $inc: { 'pricing.refunded': amount.total } });
+      subOrder.pricing.refunded = round((subOrder.pricing.refunded || 0) + amount.total);
+    }
+  }
+
+  logger.info(`Refund ${refund.refundId} of ${amount.total} created for ${order.orderId} (${kind})`);
+
+  if (destination) {
+    await exports.processRefund(refund, { actor });
+  }
+  return refund;
+};
+
+/**
+ * Seller earning reversed when a shipment's units are returned (sale less commission and GST)
+ */
+const reversedEarning = (before, after) => {
+  return Math.max(0, round(
+    (before.totalSales - after.totalSales)
+    - (before.totalCommission - after.totalCommission)
+    - (before.totalTax - after.totalTax)
+  ));
+};
+
+/**
+ * Refund a shipment that was cancelled or returned
+ * Called by the order lifecycle after the status change is stored.
+ * @param {Object} subOrder - SubOrder document (cancelled or returned)
+ * @param {Object} [options]
+ * @param {Object} [options.order] - parent Order document, if already loaded
+ * @param {Object} [options.actor]
+ * @returns {Promise<Object|null>} Refund
+ */
+exports.refundSubOrder = async (subOrder, { order, actor } = {}) => {
+  const kind = subOrder.status === 'returned' ? 'return' : 'cancellation';
+  const parent = order || await Order.findById(subOrder.order);
+  if (!parent) return null;
+
+  // Only money that was actually received goes back
+  const received = ['completed', 'refunded'].includes(parent.payment?.status);
+  if (!received && !(parent.payment?.walletAmount > 0)) return null;
+
+  const items = round(subOrder.pricing.itemsTotal || 0);
+  const discount = round(subOrder.pricing.discount || 0);
+  const shipping = SHIPPING_REFUNDED[kind] ? round(subOrder.pricing.shippingCharge || 0) : 0;
+  const computed = round(Math.max(0, items - discount + shipping));
+
+  // A return may have been settled for a different amount
+  const settled = kind === 'return' ? subOrder.returnRequest?.refundAmount : undefined;
+  const total = settled !== undefined && settled !== null ? round(Math.min(computed, Math.max(0, settled))) : computed;
+
+  let sellerDebit;
+  if (kind === 'return' && subOrder.earnings?.calculatedAt) {
+    const earned = SubOrder.summarizeItemEarnings([subOrder], subOrder.seller);
+    const none = { totalSales: 0, totalCommission: 0, totalTax: 0 };
+    sellerDebit = { amount: reversedEarning(earned, none), ledgerKey: `refund:${subOrder._id}` };
+  }
+
+  return createRefund({
+    key: `${kind}:${subOrder._id}`,
+    kind,
+    order: parent,
+    subOrder,
+    amount: { items, discount, shipping, adjustment: round(total - computed), total },
+    sellerDebit,
+    reason: kind === 'return'
+      ? `Return of ${subOrder.subOrderId}`
+      : `Cancellation of ${subOrder.subOrderId}${subOrder.cancellationReason ? `: ${subOrder.cancellationReason}` : ''}`,
+    actor,
+    trackOnOrder: true,
+    received
+  });
+};
+
+/**
+ * Refund units cancelled or returned from a shipment
+ * @param {Object} params
+ * @param {Object} params.order - Order document
+ * @param {Object} params.subOrder - SubOrder document
+ * @param {Object} params.subLine - SubOrder line the units came from
+ * @param {Object} params.request - OrderItemRequest (cancellation or return)
+ * @param {Object} [params.before] - earnings summary before a return
+ * @param {Object} [params.after] - earnings summary after a return
+ * @param {Object} [params.actor]
+ * @returns {Promise<Object|null>} Refund
+ */
+exports.refundItems = async ({ order, subOrder, subLine, request, before, after, actor }) => {
+  const kind = request.type === 'return' ? 'item_return' : 'item_cancellation';
+  const value = lineValue(subLine, request.quantity);
+  const total = round(request.refundAmount || 0);
+
+  return createRefund({
+    key: `request:${request._id}`,
+    kind,
+    order,
+    subOrder,
+    itemRequest: request,
+    amount: {
+      items: value.gross,
+      discount: value.discount,
+      shipping: 0,
+      adjustment: round(total - value.net),
+      total
+    },
+    sellerDebit: before && after
+      ? { amount: reversedEarning(before, after), ledgerKey: `refund:${subOrder._id}:${request._id}` }
+      : undefined,
+    reason: `${kind === 'item_return' ? 'Return' : 'Cancellation'} of ${request.quantity} x ${request.name || 'item'} (${request.requestId})`,
+    actor
+  });
+};
+
+/**
+ * Close the order's payment and the returned shipment once a refund is paid
+ */
+const afterCompleted = async (refund) => {
+  if (refund.kind === 'return' && refund.subOrder) {
+    const subOrder = await SubOrder.findById(refund.subOrder);
+    if (subOrder?.status === 'returned') {
+      await orderLifecycle.transition(subOrder, 'refunded', {
+        actor: { role: 'system' },
+        comment: `Refund ${refund.refundId} completed`
+      });
+    }
+  }
+
+  const order = await Order.findById(refund.order);
+  if (!order) return;
+  await order.syncStatusFromSubOrders();
+  if (['cancelled', 'returned', 'refunded'].includes(order.status) && order.payment.status === 'completed') {
+    const open = await Refund.countDocuments({ order: order._id, status: { $ne: 'completed' } });
+    if (open === 0) order.payment.status = 'refunded';
+  }
+  await order.save();
+};
+
+/**
+ * Pay a refund to its destination
+ * Gateway refunds usually complete at once; bank and UPI refunds wait in
+ * processing until finance marks them paid. A failure is recorded and retried.
+ * @param {Object} refund - Refund document (pending or failed)
+ * @param {Object} [options]
+ * @param {Object} [options.actor]
+ * @returns {Promise<Object>} Refund
+ */
+exports.processRefund = async (refund, { actor = {} } = {}) => {
+  const from = refund.status;
+  if (!['pending', 'failed'].includes(from)) return refund;
+
+  // Claim the attempt so the retry job and a manual retry cannot both pay
+  const claim = await Refund.updateOne(
+    { _id: refund._id, status: from, attempts: refund.attempts },
+    { $set: { status: 'processing' }, $inc: { attempts: 1 } }
+  );
+  if (claim.modifiedCount === 0) return refund;
+  refund.status = 'processing';
+  refund.attempts += 1;
+
+  // What was paid from the wallet is credited first (keyed, so retries do not repeat it)
+  const walletShare = refund.amount.wallet || 0;
+  const rest = round(refund.amount.total - walletShare);
+  const order = { _id: refund.order, orderId: refund.orderId };
+
+  try {
+    if (walletShare > 0) {
+      await walletService.credit(refund.user, walletShare, {
+        source: 'refund',
+        key: `refund:${refund._id}:wallet`,
+        order,
+        refund,
+        description: refund.reason
+      });
+    }
+
+    switch (refund.destination?.type) {
+      case 'original': {
+        const intent = await paymentService.findCaptured(refund.order);
+        if (!intent) {
+          throw new AppError('No captured payment to refund', 400);
+        }
+        const result = await paymentService.refundIntent(intent, rest, refund.reason);
+        refund.reference = result.refundId;
+        if (result.status === 'processed') {
+          refund.status = 'completed';
+          refund.completedAt = new Date();
+        }
+        break;
+      }
+
+      case 'wallet': {
+        if (rest > 0) {
+          const credited = await walletService.credit(refund.user, rest, {
+            source: 'refund',
+            key: `refund:${refund._id}`,
+            order,
+            refund,
+            description: refund.reason
+          });
+          refund.reference = credited.transactionId;
+        }
+        refund.status = 'completed';
+        refund.completedAt = new Date();
+        break;
+      }
+
+      case 'bank':
+      case 'upi':
+        // Paid out by finance; marked completed with the UTR
+        break;
+
+      default:
+        throw new AppError('Refund has no destination', 400);
+    }
+
+    refund.failureReason = undefined;
+    refund.nextRetryAt = undefined;
+    refund.history.push({
+      status: refund.status,
+      comment: refund.status === 'completed' ? `Refunded to ${refund.destination.type}` : `Sent to ${refund.destination.type}`,
+      updatedBy: actor.user
+    });
+    await refund.save();
+  } catch (error) {
+    refund.status = 'failed';
+    refund.failureReason = error.message;
+    refund.nextRetryAt = refund.attempts < MAX_ATTEMPTS
+      ? new Date(Date.now() + RETRY_BASE_MINUTES * 2 ** (refund.attempts - 1) * 60 * 1000)
+      : undefined;
+    refund.history.push({ status: 'failed', comment: error.message, updatedBy: actor.user });
+    await refund.save();
+    logger.error(`Refund ${refund.refundId} attempt ${refund.attempts} failed: ${error.message}`);
+    return refund;
+  }
+
+  if (refund.status === 'completed') {
+    await afterCompleted(refund);
+  }
+  return refund;
+};
+
+/**
+ * Mark a bank/UPI refund paid or failed (finance), or settle a gateway refund
+ * @param {Object} refund - Refund document
+ * @param {string} status - completed or failed
+ * @param {Object} options
+ * @param {string} [options.reference] - UTR or provider refund ID
+ * @param {string} [options.reason] - failure reason
+ * @param {Object} [options.actor]
+ * @returns {Promise<Object>} Refund
+ * @throws {AppError} 400 when the refund is not being processed
+ */
+exports.settleRefund = async (refund, status, { reference, reason, actor = {} } = {}) => {
+  if (!['completed', 'failed'].includes(status)) {
+    throw new AppError('Status must be completed or failed', 400);
+  }
+  if (status === 'completed' && !reference && !refund.reference) {
+    throw new AppError('Please provide the transfer reference (UTR)', 400);
+  }
+
+  const claim = await Refund.updateOne({ _id: refund._id, status: 'processing' }, { $set: { status } });
+  if (claim.modifiedCount === 0) {
+    throw new AppError(`Refund is ${refund.status}, not processing`, 400);
+  }
+
+  refund.status = status;
+  if (reference) refund.reference = reference;
+  if (status === 'completed') {
+    refund.completedAt = new Date();
+    refund.failureReason = undefined;
+  } else {
+    refund.failureReason = reason || 'Transfer failed';
+    refund.nextRetryAt = refund.attempts < MAX_ATTEMPTS ? new Date() : undefined;
+  }
+  refund.history.push({ status, comment: reason || reference, updatedBy: actor.user });
+  await refund.save();
+
+  if (status === 'completed') {
+    await afterCompleted(refund);
+  }
+  return refund;
+};
+
+/**
+ * A gateway refund was confirmed by the provider's webhook
+ * @param {string} providerRefundId
+ */
+exports.confirmProviderRefund = async (providerRefundId) => {
+  const refund = await Refund.findOne({ reference: providerRefundId, status: 'processing' });
+  if (!refund) return null;
+  return exports.settleRefund(refund, 'completed', { reference: providerRefundId, actor: { role: 'system' } });
+};
+
+/**
+ * Buyer gave refund details: send the refunds that were waiting for them
+ * @param {Object} order - Order document with refundDetails saved
+ * @param {Object} [actor]
+ * @returns {Promise<Array<Object>>} refunds sent
+ */
+exports.releaseAwaiting = async (order, actor = {}) => {
+  const destination = await resolveDestination(order);
+  if (!destination) return [];
+
+  const waiting = await Refund.find({ order: order._id, status: { $in: ['awaiting_details', 'failed'] } });
+  const sent = [];
+  for (const refund of waiting) {
+    // A failed refund moves to the new destination too
+    const claim = await Refund.updateOne(
+      { _id: refund._id, status: refund.status },
+      { $set: { status: 'pending', destination } }
+    );
+    if (claim.modifiedCount === 0) continue;
+    refund.status = 'pending';
+    refund.destination = destination;
+    refund.history.push({ status: 'pending', comment: `Refund to ${destination.type}`, updatedBy: actor.user });
+    await refund.save();
+    sent.push(await exports.processRefund(refund, { actor }));
+  }
+  return sent;
+};
+
+/**
+ * Failed refunds due for another attempt
+ * @param {number} [limit=50]
+ */
+exports.findDueRetries = (limit = 50) => {
+  return Refund.find({
+    status: 'failed',
+    attempts: { $lt: MAX_ATTEMPTS },
+    nextRetryAt: { $ne: null, $lte: new Date() }
+  })
+    .sort({ nextRetryAt: 1 })
+    .limit(limit);
+};
+
+exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
+exports.SHIPPING_REFUNDED = SHIPPING_REFUNDED;
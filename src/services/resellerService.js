@@ -0,0 +1,411 @@
+/**
+ * @fileoverview Reseller service - margins on orders placed for a reseller's customers
+ * @module services/resellerService
+ *
+ * A reseller places an order for their own customer: the shipping address is
+ * the customer's, each line carries the reseller's margin, and the courier
+ * collects codAmount (what is due on the order plus the margins) on delivery.
+ * The margins are tracked per shipment as ResellerEarnings. Units cancelled or
+ * returned forfeit their share. What is left is paid to the reseller's bank
+ * account or UPI ID once the shipment is delivered, its return window has
+ * passed and nothing on it is still being returned or exchanged.
+ */
+
+const SubOrder = require('../models/SubOrder');
+const User = require('../models/User');
+const OrderItemRequest = require('../models/OrderItemRequest');
+const Exchange = require('../models/Exchange');
+const ResellerEarning = require('../models/ResellerEarning');
+const ResellerPayout = require('../models/ResellerPayout');
+const settingsService = require('./settingsService');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+const { activeQuantity, allocateAmount, lineValue, isValidIFSC, isValidUPI } = require('../utils/helpers');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Shipment statuses whose margin can be paid once the return window passes
+const PAYABLE_STATUSES = ['delivered', 'return_rejected'];
+
+// Shipment statuses that leave nothing to earn
+const FORFEITED_STATUSES = ['cancelled', 'returned', 'refunded'];
+
+/**
+ * Check the reseller details sent with an order and work out the line margins
+ * Margins are collected in cash on delivery, so an order with a margin must be COD.
+ * @param {Object} params
+ * @param {Object} params.details - { customerName, customerPhone, codAmount, margins: [{ productId, margin }] }
+ * @param {Array<Object>} params.lines - order lines ({ product, price, quantity, discount, margin }), margin per unit
+ * @param {number} params.amountDue - what is left to pay on the order
+ * @param {string} params.paymentMethod - payment method of the order
+ * @param {Object} params.shippingAddress - the customer's address
+ * @returns {Object|null} { reseller, lineMargins }, or null for an ordinary order
+ * @throws {AppError} 400 for invalid margins or COD amount
+ */
+exports.prepareOrder = ({ details, lines, amountDue, paymentMethod, shippingAddress }) => {
+  if (!details) return null;
+
+  const byProduct = new Map((details.margins || []).map(entry => [entry.productId?.toString(), Number(entry.margin)]));
+  let lineMargins = lines.map(line => {
+    const perUnit = line.margin !== undefined ? Number(line.margin) : (byProduct.get(line.product.toString()) || 0);
+    if (!Number.isFinite(perUnit) || perUnit < 0) {
+      throw new AppError('Reseller margin must be a positive amount', 400);
+    }
+    return round(perUnit * line.quantity);
+  });
+  let margin = round(lineMargins.reduce((sum, value) => sum + value, 0));
+
+  let codAmount = round(amountDue + margin);
+  if (details.codAmount !== undefined && details.codAmount !== null && details.codAmount !== '') {
+    const requested = round(Number(details.codAmount));
+    if (!Number.isFinite(requested) || requested < amountDue) {
+      throw new AppError(`COD amount must be at least the amount due (${amountDue})`, 400);
+    }
+    const implied = round(requested - amountDue);
+    if (margin > 0 && Math.abs(implied - margin) > 0.01) {
+      throw new AppError(`COD amount must be the amount due (${amountDue}) plus the margins (${margin})`, 400);
+    }
+    if (margin === 0 && implied > 0) {
+      // Only a collection amount was given: spread the margin over the lines by value
+      lineMargins = allocateAmount(implied, lines.map(line => lineValue(line, line.quantity).net));
+      margin = implied;
+    }
+    codAmount = requested;
+  }
+
+  if (margin > 0 && paymentMethod !== 'cod') {
+    throw new AppError('Reseller margins are collected on delivery, so the order must be cash on delivery', 400);
+  }
+
+  return {
+    reseller: {
+      isResellerOrder: true,
+      customerName: details.customerName || shippingAddress.fullName,
+      customerPhone: details.customerPhone || shippingAddress.phone,
+      margin,
+      codAmount: paymentMethod === 'cod' ? codAmount : undefined
+    },
+    lineMargins
+  };
+};
+
+/**
+ * Open a pending earning for each shipment of a reseller order that carries a margin
+ * @param {Object} order - Order document (reseller order)
+ * @param {Array<Object>} subOrders - its SubOrder documents
+ * @returns {Promise<Array<Object>>} ResellerEarnings
+ */
+exports.recordEarnings = async (order, subOrders) => {
+  if (!order.reseller?.isResellerOrder || !(order.reseller.margin > 0)) return [];
+
+  const earnings = [];
+  for (const subOrder of subOrders) {
+    const lines = subOrder.items.map(subLine => {
+      const orderLine = order.items.find(item => item._id.toString() === subLine.orderItem.toString());
+      return {
+        orderItem: subLine.orderItem,
+        name: subLine.name,
+        quantity: subLine.quantity,
+        margin: orderLine?.resellerMargin || 0
+      };
+    }).filter(line => line.margin > 0);
+
+    const margin = round(lines.reduce((sum, line) => sum + line.margin, 0));
+    if (margin <= 0) continue;
+
+    try {
+      earnings.push(await ResellerEarning.create({
+        reseller: order.user,
+        order: order._id,
+        orderId: order.orderId,
+        subOrder: subOrder._id,
+        subOrderId: subOrder.subOrderId,
+        customerName: order.reseller.customerName,
+        lines,
+        margin,
+        amount: margin
+      }));
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return earnings;
+};
+
+/**
+ * Bring a shipment's earning in line with it: forfeit cancelled and returned
+ * units, and start the payout clock on delivery
+ * Called after the shipment (or some of its units) changed; safe to repeat.
+ * @param {Object} subOrder - SubOrder document
+ * @returns {Promise<Object|null>} ResellerEarning
+ */
+exports.syncEarning = async (subOrder) => {
+  const earning = await ResellerEarning.findOne({ subOrder: subOrder._id, status: 'pending' });
+  if (!earning) return null;
+
+  const lost = FORFEITED_STATUSES.includes(subOrder.status);
+  const kept = lost ? 0 : round(earning.lines.reduce((sum, line) => {
+    const subLine = subOrder.items.find(item => item.orderItem.toString() === line.orderItem.toString());
+    if (!subLine || !(line.quantity > 0)) return sum;
+    return sum + line.margin * activeQuantity(subLine) / line.quantity;
+  }, 0));
+
+  const update = {
+    forfeited: round(earning.margin - kept),
+    amount: kept,
+    status: kept > 0 ? 'pending' : 'cancelled'
+  };
+  if (subOrder.deliveredAt) {
+    update.availableOn = new Date(new Date(subOrder.deliveredAt).getTime() + settingsService.current().returns.windowDays * 24 * 60 * 60 * 1000);
+  }
+
+  // Left alone if a payout took it in the meantime
+  await ResellerEarning.updateOne({ _id: earning._id, status: 'pending' }, { $set: update });
+  Object.assign(earning, update);
+  return earning;
+};
+
+/**
+ * Pending earnings of a reseller that can be paid now
+ * @param {string} resellerId - User _id
+ * @returns {Promise<Array<Object>>} ResellerEarnings
+ */
+exports.findPayable = async (resellerId) => {
+  const due = await ResellerEarning.find({
+    reseller: resellerId,
+    status: 'pending',
+    amount: { $gt: 0 },
+    availableOn: { $lte: new Date() }
+  });
+  if (due.length === 0) return [];
+
+  const subOrderIds = due.map(earning => earning.subOrder);
+  const [subOrders, returns, exchanges] = await Promise.all([
+    SubOrder.find({ _id: { $in: subOrderIds }, status: { $in: PAYABLE_STATUSES } }).select('_id'),
+    OrderItemRequest.find({ subOrder: { $in: subOrderIds }, type: 'return', status: { $in: ['requested', 'approved'] } }).select('subOrder'),
+    Exchange.find({ subOrder: { $in: subOrderIds }, status: { $in: ['requested', 'approved', 'picked_up', 'replacement_shipped'] } }).select('subOrder')
+  ]);
+
+  const settled = new Set(subOrders.map(subOrder => subOrder._id.toString()));
+  const open = new Set([...returns, ...exchanges].map(request => request.subOrder.toString()));
+
+  return due.filter(earning => settled.has(earning.subOrder.toString()) && !open.has(earning.subOrder.toString()));
+};
+
+/**
+ * Check and store where a reseller's margins are paid
+ * @param {string} userId - User _id
+ * @param {Object} details - { method: bank|upi, accountHolderName, accountNumber, ifscCode, bankName, upiId }
+ * @returns {Promise<Object>} saved payout details
+ * @throws {AppError} 400 for incomplete or invalid details
+ */
+exports.updatePayoutDetails = async (userId, details = {}) => {
+  const method = details.method;
+  if (!['bank', 'upi'].includes(method)) {
+    throw new AppError('Payout method must be bank or upi', 400);
+  }
+
+  const next = { method, updatedAt: new Date() };
+  if (method === 'bank') {
+    const ifscCode = (details.ifscCode || '').toString().trim().toUpperCase();
+    const accountNumber = (details.accountNumber || '').toString().replace(/\s+/g, '');
+    if (!details.accountHolderName || !/^\d{9,18}$/.test(accountNumber) || !isValidIFSC(ifscCode)) {
+      throw new AppError('Please provide account holder name, a valid account number and IFSC code', 400);
+    }
+    Object.assign(next, {
+      accountHolderName: details.accountHolderName,
+      accountNumber,
+      ifscCode,
+      bankName: details.bankName
+    });
+  } else {
+    if (!isValidUPI(details.upiId || '')) {
+      throw new AppError('Please provide a valid UPI ID', 400);
+    }
+    next.upiId = details.upiId;
+  }
+
+  const user = await User.findByIdAndUpdate(userId, { resellerPayout: next }, { new: true, runValidators: true });
+  return user.resellerPayout;
+};
+
+/**
+ * Pay out a reseller's cleared earnings in one transfer
+ * Earnings are claimed one by one, so a payout run and a manual request
+ * cannot pay the same earning twice.
+ * @param {string} resellerId - User _id
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - { user, role }
+ * @returns {Promise<Object>} ResellerPayout (processing)
+ * @throws {AppError} 400 when payout details are missing or nothing is ready to pay
+ */
+exports.createPayout = async (resellerId, { actor = {} } = {}) => {
+  const user = await User.findById(resellerId).select('resellerPayout');
+  const details = user?.resellerPayout;
+  if (!details?.method) {
+    throw new AppError('Please add a bank account or UPI ID for reseller payouts first', 400);
+  }
+
+  const payable = await exports.findPayable(resellerId);
+  if (payable.length === 0) {
+    throw new AppError('No reseller earnings are ready for payout yet', 400);
+  }
+
+  const payout = new ResellerPayout({
+    reseller: resellerId,
+    amount: 0,
+    destination: {
+      type: details.method,
+      accountHolderName: details.accountHolderName,
+      accountNumber: details.accountNumber,
+      ifscCode: details.ifscCode,
+      bankName: details.bankName,
+      upiId: details.upiId
+    },
+    processedBy: actor.user
+  });
+
+  const claimed = [];
+  for (const earning of payable) {
+    const claim = await ResellerEarning.updateOne(
+      { _id: earning._id, status: 'pending', amount: earning.amount },
+      { $set: { status: 'in_payout', payout: payout._id } }
+    );
+    if (claim.modifiedCount === 1) claimed.push(earning);
+  }
+  if (claimed.length === 0) {
+    throw new AppError('Reseller earnings were changed by another request, please retry', 409);
+  }
+
+  payout.earnings = claimed.map(earning => earning._id);
+  payout.amount = round(claimed.reduce((sum, earning) => sum + earning.amount, 0));
+  try {
+    await payout.save();
+  } catch (error) {
+    await ResellerEarning.updateMany({ payout: payout._id, status: 'in_payout' }, { $set: { status: 'pending' }, $unset: { payout: 1 } });
+    throw error;
+  }
+
+  logger.info(`Reseller payout ${payout.payoutId} of ${payout.amount} created for user ${resellerId}`);
+
+  return payout;
+};
+
+/**
+ * Mark a reseller payout paid (with the UTR) or failed
+ * A failed payout frees its earnings for the next payout.
+ * @param {Object} payout - ResellerPayout document
+ * @param {string} status - completed or failed
+ * @param {Object} options
+ * @param {string} [options.reference] - UTR
+ * @param {string} [options.reason] - failure reason
+ * @param {Object} [options.actor]
+ * @returns {Promise<Object>} ResellerPayout
+ * @throws {AppError} 400 when the payout is not processing
+ */
+exports.settlePayout = async (payout, status, { reference, reason, actor = {} } = {}) => {
+  if (!['completed', 'failed'].includes(status)) {
+    throw new AppError('Status must be completed or failed', 400);
+  }
+  if (status === 'completed' && !reference) {
+    throw new AppError('Please provide the transfer reference (UTR)', 400);
+  }
+
+  const claim = await ResellerPayout.updateOne({ _id: payout._id, status: 'processing' }, { $set: { status } });
+  if (claim.modifiedCount === 0) {
+    throw new AppError(`Payout is ${payout.status}, not processing`, 400);
+  }
+
+  payout.status = status;
+  payout.processedBy = actor.user;
+  if (status === 'completed') {
+    payout.reference = reference;
+    payout.completedAt = new Date();
+    await ResellerEarning.updateMany(
+      { payout: payout._id, status: 'in_payout' },
+      { $set: { status: 'paid', paidAt: payout.completedAt } }
+    );
+  } else {
+    payout.failureReason = reason || 'Transfer failed';
+    await ResellerEarning.updateMany(
+      { payout: payout._id, status: 'in_payout' },
+      { $set: { status: 'pending' }, $unset: { payout: 1 } }
+    );
+  }
+  await payout.save();
+
+  logger.info(`Reseller payout ${payout.payoutId} ${status}${reference ? ` (${reference})` : ''}`);
+
+  return payout;
+};
+
+/**
+ * Pay out every reseller with cleared earnings and payout details
+ * @returns {Promise<number>} payouts created
+ */
+exports.runPayouts = async () => {
+  const resellers = await ResellerEarning.distinct('reseller', {
+    status: 'pending',
+    amount: { $gt: 0 },
+    availableOn: { $lte: new Date() }
+  });
+
+  let created = 0;
+  for (const resellerId of resellers) {
+    try {
+      await exports.createPayout(resellerId, { actor: { role: 'system' } });
+      created += 1;
+    } catch (error) {
+      // Missing payout details or nothing cleared yet; tried again on the next run
+      if (!error.isOperational) throw error;
+      logger.info(`Reseller payout skipped for user ${resellerId}: ${error.message}`);
+    }
+  }
+  return created;
+};
+
+/**
+ * Reseller earnings dashboard figures
+ * @param {string} resellerId - User _id
+ * @returns {Promise<Object>} { summary, recentEarnings, recentPayouts }
+ */
+exports.getDashboard = async (resellerId) => {
+  const [totals, payable, recentEarnings, recentPayouts] = await Promise.all([
+    ResellerEarning.aggregate([
+      { $match: { reseller: resellerId } },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          margin: { $sum: '$margin' },
+          forfeited: { $sum: '$forfeited' },
+          amount: { $sum: '$amount' }
+        }
+      }
+    ]),
+    exports.findPayable(resellerId),
+    ResellerEarning.find({ reseller: resellerId }).sort({ createdAt: -1 }).limit(10),
+    ResellerPayout.find({ reseller: resellerId }).sort({ createdAt: -1 }).limit(5)
+  ]);
+
+  const byStatus = (status) => totals.find(row => row._id === status) || { count: 0, margin: 0, forfeited: 0, amount: 0 };
+  const pending = byStatus('pending');
+  const available = round(payable.reduce((sum, earning) => sum + earning.amount, 0));
+
+  return {
+    summary: {
+      orders: totals.reduce((sum, row) => sum + row.count, 0),
+      totalMargin: round(totals.reduce((sum, row) => sum + row.margin, 0)),
+      forfeited: round(totals.reduce((sum, row) => sum + row.forfeited, 0)),
+      // Waiting for delivery, the return window or an open return
+      pending: round(pending.amount - available),
+      available,
+      inPayout: round(byStatus('in_payout').amount),
+      paid: round(byStatus('paid').amount)
+    },
+    recentEarnings,
+    recentPayouts
+  };
+};
+
+exports.PAYABLE_STATUSES = PAYABLE_STATUSES;
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Seller reserve service - holds part of each payout against later returns
+ * @module services/sellerReserveService
+ *
+ * payouts.reservePercent % of every payout (before TCS/TDS) is held back
+ * from the transfer. When the payout completes the reserve moves from the
+ * seller payable account to the seller reserve account, and it is released
+ * back payouts.reserveDays later by the payout cycle job. Returns, claims and
+ * penalties that arrive after a payout are debited from the seller payable
+ * account; when they exceed what the seller has earned since, the account
+ * goes negative and the debt is netted off later payouts and reserve releases.
+ */
+
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const settingsService = require('./settingsService');
+const logger = require('../utils/logger');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Reserve to hold back from a payout
+ * @param {number} gross - Payout before TCS/TDS
+ * @param {number} net - What is left to transfer after TCS/TDS
+ * @param {number} [percent] - Defaults to the reserve percent in force
+ * @returns {number}
+ */
+exports.reserveFor = (gross, net, percent = settingsService.current().payouts.reservePercent) => (
+  Math.max(0, Math.min(round(gross * percent / 100), round(net)))
+);
+
+/**
+ * Hold the reserve back from a payout about to be created
+ * Call after the taxes have been applied; lowers amount by the reserve.
+ * @param {Object} payout - PayoutTransaction document with breakdown.grossPayout set
+ * @returns {Object} payout
+ */
+exports.applyToPayout = (payout) => {
+  const percent = settingsService.current().payouts.reservePercent;
+  const amount = exports.reserveFor(payout.breakdown.grossPayout || payout.amount, payout.amount, percent);
+
+  payout.reserve = { amount, percent };
+  payout.breakdown.reserve = amount;
+  payout.amount = round(payout.amount - amount);
+
+  return payout;
+};
+
+/**
+ * Move a completed payout's reserve into the seller reserve account
+ * Safe to call more than once for the same payout.
+ * @param {Object} payout - PayoutTransaction document (completed)
+ * @param {Object} [postedBy]
+ * @returns {Promise<Object|null>} LedgerEntry
+ */
+exports.holdForPayout = async (payout, postedBy) => {
+  const amount = payout.reserve?.amount || 0;
+  if (amount <= 0) return null;
+
+  const entry = await LedgerEntry.post({
+    type: 'reserve_hold',
+    description: `Reserve held from payout ${payout.transactionId}`,
+    seller: payout.seller,
+    reference: { model: 'PayoutTransaction', id: payout._id, code: payout.transactionId },
+    lines: [
+      { account: 'seller_payable', seller: payout.seller, debit: amount },
+      { account: 'seller_reserve', seller: payout.seller, credit: amount }
+    ],
+    idempotencyKey: `reserve_hold:${payout._id}`,
+    postedBy
+  });
+
+  if (!payout.reserve.releaseOn) {
+    const heldAt = payout.completedAt || new Date();
+    const { reserveDays } = (await settingsService.get()).payouts;
+    payout.reserve.releaseOn = new Date(heldAt.getTime() + reserveDays * 24 * 60 * 60 * 1000);
+    await mongoose.model('PayoutTransaction').updateOne(
+      { _id: payout._id },
+      { $set: { 'reserve.releaseOn': payout.reserve.releaseOn } }
+    );
+  }
+
+  return entry;
+};
+
+/**
+ * Release reserves whose holding period has ended back to the sellers
+ * @param {Date} [now]
+ * @returns {Promise<number>} reserves released
+ */
+exports.releaseDue = async (now = new Date()) => {
+  const PayoutTransaction = mongoose.model('PayoutTransaction');
+  const due = await PayoutTransaction.find({
+    status: 'completed',
+    'reserve.amount': { $gt: 0 },
+    'reserve.releaseOn': { $lte: now },
+    'reserve.releasedAt': null
+  }).select('transactionId seller reserve');
+
+  let released = 0;
+  for (const payout of due) {
+    await LedgerEntry.post({
+      type: 'reserve_release',
+      description: `Reserve released from payout ${payout.transactionId}`,
+      seller: payout.seller,
+      reference: { model: 'PayoutTransaction', id: payout._id, code: payout.transactionId },
+      lines: [
+        { account: 'seller_reserve', seller: payout.seller, debit: payout.reserve.amount },
+        { account: 'seller_payable', seller: payout.seller, credit: payout.reserve.amount }
+      ],
+      idempotencyKey: `reserve_release:${payout._id}`
+    });
+    await PayoutTransaction.updateOne({ _id: payout._id }, { $set: { 'reserve.releasedAt': now } });
+    released += 1;
+    logger.info(`Reserve of ${payout.reserve.amount} released from payout ${payout.transactionId}`);
+  }
+  return released;
+};
+
+/**
+ * The next reserve due back to a seller
+ * @param {string} sellerId
+ * @returns {Promise<Object|null>} { amount, date, transactionId }
+ */
+exports.nextRelease = async (sellerId) => {
+  const payout = await mongoose.model('PayoutTransaction').findOne({
+    seller: sellerId,
+    status: 'completed',
+    'reserve.amount': { $gt: 0 },
+    'reserve.releaseOn': { $ne: null },
+    'reserve.releasedAt': null
+  })
+    .sort({ 'reserve.releaseOn': 1 })
+    .select('transactionId reserve')
+    .lean();
+
+  return payout ? { amount: payout.reserve.amount, date: payout.reserve.releaseOn, transactionId: payout.transactionId } : null;
+};
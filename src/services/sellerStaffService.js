@@ -0,0 +1,442 @@
+/**
+ * @fileoverview Seller staff service - shop resolution, staff roles and invitations
+ * @module services/sellerStaffService
+ *
+ * A shop is run by the user who created it (Seller.user, always an owner)
+ * and by the staff it invites (SellerMember). Each request made as a seller
+ * acts for one shop: the user's own shop, or the shop named in the
+ * X-Seller-Id header, or their only active membership. What they may do
+ * there comes from their staff role (see config/permissions).
+ *
+ * Invitations go to a phone number or an email address. A phone invitation
+ * is accepted by the account with that phone number once it is verified; an
+ * email invitation needs the token from the emailed link.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Seller = require('../models/Seller');
+const SellerMember = require('../models/SellerMember');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { sendSellerInvitationEmail } = require('../utils/emailService');
+const { AppError } = require('../middlewares/errorHandler');
+const { SELLER_ROLES, SELLER_OWNER } = require('../config/permissions');
+
+// How long an invitation can be accepted for
+const INVITATION_TTL_DAYS = 7;
+
+// Shop fields hidden from staff without the permission next to them
+const SENSITIVE_FIELDS = {
+  bankDetails: 'bank:manage',
+  kycDocuments: 'shop:manage'
+};
+
+// KYC fields hidden from staff without the permission next to them
+const SENSITIVE_KYC_FIELDS = {
+  bankDetails: 'bank:manage',
+  personalInfo: 'shop:manage',
+  documents: 'shop:manage'
+};
+
+/**
+ * Plain copy of a document without the fields the permissions do not cover
+ */
+const withoutHidden = (doc, fields, permissions) => {
+  const data = doc.toObject ? doc.toObject() : { ...doc };
+  Object.entries(fields).forEach(([field, permission]) => {
+    if (!permissions || !permissions.has(permission)) delete data[field];
+  });
+  return data;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Permissions a staff role grants
+ * @param {string} role
+ * @returns {Set<string>}
+ */
+exports.permissionsOf = (role) => new Set(SELLER_ROLES[role] ? SELLER_ROLES[role].permissions : []);
+
+/**
+ * Resolve the shop a seller request acts for
+ * Sets req.seller, req.sellerMember (null for the shop's own account),
+ * req.sellerRole and req.sellerPermissions; later calls reuse them.
+ * @param {Object} req - Express request with req.user
+ * @returns {Promise<Object>} Seller document
+ * @throws {AppError} 404 without a shop, 403 for a shop the user is not staff of, 400 when the shop is ambiguous
+ */
+exports.resolveShop = async (req) => {
+  if (req.seller && req.sellerPermissions) return req.seller;
+
+  const requested = req.headers['x-seller-id'];
+  if (requested && !mongoose.Types.ObjectId.isValid(requested)) {
+    throw new AppError('Invalid X-Seller-Id header', 400);
+  }
+
+  let seller = await Seller.findOne({ user: req.user._id });
+  let member = null;
+
+  if (!seller || (requested && !seller._id.equals(requested))) {
+    const query = { user: req.user._id, status: 'active' };
+    if (requested) query.seller = requested;
+    const memberships = await SellerMember.find(query).limit(2);
+
+    if (memberships.length === 0) {
+      throw requested
+        ? new AppError('You are not a member of this shop', 403)
+        : new AppError('Seller profile not found', 404);
+    }
+    if (memberships.length > 1) {
+      throw new AppError('You work for several shops; choose one with the X-Seller-Id header', 400);
+    }
+
+    member = memberships[0];
+    seller = await Seller.findById(member.seller);
+    if (!seller) {
+      throw new AppError('Seller profile not found', 404);
+    }
+  }
+
+  req.seller = seller;
+  req.sellerMember = member;
+  req.sellerRole = member ? member.role : SELLER_OWNER;
+  req.sellerPermissions = exports.permissionsOf(req.sellerRole);
+  return seller;
+};
+
+/**
+ * Resolve the shop and require staff permissions in it
+ * For controllers outside the seller routes, where verifySeller has not run.
+ * @param {Object} req - Express request with req.user
+ * @param {...string} permissions - Required permissions
+ * @returns {Promise<Object>} Seller document
+ * @throws {AppError} as resolveShop, or 403 when the staff role lacks a permission
+ */
+exports.shopFor = async (req, ...permissions) => {
+  const seller = await exports.resolveShop(req);
+  const missing = permissions.filter(permission => !req.sellerPermissions.has(permission));
+  if (missing.length > 0) {
+    throw new AppError(`Your staff role does not allow this (needs ${missing.join(', ')})`, 403);
+  }
+  return seller;
+};
+
+/**
+ * Seller a request acts for: the seller's own shop, or the one an admin named
+ * A seller's request never picks another shop through a body or query field.
+ * @param {Object} req - Express request (after verifySeller for sellers)
+ * @param {string} [requested] - sellerId from the request, honoured for admins only
+ * @returns {ObjectId|string|undefined}
+ */
+exports.sellerIdFor = (req, requested) => (req.seller ? req.seller._id : requested);
+
+/**
+ * Query filter limiting a lookup to the seller's own shop (empty for admins)
+ * @param {Object} req - Express request (after verifySeller for sellers)
+ * @param {string} [field='sellerId'] - Field holding the shop
+ * @returns {Object}
+ */
+exports.shopFilter = (req, field = 'sellerId') => (req.seller ? { [field]: req.seller._id } : {});
+
+/**
+ * Shop as a plain object without the fields the staff member may not see
+ * @param {Object} seller - Seller document
+ * @param {Set<string>} permissions - req.sellerPermissions
+ * @returns {Object}
+ */
+exports.visibleSeller = (seller, permissions) => withoutHidden(seller, SENSITIVE_FIELDS, permissions);
+
+/**
+ * Shop KYC as a plain object without the bank, identity and document
+ * details the staff member may not see
+ * @param {Object} kyc - KYC document
+ * @param {Set<string>} permissions - req.sellerPermissions
+ * @returns {Object}
+ */
+exports.visibleKYC = (kyc, permissions) => withoutHidden(kyc, SENSITIVE_KYC_FIELDS, permissions);
+
+/**
+ * Shops a user can act for, with their role and permissions in each
+ * @param {Object} user
+ * @returns {Promise<Array<Object>>}
+ */
+exports.shopsFor = async (user) => {
+  const shops = [];
+
+  const own = await Seller.findOne({ user: user._id }).select('shopName shopLogo isActive isVerified');
+  if (own) {
+    shops.push({ seller: own, role: SELLER_OWNER, permissions: SELLER_ROLES[SELLER_OWNER].permissions });
+  }
+
+  const memberships = await SellerMember.find({ user: user._id, status: 'active' })
+    .populate('seller', 'shopName shopLogo isActive isVerified');
+  memberships
+    .filter(membership => membership.seller)
+    .forEach(membership => shops.push({
+      seller: membership.seller,
+      role: membership.role,
+      permissions: SELLER_ROLES[membership.role].permissions
+    }));
+
+  return shops;
+};
+
+/**
+ * Staff of a shop: its owner account, active members and open invitations
+ * @param {Object} seller - Seller document
+ * @returns {Promise<Object>} owner and members
+ */
+exports.listStaff = async (seller) => {
+  const owner = await User.findById(seller.user).select('name email phone');
+  const members = await SellerMember.find({ seller: seller._id, status: { $in: ['invited', 'active'] } })
+    .populate('user', 'name email phone')
+    .populate('invite.invitedBy', 'name')
+    .sort({ status: 1, createdAt: -1 });
+
+  return { owner, members };
+};
+
+/**
+ * Invite someone to a shop by phone number or email
+ * Inviting the same contact again replaces the open invitation.
+ * @param {Object} seller - Seller document
+ * @param {Object} data
+ * @param {string} [data.email]
+ * @param {string} [data.phone]
+ * @param {string} data.role - Staff role
+ * @param {Object} actor - User sending the invitation
+ * @returns {Promise<Object>} member and, for email invitations, the token sent
+ * @throws {AppError} 400 for bad input, 409 when the contact is already staff
+ */
+exports.invite = async (seller, { email, phone, role }, actor) => {
+  if (!SELLER_ROLES[role]) {
+    throw new AppError(`role must be one of ${Object.keys(SELLER_ROLES).join(', ')}`, 400);
+  }
+  if (!email === !phone) {
+    throw new AppError('Invite by either a phone number or an email address', 400);
+  }
+
+  const contact = email ? { 'invite.email': String(email).trim().toLowerCase() } : { 'invite.phone': String(phone).trim() };
+  if (contact['invite.phone'] && !/^[6-9]\d{9}$/.test(contact['invite.phone'])) {
+    throw new AppError('Please provide a valid 10-digit phone number', 400);
+  }
+
+  const existingUser = await User.findOne(email ? { email: contact['invite.email'] } : { phone: contact['invite.phone'] }).select('_id role');
+  if (existingUser) {
+    if (existingUser._id.equals(seller.user)) {
+      throw new AppError('This is the shop owner\'s own account', 409);
+    }
+    if (existingUser.role === 'admin') {
+      throw new AppError('Admin accounts cannot join a shop', 400);
+    }
+    if (await SellerMember.exists({ seller: seller._id, user: existingUser._id, status: 'active' })) {
+      throw new AppError('This person is already on your staff', 409);
+    }
+  }
+
+  const token = email ? crypto.randomBytes(32).toString('hex') : undefined;
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  let member = await SellerMember.findOne({ seller: seller._id, status: 'invited', ...contact });
+  if (!member) {
+    member = new SellerMember({ seller: seller._id, invite: email ? { email: contact['invite.email'] } : { phone: contact['invite.phone'] } });
+  }
+  member.role = role;
+  member.invite.tokenHash = token ? hashToken(token) : undefined;
+  member.invite.expiresAt = expiresAt;
+  member.invite.invitedBy = actor._id;
+  await member.save();
+
+  if (email) {
+    const acceptUrl = `${process.env.CLIENT_URL}/seller/invitations/${member._id}?token=${token}`;
+    try {
+      await sendSellerInvitationEmail(member.invite.email, {
+        shopName: seller.shopName,
+        roleLabel: SELLER_ROLES[role].label,
+        acceptUrl,
+        expiresAt
+      });
+    } catch (error) {
+      logger.error(`Seller invitation email to ${member.invite.email} failed: ${error.message}`);
+    }
+  } else {
+    logger.info(`Seller invitation ${member._id} for ${seller.shopName} sent to ${member.invite.phone}`);
+  }
+
+  logger.info(`Seller ${seller._id} invited ${email ? member.invite.email : member.invite.phone} as ${role} (by ${actor._id})`);
+
+  return { member, token };
+};
+
+/**
+ * Open invitations addressed to a user's phone number or email
+ * @param {Object} user
+ * @returns {Promise<Array<Object>>}
+ */
+exports.invitationsFor = async (user) => {
+  return SellerMember.find({
+    status: 'invited',
+    'invite.expiresAt': { $gt: new Date() },
+    $or: [{ 'invite.email': user.email }, { 'invite.phone': user.phone }]
+  })
+    .populate('seller', 'shopName shopLogo')
+    .populate('invite.invitedBy', 'name')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Find an open invitation and check it is for this user
+ * @param {string} invitationId
+ * @param {Object} user
+ * @param {string} [token] - Token from the email link
+ * @returns {Promise<Object>} SellerMember
+ */
+const findInvitation = async (invitationId, user, token) => {
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+    throw new AppError('Invitation not found', 404);
+  }
+  const member = await SellerMember.findById(invitationId).select('+invite.tokenHash');
+  if (!member || member.status !== 'invited') {
+    throw new AppError('Invitation not found', 404);
+  }
+  if (member.invite.expiresAt < new Date()) {
+    throw new AppError('This invitation has expired; ask the shop to invite you again', 400);
+  }
+
+  if (member.invite.phone) {
+    if (member.invite.phone !== user.phone) {
+      throw new AppError('This invitation is for a different phone number', 403);
+    }
+    if (!user.isPhoneVerified) {
+      throw new AppError('Verify your phone number to accept this invitation', 403);
+    }
+  } else if (!token || hashToken(String(token)) !== member.invite.tokenHash) {
+    throw new AppError('Open the link in the invitation email to accept it', 403);
+  }
+
+  return member;
+};
+
+/**
+ * Accept an invitation and join the shop
+ * A buyer account becomes a seller account so it can reach the seller routes.
+ * @param {string} invitationId
+ * @param {Object} user - Invitee (req.user)
+ * @param {string} [token] - Token from the email link
+ * @returns {Promise<Object>} the active SellerMember
+ * @throws {AppError} 404 for unknown invitations, 403 when it is not the user's, 400/409 when they cannot join
+ */
+exports.acceptInvitation = async (invitationId, user, token) => {
+  const member = await findInvitation(invitationId, user, token);
+
+  if (user.role === 'admin') {
+    throw new AppError('Admin accounts cannot join a shop', 400);
+  }
+  if (await Seller.exists({ _id: member.seller, user: user._id })) {
+    throw new AppError('You already own this shop', 409);
+  }
+  if (await SellerMember.exists({ seller: member.seller, user: user._id, status: 'active' })) {
+    throw new AppError('You are already on this shop\'s staff', 409);
+  }
+
+  member.user = user._id;
+  member.status = 'active';
+  member.acceptedAt = new Date();
+  member.invite.tokenHash = undefined;
+  await member.save();
+
+  if (user.role === 'user') {
+    await User.updateOne({ _id: user._id }, { role: 'seller' });
+  }
+
+  logger.info(`User ${user._id} joined seller ${member.seller} as ${member.role}`);
+
+  return member;
+};
+
+/**
+ * Decline an invitation
+ * @param {string} invitationId
+ * @param {Object} user - Invitee (req.user)
+ * @param {string} [token] - Token from the email link
+ * @returns {Promise<Object>} the declined SellerMember
+ */
+exports.declineInvitation = async (invitationId, user, token) => {
+  const member = await findInvitation(invitationId, user, token);
+
+  member.status = 'declined';
+  member.invite.tokenHash = undefined;
+  await member.save();
+
+  logger.info(`User ${user._id} declined invitation ${member._id} to seller ${member.seller}`);
+
+  return member;
+};
+
+/**
+ * Find a member or open invitation of a shop that the actor may change
+ * @param {Object} seller
+ * @param {string} memberId
+ * @param {Object} actor
+ * @returns {Promise<Object>} SellerMember
+ */
+const findMember = async (seller, memberId, actor) => {
+  if (!mongoose.Types.ObjectId.isValid(memberId)) {
+    throw new AppError('Staff member not found', 404);
+  }
+  const member = await SellerMember.findOne({ _id: memberId, seller: seller._id, status: { $in: ['invited', 'active'] } });
+  if (!member) {
+    throw new AppError('Staff member not found', 404);
+  }
+  if (member.user && member.user.equals(actor._id)) {
+    throw new AppError('You cannot change your own staff role', 400);
+  }
+  return member;
+};
+
+/**
+ * Change a staff member's role (or the role an open invitation grants)
+ * @param {Object} seller
+ * @param {string} memberId
+ * @param {string} role
+ * @param {Object} actor
+ * @returns {Promise<Object>} member and previousRole
+ */
+exports.changeRole = async (seller, memberId, role, actor) => {
+  if (!SELLER_ROLES[role]) {
+    throw new AppError(`role must be one of ${Object.keys(SELLER_ROLES).join(', ')}`, 400);
+  }
+  const member = await findMember(seller, memberId, actor);
+
+  const previousRole = member.role;
+  member.role = role;
+  await member.save();
+
+  logger.info(`Staff member ${member._id} of seller ${seller._id} is now ${role} (by ${actor._id})`);
+
+  return { member, previousRole };
+};
+
+/**
+ * Remove a staff member, or withdraw an open invitation
+ * @param {Object} seller
+ * @param {string} memberId
+ * @param {Object} actor
+ * @returns {Promise<Object>} SellerMember
+ */
+exports.revoke = async (seller, memberId, actor) => {
+  const member = await findMember(seller, memberId, actor);
+
+  member.status = 'revoked';
+  member.revokedAt = new Date();
+  member.revokedBy = actor._id;
+  await member.save();
+
+  logger.info(`Staff member ${member._id} of seller ${seller._id} removed by ${actor._id}`);
+
+  return member;
+};
+
+exports.INVITATION_TTL_DAYS = INVITATION_TTL_DAYS;
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Settings service - reads and changes platform settings
+ * @module services/settingsService
+ *
+ * The settings in force are the newest Settings version, kept in memory so
+ * checkout and the lifecycle code can read them on every request. Saving a
+ * change replaces the cached copy straight away; other app instances pick it
+ * up within CACHE_TTL_MS. Code that cannot wait on the database (status
+ * guards, amount calculations) uses current(), which answers from the cache
+ * and refreshes it in the background once it is stale.
+ */
+
+const Settings = require('../models/Settings');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cached = null;
+let loadedAt = 0;
+let loading = null;
+
+/**
+ * Plain settings object from a version document (or the schema defaults)
+ */
+const snapshot = (doc) => {
+  const source = doc.toObject ? doc.toObject() : doc;
+  const settings = { version: source.version || 0 };
+  Settings.SECTIONS.forEach(section => {
+    settings[section] = { ...source[section] };
+  });
+  settings.updatedAt = source.createdAt || null;
+  settings.updatedBy = source.updatedBy || null;
+  return settings;
+};
+
+/**
+ * Settings used before any change has been saved
+ * @returns {Object}
+ */
+const defaults = () => snapshot(new Settings());
+
+/**
+ * Flatten a nested change ({ checkout: { shippingCharge: 30 } }) into paths
+ */
+const flatten = (values, prefix = '') => Object.entries(values).reduce((paths, [key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+    return paths.concat(flatten(value, path));
+  }
+  return paths.concat([[path, value]]);
+}, []);
+
+const read = (settings, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), settings);
+
+/**
+ * Load the settings in force from the database into the cache
+ * @returns {Promise<Object>}
+ */
+exports.load = async () => {
+  if (!loading) {
+    loading = Settings.findOne().sort({ version: -1 }).lean()
+      .then(latest => {
+        cached = latest ? snapshot(latest) : defaults();
+        loadedAt = Date.now();
+        return cached;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
+};
+
+/**
+ * Settings in force
+ * @returns {Promise<Object>}
+ */
+exports.get = async () => {
+  if (cached && Date.now() - loadedAt < CACHE_TTL_MS) return cached;
+  return exports.load();
+};
+
+/**
+ * Settings in force, without waiting on the database
+ * Falls back to the defaults until the settings have been loaded once.
+ * @returns {Object}
+ */
+exports.current = () => {
+  if (Date.now() - loadedAt >= CACHE_TTL_MS && !loading) {
+    exports.load().catch(error => logger.error(`Settings refresh failed: ${error.message}`));
+  }
+  return cached || defaults();
+};
+
+/**
+ * Drop the cached settings so the next read goes to the database
+ */
+exports.invalidate = () => {
+  cached = null;
+  loadedAt = 0;
+};
+
+/**
+ * Save a change as a new settings version
+ * @param {Object} values - Settings to change, nested by section
+ * @param {Object} [options]
+ * @param {number} [options.version] - Version the change was made against; rejected if it is no longer current
+ * @param {Object} [options.actor] - Admin user making the change
+ * @param {string} [options.comment] - Why the change was made
+ * @returns {Promise<Object>} the new settings
+ * @throws {AppError} 400 for unknown or invalid settings or no change, 409 when changed meanwhile
+ */
+exports.update = async (values, { version, actor, comment } = {}) => {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new AppError('Settings to change are required', 400);
+  }
+
+  const latest = await Settings.findOne().sort({ version: -1 }).lean();
+  const base = latest ? snapshot(latest) : defaults();
+  if (version !== undefined && Number(version) !== base.version) {
+    throw new AppError(`Settings have changed since version ${version} (now version ${base.version}), reload and try again`, 409);
+  }
+
+  const settingPaths = Settings.settingPaths();
+  const next = new Settings({
+    ...Settings.SECTIONS.reduce((sections, section) => ({ ...sections, [section]: base[section] }), {}),
+    version: base.version + 1,
+    comment,
+    updatedBy: actor?._id || actor
+  });
+
+  for (const [path, value] of flatten(values)) {
+    if (!settingPaths.includes(path)) {
+      throw new AppError(`Unknown setting: ${path}`, 400);
+    }
+    next.set(path, value);
+  }
+
+  try {
+    await next.validate();
+  } catch (error) {
+    const messages = error.errors ? Object.values(error.errors).map(err => err.message) : [error.message];
+    throw new AppError(messages.join(', '), 400);
+  }
+
+  next.changes = settingPaths
+    .map(path => ({ path, from: read(base, path), to: next.get(path) }))
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+  if (next.changes.length === 0) {
+    throw new AppError('No settings were changed', 400);
+  }
+
+  try {
+    await next.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('Settings were changed by someone else, reload and try again', 409);
+    }
+    throw error;
+  }
+
+  cached = snapshot(next);
+  loadedAt = Date.now();
+
+  logger.info(`Settings version ${next.version} saved by ${next.updatedBy || 'system'}: ${next.changes.map(change => change.path).join(', ')}`);
+
+  return cached;
+};
+
+/**
+ * Change history, newest first
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @param {string} [options.path] - Only versions that changed this setting or section
+ * @returns {Promise<Object>} { versions, total }
+ */
+exports.history = async ({ page = 1, limit = 20, path } = {}) => {
+  const query = {};
+  if (path) {
+    query['changes.path'] = { $regex: `^${path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\.|$)` };
+  }
+
+  const [versions, total] = await Promise.all([
+    Settings.find(query)
+      .select('version changes comment updatedBy createdAt')
+      .populate('updatedBy', 'name email')
+      .sort({ version: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean(),
+    Settings.countDocuments(query)
+  ]);
+
+  return { versions, total };
+};
+
+exports.defaults = defaults;
+exports.CACHE_TTL_MS = CACHE_TTL_MS;
@@ -0,0 +1,351 @@
+/**
+ * @fileoverview Settlement statement service - per-payout and monthly seller statements
+ * @module services/settlementStatementService
+ *
+ * Statements are read from the seller payable ledger account, so they agree
+ * with the wallet and payouts. Each shipment is one row: sale, commission, GST
+ * on commission, shipping fee, penalty and refunds, and the net credited to the
+ * seller. Postings that do not belong to a shipment (payouts, TCS/TDS,
+ * reserve holds and releases, adjustments) are listed separately. Statements render as PDF or XLSX.
+ */
+
+const PDFDocument = require('pdfkit');
+const xlsx = require('xlsx');
+const LedgerEntry = require('../models/LedgerEntry');
+const Seller = require('../models/Seller');
+const SubOrder = require('../models/SubOrder');
+const ledgerService = require('./ledgerService');
+const { AppError } = require('../middlewares/errorHandler');
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+const FORMATS = ['pdf', 'xlsx', 'json'];
+
+// Ledger entry type -> statement column (amounts as seen by the seller)
+const COLUMNS = {
+  sale: 'sale',
+  commission: 'commission',
+  gst: 'gst',
+  shipping_fee: 'shipping',
+  penalty: 'penalty',
+  refund: 'refunds'
+};
+
+/**
+ * Turn seller payable movements into shipment rows and other lines
+ * @param {Array<Object>} movements - { date, type, description, reference, debit, credit }
+ */
+const summarize = async (movements) => {
+  const rows = new Map();
+  const other = [];
+
+  movements.forEach(movement => {
+    const column = COLUMNS[movement.type];
+    if (movement.reference?.model !== 'SubOrder' || !column) {
+      other.push({
+        date: movement.date,
+        type: movement.type,
+        description: movement.description,
+        amount: round(movement.credit - movement.debit)
+      });
+      return;
+    }
+
+    const key = movement.reference.id.toString();
+    if (!rows.has(key)) {
+      rows.set(key, {
+        subOrder: movement.reference.id,
+        subOrderId: movement.reference.code,
+        date: movement.date,
+        sale: 0,
+        commission: 0,
+        gst: 0,
+        shipping: 0,
+        penalty: 0,
+        refunds: 0,
+        net: 0
+      });
+    }
+    const row = rows.get(key);
+    // Sales are credits; everything else is shown as the amount taken off
+    row[column] = round(row[column] + (column === 'sale' ? movement.credit - movement.debit : movement.debit - movement.credit));
+    row.net = round(row.net + movement.credit - movement.debit);
+  });
+
+  const subOrders = await SubOrder.find({ _id: { $in: [...rows.values()].map(row => row.subOrder) } })
+    .select('orderId deliveredAt')
+    .lean();
+  const byId = new Map(subOrders.map(subOrder => [subOrder._id.toString(), subOrder]));
+
+  const shipmentRows = [...rows.values()]
+    .map(row => {
+      const subOrder = byId.get(row.subOrder.toString());
+      return { ...row, orderId: subOrder?.orderId, date: subOrder?.deliveredAt || row.date };
+    })
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const totals = ['sale', 'commission', 'gst', 'shipping', 'penalty', 'refunds', 'net'].reduce((sum, field) => {
+    sum[field] = round(shipmentRows.reduce((total, row) => total + row[field], 0));
+    return sum;
+  }, {});
+  totals.other = round(other.reduce((total, line) => total + line.amount, 0));
+
+  return { rows: shipmentRows, other, totals };
+};
+
+/**
+ * Seller payable movements as plain rows
+ */
+const movementsOf = (entries, sellerId) => entries.map(entry => {
+  let debit = 0;
+  let credit = 0;
+  entry.lines.forEach(line => {
+    if (line.account === 'seller_payable' && line.seller?.toString() === sellerId.toString()) {
+      debit += line.debit || 0;
+      credit += line.credit || 0;
+    }
+  });
+  return { date: entry.createdAt, type: entry.type, description: entry.description, reference: entry.reference, debit, credit };
+});
+
+const sellerInfo = async (sellerId) => {
+  const seller = await Seller.findById(sellerId).select('shopName businessDetails businessAddress').lean();
+  return {
+    _id: sellerId,
+    shopName: seller?.shopName || seller?.businessDetails?.businessName,
+    address: seller?.businessAddress
+  };
+};
+
+/**
+ * Settlement statement for one payout
+ * Lists the payout's shipments with every posting on them, the balance
+ * adjustments netted into the payout and the TCS/TDS and reserve withheld. The balances
+ * are the seller's account just before and just after the payout.
+ * @param {Object} payout - PayoutTransaction document
+ * @returns {Promise<Object>} statement
+ */
+exports.forPayout = async (payout) => {
+  const entries = await LedgerEntry.find({
+    'reference.model': 'SubOrder',
+    'reference.id': { $in: payout.subOrders }
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+  const summary = await summarize(movementsOf(entries, payout.seller));
+
+  const taxes = round((payout.breakdown?.tcs || 0) + (payout.breakdown?.tds || 0));
+  const reserve = round(payout.reserve?.amount);
+  const gross = round(payout.amount + taxes + reserve);
+  const at = payout.completedAt || new Date();
+  const openingBalance = await ledgerService.sellerBalanceBefore(payout.seller, at);
+
+  return {
+    title: `Settlement statement - payout ${payout.transactionId}`,
+    seller: await sellerInfo(payout.seller),
+    payout: {
+      transactionId: payout.transactionId,
+      status: payout.status,
+      createdAt: payout.createdAt,
+      completedAt: payout.completedAt,
+      reference: payout.gatewayTransactionId
+    },
+    period: { startDate: summary.rows[0]?.date || payout.createdAt, endDate: at },
+    openingBalance,
+    ...summary,
+    settlement: {
+      shipments: summary.totals.net,
+      // Refunds, penalties and balances on the account outside these shipments
+      balanceAdjustment: round(gross - summary.totals.net),
+      grossPayout: gross,
+      tcs: round(payout.breakdown?.tcs),
+      tds: round(payout.breakdown?.tds),
+      reserve,
+      reserveReleaseOn: payout.reserve?.releaseOn,
+      paid: round(payout.amount)
+    },
+    closingBalance: round(openingBalance - gross)
+  };
+};
+
+/**
+ * Monthly settlement statement for a seller
+ * @param {string} sellerId - Seller _id
+ * @param {string} month - YYYY-MM
+ * @returns {Promise<Object>} statement
+ * @throws {AppError} 400 for a bad month
+ */
+exports.forMonth = async (sellerId, month) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+    throw new AppError('Month must be in YYYY-MM format', 400);
+  }
+  const [year, monthNumber] = month.split('-').map(Number);
+  const startDate = new Date(year, monthNumber - 1, 1);
+  const endDate = new Date(new Date(year, monthNumber, 1).getTime() - 1);
+
+  const ledger = await ledgerService.getSellerStatement(sellerId, { startDate, endDate });
+  const summary = await summarize(ledger.entries);
+
+  return {
+    title: `Settlement statement - ${startDate.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' })}`,
+    seller: await sellerInfo(sellerId),
+    period: { startDate, endDate },
+    openingBalance: ledger.openingBalance,
+    ...summary,
+    closingBalance: ledger.closingBalance
+  };
+};
+
+const money = (value) => (value || 0).toFixed(2);
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '-');
+
+const TYPE_LABELS = {
+  payout: 'Payout',
+  tax_deduction: 'TCS/TDS',
+  reserve_hold: 'Reserve held',
+  reserve_release: 'Reserve released',
+  adjustment: 'Adjustment',
+  penalty: 'Penalty',
+  refund: 'Refund'
+};
+
+/**
+ * Write a statement as a PDF
+ */
+const renderPdf = (statement, stream) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+  doc.pipe(stream);
+
+  doc.fontSize(16).font('Helvetica-Bold').text(statement.title, { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(9).font('Helvetica');
+  doc.text(`Seller: ${statement.seller.shopName || '-'}`);
+  doc.text(`Period: ${formatDate(statement.period.startDate)} to ${formatDate(statement.period.endDate)}`);
+  if (statement.payout) {
+    doc.text(`Payout: ${statement.payout.transactionId} (${statement.payout.status})${statement.payout.reference ? `, UTR ${statement.payout.reference}` : ''}`);
+  }
+  doc.text(`Opening balance: Rs. ${money(statement.openingBalance)}`);
+  doc.moveDown(1);
+
+  const columns = [['Date', 60], ['Order', 95], ['Shipment', 95], ['Sale', 65], ['Commission', 65], ['GST', 55], ['Shipping', 60], ['Penalty', 55], ['Refunds', 60], ['Net', 65]];
+  const drawRow = (values, bold = false) => {
+    if (doc.y > doc.page.height - 60) doc.addPage();
+    const rowTop = doc.y;
+    let x = 40;
+    let bottom = rowTop;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    values.forEach((value, index) => {
+      const width = columns[index][1];
+      doc.text(String(value), x, rowTop, { width: width - 4, align: index < 3 ? 'left' : 'right' });
+      bottom = Math.max(bottom, doc.y);
+      x += width;
+    });
+    doc.y = bottom + 4;
+  };
+
+  drawRow(columns.map(([title]) => title), true);
+  doc.moveTo(40, doc.y - 2).lineTo(715, doc.y - 2).stroke();
+  statement.rows.forEach(row => {
+    drawRow([
+      formatDate(row.date), row.orderId || '-', row.subOrderId || '-', money(row.sale), money(row.commission),
+      money(row.gst), money(row.shipping), money(row.penalty), money(row.refunds), money(row.net)
+    ]);
+  });
+  doc.moveTo(40, doc.y - 2).lineTo(715, doc.y - 2).stroke();
+  const { totals } = statement;
+  drawRow(['Total', '', '', money(totals.sale), money(totals.commission), money(totals.gst), money(totals.shipping), money(totals.penalty), money(totals.refunds), money(totals.net)], true);
+
+  if (statement.other.length > 0) {
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').text('Other movements', 40);
+    doc.font('Helvetica');
+    statement.other.forEach(line => {
+      doc.text(`${formatDate(line.date)}  ${TYPE_LABELS[line.type] || line.type}  ${line.description || ''}  Rs. ${money(line.amount)}`, 40);
+    });
+  }
+
+  if (statement.settlement) {
+    const { settlement } = statement;
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').text('Settlement', 40);
+    doc.font('Helvetica');
+    doc.text(`Net from shipments: Rs. ${money(settlement.shipments)}`);
+    doc.text(`Balance adjustments: Rs. ${money(settlement.balanceAdjustment)}`);
+    doc.text(`Payout before tax: Rs. ${money(settlement.grossPayout)}`);
+    doc.text(`TCS withheld: Rs. ${money(settlement.tcs)}`);
+    doc.text(`TDS withheld: Rs. ${money(settlement.tds)}`);
+    doc.text(`Reserve held: Rs. ${money(settlement.reserve)}${settlement.reserveReleaseOn ? ` (held until ${formatDate(settlement.reserveReleaseOn)})` : ''}`);
+    doc.font('Helvetica-Bold').text(`Amount paid: Rs. ${money(settlement.paid)}`);
+  }
+
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').text(`Closing balance: Rs. ${money(statement.closingBalance)}`, 40);
+  doc.moveDown(1);
+  doc.font('Helvetica').fontSize(8).text('This is a computer generated statement and does not require a signature.', 40);
+
+  doc.end();
+};
+
+/**
+ * A statement as an XLSX workbook
+ */
+const renderXlsx = (statement) => {
+  const { totals } = statement;
+  const data = [
+    [statement.title],
+    ['Seller', statement.seller.shopName || ''],
+    ['Period', formatDate(statement.period.startDate), formatDate(statement.period.endDate)],
+    ['Opening balance', statement.openingBalance],
+    [],
+    ['Date', 'Order', 'Shipment', 'Sale', 'Commission', 'GST', 'Shipping', 'Penalty', 'Refunds', 'Net'],
+    ...statement.rows.map(row => [
+      formatDate(row.date), row.orderId || '', row.subOrderId || '', row.sale, row.commission,
+      row.gst, row.shipping, row.penalty, row.refunds, row.net
+    ]),
+    ['Total', '', '', totals.sale, totals.commission, totals.gst, totals.shipping, totals.penalty, totals.refunds, totals.net]
+  ];
+
+  if (statement.other.length > 0) {
+    data.push([], ['Other movements'], ['Date', 'Type', 'Description', 'Amount']);
+    statement.other.forEach(line => data.push([formatDate(line.date), TYPE_LABELS[line.type] || line.type, line.description || '', line.amount]));
+  }
+  if (statement.settlement) {
+    const { settlement } = statement;
+    data.push(
+      [],
+      ['Net from shipments', settlement.shipments],
+      ['Balance adjustments', settlement.balanceAdjustment],
+      ['Payout before tax', settlement.grossPayout],
+      ['TCS withheld', settlement.tcs],
+      ['TDS withheld', settlement.tds],
+      ['Reserve held', settlement.reserve, settlement.reserveReleaseOn ? `Held until ${formatDate(settlement.reserveReleaseOn)}` : ''],
+      ['Amount paid', settlement.paid]
+    );
+  }
+  data.push([], ['Closing balance', statement.closingBalance]);
+
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(data), 'Statement');
+  return xlsx.write(workbook, { bookType: 'xlsx', type: 'buffer' });
+};
+
+/**
+ * Send a statement as a PDF or XLSX download
+ * @param {Object} res - Express response
+ * @param {Object} statement - from forPayout or forMonth
+ * @param {string} format - pdf or xlsx
+ * @param {string} fileName - without extension
+ */
+exports.sendFile = (res, statement, format, fileName) => {
+  if (format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+    return renderPdf(statement, res);
+  }
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+  res.send(renderXlsx(statement));
+};
+
+exports.FORMATS = FORMATS;
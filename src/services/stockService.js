@@ -0,0 +1,434 @@
+/**
+ * @fileoverview Stock service - atomic stock reservations for orders
+ * @module services/stockService
+ *
+ * Stock moves through three states:
+ *   reserve  - Product.stock.quantity and Inventory.stock.available go down,
+ *              Inventory.stock.reserved goes up
+ *   convert  - reserved units become sold (Inventory.stock.reserved/total go down)
+ *   release  - reserved units go back to available
+ * Every step is a conditional update, so two checkouts can never both take the
+ * last unit; a failed step rolls back the steps before it.
+ * Exchange replacements are held the same way, outside an order reservation
+ * (holdUnits / sellHeldUnits / releaseHeldUnits).
+ */
+
+const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+const StockReservation = require('../models/StockReservation');
+const settingsService = require('./settingsService');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Keep the denormalised stock status fields in step after an atomic $inc
+ */
+const refreshStockStatus = async (productId, inventoryId) => {
+  await Product.updateOne({ _id: productId }, [{
+    $set: {
+      'stock.status': {
+        $switch: {
+          branches: [
+            { case: { $lte: ['$stock.quantity', 0] }, then: 'out_of_stock' },
+            { case: { $lte: ['$stock.quantity', { $ifNull: ['$stock.lowStockThreshold', 10] }] }, then: 'low_stock' }
+          ],
+          default: 'in_stock'
+        }
+      }
+    }
+  }]);
+
+  if (inventoryId) {
+    await Inventory.updateOne({ _id: inventoryId, status: { $ne: 'discontinued' } }, [{
+      $set: {
+        status: {
+          $switch: {
+            branches: [
+              { case: { $lte: ['$stock.available', 0] }, then: 'out-of-stock' },
+              { case: { $lte: ['$stock.available', '$reorderLevel'] }, then: 'low-stock' }
+            ],
+            default: 'in-stock'
+          }
+        }
+      }
+    }]);
+  }
+};
+
+/**
+ * Find the inventory record for a product line, preferring an exact variant match
+ */
+const findInventory = async (productId, size, color) => {
+  if (size || color) {
+    const variantQuery = { productId };
+    if (size) variantQuery['variant.size'] = size;
+    if (color) variantQuery['variant.color'] = color;
+    const variant = await Inventory.findOne(variantQuery).select('_id');
+    if (variant) return variant;
+  }
+  return Inventory.findOne({ productId }).select('_id');
+};
+
+const historyEntry = (type, quantity, reason, updatedBy) => ({
+  date: new Date(),
+  type,
+  quantity,
+  reason,
+  updatedBy
+});
+
+/**
+ * Put reserved units back on the shelf
+ */
+const returnReservedUnits = async (item, reason, updatedBy) => {
+  await Product.updateOne({ _id: item.product }, { $inc: { 'stock.quantity': item.quantity } });
+  if (item.inventory) {
+    await Inventory.updateOne(
+      { _id: item.inventory },
+      {
+        $inc: { 'stock.available': item.quantity, 'stock.reserved': -item.quantity },
+        $push: { stockHistory: historyEntry('release', item.quantity, reason, updatedBy) }
+      }
+    );
+  }
+  await refreshStockStatus(item.product, item.inventory);
+};
+
+/**
+ * Put sold units back on the shelf (order cancelled after confirmation)
+ */
+const returnSoldUnits = async (item, reason, updatedBy, type = 'cancellation') => {
+  await Product.updateOne(
+    { _id: item.product },
+    { $inc: { 'stock.quantity': item.quantity, soldCount: -item.quantity } }
+  );
+  if (item.inventory) {
+    await Inventory.updateOne(
+      { _id: item.inventory },
+      {
+        $inc: { 'stock.available': item.quantity, 'stock.total': item.quantity },
+        $push: { stockHistory: historyEntry(type, item.quantity, reason, updatedBy) }
+      }
+    );
+  }
+  await refreshStockStatus(item.product, item.inventory);
+};
+
+/**
+ * Take units of one product line off the shelf and hold them
+ * @returns {Promise<Object>} { product, inventory, quantity, size, color }
+ * @throws {AppError} 400 when the line is out of stock
+ */
+const takeUnits = async (item, reason, user) => {
+  const productResult = await Product.updateOne(
+    { _id: item.product, 'stock.quantity': { $gte: item.quantity } },
+    { $inc: { 'stock.quantity': -item.quantity } }
+  );
+  if (productResult.modifiedCount === 0) {
+    throw new AppError(`Insufficient stock for ${item.name || 'product'}`, 400);
+  }
+
+  const inventory = await findInventory(item.product, item.size, item.color);
+  if (inventory) {
+    const inventoryResult = await Inventory.updateOne(
+      { _id: inventory._id, 'stock.available': { $gte: item.quantity } },
+      {
+        $inc: { 'stock.available': -item.quantity, 'stock.reserved': item.quantity },
+        $push: { stockHistory: historyEntry('reservation', item.quantity, reason, user) }
+      }
+    );
+    if (inventoryResult.modifiedCount === 0) {
+      await Product.updateOne({ _id: item.product }, { $inc: { 'stock.quantity': item.quantity } });
+      throw new AppError(`Insufficient stock for ${item.name || 'product'}`, 400);
+    }
+  }
+
+  const held = {
+    product: item.product,
+    inventory: inventory?._id,
+    quantity: item.quantity,
+    size: item.size,
+    color: item.color
+  };
+  await refreshStockStatus(held.product, held.inventory);
+  return held;
+};
+
+/**
+ * Turn held units into a sale
+ */
+const sellUnits = async (item, reason, user) => {
+  await Product.updateOne({ _id: item.product }, { $inc: { soldCount: item.quantity } });
+  if (item.inventory) {
+    await Inventory.updateOne(
+      { _id: item.inventory },
+      {
+        $inc: { 'stock.reserved': -item.quantity, 'stock.total': -item.quantity },
+        $push: { stockHistory: historyEntry('sale', item.quantity, reason, user) }
+      }
+    );
+  }
+};
+
+/**
+ * Recompute the overall reservation status from its items
+ */
+const syncReservationStatus = async (reservationId, { expired = false, reason } = {}) => {
+  const reservation = await StockReservation.findById(reservationId);
+  if (!reservation) return null;
+
+  const statuses = reservation.items.map(item => item.status);
+  if (statuses.includes('reserved')) {
+    reservation.status = 'active';
+  } else if (statuses.includes('converted')) {
+    reservation.status = 'converted';
+    reservation.convertedAt = reservation.convertedAt || new Date();
+  } else {
+    reservation.status = expired ? 'expired' : 'released';
+    reservation.releasedAt = new Date();
+    reservation.releaseReason = reason;
+  }
+
+  await reservation.save();
+  return reservation;
+};
+
+/**
+ * Reserve stock for an order that is about to be placed
+ * @param {Object} params
+ * @param {Object} params.order - Order document (may be unsaved; needs _id and items)
+ * @param {Array} params.items - [{ orderItem, product, quantity, size, color, name }]
+ * @param {boolean} [params.expires=true] - hold times out if not converted
+ * @param {Object} [params.user] - user placing the order
+ * @returns {Promise<Object>} StockReservation
+ * @throws {AppError} 400 when any line is out of stock
+ */
+exports.reserve = async ({ order, items, expires = true, user }) => {
+  const taken = [];
+  const reason = `Reserved for order ${order.orderId}`;
+  const { stockReservationMinutes } = (await settingsService.get()).checkout;
+
+  try {
+    for (const item of items) {
+      const held = await takeUnits(item, reason, user);
+      taken.push({ orderItem: item.orderItem, ...held });
+    }
+
+    return await StockReservation.create({
+      order: order._id,
+      orderId: order.orderId,
+      user,
+      items: taken,
+      expiresAt: expires ? new Date(Date.now() + stockReservationMinutes * 60 * 1000) : null
+    });
+  } catch (error) {
+    // Roll back whatever was already taken for this order
+    for (const item of taken) {
+      await returnReservedUnits(item, `Reservation for order ${order.orderId} rolled back`, user);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Convert reserved units into sales (order confirmed / payment captured)
+ * @param {string} orderId - Order _id
+ * @param {Object} [options]
+ * @param {Array} [options.orderItems] - limit to these order item ids
+ * @param {Object} [options.user]
+ * @returns {Promise<Object|null>} updated reservation, or null if none exists
+ */
+exports.convert = async (orderId, { orderItems, user } = {}) => {
+  const reservation = await StockReservation.findOne({ order: orderId });
+  if (!reservation) return null;
+
+  const wanted = orderItems?.map(id => id.toString());
+
+  for (const item of reservation.items) {
+    if (wanted && !wanted.includes(item.orderItem?.toString())) continue;
+
+    // Claim the line first so a concurrent release cannot also act on it
+    const claim = await StockReservation.updateOne(
+      { _id: reservation._id, items: { $elemMatch: { orderItem: item.orderItem, status: 'reserved' } } },
+      { $set: { 'items.$.status': 'converted' } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    await sellUnits(item, `Sold on order ${reservation.orderId}`, user);
+  }
+
+  return syncReservationStatus(reservation._id);
+};
+
+/**
+ * Release stock held for an order (cancel or payment timeout)
+ * Reserved lines go back to available; lines that were already converted are
+ * restocked as a cancellation. Orders placed before reservations existed fall
+ * back to restoring Product stock directly.
+ * @param {Object} order - Order document (needs _id and items)
+ * @param {Object} [options]
+ * @param {Array} [options.orderItems] - limit to these order item ids
+ * @param {string} [options.reason]
+ * @param {boolean} [options.expired] - release is due to timeout
+ * @param {Object} [options.user]
+ */
+exports.release = async (order, { orderItems, reason = 'Order cancelled', expired = false, user } = {}) => {
+  const wanted = orderItems?.map(id => id.toString());
+  const reservation = await StockReservation.findOne({ order: order._id });
+
+  if (!reservation) {
+    for (const item of order.items) {
+      if (wanted && !wanted.includes(item._id.toString())) continue;
+      await Product.updateOne({ _id: item.product }, { $inc: { 'stock.quantity': item.quantity } });
+    }
+    return null;
+  }
+
+  for (const item of reservation.items) {
+    if (wanted && !wanted.includes(item.orderItem?.toString())) continue;
+
+    for (const from of ['reserved', 'converted']) {
+      const claim = await StockReservation.updateOne(
+        { _id: reservation._id, items: { $elemMatch: { orderItem: item.orderItem, status: from } } },
+        { $set: { 'items.$.status': 'released' } }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      if (from === 'reserved') {
+        await returnReservedUnits(item, reason, user);
+      } else {
+        await returnSoldUnits(item, reason, user);
+      }
+      break;
+    }
+  }
+
+  return syncReservationStatus(reservation._id, { expired, reason });
+};
+
+/**
+ * Release some units of one order line (item-level cancellation)
+ * Reserved units go back to available, sold units are restocked as a cancellation.
+ * @param {Object} order - Order document (needs _id and items)
+ * @param {Object} params
+ * @param {string} params.orderItem - order item id
+ * @param {number} params.quantity - units to release
+ * @param {string} [params.reason]
+ * @param {Object} [params.user]
+ */
+exports.releaseQuantity = async (order, { orderItem, quantity, reason = 'Item cancelled', user }) => {
+  const reservation = await StockReservation.findOne({ order: order._id });
+  const reserved = reservation?.items.find(item => item.orderItem?.toString() === orderItem.toString());
+
+  if (!reserved) {
+    const line = order.items.find(item => item._id.toString() === orderItem.toString());
+    if (line) {
+      await Product.updateOne({ _id: line.product }, { $inc: { 'stock.quantity': quantity } });
+      await refreshStockStatus(line.product);
+    }
+    return null;
+  }
+
+  for (const from of ['reserved', 'converted']) {
+    // Claim the units so a concurrent release cannot also return them
+    const claim = await StockReservation.updateOne(
+      { _id: reservation._id, items: { $elemMatch: { orderItem: reserved.orderItem, status: from, quantity: { $gte: quantity } } } },
+      { $inc: { 'items.$.quantity': -quantity } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    const units = { ...reserved.toObject(), quantity };
+    if (from === 'reserved') {
+      await returnReservedUnits(units, reason, user);
+    } else {
+      await returnSoldUnits(units, reason, user);
+    }
+
+    // A line with nothing left is released
+    await StockReservation.updateOne(
+      { _id: reservation._id, items: { $elemMatch: { orderItem: reserved.orderItem, quantity: { $lte: 0 } } } },
+      { $set: { 'items.$.status': 'released', 'items.$.quantity': 0 } }
+    );
+    break;
+  }
+
+  return syncReservationStatus(reservation._id, { reason });
+};
+
+/**
+ * Put returned units back on the shelf
+ * @param {Object} params
+ * @param {string} params.order - Order _id
+ * @param {string} params.orderItem - order item id
+ * @param {string} params.product - Product _id
+ * @param {number} params.quantity
+ * @param {string} [params.reason]
+ * @param {Object} [params.user]
+ */
+exports.restockReturn = async ({ order, orderItem, product, quantity, reason = 'Item returned', user }) => {
+  const reservation = await StockReservation.findOne({ order }).select('items');
+  const inventoryId = reservation?.items.find(item => item.orderItem?.toString() === orderItem.toString())?.inventory
+    || (await findInventory(product))?._id;
+
+  await Product.updateOne({ _id: product }, { $inc: { 'stock.quantity': quantity, soldCount: -quantity } });
+  if (inventoryId) {
+    await Inventory.updateOne(
+      { _id: inventoryId },
+      {
+        $inc: { 'stock.available': quantity, 'stock.total': quantity },
+        $push: { stockHistory: historyEntry('return', quantity, reason, user) }
+      }
+    );
+  }
+  await refreshStockStatus(product, inventoryId);
+};
+
+/**
+ * Hold units of a product variant outside an order reservation (exchange replacements)
+ * @param {Object} params
+ * @param {string} params.product - Product _id
+ * @param {number} params.quantity
+ * @param {string} [params.size]
+ * @param {string} [params.color]
+ * @param {string} [params.name] - product name for the error message
+ * @param {string} [params.reason]
+ * @param {Object} [params.user]
+ * @returns {Promise<Object>} held units { product, inventory, quantity, size, color }
+ * @throws {AppError} 400 when the variant is out of stock
+ */
+exports.holdUnits = ({ product, quantity, size, color, name, reason, user }) => {
+  return takeUnits({ product, quantity, size, color, name }, reason, user);
+};
+
+/**
+ * Sell units taken with holdUnits
+ * @param {Object} held - { product, inventory, quantity }
+ * @param {string} [reason]
+ * @param {Object} [user]
+ */
+exports.sellHeldUnits = (held, reason, user) => sellUnits(held, reason, user);
+
+/**
+ * Put units taken with holdUnits back on the shelf
+ * @param {Object} held - { product, inventory, quantity }
+ * @param {Object} [options]
+ * @param {boolean} [options.sold] - units were already sold (restocked as a return)
+ * @param {string} [options.reason]
+ * @param {Object} [options.user]
+ */
+exports.releaseHeldUnits = (held, { sold = false, reason, user } = {}) => {
+  return sold ? returnSoldUnits(held, reason, user, 'return') : returnReservedUnits(held, reason, user);
+};
+
+/**
+ * Reservations whose payment window has passed
+ * @param {number} [limit=100]
+ */
+exports.findExpired = (limit = 100) => {
+  return StockReservation.find({
+    status: 'active',
+    expiresAt: { $ne: null, $lte: new Date() }
+  })
+    .sort({ expiresAt: 1 })
+    .limit(limit);
+};
+
@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Tax deduction service - TCS and TDS withheld from seller payouts
+ * @module services/taxDeductionService
+ *
+ * Two statutory deductions are withheld from every seller payout and paid to
+ * the government by the platform:
+ *   TCS (section 52, CGST Act) - TCS_RATE % of the sale value, for sellers with
+ *     a GSTIN, once their sales in the financial year pass TCS_THRESHOLD.
+ *   TDS (section 194-O, Income Tax Act) - TDS_RATE % of the sale value, or
+ *     TDS_RATE_WITHOUT_PAN % when the seller has no valid PAN. Individual and
+ *     proprietor sellers with a PAN are exempt until their sales in the
+ *     financial year pass TDS_THRESHOLD.
+ * The sale value is that of the units on the payout's shipments that were not
+ * cancelled or returned. PAN and GSTIN come from the seller's KYC.
+ *
+ * The deductions are worked out when a payout is created, so the transfer is
+ * the net amount, and recorded (TaxDeduction rows and a ledger entry) when the
+ * payout completes.
+ */
+
+const mongoose = require('mongoose');
+const xlsx = require('xlsx');
+const KYC = require('../models/KYC');
+const Seller = require('../models/Seller');
+const TaxDeduction = require('../models/TaxDeduction');
+const LedgerEntry = require('../models/LedgerEntry');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+const { isValidPAN, isValidGSTIN, envNumber } = require('../utils/helpers');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * TCS and TDS rates and thresholds, read from the environment on each call
+ * @returns {Object} { tcs, tds }
+ */
+const rules = () => ({
+  tcs: {
+    section: 'CGST-52',
+    rate: envNumber('TCS_RATE', 1),
+    threshold: envNumber('TCS_THRESHOLD', 0)
+  },
+  tds: {
+    section: '194-O',
+    rate: envNumber('TDS_RATE', 0.1),
+    rateWithoutPan: envNumber('TDS_RATE_WITHOUT_PAN', 5),
+    threshold: envNumber('TDS_THRESHOLD', 500000)
+  }
+});
+
+// Business types that are individuals for the 194-O threshold
+const INDIVIDUAL_TYPES = ['individual', 'proprietorship'];
+
+/**
+ * Financial year, quarter and month a date falls in (April to March)
+ * @param {Date} [date=now]
+ * @returns {Object} { financialYear, quarter, month }
+ */
+const taxPeriod = (date = new Date()) => {
+  const year = date.getFullYear();
+  const monthIndex = date.getMonth();
+  const startYear = monthIndex >= 3 ? year : year - 1;
+  return {
+    financialYear: `${startYear}-${String(startYear + 1).slice(-2)}`,
+    quarter: `Q${Math.floor(((monthIndex + 9) % 12) / 3) + 1}`,
+    month: `${year}-${String(monthIndex + 1).padStart(2, '0')}`
+  };
+};
+
+/**
+ * PAN, GSTIN and business type for a seller, from KYC
+ * @param {string} sellerId - Seller _id
+ * @returns {Promise<Object>} { pan, gstin, businessType }
+ */
+exports.getTaxProfile = async (sellerId) => {
+  const [kyc, seller] = await Promise.all([
+    KYC.findOne({ sellerId }).select('personalInfo.pan businessInfo').lean(),
+    Seller.findById(sellerId).select('businessType').lean()
+  ]);
+  const pan = kyc?.personalInfo?.pan?.trim().toUpperCase();
+  const gstin = kyc?.businessInfo?.gstin?.trim().toUpperCase();
+
+  return {
+    pan: isValidPAN(pan) ? pan : undefined,
+    gstin: isValidGSTIN(gstin) ? gstin : undefined,
+    businessType: kyc?.businessInfo?.businessType || seller?.businessType
+  };
+};
+
+/**
+ * Sale value already counted against a seller's thresholds this financial year
+ * (completed payouts plus payouts still being sent)
+ */
+const yearToDateSales = async (sellerId, financialYear, excludePayoutId) => {
+  const seller = new mongoose.Types.ObjectId(sellerId.toString());
+  const [recorded, inFlight] = await Promise.all([
+    TaxDeduction.aggregate([
+      { $match: { seller, financialYear, type: 'tds' } },
+      { $group: { _id: null, total: { $sum: '$base' } } }
+    ]),
+    // Looked up by name: the PayoutTransaction model requires this service
+    mongoose.model('PayoutTransaction').aggregate([
+      {
+        $match: {
+          seller,
+          _id: { $ne: excludePayoutId },
+          $or: [
+            { status: { $in: ['pending', 'processing'] } },
+            { status: 'failed', nextRetryAt: { $ne: null } }
+          ]
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$breakdown.totalSales' } } }
+    ])
+  ]);
+  return (recorded[0]?.total || 0) + (inFlight[0]?.total || 0);
+};
+
+/**
+ * Work out TCS and TDS on a sale value
+ * @param {string} sellerId - Seller _id
+ * @param {number} sales - Sale value of the payout
+ * @param {Object} [options]
+ * @param {Date} [options.date=now]
+ * @param {string} [options.payoutId] - payout being worked out, left out of the year-to-date sales
+ * @returns {Promise<Object>} { tcs, tds, total, lines: [{ type, section, base, rate, amount, note }], pan, gstin }
+ */
+exports.computeDeductions = async (sellerId, sales, { date = new Date(), payoutId } = {}) => {
+  const base = round(Math.max(0, sales || 0));
+  const profile = await exports.getTaxProfile(sellerId);
+  const { financialYear } = taxPeriod(date);
+  const salesBefore = await yearToDateSales(sellerId, financialYear, payoutId);
+  const salesAfter = salesBefore + base;
+  const rule = rules();
+
+  const tcs = { type: 'tcs', section: rule.tcs.section, base, rate: rule.tcs.rate };
+  if (!profile.gstin) {
+    tcs.rate = 0;
+    tcs.note = 'No GSTIN on KYC';
+  } else if (salesAfter <= rule.tcs.threshold) {
+    tcs.rate = 0;
+    tcs.note = `Sales this financial year within ${rule.tcs.threshold}`;
+  }
+
+  const tds = { type: 'tds', section: rule.tds.section, base, rate: rule.tds.rate };
+  if (!profile.pan) {
+    tds.rate = rule.tds.rateWithoutPan;
+    tds.note = 'No valid PAN on KYC';
+  } else if (INDIVIDUAL_TYPES.includes(profile.businessType) && salesAfter <= rule.tds.threshold) {
+    tds.rate = 0;
+    tds.note = `Individual seller with sales this financial year within ${rule.tds.threshold}`;
+  }
+
+  const lines = [tcs, tds].map(line => ({ ...line, amount: round(line.base * line.rate / 100) }));
+
+  return {
+    tcs: lines[0].amount,
+    tds: lines[1].amount,
+    total: round(lines[0].amount + lines[1].amount),
+    lines,
+    pan: profile.pan,
+    gstin: profile.gstin
+  };
+};
+
+/**
+ * Withhold TCS and TDS from a payout about to be created
+ * Sets taxDeductions and breakdown.grossPayout, tcs and tds, and lowers
+ * amount to what is transferred.
+ * @param {Object} payout - PayoutTransaction document with amount and breakdown set
+ * @returns {Promise<Object>} payout
+ */
+exports.applyToPayout = async (payout) => {
+  const deductions = await exports.computeDeductions(payout.seller, payout.breakdown.totalSales, { payoutId: payout._id });
+  const gross = round(payout.amount);
+  // Never withhold more than the payout itself
+  const tcs = Math.min(deductions.tcs, gross);
+  const tds = Math.min(deductions.tds, round(gross - tcs));
+
+  payout.taxDeductions = deductions.lines.map(line => ({
+    ...line,
+    amount: line.type === 'tcs' ? tcs : tds
+  }));
+  payout.breakdown.grossPayout = gross;
+  payout.breakdown.tcs = tcs;
+  payout.breakdown.tds = tds;
+  payout.amount = round(gross - tcs - tds);
+
+  return payout;
+};
+
+/**
+ * Record the deductions of a completed payout and post them to the ledger
+ * Safe to call more than once for the same payout.
+ * @param {Object} payout - PayoutTransaction document (completed)
+ * @param {Object} [postedBy]
+ * @returns {Promise<Array<Object>>} TaxDeduction rows
+ */
+exports.recordForPayout = async (payout, postedBy) => {
+  // Payouts created before deductions were introduced withheld nothing
+  if (!payout.taxDeductions || payout.taxDeductions.length === 0) return [];
+
+  const date = payout.completedAt || new Date();
+  const period = taxPeriod(date);
+  const profile = await exports.getTaxProfile(payout.seller);
+  const withheld = { tcs: payout.breakdown.tcs || 0, tds: payout.breakdown.tds || 0 };
+
+  const rows = payout.taxDeductions.map(line => ({
+    seller: payout.seller,
+    payout: payout._id,
+    transactionId: payout.transactionId,
+    type: line.type,
+    section: line.section,
+    base: line.base,
+    rate: line.rate,
+    amount: line.amount,
+    note: line.note,
+    pan: profile.pan,
+    gstin: profile.gstin,
+    ...period,
+    deductedAt: date
+  }));
+
+  let created = await TaxDeduction.find({ payout: payout._id });
+  if (created.length === 0) {
+    try {
+      created = await TaxDeduction.insertMany(rows, { ordered: false });
+    } catch (error) {
+      // A concurrent call recorded them first
+      if (error.code !== 11000) throw error;
+      created = await TaxDeduction.find({ payout: payout._id });
+    }
+  }
+
+  await LedgerEntry.post({
+    type: 'tax_deduction',
+    description: `TCS/TDS on payout ${payout.transactionId}`,
+    seller: payout.seller,
+    reference: { model: 'PayoutTransaction', id: payout._id, code: payout.transactionId },
+    lines: [
+      { account: 'seller_payable', seller: payout.seller, debit: round(withheld.tcs + withheld.tds) },
+      { account: 'tcs_payable', credit: withheld.tcs },
+      { account: 'tds_payable', credit: withheld.tds }
+    ],
+    idempotencyKey: `tax:${payout._id}`,
+    postedBy
+  });
+
+  logger.info(`Tax deducted on payout ${payout.transactionId}: TCS ${withheld.tcs}, TDS ${withheld.tds}`);
+
+  return created;
+};
+
+/**
+ * A seller's TCS/TDS statement for a month or a quarter
+ * @param {string} sellerId - Seller _id
+ * @param {Object} params
+ * @param {string} [params.month] - YYYY-MM
+ * @param {string} [params.financialYear] - e.g. 2026-27, with quarter
+ * @param {string} [params.quarter] - Q1 to Q4
+ * @returns {Promise<Object>} { seller, period, pan, gstin, rows, totals }
+ * @throws {AppError} 400 without a valid month or financial year and quarter
+ */
+exports.getStatement = async (sellerId, { month, financialYear, quarter } = {}) => {
+  const query = { seller: sellerId };
+  let period;
+  if (month) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      throw new AppError('Month must be in YYYY-MM format', 400);
+    }
+    query.month = month;
+    period = { type: 'monthly', month };
+  } else if (financialYear && quarter) {
+    if (!/^\d{4}-\d{2}$/.test(financialYear) || !['Q1', 'Q2', 'Q3', 'Q4'].includes(quarter)) {
+      throw new AppError('Give financialYear as YYYY-YY and quarter as Q1 to Q4', 400);
+    }
+    query.financialYear = financialYear;
+    query.quarter = quarter;
+    period = { type: 'quarterly', financialYear, quarter };
+  } else {
+    throw new AppError('Please provide a month, or a financialYear and quarter', 400);
+  }
+
+  const [seller, profile, deductions] = await Promise.all([
+    Seller.findById(sellerId).select('shopName').lean(),
+    exports.getTaxProfile(sellerId),
+    TaxDeduction.find(query).sort({ deductedAt: 1, type: 1 }).lean()
+  ]);
+
+  const rows = deductions.map(row => ({
+    date: row.deductedAt,
+    transactionId: row.transactionId,
+    type: row.type.toUpperCase(),
+    section: row.section,
+    base: row.base,
+    rate: row.rate,
+    amount: row.amount,
+    note: row.note
+  }));
+
+  const sum = (type, field) => round(deductions.filter(row => row.type === type).reduce((total, row) => total + row[field], 0));
+
+  return {
+    seller: { _id: sellerId, shopName: seller?.shopName },
+    period,
+    pan: profile.pan,
+    gstin: profile.gstin,
+    rows,
+    totals: {
+      payouts: new Set(deductions.map(row => row.payout.toString())).size,
+      sales: sum('tds', 'base'),
+      tcs: sum('tcs', 'amount'),
+      tds: sum('tds', 'amount')
+    }
+  };
+};
+
+/**
+ * A TCS/TDS statement as a downloadable file
+ * @param {Object} statement - from getStatement
+ * @param {string} [format=xlsx] - xlsx or csv
+ * @returns {Object} { fileName, contentType, buffer }
+ * @throws {AppError} 400 for an unknown format
+ */
+exports.renderStatement = (statement, format = 'xlsx') => {
+  if (!['xlsx', 'csv'].includes(format)) {
+    throw new AppError('Format must be one of: xlsx, csv', 400);
+  }
+
+  const { period } = statement;
+  const label = period.type === 'monthly' ? period.month : `${period.financialYear}-${period.quarter}`;
+  const sheet = xlsx.utils.aoa_to_sheet([
+    ['TCS/TDS statement', statement.seller.shopName || ''],
+    ['Period', label],
+    ['PAN', statement.pan || 'Not provided'],
+    ['GSTIN', statement.gstin || 'Not provided'],
+    [],
+    ['Date', 'Payout', 'Type', 'Section', 'Sale value', 'Rate (%)', 'Amount', 'Note'],
+    ...statement.rows.map(row => [
+      new Date(row.date).toISOString().slice(0, 10),
+      row.transactionId,
+      row.type,
+      row.section,
+      row.base,
+      row.rate,
+      row.amount,
+      row.note || ''
+    ]),
+    [],
+    ['Payouts', statement.totals.payouts],
+    ['Sale value', statement.totals.sales],
+    ['TCS withheld', statement.totals.tcs],
+    ['TDS withheld', statement.totals.tds]
+  ]);
+
+  const fileName = `tax-statement-${label}.${format}`;
+  if (format === 'csv') {
+    return { fileName, contentType: 'text/csv', buffer: Buffer.from(xlsx.utils.sheet_to_csv(sheet)) };
+  }
+
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, sheet, 'TCS-TDS');
+  return {
+    fileName,
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    buffer: xlsx.write(workbook, { bookType: 'xlsx', type: 'buffer' })
+  };
+};
+
+exports.rules = rules;
+exports.taxPeriod = taxPeriod;
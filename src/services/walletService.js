@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Wallet service - buyer store credit
+ * @module services/walletService
+ *
+ * Buyers are credited by refunds, goodwill credits from support and referral
+ * or cashback rewards, and spend the balance at checkout, alone or together
+ * with COD or an online payment. Every change is a WalletTransaction; passing
+ * a key makes a credit or debit safe to repeat (retried refunds, replayed
+ * checkouts). The balance is changed atomically and can never go below zero.
+ */
+
+const CustomerWallet = require('../models/CustomerWallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const logger = require('../utils/logger');
+const { AppError } = require('../middlewares/errorHandler');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * A buyer's wallet, created empty on first use
+ * @param {string} userId - User _id
+ * @returns {Promise<Object>} CustomerWallet
+ */
+exports.getWallet = (userId) => {
+  return CustomerWallet.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * Move money in or out of a wallet and record it
+ */
+const post = async (type, userId, amount, { source, key, order, refund, reference, description, createdBy } = {}) => {
+  const value = round(Number(amount));
+  if (!(value > 0)) {
+    throw new AppError('Amount must be greater than 0', 400);
+  }
+  if (!WalletTransaction.SOURCES[type].includes(source)) {
+    throw new AppError(`Wallet ${type} source must be one of: ${WalletTransaction.SOURCES[type].join(', ')}`, 400);
+  }
+
+  if (key) {
+    const existing = await WalletTransaction.findOne({ key });
+    if (existing) return existing;
+  }
+
+  const wallet = await exports.getWallet(userId);
+  const change = type === 'credit' ? value : -value;
+  const filter = type === 'debit' ? { _id: wallet._id, balance: { $gte: value } } : { _id: wallet._id };
+  const updated = await CustomerWallet.findOneAndUpdate(
+    filter,
+    {
+      $inc: { balance: change, [type === 'credit' ? 'totalCredited' : 'totalDebited']: value },
+      $set: { lastTransactionAt: new Date() }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new AppError(`Insufficient wallet balance (available ${round(wallet.balance)})`, 400);
+  }
+
+  try {
+    const transaction = await WalletTransaction.create({
+      key,
+      wallet: wallet._id,
+      user: userId,
+      type,
+      source,
+      amount: value,
+      balanceAfter: round(updated.balance),
+      order: order?._id,
+      orderId: order?.orderId,
+      refund: refund?._id,
+      reference,
+      description,
+      createdBy
+    });
+
+    logger.info(`Wallet ${type} of ${value} (${source}) for user ${userId}, balance ${round(updated.balance)}`);
+
+    return transaction;
+  } catch (error) {
+    // Undo the balance change; a concurrent call with the same key already recorded it
+    await CustomerWallet.updateOne(
+      { _id: wallet._id },
+      { $inc: { balance: -change, [type === 'credit' ? 'totalCredited' : 'totalDebited']: -value } }
+    );
+    if (error.code === 11000 && key) return WalletTransaction.findOne({ key });
+    throw error;
+  }
+};
+
+/**
+ * Add credit to a buyer's wallet
+ * @param {string} userId - User _id
+ * @param {number} amount - Amount in rupees
+ * @param {Object} options
+ * @param {string} options.source - refund, goodwill, referral, cashback or order_reversal
+ * @param {string} [options.key] - idempotency key for the event
+ * @param {Object} [options.order] - Order the credit relates to
+ * @param {Object} [options.refund] - Refund being paid
+ * @param {string} [options.reference] - ticket, campaign or referral code
+ * @param {string} [options.description]
+ * @param {string} [options.createdBy] - User _id of the admin giving the credit
+ * @returns {Promise<Object>} WalletTransaction
+ * @throws {AppError} 400 for a bad amount or source
+ */
+exports.credit = (userId, amount, options) => post('credit', userId, amount, options);
+
+/**
+ * Spend from a buyer's wallet
+ * @param {string} userId - User _id
+ * @param {number} amount - Amount in rupees
+ * @param {Object} options - as for credit; source is order_payment or adjustment
+ * @returns {Promise<Object>} WalletTransaction
+ * @throws {AppError} 400 for a bad amount or source, or when the balance is too low
+ */
+exports.debit = (userId, amount, options) => post('debit', userId, amount, options);
+
+/**
+ * A buyer's wallet transactions, newest first
+ * @param {string} userId - User _id
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @param {string} [options.type] - credit or debit
+ * @returns {Promise<Object>} { transactions, total }
+ */
+exports.getTransactions = async (userId, { page = 1, limit = 20, type } = {}) => {
+  const query = { user: userId };
+  if (type) query.type = type;
+
+  const [transactions, total] = await Promise.all([
+    WalletTransaction.find(query)
+      .sort({ createdAt: -1 })
+      .skip((Number(page) - 1) * Number(limit))
+      .limit(Number(limit)),
+    WalletTransaction.countDocuments(query)
+  ]);
+
+  return { transactions, total };
+};
+
+exports.CREDIT_SOURCES = WalletTransaction.SOURCES.credit;
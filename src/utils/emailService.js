@@ -151,10 +151,37 @@ const sendOrderConfirmationEmail = async (email, orderDetails) => {
   return sendEmail({ to: email, subject, text, html });
 };
 
+/**
+ * Send an invitation to join a seller's shop as staff
+ * @async
+ * @param {string} email - Invitee email
+ * @param {Object} invitation - shopName, roleLabel, acceptUrl and expiresAt
+ * @returns {Promise<Object>} Send result
+ */
+const sendSellerInvitationEmail = async (email, invitation) => {
+  const subject = `You're invited to join ${invitation.shopName}`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #8B3A62;">Join ${invitation.shopName}</h2>
+      <p>You have been invited to help run <strong>${invitation.shopName}</strong> as <strong>${invitation.roleLabel}</strong>.</p>
+      <p>Sign in or create an account, then accept the invitation:</p>
+      <a href="${invitation.acceptUrl}" style="display: inline-block; padding: 10px 20px; background-color: #8B3A62; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px;">
+        Accept Invitation
+      </a>
+      <p style="margin-top: 20px;">This invitation is valid until ${invitation.expiresAt.toDateString()}.</p>
+      <p style="color: #666;">If you weren't expecting this, please ignore this email.</p>
+    </div>
+  `;
+  const text = `You have been invited to join ${invitation.shopName} as ${invitation.roleLabel}. Accept here: ${invitation.acceptUrl}`;
+
+  return sendEmail({ to: email, subject, text, html });
+};
+
 module.exports = {
   sendEmail,
   sendWelcomeEmail,
   sendOTPEmail,
   sendPasswordResetEmail,
   sendOrderConfirmationEmail,
+  sendSellerInvitationEmail,
 };
@@ -83,6 +83,48 @@ const calculatePercentage = (value, total) => {
   return Math.round((value / total) * 100);
 };
 
+/**
+ * Split an amount across weights, keeping the rounding remainder on the last share
+ * @param {number} amount - Amount to split
+ * @param {Array<number>} weights - Relative weights
+ * @returns {Array<number>} Allocated amounts
+ */
+const allocateAmount = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  let allocated = 0;
+
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) {
+      return Math.round((amount - allocated) * 100) / 100;
+    }
+    const share = totalWeight > 0 ? Math.round((amount * weight / totalWeight) * 100) / 100 : 0;
+    allocated += share;
+    return share;
+  });
+};
+
+/**
+ * Units of an order line still being bought (not cancelled or returned)
+ * @param {Object} item - Order or sub-order line
+ * @returns {number} Active quantity
+ */
+const activeQuantity = (item) => {
+  return Math.max(0, item.quantity - (item.cancelledQuantity || 0) - (item.returnedQuantity || 0));
+};
+
+/**
+ * Value of some units of an order line, with their share of the line discount
+ * @param {Object} item - Order or sub-order line
+ * @param {number} [units] - Units to value (defaults to the active quantity)
+ * @returns {{gross: number, discount: number, net: number}} Amounts for those units
+ */
+const lineValue = (item, units = activeQuantity(item)) => {
+  const round = (value) => Math.round(value * 100) / 100;
+  const gross = round(item.price * units);
+  const discount = item.quantity > 0 ? round((item.discount || 0) * units / item.quantity) : 0;
+  return { gross, discount, net: round(gross - discount) };
+};
+
 /**
  * Format currency
  * @param {number} amount - Amount
@@ -126,6 +168,63 @@ const isValidPhone = (phone) => {
   return phoneRegex.test(phone);
 };
 
+/**
+ * Validate an IFSC code (bank branch)
+ * @param {string} code - IFSC code, upper case
+ * @returns {boolean} Is valid
+ */
+const isValidIFSC = (code) => {
+  return /^[A-Z]{4}0[A-Z0-9]{6}$/.test(code);
+};
+
+/**
+ * Validate a UPI ID (VPA)
+ * @param {string} upiId - UPI ID
+ * @returns {boolean} Is valid
+ */
+const isValidUPI = (upiId) => {
+  return /^[\w.-]{2,}@[a-zA-Z]{2,}$/.test(upiId);
+};
+
+/**
+ * Validate a PAN (Permanent Account Number)
+ * @param {string} pan - PAN, upper case
+ * @returns {boolean} Is valid
+ */
+const isValidPAN = (pan) => {
+  return /^[A-Z]{5}[0-9]{4}[A-Z]$/.test(pan);
+};
+
+/**
+ * Validate a GSTIN (state code, PAN, entity code, Z, check character)
+ * @param {string} gstin - GSTIN, upper case
+ * @returns {boolean} Is valid
+ */
+const isValidGSTIN = (gstin) => {
+  return /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(gstin);
+};
+
+/**
+ * Numeric environment variable, read when called
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset, empty or not a number
+ * @returns {number}
+ */
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && !isNaN(value) ? value : fallback;
+};
+
+/**
+ * Boolean environment variable ('true' is on), read when called
+ * @param {string} name - Variable name
+ * @param {boolean} fallback - Value when unset or empty
+ * @returns {boolean}
+ */
+const envFlag = (name, fallback) => (
+  process.env[name] === undefined || process.env[name] === '' ? fallback : process.env[name] === 'true'
+);
+
 /**
  * Sleep/delay function
  * @param {number} ms - Milliseconds
@@ -156,10 +255,19 @@ module.exports = {
   sanitizeObject,
   generateSlug,
   calculatePercentage,
+  allocateAmount,
+  activeQuantity,
+  lineValue,
   formatCurrency,
   generateOrderId,
   isValidEmail,
   isValidPhone,
+  isValidIFSC,
+  isValidUPI,
+  isValidPAN,
+  isValidGSTIN,
+  envNumber,
+  envFlag,
   sleep,
   removeEmptyValues,
 };
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Unit tests for coupon pricing and redemption limits
+ */
+
+const mongoose = require('mongoose');
+const Coupon = require('../../src/models/Coupon');
+const CouponRedemption = require('../../src/models/CouponRedemption');
+const couponService = require('../../src/services/couponService');
+const settingsService = require('../../src/services/settingsService');
+
+const userId = new mongoose.Types.ObjectId();
+
+const coupon = (fields) => new Coupon({ type: 'percentage', value: 10, ...fields });
+
+const lines = [
+  { product: new mongoose.Types.ObjectId(), price: 300, quantity: 1 },
+  { product: new mongoose.Types.ObjectId(), price: 100, quantity: 2 }
+];
+
+const duplicateSlot = () => Object.assign(new Error('E11000 duplicate key'), {
+  code: 11000,
+  keyPattern: { coupon: 1, user: 1, slot: 1 }
+});
+
+describe('couponService', () => {
+  beforeEach(() => {
+    jest.spyOn(settingsService, 'get').mockResolvedValue(settingsService.defaults());
+    jest.spyOn(CouponRedemption, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('quote', () => {
+    it('caps a percentage coupon at its maximum and spreads it over the lines', async () => {
+      jest.spyOn(Coupon, 'find').mockResolvedValue([coupon({ code: 'SAVE20', value: 20, maxDiscount: 50 })]);
+
+      const quote = await couponService.quote({ lines, codes: ['save20'], user: userId });
+
+      expect(quote.couponDiscount).toBe(50);
+      expect(quote.lineDiscounts.reduce((sum, value) => sum + value, 0)).toBe(50);
+      expect(quote.total).toBe(quote.itemsTotal + quote.shippingCharge - 50);
+    });
+
+    it('never takes stacked coupons past the value of the basket', async () => {
+      jest.spyOn(Coupon, 'find').mockResolvedValue([
+        coupon({ code: 'FLAT400', type: 'flat', value: 400, stackable: true }),
+        coupon({ code: 'FLAT300', type: 'flat', value: 300, stackable: true })
+      ]);
+
+      const quote = await couponService.quote({ lines, codes: ['FLAT400', 'FLAT300'], user: userId });
+
+      expect(quote.couponDiscount).toBe(quote.itemsTotal);
+      quote.lineDiscounts.forEach((discount, index) => {
+        expect(discount).toBeLessThanOrEqual(lines[index].price * lines[index].quantity);
+      });
+    });
+
+    it('rejects a coupon the buyer has used up to the per-user limit', async () => {
+      jest.spyOn(Coupon, 'find').mockResolvedValue([coupon({ code: 'ONCE', perUserLimit: 1 })]);
+      CouponRedemption.countDocuments.mockResolvedValue(1);
+
+      await expect(couponService.quote({ lines, codes: ['ONCE'], user: userId }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Coupon ONCE: You have already used this coupon' });
+    });
+
+    it('lists unusable coupons instead of throwing outside strict mode', async () => {
+      jest.spyOn(Coupon, 'find').mockResolvedValue([
+        coupon({ code: 'A10', stackable: true }),
+        coupon({ code: 'SOLO' })
+      ]);
+
+      const quote = await couponService.quote({ lines, codes: ['A10', 'SOLO', 'NOPE'], user: userId, strict: false });
+
+      expect(quote.coupons.map(applied => applied.code)).toEqual(['A10']);
+      expect(quote.rejected).toEqual([
+        { code: 'NOPE', reason: 'Invalid coupon code' },
+        { code: 'SOLO', reason: 'Coupon cannot be combined with other coupons' }
+      ]);
+    });
+  });
+
+  describe('redeem', () => {
+    const order = { _id: new mongoose.Types.ObjectId(), orderId: 'ORD-1' };
+    const applied = [{ coupon: new mongoose.Types.ObjectId(), code: 'TWICE', discount: 40 }];
+
+    beforeEach(() => {
+      jest.spyOn(Coupon, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ perUserLimit: 2 }) });
+      jest.spyOn(CouponRedemption, 'find').mockResolvedValue([]);
+      jest.spyOn(CouponRedemption, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('takes the next free per-user slot and counts the use', async () => {
+      const create = jest.spyOn(CouponRedemption, 'create')
+        .mockRejectedValueOnce(duplicateSlot())
+        .mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+      const count = jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await couponService.redeem(order, applied, userId);
+
+      expect(create).toHaveBeenCalledTimes(2);
+      expect(create.mock.calls[1][0]).toMatchObject({ slot: 2, user: userId, order: order._id });
+      expect(count).toHaveBeenCalledWith(expect.objectContaining({ _id: applied[0].coupon }), { $inc: { usedCount: 1 } });
+    });
+
+    it('refuses the coupon once every per-user slot is held', async () => {
+      jest.spyOn(CouponRedemption, 'create').mockRejectedValue(duplicateSlot());
+      const count = jest.spyOn(Coupon, 'updateOne');
+
+      await expect(couponService.redeem(order, applied, userId))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Coupon TWICE: You have already used this coupon' });
+      expect(count).not.toHaveBeenCalled();
+      expect(CouponRedemption.find).toHaveBeenCalledWith({ order: order._id, releasedAt: null });
+    });
+
+    it('closes the redemption without giving a use back when the usage limit is reached', async () => {
+      const redemptionId = new mongoose.Types.ObjectId();
+      jest.spyOn(CouponRedemption, 'create').mockResolvedValue({ _id: redemptionId });
+      jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(couponService.redeem(order, applied, userId))
+        .rejects.toMatchObject({ message: 'Coupon TWICE: Coupon usage limit reached' });
+      expect(CouponRedemption.updateOne).toHaveBeenCalledWith(
+        { _id: redemptionId },
+        { $set: { releasedAt: expect.any(Date) }, $unset: { slot: 1 } }
+      );
+      expect(Coupon.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('passes other write errors through', async () => {
+      jest.spyOn(CouponRedemption, 'create').mockRejectedValue(new Error('connection lost'));
+
+      await expect(couponService.redeem(order, applied, userId)).rejects.toThrow('connection lost');
+    });
+  });
+});
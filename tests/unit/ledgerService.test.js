@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Unit tests for the ledger service and LedgerEntry rules
+ */
+
+const mongoose = require('mongoose');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const ledgerService = require('../../src/services/ledgerService');
+const settingsService = require('../../src/services/settingsService');
+
+const sellerId = new mongoose.Types.ObjectId();
+
+const deliveredSubOrder = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  subOrderId: 'SO-1001',
+  seller: sellerId,
+  deliveredAt: new Date('2026-01-10'),
+  items: [
+    {
+      seller: sellerId,
+      price: 500,
+      quantity: 2,
+      earnings: { platformCommission: 100, totalTax: 18, shippingCharges: 40, netSellerEarning: 842 }
+    }
+  ],
+  penalties: [],
+  ...overrides
+});
+
+const sum = (lines, side) => lines.reduce((total, line) => total + Math.round((line[side] || 0) * 100), 0);
+
+describe('ledgerService', () => {
+  let created;
+
+  beforeEach(() => {
+    created = [];
+    jest.spyOn(settingsService, 'current').mockReturnValue(settingsService.defaults());
+    jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(null);
+    jest.spyOn(LedgerEntry, 'create').mockImplementation(async (entry) => {
+      created.push(entry);
+      return entry;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('postSubOrderDelivery', () => {
+    it('posts the sale and each deduction as balanced entries keyed by sub-order', async () => {
+      const subOrder = deliveredSubOrder();
+
+      await ledgerService.postSubOrderDelivery(subOrder);
+
+      expect(created.map(entry => entry.type)).toEqual(['sale', 'commission', 'gst', 'shipping_fee']);
+      created.forEach(entry => {
+        expect(entry.idempotencyKey).toBe(`${entry.type}:${subOrder._id}`);
+        expect(sum(entry.lines, 'debit')).toBe(sum(entry.lines, 'credit'));
+      });
+      expect(created[0].lines).toEqual([
+        { account: 'platform_cash', debit: 1000 },
+        { account: 'seller_payable', seller: sellerId, credit: 1000 }
+      ]);
+    });
+
+    it('does not post penalties on delivery, so a charged penalty is not taken twice', async () => {
+      await ledgerService.postSubOrderDelivery(deliveredSubOrder({
+        penalties: [{ amount: 50, status: 'active' }]
+      }));
+
+      expect(created.some(entry => entry.type === 'penalty')).toBe(false);
+    });
+
+    it('returns the existing entries when the delivery was already posted', async () => {
+      const existing = { type: 'sale' };
+      LedgerEntry.findOne.mockResolvedValue(existing);
+
+      const entries = await ledgerService.postSubOrderDelivery(deliveredSubOrder());
+
+      expect(LedgerEntry.create).not.toHaveBeenCalled();
+      expect(entries).toHaveLength(4);
+    });
+  });
+
+  describe('postPenalty', () => {
+    const penalty = {
+      _id: new mongoose.Types.ObjectId(),
+      penaltyId: 'PEN-1',
+      seller: sellerId,
+      subOrder: new mongoose.Types.ObjectId(),
+      subOrderId: 'SO-1001',
+      amount: 75,
+      reason: 'Late dispatch'
+    };
+
+    it('debits the seller and credits penalty income', async () => {
+      await ledgerService.postPenalty(penalty);
+
+      expect(created[0].idempotencyKey).toBe(`seller_penalty:${penalty._id}`);
+      expect(created[0].lines).toEqual([
+        { account: 'seller_payable', seller: sellerId, debit: 75 },
+        { account: 'penalty_income', credit: 75 }
+      ]);
+    });
+
+    it('credits the seller back on reversal under its own key', async () => {
+      await ledgerService.postPenalty(penalty, { reverse: true });
+
+      expect(created[0].idempotencyKey).toBe(`penalty_reversal:${penalty._id}`);
+      expect(created[0].lines).toEqual([
+        { account: 'penalty_income', debit: 75 },
+        { account: 'seller_payable', seller: sellerId, credit: 75 }
+      ]);
+    });
+  });
+
+  describe('postItemReturn', () => {
+    it('reverses only the drop in sale, commission and GST', async () => {
+      const subOrder = deliveredSubOrder();
+      const request = { _id: new mongoose.Types.ObjectId(), quantity: 1, name: 'Kurti' };
+      const before = { totalSales: 1000, totalCommission: 100, totalTax: 18 };
+      const after = { totalSales: 500, totalCommission: 50, totalTax: 9 };
+
+      await ledgerService.postItemReturn(subOrder, request, before, after);
+
+      const [entry] = created;
+      expect(entry.idempotencyKey).toBe(`refund:${subOrder._id}:${request._id}`);
+      expect(sum(entry.lines, 'debit')).toBe(sum(entry.lines, 'credit'));
+      expect(entry.lines.filter(line => line.account === 'seller_payable' && line.debit)).toEqual([
+        { account: 'seller_payable', seller: sellerId, debit: 500 }
+      ]);
+    });
+  });
+});
+
+describe('LedgerEntry', () => {
+  it('rejects an unbalanced entry', async () => {
+    const entry = new LedgerEntry({
+      type: 'adjustment',
+      description: 'Unbalanced',
+      lines: [
+        { account: 'adjustments', debit: 10 },
+        { account: 'seller_payable', seller: sellerId, credit: 9 }
+      ]
+    });
+
+    await expect(entry.validate()).rejects.toThrow('Unbalanced ledger entry');
+  });
+
+  it('requires a seller on seller accounts', async () => {
+    const entry = new LedgerEntry({
+      type: 'adjustment',
+      description: 'No seller',
+      lines: [
+        { account: 'adjustments', debit: 10 },
+        { account: 'seller_payable', credit: 10 }
+      ]
+    });
+
+    await expect(entry.validate()).rejects.toThrow('Account seller_payable requires a seller');
+  });
+
+  it('skips the write when the idempotency key was already posted', async () => {
+    const existing = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(existing);
+    const create = jest.spyOn(LedgerEntry, 'create');
+
+    const result = await LedgerEntry.post({
+      type: 'payout',
+      description: 'Payout',
+      lines: [
+        { account: 'seller_payable', seller: sellerId, debit: 10 },
+        { account: 'platform_cash', credit: 10 }
+      ],
+      idempotencyKey: 'payout:1'
+    });
+
+    expect(result).toBe(existing);
+    expect(create).not.toHaveBeenCalled();
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Unit tests for payout batches, transfer settlement and the tax withheld from payouts
+ */
+
+const mongoose = require('mongoose');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const PayoutBatch = require('../../src/models/PayoutBatch');
+const PayoutTransaction = require('../../src/models/PayoutTransaction');
+const Seller = require('../../src/models/Seller');
+const SubOrder = require('../../src/models/SubOrder');
+const payoutService = require('../../src/services/payoutService');
+const taxDeductionService = require('../../src/services/taxDeductionService');
+const settingsService = require('../../src/services/settingsService');
+
+const query = (result) => ({ select: jest.fn().mockResolvedValue(result) });
+
+const seller = (shopName, bankDetails = { accountNumber: '1234567890', ifscCode: 'HDFC0000001' }) => ({
+  _id: new mongoose.Types.ObjectId(),
+  shopName,
+  bankDetails
+});
+
+const deliveredTo = (owner, netSellerEarning) => ({
+  _id: new mongoose.Types.ObjectId(),
+  subOrderId: `SO-${owner.shopName}`,
+  order: new mongoose.Types.ObjectId(),
+  seller: owner._id,
+  items: [{ seller: owner._id, price: netSellerEarning, quantity: 1, earnings: { netSellerEarning } }],
+  penalties: []
+});
+
+describe('payoutService', () => {
+  beforeEach(() => {
+    jest.spyOn(settingsService, 'get').mockResolvedValue(settingsService.defaults());
+    jest.spyOn(settingsService, 'current').mockReturnValue(settingsService.defaults());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('previewBatch', () => {
+    const paid = seller('Paid');
+    const noBank = seller('NoBank', {});
+    const owing = seller('Owing');
+    const available = {
+      [paid._id]: 1000,
+      [noBank._id]: 500,
+      [owing._id]: -200
+    };
+
+    beforeEach(() => {
+      jest.spyOn(SubOrder, 'find').mockReturnValue(query([
+        deliveredTo(paid, 900),
+        deliveredTo(noBank, 500),
+        deliveredTo(owing, 100)
+      ]));
+      jest.spyOn(Seller, 'find').mockReturnValue(query([paid, noBank, owing]));
+      jest.spyOn(LedgerEntry, 'sellerBalances').mockImplementation(async (id) => ({ available: available[id] }));
+      jest.spyOn(PayoutTransaction, 'inFlightAmount').mockResolvedValue(0);
+      jest.spyOn(taxDeductionService, 'computeDeductions').mockResolvedValue({ tcs: 10, tds: 1, total: 11 });
+    });
+
+    it('pays the ledger balance less taxes and the reserve', async () => {
+      const preview = await payoutService.previewBatch();
+
+      expect(preview.payouts).toHaveLength(1);
+      expect(preview.payouts[0]).toMatchObject({
+        earnings: 900,
+        balanceAdjustment: 100,
+        grossPayout: 1000,
+        taxes: 11,
+        reserve: 50,
+        amount: 939
+      });
+      expect(preview.totals).toMatchObject({ sellers: 1, amount: 939 });
+    });
+
+    it('skips sellers without bank details and carries negative balances forward', async () => {
+      const preview = await payoutService.previewBatch();
+
+      expect(preview.skipped).toEqual([
+        { seller: { _id: noBank._id, shopName: 'NoBank' }, amount: 500, reason: 'No bank details' },
+        { seller: { _id: owing._id, shopName: 'Owing' }, amount: -200, reason: 'Negative balance carried forward' }
+      ]);
+    });
+
+    it('leaves out what is already being paid to the seller', async () => {
+      PayoutTransaction.inFlightAmount.mockImplementation(async (id) => (id === paid._id ? 999.5 : 0));
+
+      const preview = await payoutService.previewBatch();
+
+      expect(preview.payouts).toHaveLength(0);
+      expect(preview.skipped[0]).toMatchObject({ amount: 0.5, reason: 'Below the minimum payout of 1' });
+    });
+  });
+
+  describe('createBatch', () => {
+    it('refuses a second batch for the same day', async () => {
+      jest.spyOn(PayoutBatch, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      await expect(payoutService.createBatch({ cutoff: new Date('2026-03-01T10:00:00Z') }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'A payout batch for 2026-03-01 already exists' });
+    });
+  });
+
+  describe('approveBatch', () => {
+    it('only approves draft or held batches', async () => {
+      jest.spyOn(PayoutBatch, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const send = jest.spyOn(PayoutTransaction, 'updateMany');
+
+      await expect(payoutService.approveBatch({ _id: new mongoose.Types.ObjectId(), status: 'completed' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Batch is completed, only draft or held batches can be approved' });
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('settleTransaction', () => {
+    const sent = (fields = {}) => ({
+      _id: new mongoose.Types.ObjectId(),
+      transactionId: 'PAY-1',
+      status: 'processing',
+      attempts: 1,
+      save: jest.fn().mockResolvedValue(),
+      markCompleted: jest.fn().mockResolvedValue(),
+      markFailed: jest.fn().mockResolvedValue(),
+      ...fields
+    });
+
+    beforeEach(() => {
+      jest.spyOn(PayoutTransaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('needs the UTR to complete a transfer', async () => {
+      await expect(payoutService.settleTransaction(sent(), 'completed'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Please provide the transfer reference (UTR)' });
+    });
+
+    it('completes a sent transfer with its UTR', async () => {
+      const payout = sent();
+
+      await payoutService.settleTransaction(payout, 'completed', { reference: 'UTR123' });
+
+      expect(payout.markCompleted).toHaveBeenCalledWith('UTR123', undefined);
+    });
+
+    it('schedules a retry with backoff while attempts remain', async () => {
+      const payout = sent({ attempts: 2 });
+      const before = Date.now();
+
+      await payoutService.settleTransaction(payout, 'failed', { reason: 'Account frozen' });
+
+      expect(payout.status).toBe('failed');
+      expect(payout.failureReason).toBe('Account frozen');
+      expect(payout.nextRetryAt.getTime() - before).toBeGreaterThanOrEqual(2 * 60 * 60 * 1000);
+      expect(payout.markFailed).not.toHaveBeenCalled();
+    });
+
+    it('fails the transfer for good after the last attempt', async () => {
+      const payout = sent({ attempts: payoutService.MAX_ATTEMPTS });
+
+      await payoutService.settleTransaction(payout, 'failed', { code: 'R03' });
+
+      expect(payout.markFailed).toHaveBeenCalledWith('Transfer failed', 'R03');
+      expect(payout.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses a batch transfer that has not been sent', async () => {
+      PayoutTransaction.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      const payout = sent({ status: 'pending', batch: new mongoose.Types.ObjectId() });
+
+      await expect(payoutService.settleTransaction(payout, 'completed', { reference: 'UTR123' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Payout is pending, not processing' });
+      expect(PayoutTransaction.updateOne).toHaveBeenCalledWith(
+        { _id: payout._id, status: { $in: ['processing'] } },
+        expect.any(Object)
+      );
+      expect(payout.markCompleted).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retryDue', () => {
+    it('counts only the transfers it claimed', async () => {
+      jest.spyOn(PayoutTransaction, 'find').mockReturnValue(query([
+        { _id: new mongoose.Types.ObjectId(), transactionId: 'PAY-1' },
+        { _id: new mongoose.Types.ObjectId(), transactionId: 'PAY-2' }
+      ]));
+      jest.spyOn(PayoutTransaction, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+
+      await expect(payoutService.retryDue()).resolves.toBe(1);
+    });
+  });
+});
+
+describe('taxDeductionService.computeDeductions', () => {
+  const sellerId = new mongoose.Types.ObjectId();
+  const original = { ...process.env };
+
+  beforeEach(() => {
+    jest.spyOn(taxDeductionService, 'getTaxProfile').mockResolvedValue({
+      pan: 'ABCDE1234F',
+      gstin: '27ABCDE1234F1Z5',
+      businessType: 'company'
+    });
+    jest.spyOn(mongoose.Model, 'aggregate').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    process.env = { ...original };
+    jest.restoreAllMocks();
+  });
+
+  it('withholds TCS and TDS at the default rates', async () => {
+    const deductions = await taxDeductionService.computeDeductions(sellerId, 10000);
+
+    expect(deductions).toMatchObject({ tcs: 100, tds: 10, total: 110 });
+  });
+
+  it('reads the rates in force when the deduction is worked out', async () => {
+    process.env.TCS_RATE = '0.5';
+    process.env.TDS_RATE = '1';
+
+    const deductions = await taxDeductionService.computeDeductions(sellerId, 10000);
+
+    expect(deductions).toMatchObject({ tcs: 50, tds: 100, total: 150 });
+  });
+
+  it('withholds the higher TDS rate without a valid PAN', async () => {
+    taxDeductionService.getTaxProfile.mockResolvedValue({ gstin: '27ABCDE1234F1Z5', businessType: 'company' });
+
+    const deductions = await taxDeductionService.computeDeductions(sellerId, 10000);
+
+    expect(deductions.tds).toBe(500);
+    expect(deductions.lines[1].note).toBe('No valid PAN on KYC');
+  });
+});
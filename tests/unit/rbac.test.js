@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Unit tests for admin permission checks, role assignment and admin access to KYC
+ */
+
+const mongoose = require('mongoose');
+const Role = require('../../src/models/Role');
+const User = require('../../src/models/User');
+const KYC = require('../../src/models/KYC');
+const rbacService = require('../../src/services/rbacService');
+const kycController = require('../../src/controllers/kycController');
+const { requirePermission } = require('../../src/middlewares/auth');
+const { ALL } = require('../../src/config/permissions');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const role = (name, permissions) => ({ _id: new mongoose.Types.ObjectId(), name, permissions });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('requirePermission', () => {
+  const check = async (req, ...permissions) => {
+    const res = response();
+    const next = jest.fn();
+    await requirePermission(...permissions)(req, res, next);
+    return { res, next };
+  };
+
+  it('leaves sellers and buyers to authorize() and the controllers', async () => {
+    const lookup = jest.spyOn(rbacService, 'permissionsFor');
+
+    const { next } = await check({ user: { role: 'seller' } }, 'payouts:approve');
+
+    expect(next).toHaveBeenCalled();
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  it('refuses an admin missing any listed permission', async () => {
+    jest.spyOn(rbacService, 'permissionsFor').mockResolvedValue(new Set(['payouts:view']));
+
+    const { res, next } = await check({ user: { role: 'admin' } }, 'payouts:view', 'payouts:approve');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'You need the payouts:approve permission to access this route'
+    });
+  });
+
+  it('lets a super admin through and looks permissions up once per request', async () => {
+    const lookup = jest.spyOn(rbacService, 'permissionsFor').mockResolvedValue(new Set([ALL]));
+    const req = { user: { role: 'admin' } };
+
+    await check(req, 'payouts:approve');
+    const { next } = await check(req, 'kyc:review');
+
+    expect(next).toHaveBeenCalled();
+    expect(lookup).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers 500 when the roles cannot be read', async () => {
+    jest.spyOn(rbacService, 'permissionsFor').mockRejectedValue(new Error('connection lost'));
+
+    const { res, next } = await check({ user: { role: 'admin' } }, 'kyc:review');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+describe('rbacService', () => {
+  describe('permissionsFor', () => {
+    it('gives non-admins and admins without roles nothing', async () => {
+      const find = jest.spyOn(Role, 'find');
+
+      expect((await rbacService.permissionsFor({ role: 'seller', adminRoles: [new mongoose.Types.ObjectId()] })).size).toBe(0);
+      expect((await rbacService.permissionsFor({ role: 'admin', adminRoles: [] })).size).toBe(0);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('joins the permissions of every role held', async () => {
+      jest.spyOn(Role, 'find').mockReturnValue({
+        select: () => ({ lean: jest.fn().mockResolvedValue([{ permissions: ['kyc:review'] }, { permissions: ['payouts:view'] }]) })
+      });
+
+      const permissions = await rbacService.permissionsFor({ role: 'admin', adminRoles: [new mongoose.Types.ObjectId()] });
+
+      expect([...permissions].sort()).toEqual(['kyc:review', 'payouts:view']);
+    });
+  });
+
+  describe('assignRoles', () => {
+    const superAdmin = role('super_admin', [ALL]);
+    const finance = role('finance', ['payouts:view', 'payouts:approve']);
+    const support = role('support', ['orders:view']);
+    const actor = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+    const admin = (adminRoles) => ({
+      _id: new mongoose.Types.ObjectId(),
+      role: 'admin',
+      adminRoles: adminRoles.map(held => held._id),
+      save: jest.fn().mockResolvedValue()
+    });
+
+    it('refuses roles with permissions the actor does not hold', async () => {
+      jest.spyOn(Role, 'find').mockResolvedValueOnce([finance]).mockResolvedValueOnce([]);
+      jest.spyOn(rbacService, 'permissionsFor').mockResolvedValue(new Set(['payouts:view']));
+      const user = admin([]);
+
+      await expect(rbacService.assignRoles(user, ['finance'], actor))
+        .rejects.toMatchObject({ statusCode: 403, message: 'You cannot assign or remove roles with permissions you do not hold: finance' });
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses to take away roles beyond the actor either', async () => {
+      jest.spyOn(Role, 'find').mockResolvedValueOnce([support]).mockResolvedValueOnce([support, finance]);
+      jest.spyOn(rbacService, 'permissionsFor').mockResolvedValue(new Set(['orders:view']));
+
+      await expect(rbacService.assignRoles(admin([support, finance]), ['support'], actor))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('keeps the last active super admin', async () => {
+      jest.spyOn(Role, 'find').mockResolvedValueOnce([]).mockResolvedValueOnce([superAdmin]);
+      jest.spyOn(rbacService, 'permissionsFor').mockResolvedValue(new Set([ALL]));
+      jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+
+      await expect(rbacService.assignRoles(admin([superAdmin]), [], actor))
+        .rejects.toMatchObject({ statusCode: 400, message: 'At least one active admin must keep the super_admin role' });
+    });
+
+    it('rejects unknown roles and non-admin users', async () => {
+      jest.spyOn(Role, 'find').mockResolvedValue([]);
+
+      await expect(rbacService.assignRoles(admin([]), ['auditor'], actor))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Unknown roles: auditor' });
+      await expect(rbacService.assignRoles({ role: 'seller' }, ['support'], actor))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Roles can only be assigned to admin users' });
+    });
+
+    it('sets the roles within the actor\'s permissions', async () => {
+      jest.spyOn(Role, 'find').mockResolvedValueOnce([support]).mockResolvedValueOnce([]);
+      jest.spyOn(rbacService, 'permissionsFor').mockResolvedValue(new Set(['orders:view']));
+      const user = admin([]);
+
+      await expect(rbacService.assignRoles(user, ['Support'], actor)).resolves.toEqual([support]);
+      expect(user.adminRoles).toEqual([support._id]);
+      expect(user.save).toHaveBeenCalled();
+    });
+  });
+});
+
+describe('kycController', () => {
+  it('needs a sellerId when an admin reads', async () => {
+    const res = response();
+    const find = jest.spyOn(KYC, 'findOne');
+
+    await kycController.getKYCStatus({ user: { role: 'admin' }, query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 rather than starting a KYC for the seller', async () => {
+    const res = response();
+    jest.spyOn(KYC, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(KYC, 'create');
+
+    await kycController.getKYCStatus({ user: { role: 'admin' }, query: { sellerId: new mongoose.Types.ObjectId() } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('keeps review fields out of a seller\'s own edits', async () => {
+    const res = response();
+    const sellerId = new mongoose.Types.ObjectId();
+    const kyc = { status: 'submitted', save: jest.fn().mockResolvedValue() };
+    jest.spyOn(KYC, 'findOne').mockResolvedValue(kyc);
+
+    await kycController.updateKYC({
+      seller: { _id: sellerId },
+      body: { status: 'verified', verifiedBy: new mongoose.Types.ObjectId(), sellerId: new mongoose.Types.ObjectId(), bankDetails: { ifsc: 'HDFC0000001' } }
+    }, res);
+
+    expect(KYC.findOne).toHaveBeenCalledWith({ sellerId });
+    expect(kyc).toMatchObject({ status: 'incomplete', bankDetails: { ifsc: 'HDFC0000001' } });
+    expect(kyc.verifiedBy).toBeUndefined();
+    expect(kyc.sellerId).toBeUndefined();
+  });
+});
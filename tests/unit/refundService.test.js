@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Unit tests for shipment refunds and the refund settled on a completed return
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const SubOrder = require('../../src/models/SubOrder');
+const Refund = require('../../src/models/Refund');
+const SellerWallet = require('../../src/models/SellerWallet');
+const refundService = require('../../src/services/refundService');
+const orderLifecycle = require('../../src/services/orderLifecycleService');
+const ledgerService = require('../../src/services/ledgerService');
+const penaltyService = require('../../src/services/penaltyService');
+const resellerService = require('../../src/services/resellerService');
+
+const codOrder = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderId: 'ORD-1',
+  user: new mongoose.Types.ObjectId(),
+  payment: { method: 'cod', status: 'completed', walletAmount: 0 },
+  pricing: { refunded: 0 }
+});
+
+const shipment = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  subOrderId: 'SO-1',
+  seller: new mongoose.Types.ObjectId(),
+  status: 'cancelled',
+  items: [],
+  pricing: { itemsTotal: 1000, discount: 100, shippingCharge: 40, refunded: 0 },
+  ...fields
+});
+
+describe('refundService', () => {
+  let created;
+
+  beforeEach(() => {
+    created = [];
+    jest.spyOn(Refund, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Refund, 'create').mockImplementation(async (data) => {
+      created.push(data);
+      return { refundId: 'RF-1', ...data };
+    });
+    jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(SubOrder, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('refundSubOrder', () => {
+    it('refunds items less discount plus shipping on a cancellation', async () => {
+      const order = codOrder();
+
+      await refundService.refundSubOrder(shipment(), { order });
+
+      expect(created[0].amount).toMatchObject({ items: 1000, discount: 100, shipping: 40, adjustment: 0, total: 940 });
+      // COD without bank or UPI details waits for the buyer
+      expect(created[0].status).toBe('awaiting_details');
+      expect(order.pricing.refunded).toBe(940);
+    });
+
+    it('keeps shipping on a return', async () => {
+      await refundService.refundSubOrder(shipment({ status: 'returned', returnRequest: {} }), { order: codOrder() });
+
+      expect(created[0].amount).toMatchObject({ shipping: 0, total: 900 });
+    });
+
+    it('pays a smaller settled return amount and never more than the shipment is worth', async () => {
+      await refundService.refundSubOrder(shipment({ status: 'returned', returnRequest: { refundAmount: 600 } }), { order: codOrder() });
+      await refundService.refundSubOrder(shipment({ status: 'returned', returnRequest: { refundAmount: 5000 } }), { order: codOrder() });
+
+      expect(created[0].amount).toMatchObject({ total: 600, adjustment: -300 });
+      expect(created[1].amount).toMatchObject({ total: 900, adjustment: 0 });
+    });
+
+    it('refunds nothing when no money was received', async () => {
+      const order = { ...codOrder(), payment: { method: 'cod', status: 'pending', walletAmount: 0 } };
+
+      const refund = await refundService.refundSubOrder(shipment(), { order });
+
+      expect(refund).toBeNull();
+      expect(Refund.create).not.toHaveBeenCalled();
+    });
+
+    it('returns the refund already made for the same event', async () => {
+      const existing = { refundId: 'RF-0' };
+      Refund.findOne.mockResolvedValue(existing);
+      const subOrder = shipment();
+
+      const refund = await refundService.refundSubOrder(subOrder, { order: codOrder() });
+
+      expect(refund).toBe(existing);
+      expect(Refund.findOne).toHaveBeenCalledWith({ key: `cancellation:${subOrder._id}` });
+      expect(Refund.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyRefundDetails', () => {
+    it('rejects the original payment method for COD orders', () => {
+      expect(() => refundService.applyRefundDetails(codOrder(), { refundTo: 'original' }))
+        .toThrow('Only online payments can be refunded to the original payment method');
+    });
+
+    it('rejects incomplete bank details', () => {
+      expect(() => refundService.applyRefundDetails(codOrder(), { refundTo: 'bank', accountHolderName: 'A', accountNumber: '12' }))
+        .toThrow('Please provide account holder name, a valid account number and IFSC code');
+    });
+
+    it('stores valid UPI details', () => {
+      const order = codOrder();
+
+      expect(refundService.applyRefundDetails(order, { refundTo: 'upi', upiId: 'buyer@okbank' })).toBe(true);
+      expect(order.refundDetails).toMatchObject({ method: 'upi', upiId: 'buyer@okbank' });
+    });
+  });
+});
+
+describe('Order.syncStatusFromSubOrders', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves the payment completed until the refunds are paid', async () => {
+    jest.spyOn(SubOrder, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([{ status: 'returned' }]) });
+    const order = new Order({ payment: { method: 'cod', status: 'completed' } });
+
+    await order.syncStatusFromSubOrders();
+
+    expect(order.status).toBe('returned');
+    expect(order.payment.status).toBe('completed');
+  });
+});
+
+describe('orderLifecycleService: completing a return', () => {
+  const approvedReturn = () => ({
+    ...shipment({ status: 'return_approved' }),
+    statusHistory: [],
+    returnRequest: { status: 'approved' },
+    payout: { status: 'pending' },
+    save: jest.fn().mockResolvedValue()
+  });
+
+  beforeEach(() => {
+    jest.spyOn(SubOrder, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(ledgerService, 'postSubOrderRefund').mockResolvedValue(null);
+    jest.spyOn(SellerWallet, 'getOrCreate').mockResolvedValue({ syncFromLedger: jest.fn() });
+    jest.spyOn(refundService, 'refundSubOrder').mockResolvedValue(null);
+    jest.spyOn(resellerService, 'syncEarning').mockResolvedValue(null);
+    jest.spyOn(penaltyService, 'evaluateTransition').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('settles the items less discount by default', async () => {
+    const subOrder = approvedReturn();
+
+    await orderLifecycle.transition(subOrder, 'returned', { actor: { role: 'admin' } });
+
+    expect(subOrder.returnRequest.refundAmount).toBe(900);
+    expect(refundService.refundSubOrder).toHaveBeenCalledWith(subOrder, expect.any(Object));
+  });
+
+  it('accepts a smaller amount given as a string', async () => {
+    const subOrder = approvedReturn();
+
+    await orderLifecycle.transition(subOrder, 'returned', { actor: { role: 'admin' }, refundAmount: '450.5' });
+
+    expect(subOrder.returnRequest.refundAmount).toBe(450.5);
+  });
+
+  it.each([
+    ['a non-number', 'abc', 'Refund amount must be a number of 0 or more'],
+    ['a boolean', true, 'Refund amount must be a number of 0 or more'],
+    ['a negative amount', -1, 'Refund amount must be a number of 0 or more'],
+    ['more than the refundable value', 900.01, 'Refund amount cannot be more than ₹900, the refundable value of this shipment']
+  ])('rejects %s and puts the status back', async (label, refundAmount, message) => {
+    const subOrder = approvedReturn();
+
+    await expect(orderLifecycle.transition(subOrder, 'returned', { actor: { role: 'admin' }, refundAmount }))
+      .rejects.toMatchObject({ statusCode: 400, message });
+    expect(subOrder.save).not.toHaveBeenCalled();
+    expect(SubOrder.updateOne).toHaveBeenLastCalledWith(
+      { _id: subOrder._id, status: 'returned' },
+      { $set: { status: 'return_approved' } }
+    );
+    expect(refundService.refundSubOrder).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Unit tests for resolving the acting shop and scoping staff to it
+ */
+
+const mongoose = require('mongoose');
+const Seller = require('../../src/models/Seller');
+const SellerMember = require('../../src/models/SellerMember');
+const sellerStaffService = require('../../src/services/sellerStaffService');
+const { loadSeller, requireSellerPermission, verifySeller } = require('../../src/middlewares/auth');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const shop = (fields = {}) => ({ _id: new mongoose.Types.ObjectId(), isActive: true, ...fields });
+
+const request = (fields = {}) => ({
+  user: { _id: new mongoose.Types.ObjectId(), role: 'seller' },
+  headers: {},
+  ...fields
+});
+
+const memberships = (list) => ({ limit: jest.fn().mockResolvedValue(list) });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sellerStaffService', () => {
+  describe('resolveShop', () => {
+    it('acts for the user\'s own shop as its owner', async () => {
+      const own = shop();
+      jest.spyOn(Seller, 'findOne').mockResolvedValue(own);
+      const req = request();
+
+      await expect(sellerStaffService.resolveShop(req)).resolves.toBe(own);
+      expect(req.sellerRole).toBe('owner');
+      expect(req.sellerPermissions.has('bank:manage')).toBe(true);
+    });
+
+    it('acts for the one shop a staff member works for, with their role', async () => {
+      const employer = shop();
+      jest.spyOn(Seller, 'findOne').mockResolvedValue(null);
+      jest.spyOn(SellerMember, 'find').mockReturnValue(memberships([{ seller: employer._id, role: 'catalog' }]));
+      jest.spyOn(Seller, 'findById').mockResolvedValue(employer);
+      const req = request();
+
+      await sellerStaffService.resolveShop(req);
+
+      expect(req.seller).toBe(employer);
+      expect(req.sellerRole).toBe('catalog');
+      expect([...req.sellerPermissions]).toEqual(['shop:view', 'catalog:view', 'catalog:edit']);
+    });
+
+    it('asks staff of several shops to pick one', async () => {
+      jest.spyOn(Seller, 'findOne').mockResolvedValue(null);
+      jest.spyOn(SellerMember, 'find').mockReturnValue(memberships([{}, {}]));
+
+      await expect(sellerStaffService.resolveShop(request()))
+        .rejects.toMatchObject({ statusCode: 400, message: 'You work for several shops; choose one with the X-Seller-Id header' });
+    });
+
+    it('refuses a shop the user does not work for', async () => {
+      const other = new mongoose.Types.ObjectId();
+      jest.spyOn(Seller, 'findOne').mockResolvedValue(shop());
+      const find = jest.spyOn(SellerMember, 'find').mockReturnValue(memberships([]));
+      const req = request({ headers: { 'x-seller-id': other.toString() } });
+
+      await expect(sellerStaffService.resolveShop(req))
+        .rejects.toMatchObject({ statusCode: 403, message: 'You are not a member of this shop' });
+      expect(find).toHaveBeenCalledWith({ user: req.user._id, status: 'active', seller: other.toString() });
+    });
+
+    it('rejects a malformed X-Seller-Id header', async () => {
+      await expect(sellerStaffService.resolveShop(request({ headers: { 'x-seller-id': 'shop-1' } })))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Invalid X-Seller-Id header' });
+    });
+  });
+
+  describe('shopFor', () => {
+    it('refuses staff whose role lacks a permission', async () => {
+      jest.spyOn(Seller, 'findOne').mockResolvedValue(null);
+      jest.spyOn(SellerMember, 'find').mockReturnValue(memberships([{ seller: new mongoose.Types.ObjectId(), role: 'read_only' }]));
+      jest.spyOn(Seller, 'findById').mockResolvedValue(shop());
+
+      await expect(sellerStaffService.shopFor(request(), 'catalog:view', 'catalog:edit'))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Your staff role does not allow this (needs catalog:edit)' });
+    });
+  });
+
+  describe('sellerIdFor and shopFilter', () => {
+    const own = shop();
+    const named = new mongoose.Types.ObjectId();
+
+    it('keep a seller to their own shop whatever the request names', () => {
+      const req = { seller: own };
+
+      expect(sellerStaffService.sellerIdFor(req, named)).toBe(own._id);
+      expect(sellerStaffService.shopFilter(req)).toEqual({ sellerId: own._id });
+      expect(sellerStaffService.shopFilter(req, 'seller')).toEqual({ seller: own._id });
+    });
+
+    it('honour the seller an admin names and leave admin lookups open', () => {
+      const req = {};
+
+      expect(sellerStaffService.sellerIdFor(req, named)).toBe(named);
+      expect(sellerStaffService.shopFilter(req)).toEqual({});
+    });
+  });
+
+  describe('visibleSeller', () => {
+    it('hides bank details and KYC documents from staff who may not manage them', () => {
+      const seller = shop({ shopName: 'Loom', bankDetails: { accountNumber: '123' }, kycDocuments: [{}] });
+
+      const visible = sellerStaffService.visibleSeller(seller, sellerStaffService.permissionsOf('finance'));
+
+      expect(visible.shopName).toBe('Loom');
+      expect(visible).not.toHaveProperty('bankDetails');
+      expect(visible).not.toHaveProperty('kycDocuments');
+      expect(sellerStaffService.visibleSeller(seller, sellerStaffService.permissionsOf('owner'))).toHaveProperty('bankDetails');
+    });
+  });
+
+  describe('visibleKYC', () => {
+    const kyc = {
+      status: 'verified',
+      personalInfo: { fullName: 'Asha', pan: 'ABCDE1234F' },
+      documents: [{ type: 'pan', url: 'https://files.example/pan.jpg' }],
+      bankDetails: { accountNumber: '123' }
+    };
+
+    it('shows staff only the KYC status', () => {
+      ['catalog', 'fulfilment', 'finance', 'read_only'].forEach(role => {
+        expect(sellerStaffService.visibleKYC(kyc, sellerStaffService.permissionsOf(role))).toEqual({ status: 'verified' });
+      });
+    });
+
+    it('shows the owner everything', () => {
+      expect(sellerStaffService.visibleKYC(kyc, sellerStaffService.permissionsOf('owner'))).toEqual(kyc);
+    });
+  });
+});
+
+describe('seller middleware', () => {
+  describe('requireSellerPermission', () => {
+    it('refuses staff without every listed permission', () => {
+      const res = response();
+      const next = jest.fn();
+
+      requireSellerPermission('finance:view')({
+        user: { role: 'seller' },
+        sellerPermissions: sellerStaffService.permissionsOf('catalog')
+      }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Your staff role does not allow this (needs finance:view)' });
+    });
+
+    it('refuses a seller whose shop was never resolved', () => {
+      const res = response();
+      const next = jest.fn();
+
+      requireSellerPermission('shop:view')({ user: { role: 'seller' } }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('leaves admins to requirePermission', () => {
+      const next = jest.fn();
+
+      requireSellerPermission('finance:view')({ user: { role: 'admin' } }, response(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('loadSeller', () => {
+    it('resolves the shop for sellers', async () => {
+      const own = shop();
+      jest.spyOn(Seller, 'findOne').mockResolvedValue(own);
+      const req = request();
+      const next = jest.fn();
+
+      await loadSeller(req, response(), next);
+
+      expect(req.seller).toBe(own);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('lets admins through without a shop', async () => {
+      const resolve = jest.spyOn(sellerStaffService, 'resolveShop');
+      const req = request({ user: { role: 'admin' } });
+      const next = jest.fn();
+
+      await loadSeller(req, response(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(resolve).not.toHaveBeenCalled();
+      expect(req.seller).toBeUndefined();
+    });
+  });
+
+  describe('verifySeller', () => {
+    it('refuses an inactive shop', async () => {
+      jest.spyOn(Seller, 'findOne').mockResolvedValue(shop({ isActive: false }));
+      const res = response();
+      const next = jest.fn();
+
+      await verifySeller(request(), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('passes on the status of a shop it cannot resolve', async () => {
+      jest.spyOn(Seller, 'findOne').mockResolvedValue(null);
+      jest.spyOn(SellerMember, 'find').mockReturnValue(memberships([]));
+      const res = response();
+
+      await verifySeller(request(), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Seller profile not found' });
+    });
+  });
+});
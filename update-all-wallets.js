@@ -38,8 +38,8 @@ async function updateAllWallets() {
           total: wallet.totalEarnings
         });
         
-        // Update wallet
-        await wallet.updateFromOrders();
+        // Refresh wallet from the ledger
+        await wallet.syncFromLedger();
         
         console.log('After update:', {
           pending: wallet.pendingAmount,
@@ -41,7 +41,7 @@ async function updateWallet() {
     console.log('Total:', wallet.totalEarnings);
     
     // Update from orders
-    await wallet.updateFromOrders();
+    await wallet.syncFromLedger();
     
     console.log('\n💰 Wallet AFTER update:');
     console.log('Pending:', wallet.pendingAmount);